@@ -2,7 +2,7 @@
  * Tests for BarcodeManager
  */
 
-import { BarcodeManager, BarcodeConfig, SubtitleBarConfig } from '../barcode-manager';
+import { BarcodeManager, BarcodeConfig, SubtitleBarConfig, BarcodePayloadParser } from '../barcode-manager';
 import { BarcodeFormat } from '@zxing/library';
 
 // Mock ZXing library
@@ -540,6 +540,28 @@ describe('BarcodeManager', () => {
             expect(result2).toBeTruthy();
         });
 
+        test('should keep suppressing a code held in view when debouncing until gone', () => {
+            const now = jest.spyOn(Date, 'now');
+            const result = { text: 'ITEM-1', format: 'CODE_128', timestamp: 0 };
+            const isDuplicate = (time: number) => {
+                now.mockReturnValue(time);
+                return (barcodeManager as any).isDuplicateDetection(result);
+            };
+
+            barcodeManager.setDuplicateDebounce(800, true);
+            expect(isDuplicate(1000)).toBe(false);
+            expect(isDuplicate(1600)).toBe(true);
+            expect(isDuplicate(2200)).toBe(true); // Still in view: window restarted at 1600
+            expect(isDuplicate(3100)).toBe(false); // Gone for 900 ms: counts again
+
+            barcodeManager.setDuplicateDebounce(2000);
+            expect(isDuplicate(3200)).toBe(false);
+            expect(isDuplicate(4000)).toBe(true);
+            expect(isDuplicate(5300)).toBe(false); // Window measured from the accepted scan at 3200
+
+            now.mockRestore();
+        });
+
         test('should get scan quality metric', () => {
             const quality = barcodeManager.getScanQuality();
             expect(quality).toBeGreaterThanOrEqual(0);
@@ -648,3 +670,175 @@ describe('BarcodeManager', () => {
         });
     });
 });
+
+describe('BarcodePayloadParser', () => {
+    test('should fall back to plain text', () => {
+        const payload = BarcodePayloadParser.parse('Hello world', 'CODE_128');
+        expect(payload.type).toBe('text');
+        expect(payload.fields).toHaveLength(0);
+    });
+
+    test('should parse web links', () => {
+        const payload = BarcodePayloadParser.parse('https://example.com/item?id=7', 'QR_CODE');
+        expect(payload.type).toBe('url');
+        expect(payload.actions[0]).toMatchObject({ kind: 'open', value: 'https://example.com/item?id=7' });
+    });
+
+    test('should parse WiFi configs with escaped characters', () => {
+        const payload = BarcodePayloadParser.parseWifi('WIFI:T:WPA;S:Cafe\\;Guest;P:pa\\:ss\\\\word;H:true;;');
+        expect(payload).toMatchObject({
+            type: 'wifi',
+            ssid: 'Cafe;Guest',
+            password: 'pa:ss\\word',
+            security: 'WPA',
+            hidden: true,
+        });
+        expect(payload!.actions[0]).toMatchObject({ kind: 'copy', value: 'pa:ss\\word' });
+    });
+
+    test('should treat WiFi without a password as open', () => {
+        const payload = BarcodePayloadParser.parseWifi('WIFI:S:Lobby;;');
+        expect(payload!.fields).toContainEqual({ label: 'Security', value: 'Open' });
+        expect(payload!.actions.map(action => action.label)).toEqual(['Copy network']);
+    });
+
+    test('should parse MeCard contacts and offer a vCard download', () => {
+        const payload = BarcodePayloadParser.parseContact('MECARD:N:Doe,John;TEL:+1 555 0100;EMAIL:john@example.com;ADR:,,1 Main St,Springfield,,12345,USA;;');
+        expect(payload).toMatchObject({
+            source: 'mecard',
+            name: 'John Doe',
+            phones: ['+1 555 0100'],
+            emails: ['john@example.com'],
+            address: '1 Main St, Springfield, 12345, USA',
+        });
+
+        const save = payload!.actions.find(action => action.kind === 'download')!;
+        expect(save.filename).toBe('John_Doe.vcf');
+        expect(save.value).toContain('N:Doe;John;;;');
+        expect(payload!.actions).toContainEqual(expect.objectContaining({ label: 'Call', value: 'tel:+15550100' }));
+    });
+
+    test('should parse vCards with folded lines and grouped properties', () => {
+        const vcard = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            'N:Smith;Jane;;Dr.;',
+            'FN:Dr. Jane Smith',
+            'ORG:Acme\\, Inc.',
+            'item1.TEL;TYPE=CELL:+44 20 7946',
+            ' 0000',
+            'EMAIL;TYPE=INTERNET:jane@example.org',
+            'NOTE:Line one\\nLine two',
+            'END:VCARD',
+        ].join('\r\n');
+        const payload = BarcodePayloadParser.parseContact(vcard);
+
+        expect(payload).toMatchObject({
+            source: 'vcard',
+            name: 'Dr. Jane Smith',
+            familyName: 'Smith',
+            givenName: 'Jane',
+            organization: 'Acme, Inc.',
+            phones: ['+44 20 79460000'],
+            emails: ['jane@example.org'],
+            note: 'Line one\nLine two',
+        });
+    });
+
+    test('should parse geo URIs', () => {
+        const payload = BarcodePayloadParser.parseGeo('geo:51.5007,-0.1246,15;u=10?q=Big%20Ben');
+        expect(payload).toMatchObject({ latitude: 51.5007, longitude: -0.1246, altitude: 15, query: 'Big Ben' });
+        expect(payload!.actions[0]!.value).toContain('mlat=51.5007&mlon=-0.1246');
+
+        expect(BarcodePayloadParser.parseGeo('geo:95,10')).toBeNull();
+    });
+
+    test('should parse EMVCo payment codes and verify the CRC', () => {
+        const code = '00020101021226320009SG.PAYNOW010120210201234567W520400005303702540512.505802SG5909ACME CAFE6009Singapore62100506INV-426304DE87';
+        const payload = BarcodePayloadParser.parsePayment(code);
+
+        expect(payload).toMatchObject({
+            merchantName: 'ACME CAFE',
+            merchantCity: 'Singapore',
+            countryCode: 'SG',
+            currency: 'SGD',
+            amount: '12.50',
+            reference: 'INV-42',
+            networks: ['PayNow'],
+            dynamic: true,
+            checksumValid: true,
+        });
+
+        const tampered = BarcodePayloadParser.parsePayment(code.replace('12.50', '92.50'));
+        expect(tampered!.checksumValid).toBe(false);
+        expect(BarcodePayloadParser.parsePayment('000201010')).toBeNull();
+    });
+
+    test('should compute CRC-16/CCITT-FALSE', () => {
+        expect(BarcodePayloadParser.crc16('123456789')).toBe('29B1');
+    });
+
+    test('should validate GS1 check digits', () => {
+        expect(BarcodePayloadParser.isValidCheckDigit('09506000134352')).toBe(true);
+        expect(BarcodePayloadParser.isValidCheckDigit('09506000134353')).toBe(false);
+        expect(BarcodePayloadParser.isValidCheckDigit('106141411234567897')).toBe(true);
+    });
+
+    test('should parse FNC1-separated GS1-128 data', () => {
+        const payload = BarcodePayloadParser.parseGS1(']C101095060001343521725123110ABC123\x1d21SN-9\x1d3103001250', 'CODE_128');
+
+        expect(payload).toMatchObject({ gtin: '09506000134352', lot: 'ABC123', expiry: '2025-12-31', serial: 'SN-9' });
+        expect(payload!.elements.map(element => element.ai)).toEqual(['01', '17', '10', '21', '3103']);
+        expect(payload!.fields).toContainEqual({ label: 'Net weight', value: '1.250 kg' });
+    });
+
+    test('should parse GS1 DataMatrix data with a leading FNC1', () => {
+        const payload = BarcodePayloadParser.parse('\x1d0109506000134352172602001012', 'DATA_MATRIX');
+        expect(payload.type).toBe('gs1');
+        // Day 00 is the last day of the month
+        expect((payload as any).expiry).toBe('2026-02-28');
+        expect((payload as any).lot).toBe('12');
+    });
+
+    test('should parse the human readable GS1 form', () => {
+        const payload = BarcodePayloadParser.parseGS1('(01)09506000134352(10)LOT 7(21)123', 'RSS_EXPANDED');
+        expect(payload).toMatchObject({ gtin: '09506000134352', lot: 'LOT 7', serial: '123' });
+    });
+
+    test('should only treat unmarked data as GS1 when it starts with a valid GTIN', () => {
+        expect(BarcodePayloadParser.parseGS1('0109506000134352', 'CODE_128')).not.toBeNull();
+        expect(BarcodePayloadParser.parseGS1('0109506000134353', 'CODE_128')).toBeNull();
+        expect(BarcodePayloadParser.parseGS1('12345678', 'CODE_128')).toBeNull();
+        expect(BarcodePayloadParser.parseGS1(']C155123', 'CODE_128')).toBeNull();
+    });
+
+    test('should flag GTINs with a wrong check digit', () => {
+        const payload = BarcodePayloadParser.parseGS1(']C10109506000134353');
+        expect(payload!.fields[0]!.value).toContain('invalid check digit');
+    });
+
+    test('should parse AAMVA driver licences', () => {
+        const data = '@\n\x1e\rANSI 636014040002DL00410278ZC03190024DLDAQD1234562\nDCSSAMPLE\nDDEN\nDACJOHN\nDDFN\n' +
+            'DADQUINCY\nDBD08312013\nDBB08311977\nDBA08312040\nDBC1\nDAG2570 24TH STREET\nDAISACRAMENTO\nDAJCA\n' +
+            'DAK958180000  \nDCGUSA\r\nZCZCAGRY\r';
+        const payload = BarcodePayloadParser.parse(data, 'PDF_417');
+
+        expect(payload).toMatchObject({
+            type: 'driver_license',
+            issuerId: '636014',
+            version: 4,
+            licenseNumber: 'D1234562',
+            familyName: 'SAMPLE',
+            givenName: 'JOHN',
+            middleName: 'QUINCY',
+            dateOfBirth: '1977-08-31',
+            issueDate: '2013-08-31',
+            expiryDate: '2040-08-31',
+            sex: 'Male',
+            city: 'SACRAMENTO',
+            state: 'CA',
+            postalCode: '95818',
+        });
+        expect(payload.fields).toContainEqual({ label: 'Address', value: '2570 24TH STREET, SACRAMENTO, CA 95818' });
+    });
+});
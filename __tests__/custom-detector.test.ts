@@ -0,0 +1,114 @@
+/**
+ * Tests for the CustomDetector output decoders and non-maximum suppression
+ */
+
+require('../custom-detector.js');
+const CustomDetector = (global as any).CustomDetector;
+
+describe('CustomDetector.decodeYolo', () => {
+    // Two boxes, two classes: (cx, cy, w, h) and class scores
+    const boxes = [
+        { cx: 100, cy: 200, w: 40, h: 60, scores: [0.1, 0.9] },
+        { cx: 300, cy: 50, w: 20, h: 10, scores: [0.2, 0.3] }
+    ];
+
+    it('decodes a YOLOv8 output, channels first [1, 4 + classes, boxes]', () => {
+        const channels = [
+            boxes.map(box => box.cx),
+            boxes.map(box => box.cy),
+            boxes.map(box => box.w),
+            boxes.map(box => box.h),
+            boxes.map(box => box.scores[0]!),
+            boxes.map(box => box.scores[1]!)
+        ];
+        const data = new Float32Array(channels.flat());
+
+        const candidates = CustomDetector.decodeYolo(data, [1, 6, 2], { classCount: 2, format: 'yolov8', threshold: 0.5 });
+
+        expect(candidates).toHaveLength(1);
+        expect(candidates[0]).toEqual({ classIndex: 1, score: expect.closeTo(0.9), x: 80, y: 170, width: 40, height: 60 });
+    });
+
+    it('decodes a transposed YOLOv8 output [1, boxes, 4 + classes]', () => {
+        const data = new Float32Array(boxes.flatMap(box => [box.cx, box.cy, box.w, box.h, ...box.scores]));
+
+        const candidates = CustomDetector.decodeYolo(data, [1, 2, 6], { classCount: 2, format: 'yolov8', threshold: 0.25 });
+
+        expect(candidates.map((box: any) => box.classIndex)).toEqual([1, 1]);
+        expect(candidates[1]).toMatchObject({ x: 290, y: 45, width: 20, height: 10 });
+    });
+
+    it('decodes a YOLOv5 output [1, boxes, 5 + classes], weighting class scores by objectness', () => {
+        const data = new Float32Array([
+            0.5, 0.5, 0.25, 0.5, 0.8, 0.9, 0.1,
+            0.1, 0.1, 0.1, 0.1, 0.3, 1.0, 0.0
+        ]);
+
+        const candidates = CustomDetector.decodeYolo(data, [1, 2, 7], {
+            classCount: 2,
+            format: 'yolov5',
+            threshold: 0.5,
+            normalizedBoxes: true,
+            inputSize: 640
+        });
+
+        expect(candidates).toHaveLength(1);
+        expect(candidates[0]).toEqual({ classIndex: 0, score: expect.closeTo(0.72), x: 240, y: 160, width: 160, height: 320 });
+    });
+
+    it('rejects an output that does not fit the label map', () => {
+        expect(() => CustomDetector.decodeYolo(new Float32Array(14), [1, 2, 7], { classCount: 4, format: 'yolov8' }))
+            .toThrow('does not fit 4 classes');
+    });
+});
+
+describe('CustomDetector.decodeSsd', () => {
+    const boxes = new Float32Array([
+        0.1, 0.2, 0.5, 0.6,
+        0.0, 0.0, 1.0, 1.0
+    ]);
+    const scores = new Float32Array([0.8, 0.4]);
+    const classes = new Float32Array([3, 1]);
+
+    it('converts [ymin, xmin, ymax, xmax] boxes above the threshold', () => {
+        const candidates = CustomDetector.decodeSsd(boxes, scores, classes, { threshold: 0.5 });
+
+        expect(candidates).toHaveLength(1);
+        expect(candidates[0]).toEqual({
+            classIndex: 3,
+            score: expect.closeTo(0.8),
+            x: expect.closeTo(0.2),
+            y: expect.closeTo(0.1),
+            width: expect.closeTo(0.4),
+            height: expect.closeTo(0.4)
+        });
+    });
+
+    it('applies the label offset to class IDs', () => {
+        const candidates = CustomDetector.decodeSsd(boxes, scores, classes, { threshold: 0.3, labelOffset: 1 });
+
+        expect(candidates.map((box: any) => box.classIndex)).toEqual([2, 0]);
+    });
+});
+
+describe('CustomDetector.nms', () => {
+    const box = (classIndex: number, score: number, x: number) => ({ classIndex, score, x, y: 0, width: 10, height: 10 });
+
+    it('keeps the best of overlapping boxes of the same class, best first', () => {
+        const kept = CustomDetector.nms([box(0, 0.6, 1), box(0, 0.9, 0), box(0, 0.7, 50)], 0.5, 10);
+
+        expect(kept.map((candidate: any) => candidate.score)).toEqual([0.9, 0.7]);
+    });
+
+    it('keeps overlapping boxes of different classes', () => {
+        const kept = CustomDetector.nms([box(0, 0.9, 0), box(1, 0.8, 1)], 0.5, 10);
+
+        expect(kept).toHaveLength(2);
+    });
+
+    it('stops at the maximum count', () => {
+        const kept = CustomDetector.nms([box(0, 0.9, 0), box(0, 0.8, 20), box(0, 0.7, 40)], 0.5, 2);
+
+        expect(kept.map((candidate: any) => candidate.x)).toEqual([0, 20]);
+    });
+});
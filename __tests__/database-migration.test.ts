@@ -0,0 +1,91 @@
+/**
+ * Tests for the photo record migrations run on database upgrades
+ */
+
+(global as any).AppConstants = require('../constants.js');
+const databaseManager = require('../database.js');
+
+/**
+ * Object store stand-in whose cursor walks an array, like IDBObjectStore.openCursor()
+ * `done` resolves once the cursor has run past the last record
+ */
+function memoryStore(records: any[]) {
+    let finish: () => void = () => undefined;
+    const store = {
+        records,
+        done: new Promise<void>(resolve => { finish = resolve; }),
+        openCursor() {
+            const request: any = {};
+            let position = 0;
+            const step = () => setTimeout(() => {
+                const cursor = position < store.records.length ? {
+                    value: store.records[position],
+                    update: (record: any) => { store.records[position] = record; },
+                    continue: () => { position++; step(); }
+                } : null;
+                request.onsuccess({ target: { result: cursor } });
+                if (!cursor) finish();
+            });
+            step();
+            return request;
+        }
+    };
+    return store;
+}
+
+describe('migratePhotoRecords', () => {
+    const dataUrl = `data:image/jpeg;base64,${btoa('jpeg bytes')}`;
+
+    it('queues photos for upload and converts data URLs in one pass when upgrading from v1', async () => {
+        const store = memoryStore([
+            { id: 1, imageData: dataUrl },
+            { id: 2, imageData: dataUrl, uploadStatus: 'uploaded' }
+        ]);
+
+        databaseManager.migratePhotoRecords(store, 1);
+        await store.done;
+
+        const [first, second] = store.records;
+        expect(first).toMatchObject({ uploadStatus: 'pending', uploadAttempts: 0, nextUploadAttempt: 0, imageSize: 10, thumbnailBlob: null });
+        expect(first.imageData).toBeUndefined();
+        expect(first.imageBlob.type).toBe('image/jpeg');
+        expect(second.uploadStatus).toBe('uploaded');
+        expect(second.imageBlob.size).toBe(10);
+    });
+
+    it('leaves upload state alone when upgrading from v3', async () => {
+        const store = memoryStore([{ id: 1, imageData: dataUrl }]);
+
+        databaseManager.migratePhotoRecords(store, 3);
+        await store.done;
+
+        expect(store.records[0].uploadStatus).toBeUndefined();
+        expect(store.records[0].imageBlob.size).toBe(10);
+    });
+});
+
+describe('init', () => {
+    afterEach(() => {
+        delete (global as any).indexedDB;
+    });
+
+    it('closes the connection when a newer version of the app upgrades the database', async () => {
+        const connection: any = { close: jest.fn() };
+        const request: any = {};
+        (global as any).indexedDB = {
+            open: jest.fn(() => {
+                setTimeout(() => { request.result = connection; request.onsuccess(); });
+                return request;
+            })
+        };
+        jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+        await databaseManager.init();
+        expect(databaseManager.db).toBe(connection);
+
+        connection.onversionchange();
+
+        expect(connection.close).toHaveBeenCalled();
+        expect(databaseManager.db).toBeNull();
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for DepthExport
+ */
+
+import { inflateSync } from 'zlib';
+import { DepthExport } from '../depth-export';
+
+interface PngChunk {
+    type: string;
+    data: Uint8Array;
+    crcValid: boolean;
+}
+
+/**
+ * Split a PNG file into its chunks
+ */
+function readChunks(png: Uint8Array): PngChunk[] {
+    const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+    const chunks: PngChunk[] = [];
+    let offset = 8;
+    while (offset < png.length) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+        const data = png.subarray(offset + 8, offset + 8 + length);
+        const crc = view.getUint32(offset + 8 + length);
+        chunks.push({ type, data, crcValid: crc === DepthExport.crc32(png.subarray(offset + 4, offset + 8 + length)) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+/**
+ * Decode the samples of a 16-bit grayscale PNG whose rows all use the "Up" filter
+ */
+function readSamples(idat: Uint8Array, width: number, height: number): number[] {
+    const raw = inflateSync(Buffer.from(idat));
+    const rowLength = width * 2;
+    const previous = new Uint8Array(rowLength);
+    const samples: number[] = [];
+
+    for (let y = 0; y < height; y++) {
+        const row = raw.subarray(y * (rowLength + 1), (y + 1) * (rowLength + 1));
+        expect(row[0]).toBe(2);
+        for (let i = 0; i < rowLength; i++) {
+            previous[i] = (row[i + 1]! + previous[i]!) & 0xff;
+        }
+        for (let x = 0; x < width; x++) {
+            samples.push((previous[x * 2]! << 8) | previous[x * 2 + 1]!);
+        }
+    }
+    return samples;
+}
+
+describe('DepthExport', () => {
+    test('should compute standard checksums', () => {
+        const bytes = new TextEncoder().encode('123456789');
+        expect(DepthExport.crc32(bytes)).toBe(0xcbf43926);
+        expect(DepthExport.adler32(new TextEncoder().encode('Wikipedia'))).toBe(0x11e60398);
+    });
+
+    test('should write zlib data that inflates back, across several stored blocks', async () => {
+        const data = new Uint8Array(150000).map((_, i) => (i * 7) % 251);
+        const compressed = await DepthExport.zlib(data);
+        expect(Buffer.compare(inflateSync(Buffer.from(compressed)), Buffer.from(data))).toBe(0);
+    });
+
+    test('should encode a 16-bit grayscale PNG', async () => {
+        const values = new Float32Array([0, 127.5, 255, 300, 255, 0]);
+        const png = await DepthExport.toPng16({ values, width: 3, height: 2 }, 'relative inverse depth');
+
+        expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+        const chunks = readChunks(png);
+        expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'tEXt', 'IDAT', 'IEND']);
+        expect(chunks.every(chunk => chunk.crcValid)).toBe(true);
+
+        const header = new DataView(chunks[0]!.data.buffer, chunks[0]!.data.byteOffset);
+        expect(header.getUint32(0)).toBe(3);
+        expect(header.getUint32(4)).toBe(2);
+        expect(chunks[0]!.data[8]).toBe(16);
+        expect(chunks[0]!.data[9]).toBe(0);
+
+        expect(Buffer.from(chunks[1]!.data).toString('latin1')).toBe('Description\0relative inverse depth');
+        expect(readSamples(chunks[2]!.data, 3, 2)).toEqual([0, 32768, 65535, 65535, 65535, 0]);
+    });
+
+    test('should back-project depth into a colored PLY point cloud', () => {
+        // 2x2 map: one pixel is too far to place
+        const values = new Float32Array([255, 127.5, 0, 51]);
+        const colors = new Uint8ClampedArray([
+            255, 0, 0, 255,
+            0, 255, 0, 255,
+            0, 0, 255, 255,
+            9, 8, 7, 255,
+        ]);
+        const ply = DepthExport.toPly({ values, width: 2, height: 2 }, { focalLength: 1, colors });
+
+        const text = Buffer.from(ply).toString('latin1');
+        const headerEnd = text.indexOf('end_header\n') + 'end_header\n'.length;
+        expect(text.slice(0, headerEnd)).toContain('format binary_little_endian 1.0');
+        expect(text.slice(0, headerEnd)).toContain('element vertex 3');
+        expect(ply.length - headerEnd).toBe(3 * 15);
+
+        const view = new DataView(ply.buffer, ply.byteOffset + headerEnd);
+        const vertex = (i: number) => [
+            view.getFloat32(i * 15, true),
+            view.getFloat32(i * 15 + 4, true),
+            view.getFloat32(i * 15 + 8, true),
+            ply[headerEnd + i * 15 + 12],
+            ply[headerEnd + i * 15 + 13],
+            ply[headerEnd + i * 15 + 14],
+        ];
+
+        // Nearest value sits 1 unit in front of the camera; top-left is left of and above center
+        expect(vertex(0)).toEqual([-0.5, 0.5, -1, 255, 0, 0]);
+        expect(vertex(1)).toEqual([1, 1, -2, 0, 255, 0]);
+        expect(vertex(2)).toEqual([2.5, -2.5, -5, 9, 8, 7]);
+    });
+
+    test('should fall back to gray by nearness and subsample', () => {
+        const values = new Float32Array(16).fill(200);
+        const ply = DepthExport.toPly({ values, width: 4, height: 4 }, { focalLength: 100, step: 2 });
+
+        const text = Buffer.from(ply).toString('latin1');
+        expect(text).toContain('element vertex 4');
+        expect(ply[ply.length - 1]).toBe(200);
+    });
+});
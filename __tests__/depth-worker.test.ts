@@ -0,0 +1,235 @@
+/**
+ * Tests for the depth worker message protocol and DepthPredictionManager's main-thread fallback
+ */
+
+(global as any).AppConstants = require('../constants.js');
+(global as any).importScripts = jest.fn((...names: string[]) => names.forEach(name => require(`../${name}`)));
+
+// Replies of the worker; depth-worker.js answers through self.postMessage
+const postMessage = jest.fn();
+(window as any).postMessage = postMessage;
+
+/**
+ * 2D context stand-in returning a left-to-right gray ramp; jsdom has no canvas rendering
+ */
+const ctx = {
+    drawImage: jest.fn(),
+    getImageData: (x: number, y: number, width: number, height: number) => {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < width * height; i++) {
+            data.fill(Math.round(((i % width) / width) * 255), i * 4, i * 4 + 3);
+            data[i * 4 + 3] = 255;
+        }
+        return { data, width, height };
+    }
+};
+
+class FakeOffscreenCanvas {
+    constructor(public width: number, public height: number) {}
+    getContext() { return ctx; }
+}
+(global as any).OffscreenCanvas = FakeOffscreenCanvas;
+jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => ctx as any);
+
+require('../depth-worker.js');
+const handleMessage = (window as any).onmessage;
+const DepthEstimators = (global as any).DepthEstimators;
+
+function bitmap() {
+    return { close: jest.fn() };
+}
+
+let messageId = 0;
+
+/**
+ * Send a message to the worker and return its reply and transfer list
+ */
+async function send(type: string, data: object = {}): Promise<{ reply: any; transfer: any[] }> {
+    postMessage.mockClear();
+    await handleMessage({ data: { id: ++messageId, type, data } });
+    expect(postMessage).toHaveBeenCalledTimes(1);
+    const [reply, transfer] = postMessage.mock.calls[0];
+    expect(reply).toMatchObject({ id: messageId, type });
+    return { reply, transfer };
+}
+
+const modelConfig = {
+    url: './models/depth/model.onnx',
+    inputSize: 4,
+    mean: [0.485, 0.456, 0.406],
+    std: [0.229, 0.224, 0.225],
+    runtimeUrl: 'https://cdn.example/ort/'
+};
+
+describe('depth worker protocol', () => {
+    const session = {
+        inputNames: ['image'],
+        outputNames: ['depth'],
+        run: jest.fn(async () => ({ depth: { dims: [1, 2, 2], data: new Float32Array([0, 1, 2, 3]) } })),
+        release: jest.fn(async () => undefined)
+    };
+
+    beforeAll(() => {
+        (global as any).ort = {
+            env: { wasm: {} },
+            Tensor: class { constructor(public type: string, public data: Float32Array, public dims: number[]) {} },
+            InferenceSession: { create: jest.fn(async () => session) }
+        };
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => undefined);
+        ctx.drawImage.mockClear();
+    });
+
+    afterEach(() => {
+        delete (global as any).fetch;
+    });
+
+    it('loads the depth estimators into the worker', () => {
+        expect((global as any).importScripts).toHaveBeenCalledWith('depth-estimators.js');
+    });
+
+    it('estimates depth with a heuristic and hands the buffer over', async () => {
+        const frame = bitmap();
+
+        const { reply, transfer } = await send('PREDICT_DEPTH', { bitmap: frame, width: 8, height: 6, mode: 'edge' });
+
+        expect(reply.success).toBe(true);
+        expect(transfer).toEqual([reply.data.depth]);
+        expect(new Float32Array(reply.data.depth))
+            .toEqual(DepthEstimators.estimate(ctx.getImageData(0, 0, 8, 6), 'edge'));
+        expect(ctx.drawImage).toHaveBeenCalledWith(frame, 0, 0, 8, 6);
+        expect(frame.close).toHaveBeenCalled();
+    });
+
+    it('reports model predictions before the model is loaded as errors', async () => {
+        const frame = bitmap();
+
+        const { reply } = await send('PREDICT_DEPTH', { bitmap: frame, width: 8, height: 6, mode: 'model' });
+
+        expect(reply).toMatchObject({ success: false, error: 'Depth model not loaded' });
+        expect(frame.close).toHaveBeenCalled();
+    });
+
+    it('reports a missing model file', async () => {
+        (global as any).fetch = jest.fn(async () => ({ ok: false, status: 404 }));
+
+        const { reply } = await send('LOAD_MODEL', { config: modelConfig });
+
+        expect(reply).toMatchObject({ success: false, error: 'Depth model not found (HTTP 404)' });
+    });
+
+    it('loads the model and runs it at its input size', async () => {
+        (global as any).fetch = jest.fn(async () => ({ ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(16) }));
+
+        const loaded = await send('LOAD_MODEL', { config: modelConfig });
+        expect(loaded.reply).toMatchObject({ success: true, data: { size: 16 } });
+        expect((global as any).ort.env.wasm).toMatchObject({ wasmPaths: modelConfig.runtimeUrl, numThreads: 1 });
+
+        const frame = bitmap();
+        const { reply } = await send('PREDICT_DEPTH', { bitmap: frame, width: 3, height: 3, mode: 'model' });
+
+        expect(reply.success).toBe(true);
+        expect(ctx.drawImage).toHaveBeenCalledWith(frame, 0, 0, 4, 4);
+        const feeds = session.run.mock.calls[0] as any[];
+        expect(feeds[0].image.dims).toEqual([1, 3, 4, 4]);
+        expect(new Float32Array(reply.data.depth)).toEqual(DepthEstimators.resample(new Float32Array([0, 1, 2, 3]), 2, 2, 3, 3));
+    });
+
+    it('releases the model', async () => {
+        const { reply } = await send('RELEASE_MODEL');
+
+        expect(reply.success).toBe(true);
+        expect(session.release).toHaveBeenCalled();
+    });
+
+    it('rejects unknown message types', async () => {
+        const { reply } = await send('TRAIN_MODEL');
+
+        expect(reply).toMatchObject({ success: false, error: 'Unknown message type: TRAIN_MODEL' });
+    });
+});
+
+describe('DepthPredictionManager worker fallback', () => {
+    require('../depth.js');
+    const DepthPredictionManager = (window as any).depthPredictionManager.constructor;
+
+    /**
+     * Worker stand-in passing messages to and from the depth-worker.js handler
+     */
+    class BridgedWorker {
+        onmessage: ((event: { data: any }) => void) | null = null;
+        onerror: ((error: unknown) => void) | null = null;
+        terminate = jest.fn();
+
+        constructor() {
+            postMessage.mockImplementation((reply: any) => this.onmessage!({ data: reply }));
+        }
+
+        postMessage(message: any) {
+            handleMessage({ data: message });
+        }
+    }
+
+    const image = { width: 320, height: 240 };
+
+    beforeEach(() => {
+        // Worker replies time out after seconds; nothing here waits that long
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => undefined);
+        (global as any).Worker = jest.fn(() => new BridgedWorker());
+        (global as any).OffscreenCanvas = FakeOffscreenCanvas;
+        (global as any).createImageBitmap = jest.fn(async () => bitmap());
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        postMessage.mockReset();
+        delete (global as any).Worker;
+        delete (global as any).createImageBitmap;
+        (global as any).OffscreenCanvas = FakeOffscreenCanvas;
+    });
+
+    it('estimates in the worker when the browser supports it', async () => {
+        const manager = new DepthPredictionManager();
+        const onMainThread = jest.spyOn(manager, 'estimateOnMainThread');
+
+        const depthMap = await manager.predictDepth(image);
+
+        expect(manager.worker).toBeInstanceOf(BridgedWorker);
+        expect(onMainThread).not.toHaveBeenCalled();
+        expect(depthMap.shape).toEqual([240, 320]);
+        expect(manager.lastEstimationMode).toBe('hybrid');
+    });
+
+    it.each([
+        ['OffscreenCanvas'],
+        ['Worker']
+    ])('estimates on the main thread without %s', async (feature) => {
+        delete (global as any)[feature];
+
+        const manager = new DepthPredictionManager();
+        const depthMap = await manager.predictDepth(image);
+
+        expect(manager.worker).toBeNull();
+        expect(postMessage).not.toHaveBeenCalled();
+        expect(depthMap.shape).toEqual([240, 320]);
+        expect(await depthMap.data()).toEqual(DepthEstimators.estimate(ctx.getImageData(0, 0, 320, 240), 'hybrid'));
+    });
+
+    it('estimates on the main thread when the worker fails, and stops a worker that keeps failing', async () => {
+        const manager = new DepthPredictionManager();
+        const worker = manager.worker;
+        postMessage.mockImplementation((reply: any) => worker.onmessage({ data: { id: reply.id, success: false, error: 'out of memory' } }));
+        const onMainThread = jest.spyOn(manager, 'estimateOnMainThread');
+
+        for (let i = 0; i < manager.maxWorkerFailures; i++) {
+            expect(await manager.predictDepth(image)).not.toBeNull();
+        }
+
+        expect(onMainThread).toHaveBeenCalledTimes(manager.maxWorkerFailures);
+        expect(worker.terminate).toHaveBeenCalled();
+        expect(manager.worker).toBeNull();
+    });
+});
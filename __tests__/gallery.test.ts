@@ -0,0 +1,146 @@
+/**
+ * Tests for PhotoGalleryManager (gallery filters and paging)
+ */
+
+(global as any).AppConstants = require('../constants.js');
+(global as any).Utils = require('../utils.js');
+const databaseManager = require('../database.js');
+(global as any).databaseManager = databaseManager;
+require('../gallery.js');
+const PhotoGalleryManager = (window as any).photoGalleryManager.constructor;
+
+const USER = 'user-1';
+const { PAGE_SIZE, SCAN_BATCH_SIZE } = (global as any).AppConstants.GALLERY;
+
+/**
+ * Photo record as stored, with optional overrides
+ */
+function photo(id: number, fields: object = {}): any {
+    return { id, userId: USER, date: '2024-05-10', uploadStatus: 'uploaded', ...fields };
+}
+
+function detections(...classes: string[]) {
+    return { success: true, detections: classes.map(name => ({ class: name, confidence: 80 })) };
+}
+
+/**
+ * Keep the photos in memory instead of IndexedDB, newest (highest ID) first like the store
+ */
+function useMemoryStore(photos: any[]): jest.Mock {
+    const byId = new Map(photos.map(record => [record.id, record]));
+    databaseManager.getPhotoIdsForUser = async () => photos.map(record => record.id).sort((a, b) => b - a);
+    const getPhotosById = jest.fn(async (ids: number[]) => ids.filter(id => byId.has(id)).map(id => ({ ...byId.get(id) })));
+    databaseManager.getPhotosById = getPhotosById;
+    return getPhotosById;
+}
+
+let gallery: any;
+
+beforeEach(() => {
+    gallery = new PhotoGalleryManager();
+});
+
+describe('PhotoGalleryManager.matchesFilters', () => {
+    const filters = (overrides: object) => ({ ...gallery.getDefaultFilters(), ...overrides });
+
+    it('matches every photo with the default filters', () => {
+        expect(gallery.matchesFilters(photo(1), gallery.getDefaultFilters())).toBe(true);
+        expect(gallery.hasActiveFilters()).toBe(false);
+    });
+
+    it('keeps photos inside the date range, both ends inclusive', () => {
+        const range = filters({ startDate: '2024-05-01', endDate: '2024-05-31' });
+
+        expect(gallery.matchesFilters(photo(1, { date: '2024-05-01' }), range)).toBe(true);
+        expect(gallery.matchesFilters(photo(2, { date: '2024-05-31' }), range)).toBe(true);
+        expect(gallery.matchesFilters(photo(3, { date: '2024-04-30' }), range)).toBe(false);
+        expect(gallery.matchesFilters(photo(4, { date: '2024-06-01' }), range)).toBe(false);
+        expect(gallery.matchesFilters(photo(5, { date: '2024-04-30' }), filters({ endDate: '2024-05-01' }))).toBe(true);
+    });
+
+    it('keeps photos with detections, of any class or of the chosen class', () => {
+        const car = photo(1, { aiAnalysis: detections('car', 'person') });
+        const none = photo(2, { aiAnalysis: detections() });
+        const failed = photo(3, { aiAnalysis: { success: false, error: 'model not loaded' } });
+
+        expect([car, none, failed, photo(4)].filter(record => gallery.matchesFilters(record, filters({ hasDetections: true }))))
+            .toEqual([car]);
+        expect(gallery.matchesFilters(car, filters({ objectClass: 'person' }))).toBe(true);
+        expect(gallery.matchesFilters(car, filters({ objectClass: 'dog' }))).toBe(false);
+    });
+
+    it('keeps photos with the chosen upload status', () => {
+        const records = [photo(1, { uploadStatus: 'pending' }), photo(2, { uploadStatus: 'failed' }), photo(3)];
+
+        expect(records.filter(record => gallery.matchesFilters(record, filters({ uploadStatus: 'failed' }))).map(record => record.id))
+            .toEqual([2]);
+        expect(records.filter(record => gallery.matchesFilters(record, filters({ uploadStatus: 'pending' }))).map(record => record.id))
+            .toEqual([1]);
+    });
+
+    it('requires every set filter to match', () => {
+        const record = photo(1, { aiAnalysis: detections('car'), uploadStatus: 'failed', date: '2024-05-10' });
+
+        expect(gallery.matchesFilters(record, filters({ hasDetections: true, uploadStatus: 'failed', startDate: '2024-05-10' }))).toBe(true);
+        expect(gallery.matchesFilters(record, filters({ hasDetections: true, uploadStatus: 'failed', startDate: '2024-05-11' }))).toBe(false);
+    });
+});
+
+describe('PhotoGalleryManager paging', () => {
+    it('returns full pages, then the last partial page, then nothing', async () => {
+        const photos = Array.from({ length: PAGE_SIZE * 2 + 5 }, (_, i) => photo(i + 1));
+        useMemoryStore(photos);
+        await gallery.query(USER);
+
+        const first = await gallery.loadNextPage();
+        const second = await gallery.loadNextPage();
+        expect(gallery.hasMore()).toBe(true);
+        const last = await gallery.loadNextPage();
+
+        expect(first.map((record: any) => record.id)).toEqual(photos.slice(-PAGE_SIZE).map(record => record.id).reverse());
+        expect(second).toHaveLength(PAGE_SIZE);
+        expect(last.map((record: any) => record.id)).toEqual([5, 4, 3, 2, 1]);
+        expect(gallery.hasMore()).toBe(false);
+        expect(gallery.matchCount).toBe(photos.length);
+        expect(await gallery.loadNextPage()).toEqual([]);
+    });
+
+    it('fills a filtered page from several batches and resumes after its last photo', async () => {
+        // Only every fourth photo failed to upload
+        const photos = Array.from({ length: SCAN_BATCH_SIZE * 3 }, (_, i) => photo(i + 1, { uploadStatus: i % 4 === 0 ? 'failed' : 'uploaded' }));
+        const getPhotosById = useMemoryStore(photos);
+        await gallery.query(USER, { uploadStatus: 'failed' });
+
+        const first = await gallery.loadNextPage(20);
+        const last = await gallery.loadNextPage(20);
+
+        expect(getPhotosById.mock.calls.every(([ids]) => ids.length <= SCAN_BATCH_SIZE)).toBe(true);
+        expect(first).toHaveLength(20);
+        // The second page reads on from the photo after the last one shown
+        expect(getPhotosById.mock.calls[2]![0][0]).toBe(first[19].id - 1);
+        expect(last).toHaveLength(photos.length / 4 - 20);
+        const ids = [...first, ...last].map((record: any) => record.id);
+        expect(new Set(ids).size).toBe(ids.length);
+        expect(ids.every(id => (id - 1) % 4 === 0)).toBe(true);
+        expect(gallery.hasMore()).toBe(false);
+        expect(gallery.hasActiveFilters()).toBe(true);
+    });
+
+    it('returns an empty page when nothing matches', async () => {
+        useMemoryStore([photo(1), photo(2)]);
+        await gallery.query(USER, { hasDetections: true });
+
+        expect(await gallery.loadNextPage()).toEqual([]);
+        expect(gallery.hasMore()).toBe(false);
+    });
+
+    it('drops a page of a superseded query', async () => {
+        useMemoryStore([photo(1), photo(2)]);
+        await gallery.query(USER);
+
+        const page = gallery.loadNextPage();
+        gallery.queryId++;
+
+        expect(await page).toEqual([]);
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for GPS track export (DatabaseManager.getTrackData and the GPX, KML and GeoJSON builders)
+ */
+
+import { webcrypto } from 'crypto';
+
+// Real Web Crypto; jest.setup.js only mocks it
+Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+(global as any).AppConstants = require('../constants.js');
+
+const cryptoManager = require('../crypto-manager.js');
+(global as any).cryptoManager = cryptoManager;
+(window as any).cryptoManager = cryptoManager;
+const databaseManager = require('../database.js');
+
+// A key that lives for the test run only
+cryptoManager.loadKeyFromStorage = async () => null;
+cryptoManager.saveKeyToStorage = async () => undefined;
+
+const USER = 'user-1';
+
+/**
+ * Keep the GPS logs and photos in memory instead of IndexedDB
+ */
+function useMemoryStores(gpsLogs: any[], photos: any[]): void {
+    databaseManager.getRecordsByIndex = async (storeName: string) =>
+        (storeName === databaseManager.stores.photos ? photos : gpsLogs).map(record => ({ ...record }));
+}
+
+async function encryptedPhoto(id: number, timestamp: string, lat: number, lon: number, alt: number): Promise<any> {
+    const location = await cryptoManager.encryptLocation({ latitude: lat, longitude: lon, altitude: alt, accuracy: 5 });
+    return {
+        id,
+        userId: USER,
+        imageName: `photo_${id}.jpg`,
+        timestamp,
+        lat: location.latitude,
+        lon: location.longitude,
+        alt: location.altitude,
+        accuracy: 5,
+        encrypted: true
+    };
+}
+
+// The GPS log is taken near the photos, but a few hundred metres away from them
+const gpsLogs = [
+    { id: 1, userId: USER, timestamp: '2024-05-01T10:00:00.000Z', lat: 52.37, lon: 4.89, alt: 2, accuracy: 10 }
+];
+
+describe('getTrackData', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+        jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('places photos with encrypted locations at their own decrypted position', async () => {
+        useMemoryStores(gpsLogs, [await encryptedPhoto(7, '2024-05-01T10:00:05.000Z', 52.3731, 4.8922, 3.5)]);
+
+        const track = await databaseManager.getTrackData(USER);
+
+        expect(track.points).toHaveLength(1);
+        expect(track.waypoints).toEqual([{
+            lat: 52.3731,
+            lon: 4.8922,
+            alt: 3.5,
+            accuracy: 5,
+            heading: null,
+            time: new Date('2024-05-01T10:00:05.000Z'),
+            name: 'photo_7.jpg',
+            photoId: 7
+        }]);
+    });
+
+    it('falls back to the nearest GPS log when a location fails to decrypt', async () => {
+        const unreadable = { encrypted: 'AAAAAAAAAAAAAAAAAAAAAA==', iv: 'AAAAAAAAAAAAAAAA', keyId: 'retired' };
+        useMemoryStores(gpsLogs, [
+            { id: 8, userId: USER, imageName: 'photo_8.jpg', timestamp: '2024-05-01T10:00:10.000Z', lat: unreadable, lon: unreadable, encrypted: true },
+            { id: 9, userId: USER, imageName: 'photo_9.jpg', timestamp: '2024-05-02T10:00:00.000Z', lat: unreadable, lon: unreadable, encrypted: true }
+        ]);
+
+        const track = await databaseManager.getTrackData(USER);
+
+        // The second photo has no GPS log within the match window
+        expect(track.waypoints).toHaveLength(1);
+        expect(track.waypoints[0]).toMatchObject({ lat: 52.37, lon: 4.89, alt: 2, accuracy: null, photoId: 8 });
+    });
+});
+
+describe('track builders', () => {
+    let track: any;
+
+    beforeAll(async () => {
+        useMemoryStores(gpsLogs, [await encryptedPhoto(7, '2024-05-01T10:00:05.000Z', 52.3731, 4.8922, 3.5)]);
+        track = await databaseManager.getTrackData(USER);
+    });
+
+    it('writes photo waypoints to GPX', () => {
+        const gpx = databaseManager.buildGPX(track);
+
+        expect(gpx).toContain([
+            '  <wpt lat="52.3731" lon="4.8922">',
+            '    <ele>3.5</ele>',
+            '    <time>2024-05-01T10:00:05.000Z</time>',
+            '    <name>photo_7.jpg</name>'
+        ].join('\n'));
+        expect(gpx).toContain('      <trkpt lat="52.37" lon="4.89">');
+    });
+
+    it('writes photo waypoints to KML as lon,lat,alt', () => {
+        const kml = databaseManager.buildKML(track);
+
+        expect(kml).toContain('<coordinates>4.8922,52.3731,3.5</coordinates>');
+        expect(kml).toContain('<gx:coord>4.89 52.37 2</gx:coord>');
+    });
+
+    it('writes photo waypoints to GeoJSON as [lon, lat, alt]', () => {
+        const geoJSON = databaseManager.buildGeoJSON(track);
+        const photo = geoJSON.features.find((feature: any) => feature.properties.type === 'photo');
+
+        expect(geoJSON.features).toHaveLength(2);
+        expect(photo.geometry).toEqual({ type: 'Point', coordinates: [4.8922, 52.3731, 3.5] });
+        expect(photo.properties).toMatchObject({ name: 'photo_7.jpg', photoId: 7, time: '2024-05-01T10:00:05.000Z', accuracy: 5 });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for InventorySessionManager (barcode counting sessions) and their CSV export
+ */
+
+import { Blob as NodeBlob } from 'buffer';
+
+// jsdom's Blob cannot be read back
+(global as any).Blob = NodeBlob;
+(global as any).AppConstants = require('../constants.js');
+const databaseManager = require('../database.js');
+(global as any).databaseManager = databaseManager;
+require('../inventory-session.js');
+const InventorySessionManager = (window as any).inventorySessionManager.constructor;
+
+const USER = 'user-1';
+
+/**
+ * Keep inventory sessions in memory instead of IndexedDB
+ */
+function useMemoryStore(): Map<number, any> {
+    const records = new Map<number, any>();
+    databaseManager.ensureStorageAvailable = async () => undefined;
+    databaseManager.addRecord = async (storeName: string, record: any) => {
+        const id = records.size + 1;
+        records.set(id, { ...record, id });
+        return id;
+    };
+    databaseManager.putRecord = async (storeName: string, record: any) => {
+        records.set(record.id, structuredClone(record));
+        return record.id;
+    };
+    databaseManager.getRecord = async (storeName: string, id: number) => records.get(id);
+    return records;
+}
+
+function scan(text: string, fields: object = {}) {
+    return { text, format: 'ean_13', timestamp: Date.parse('2024-05-01T10:00:00.000Z'), payload: null, ...fields };
+}
+
+let records: Map<number, any>;
+let inventory: any;
+
+beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => undefined);
+    records = useMemoryStore();
+    inventory = new InventorySessionManager();
+    await inventory.start(USER, ' Aisle 4 ');
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('InventorySessionManager scanning', () => {
+    it('counts repeated scans of a code as one item', async () => {
+        inventory.recordScan(scan('4006381333931'), { latitude: 52.1, longitude: 4.3, accuracy: 8 });
+        inventory.recordScan(scan('4006381333931', { timestamp: Date.parse('2024-05-01T10:05:00.000Z') }), null);
+        inventory.recordScan(scan('5012345678900'));
+
+        expect(inventory.session.name).toBe('Aisle 4');
+        expect(inventory.getItems().map((item: any) => [item.code, item.quantity])).toEqual([
+            ['4006381333931', 2],
+            ['5012345678900', 1]
+        ]);
+        expect(inventory.findItem('4006381333931')).toMatchObject({
+            firstScan: '2024-05-01T10:00:00.000Z',
+            lastScan: '2024-05-01T10:05:00.000Z',
+            latitude: null // Position of the last scan
+        });
+        expect(inventory.session.scans).toHaveLength(3);
+        expect(inventory.session.scans[0]).toMatchObject({ code: '4006381333931', delta: 1, manual: false, latitude: 52.1 });
+        expect(inventory.getTotalQuantity()).toBe(3);
+
+        await inventory.saveQueue;
+        expect(records.get(inventory.session.id).items).toHaveLength(2);
+    });
+
+    it('counts GS1 codes by their human readable form', () => {
+        const payload = {
+            type: 'gs1',
+            title: 'GS1',
+            elements: [{ ai: '01', raw: '09506000134352' }, { ai: '10', raw: 'AB-12' }],
+            fields: [{ label: 'GTIN', value: '09506000134352' }, { label: 'Batch/Lot', value: 'AB-12' }]
+        };
+
+        inventory.recordScan(scan('\u001d0109506000134352\u001d10AB-12', { format: 'data_matrix', payload }));
+
+        expect(inventory.getItems()[0]).toMatchObject({
+            code: '(01)09506000134352(10)AB-12',
+            type: 'gs1',
+            description: 'GS1: 09506000134352',
+            quantity: 1
+        });
+    });
+
+    it('ignores scans without a session', async () => {
+        await inventory.stop();
+
+        expect(inventory.recordScan(scan('4006381333931'))).toBeNull();
+    });
+});
+
+describe('InventorySessionManager manual adjustments', () => {
+    beforeEach(() => {
+        inventory.recordScan(scan('4006381333931'));
+        inventory.recordScan(scan('4006381333931'));
+    });
+
+    it('adds and subtracts counts, logging them as manual scans', () => {
+        expect(inventory.adjustQuantity('4006381333931', 3).quantity).toBe(5);
+        expect(inventory.adjustQuantity('4006381333931', -1).quantity).toBe(4);
+
+        expect(inventory.session.scans.slice(-2)).toEqual([
+            expect.objectContaining({ code: '4006381333931', delta: 3, manual: true, latitude: null }),
+            expect.objectContaining({ code: '4006381333931', delta: -1, manual: true })
+        ]);
+    });
+
+    it('sets a whole number quantity and logs only real changes', () => {
+        expect(inventory.setQuantity('4006381333931', 6.6).quantity).toBe(7);
+        inventory.setQuantity('4006381333931', 7);
+
+        expect(inventory.session.scans.filter((entry: any) => entry.manual).map((entry: any) => entry.delta)).toEqual([5]);
+        expect(inventory.setQuantity('4006381333931', NaN)).toBeNull();
+    });
+
+    it('removes a code counted down to zero', () => {
+        expect(inventory.adjustQuantity('4006381333931', -5)).toBeNull();
+
+        expect(inventory.getItems()).toEqual([]);
+        expect(inventory.session.scans.at(-1)).toMatchObject({ delta: -2, manual: true });
+    });
+
+    it('ignores codes not in the session', () => {
+        expect(inventory.adjustQuantity('0000000000000', 1)).toBeNull();
+    });
+
+    it('keeps the state of each save, not a later one', async () => {
+        await inventory.saveQueue;
+        const saved = jest.fn();
+        const putRecord = databaseManager.putRecord;
+        databaseManager.putRecord = async (storeName: string, record: any) => {
+            saved(record.items[0].quantity);
+            return putRecord(storeName, record);
+        };
+
+        inventory.adjustQuantity('4006381333931', 1);
+        inventory.adjustQuantity('4006381333931', 1);
+        await inventory.saveQueue;
+
+        expect(saved.mock.calls).toEqual([[3], [4]]);
+    });
+});
+
+describe('inventory CSV export', () => {
+    it('quotes fields with commas, quotes and line breaks', () => {
+        const csv = databaseManager.buildInventoryCSV({
+            items: [
+                {
+                    code: 'SKU "7", blue',
+                    format: 'code_128',
+                    type: 'text',
+                    description: 'Line one\nLine two',
+                    quantity: 3,
+                    firstScan: '2024-05-01T10:00:00.000Z',
+                    lastScan: '2024-05-01T10:05:00.000Z',
+                    latitude: null,
+                    longitude: undefined,
+                    accuracy: 0
+                }
+            ]
+        });
+
+        expect(csv).toBe([
+            'Code,Format,Type,Description,Quantity,First Scan,Last Scan,Latitude,Longitude,Accuracy',
+            '"SKU ""7"", blue",code_128,text,"Line one\nLine two",3,2024-05-01T10:00:00.000Z,2024-05-01T10:05:00.000Z,,,0',
+            ''
+        ].join('\n'));
+    });
+
+    it('downloads the stored session under a file-safe name', async () => {
+        inventory.recordScan(scan('4006381333931'));
+        inventory.recordScan(scan('A,B'));
+        const session = await inventory.stop();
+        const downloadBlob = jest.fn();
+        databaseManager.downloadBlob = downloadBlob;
+
+        await databaseManager.exportInventorySession(session.id);
+
+        const [blob, name] = downloadBlob.mock.calls[0];
+        expect(name).toBe(`policamera-inventory-Aisle_4-${session.date}.csv`);
+        const lines = (await blob.text()).trim().split('\n');
+        expect(lines.slice(1).map((line: string) => line.split(',2024-')[0])).toEqual([
+            '4006381333931,ean_13,text,,1',
+            '"A,B",ean_13,text,,1'
+        ]);
+    });
+});
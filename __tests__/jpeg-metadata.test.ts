@@ -0,0 +1,261 @@
+/**
+ * Tests for JpegMetadataWriter
+ */
+
+import { JpegMetadataWriter, JpegMetadata } from '../jpeg-metadata';
+
+// Minimal JPEG: SOI, APP0 (JFIF), SOS, one scan byte, EOI
+const JFIF_SEGMENT = [0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+const SCAN = [0xff, 0xda, 0x00, 0x02, 0x42, 0xff, 0xd9];
+const MINIMAL_JPEG = new Uint8Array([0xff, 0xd8, ...JFIF_SEGMENT, ...SCAN]);
+
+interface Segment {
+    marker: number;
+    payload: Uint8Array;
+}
+
+/**
+ * Split a JPEG into marker segments up to start of scan
+ */
+function readSegments(jpeg: Uint8Array): Segment[] {
+    const segments: Segment[] = [];
+    let offset = 2;
+    while (offset < jpeg.length && jpeg[offset] === 0xff) {
+        const marker = jpeg[offset + 1]!;
+        const length = (jpeg[offset + 2]! << 8) | jpeg[offset + 3]!;
+        segments.push({ marker, payload: jpeg.subarray(offset + 4, offset + 2 + length) });
+        if (marker === 0xda) break;
+        offset += 2 + length;
+    }
+    return segments;
+}
+
+function decode(bytes: Uint8Array): string {
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Read a big-endian IFD into tag -> raw value map
+ */
+function readIfd(tiff: DataView, offset: number): Map<number, number[] | string> {
+    const entries = new Map<number, number[] | string>();
+    const count = tiff.getUint16(offset);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = tiff.getUint16(entry);
+        const type = tiff.getUint16(entry + 2);
+        const n = tiff.getUint32(entry + 4);
+        const size = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8 }[type] ?? 1;
+        const valueOffset = n * size > 4 ? tiff.getUint32(entry + 8) : entry + 8;
+
+        if (type === 2) {
+            let text = '';
+            for (let j = 0; j < n - 1; j++) text += String.fromCharCode(tiff.getUint8(valueOffset + j));
+            entries.set(tag, text);
+        } else if (type === 5) {
+            const values: number[] = [];
+            for (let j = 0; j < n; j++) {
+                values.push(tiff.getUint32(valueOffset + j * 8) / tiff.getUint32(valueOffset + j * 8 + 4));
+            }
+            entries.set(tag, values);
+        } else if (type === 4) {
+            entries.set(tag, [tiff.getUint32(valueOffset)]);
+        } else {
+            const values: number[] = [];
+            for (let j = 0; j < n; j++) values.push(tiff.getUint8(valueOffset + j));
+            entries.set(tag, values);
+        }
+    }
+    return entries;
+}
+
+function parseExif(jpeg: Uint8Array) {
+    const exif = readSegments(jpeg).find(s => s.marker === 0xe1 && decode(s.payload.subarray(0, 4)) === 'Exif');
+    if (!exif) throw new Error('No EXIF segment');
+    const tiffBytes = exif.payload.subarray(6);
+    const tiff = new DataView(tiffBytes.buffer, tiffBytes.byteOffset, tiffBytes.byteLength);
+    const ifd0 = readIfd(tiff, tiff.getUint32(4));
+    const exifPointer = ifd0.get(0x8769) as number[];
+    const gpsPointer = ifd0.get(0x8825) as number[] | undefined;
+    return {
+        byteOrder: decode(tiffBytes.subarray(0, 2)),
+        ifd0,
+        exifIfd: readIfd(tiff, exifPointer[0]!),
+        gpsIfd: gpsPointer ? readIfd(tiff, gpsPointer[0]!) : null,
+    };
+}
+
+describe('JpegMetadataWriter', () => {
+    const metadata: JpegMetadata = {
+        timestamp: new Date('2024-03-15T14:30:45Z'),
+        latitude: -33.865143,
+        longitude: 151.2099,
+        altitude: 58,
+        accuracy: 12,
+        heading: 275,
+        software: 'PoliCamera 2.1.0',
+        deviceModel: 'Linux armv8l',
+        userAgent: 'Mozilla/5.0 (Test)',
+        description: '2 persons, 1 car',
+        detections: [
+            { class: 'person', confidence: 91 },
+            { class: 'person', confidence: 78 },
+            { class: 'car', confidence: 66 },
+        ],
+    };
+
+    describe('Segment Insertion', () => {
+        test('should insert EXIF and XMP APP1 segments after SOI', () => {
+            const output = JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, metadata);
+            const segments = readSegments(output);
+
+            expect(output[0]).toBe(0xff);
+            expect(output[1]).toBe(0xd8);
+            expect(segments[0]?.marker).toBe(0xe1);
+            expect(decode(segments[0]!.payload.subarray(0, 6))).toBe('Exif\0\0');
+            expect(segments[1]?.marker).toBe(0xe1);
+            expect(decode(segments[1]!.payload.subarray(0, 29))).toBe('http://ns.adobe.com/xap/1.0/\0');
+        });
+
+        test('should preserve existing segments and image data', () => {
+            const output = JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, metadata);
+            const markers = readSegments(output).map(s => s.marker);
+
+            expect(markers).toEqual([0xe1, 0xe1, 0xe0, 0xda]);
+            expect(Array.from(output.subarray(output.length - SCAN.length))).toEqual(SCAN);
+        });
+
+        test('should replace existing metadata instead of duplicating it', () => {
+            const once = JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, metadata);
+            const twice = JpegMetadataWriter.writeMetadata(once, { ...metadata, software: 'PoliCamera 2.2.0' });
+            const app1 = readSegments(twice).filter(s => s.marker === 0xe1);
+
+            expect(app1.length).toBe(2);
+            expect(parseExif(twice).ifd0.get(0x0131)).toBe('PoliCamera 2.2.0');
+        });
+
+        test('should reject non-JPEG input', () => {
+            expect(() => JpegMetadataWriter.writeMetadata(new Uint8Array([0x89, 0x50, 0x4e, 0x47]), metadata)).toThrow(
+                'Not a JPEG file'
+            );
+        });
+    });
+
+    describe('EXIF', () => {
+        test('should write big-endian TIFF with device and software tags', () => {
+            const { byteOrder, ifd0 } = parseExif(JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, metadata));
+
+            expect(byteOrder).toBe('MM');
+            expect(ifd0.get(0x010e)).toBe('2 persons, 1 car');
+            expect(ifd0.get(0x0110)).toBe('Linux armv8l');
+            expect(ifd0.get(0x0131)).toBe('PoliCamera 2.1.0');
+            expect(ifd0.get(0x013c)).toBe('Mozilla/5.0 (Test)');
+        });
+
+        test('should write capture time in EXIF date format', () => {
+            const { exifIfd } = parseExif(JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, metadata));
+            const expected = JpegMetadataWriter.formatExifDateTime(new Date('2024-03-15T14:30:45Z'));
+
+            expect(exifIfd.get(0x9003)).toBe(expected);
+            expect(exifIfd.get(0x9004)).toBe(expected);
+            expect(exifIfd.get(0x9011)).toMatch(/^[+-]\d{2}:\d{2}$/);
+        });
+
+        test('should write GPS position, altitude, heading and accuracy', () => {
+            const { gpsIfd } = parseExif(JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, metadata));
+
+            expect(gpsIfd).not.toBeNull();
+            expect(gpsIfd!.get(0x0000)).toEqual([2, 3, 0, 0]);
+            expect(gpsIfd!.get(0x0001)).toBe('S');
+            expect(gpsIfd!.get(0x0003)).toBe('E');
+
+            const [latD, latM, latS] = gpsIfd!.get(0x0002) as number[];
+            expect(latD! + latM! / 60 + latS! / 3600).toBeCloseTo(33.865143, 5);
+            const [lonD, lonM, lonS] = gpsIfd!.get(0x0004) as number[];
+            expect(lonD! + lonM! / 60 + lonS! / 3600).toBeCloseTo(151.2099, 5);
+
+            expect(gpsIfd!.get(0x0005)).toEqual([0]);
+            expect(gpsIfd!.get(0x0006)).toEqual([58]);
+            expect(gpsIfd!.get(0x0010)).toBe('M');
+            expect(gpsIfd!.get(0x0011)).toEqual([275]);
+            expect(gpsIfd!.get(0x001f)).toEqual([12]);
+            expect(gpsIfd!.get(0x0007)).toEqual([14, 30, 45]);
+            expect(gpsIfd!.get(0x001d)).toBe('2024:03:15');
+        });
+
+        test('should omit GPS IFD without a position fix', () => {
+            const output = JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, {
+                ...metadata,
+                latitude: NaN,
+                longitude: null,
+            });
+            const { ifd0, gpsIfd } = parseExif(output);
+
+            expect(gpsIfd).toBeNull();
+            expect(ifd0.has(0x8825)).toBe(false);
+        });
+
+        test('should replace non-ASCII characters', () => {
+            const { ifd0 } = parseExif(
+                JpegMetadataWriter.writeMetadata(MINIMAL_JPEG, { ...metadata, description: 'café' })
+            );
+            expect(ifd0.get(0x010e)).toBe('caf?');
+        });
+    });
+
+    describe('DMS Conversion', () => {
+        test('should convert decimal degrees', () => {
+            expect(JpegMetadataWriter.toDMSRationals(45.5)).toEqual([45, 1, 30, 1, 0, 1000]);
+        });
+
+        test('should carry rounding overflow into minutes and degrees', () => {
+            expect(JpegMetadataWriter.toDMSRationals(9.9999999999)).toEqual([10, 1, 0, 1, 0, 1000]);
+        });
+    });
+
+    describe('XMP', () => {
+        test('should include unique labels, detections and creator tool', () => {
+            const payload = JpegMetadataWriter.buildXmpPayload(metadata);
+            const xml = decode(payload.subarray(29));
+
+            expect(xml).toContain('<rdf:Bag><rdf:li>person</rdf:li><rdf:li>car</rdf:li></rdf:Bag>');
+            expect(xml).toContain('<policamera:confidence>91</policamera:confidence>');
+            expect(xml).toContain('<xmp:CreatorTool>PoliCamera 2.1.0</xmp:CreatorTool>');
+            expect(xml).toContain('<xmp:CreateDate>2024-03-15T14:30:45.000Z</xmp:CreateDate>');
+            expect(xml).toContain('<policamera:horizontalAccuracy>12</policamera:horizontalAccuracy>');
+        });
+
+        test('should escape XML in labels', () => {
+            const xml = decode(
+                JpegMetadataWriter.buildXmpPayload({
+                    ...metadata,
+                    detections: [{ class: '<b>&"', confidence: 50 }],
+                }).subarray(29)
+            );
+            expect(xml).toContain('&lt;b&gt;&amp;&quot;');
+            expect(xml).not.toContain('<b>');
+        });
+
+        test('should keep the packet within a single segment', () => {
+            const detections = Array.from({ length: 2000 }, (_, i) => ({ class: `object-${i}`, confidence: i % 100 }));
+            const payload = JpegMetadataWriter.buildXmpPayload({ ...metadata, detections });
+
+            expect(payload.length).toBeLessThanOrEqual(65533);
+            expect(decode(payload.subarray(29))).toContain('<policamera:confidence>99</policamera:confidence>');
+        });
+    });
+
+    describe('Data URLs', () => {
+        test('should round-trip through data URLs', () => {
+            const dataUrl = JpegMetadataWriter.bytesToDataUrl(MINIMAL_JPEG);
+            expect(dataUrl.startsWith('data:image/jpeg;base64,')).toBe(true);
+            expect(JpegMetadataWriter.dataUrlToBytes(dataUrl)).toEqual(MINIMAL_JPEG);
+        });
+
+        test('should embed metadata in a data URL', () => {
+            const dataUrl = JpegMetadataWriter.embedInDataUrl(JpegMetadataWriter.bytesToDataUrl(MINIMAL_JPEG), metadata);
+            const { gpsIfd } = parseExif(JpegMetadataWriter.dataUrlToBytes(dataUrl));
+            expect(gpsIfd?.get(0x0001)).toBe('S');
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for encryption key rotation (DatabaseManager.rotateEncryptionKey)
+ */
+
+import { webcrypto } from 'crypto';
+import { Blob as NodeBlob } from 'buffer';
+
+// Real Web Crypto and Blobs with arrayBuffer(); jest.setup.js only mocks them
+Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+(global as any).Blob = NodeBlob;
+(global as any).AppConstants = require('../constants.js');
+
+const cryptoManager = require('../crypto-manager.js');
+(global as any).cryptoManager = cryptoManager;
+(global as any).CryptoManager = cryptoManager.constructor;
+const databaseManager = require('../database.js');
+
+/**
+ * Keep the key store and the photo store in memory instead of IndexedDB
+ */
+function useMemoryStores(): Map<number, any> {
+    const keyRecords = new Map<string, any>();
+    cryptoManager.loadKeyFromStorage = async () => null;
+    cryptoManager.saveKeyToStorage = async () => undefined;
+    cryptoManager.putKeyRecord = async (record: any) => { keyRecords.set(record.id, record); };
+    cryptoManager.deleteKeyRecord = async (id: string) => { keyRecords.delete(id); };
+    cryptoManager.loadRetiredKeys = async () => {
+        cryptoManager.retiredKeys.clear();
+        for (const record of keyRecords.values()) {
+            const key = await webcrypto.subtle.importKey('jwk', record.key, cryptoManager.algorithm, true, ['encrypt', 'decrypt']);
+            cryptoManager.retiredKeys.set(record.keyId, key);
+        }
+    };
+
+    const photos = new Map<number, any>();
+    databaseManager.getAllRecords = async (storeName: string) => storeName === 'photos' ? Array.from(photos.values()) : [];
+    databaseManager.getRecord = async (_storeName: string, id: number) => photos.get(id);
+    databaseManager.putRecord = async (_storeName: string, record: any) => { photos.set(record.id, record); return record.id; };
+    return photos;
+}
+
+describe('rotateEncryptionKey', () => {
+    it('re-encrypts depth files so they decrypt after the old key is deleted', async () => {
+        const photos = useMemoryStores();
+        const depthPng = new Uint8Array([137, 80, 78, 71, 1, 2, 3, 4]);
+
+        const record = await databaseManager.sealPhotoRecord({
+            id: 1,
+            imageBlob: new Blob([new Uint8Array([255, 216, 255])], { type: 'image/jpeg' }),
+            thumbnailBlob: null,
+            depthFiles: {
+                width: 2,
+                height: 2,
+                colorMode: 'inferno',
+                png: new Blob([depthPng], { type: 'image/png' }),
+                preview: new Blob([new Uint8Array([1])], { type: 'image/png' }),
+                ply: new Blob(['ply\n'], { type: 'application/octet-stream' })
+            }
+        });
+        photos.set(1, record);
+        const oldKeyId = record.encryptedDepthFiles.png.keyId;
+
+        const stats = await databaseManager.rotateEncryptionKey();
+
+        expect(stats.recordsFailed).toBe(0);
+        expect(stats.recordsReencrypted).toBe(1);
+        expect(cryptoManager.retiredKeys.size).toBe(0);
+        expect(photos.get(1).encryptedDepthFiles.png.keyId).toBe(stats.newKeyId);
+        expect(stats.newKeyId).not.toBe(oldKeyId);
+
+        const depthFiles = await databaseManager.getPhotoDepthFiles(1);
+        expect(depthFiles.width).toBe(2);
+        expect(depthFiles.colorMode).toBe('inferno');
+        expect(depthFiles.png.type).toBe('image/png');
+        expect(new Uint8Array(await depthFiles.png.arrayBuffer())).toEqual(depthPng);
+        expect(await depthFiles.ply.text()).toBe('ply\n');
+    });
+});
@@ -0,0 +1,288 @@
+/**
+ * Tests for MapView, tile sources and tile math
+ */
+
+import { webcrypto } from 'crypto';
+import { MapView, TileMath, UrlTileSource, MBTilesSource, SqlDatabase, TileSource, TILE_SIZE } from '../map-view';
+
+/**
+ * Tile source that serves every tile from memory
+ */
+class StubTileSource implements TileSource {
+    readonly name = 'stub';
+    readonly minZoom = 0;
+    readonly maxZoom = 18;
+    readonly attribution = 'Test tiles';
+    requests: string[] = [];
+
+    async getTile(z: number, x: number, y: number): Promise<Blob | null> {
+        this.requests.push(`${z}/${x}/${y}`);
+        return new Blob([`${z}/${x}/${y}`], { type: 'image/png' });
+    }
+}
+
+/**
+ * In-memory stand-in for a sql.js database holding an MBTiles package
+ */
+function createMBTilesStub(metadata: Record<string, string>, tiles: Array<[number, number, number, Uint8Array]>): SqlDatabase {
+    return {
+        exec(sql: string, params: unknown[] = []) {
+            if (sql.startsWith('SELECT name, value FROM metadata')) {
+                return [{ columns: ['name', 'value'], values: Object.entries(metadata) }];
+            }
+            if (sql.startsWith('SELECT MIN(zoom_level)')) {
+                const zooms = tiles.map(t => t[0]);
+                return [{ columns: ['min', 'max'], values: [[Math.min(...zooms), Math.max(...zooms)]] }];
+            }
+            const [z, x, y] = params as number[];
+            const tile = tiles.find(t => t[0] === z && t[1] === x && t[2] === y);
+            return tile ? [{ columns: ['tile_data'], values: [[tile[3]]] }] : [];
+        },
+        close: jest.fn(),
+    };
+}
+
+function createCanvas(width: number, height: number): HTMLCanvasElement {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+describe('TileMath', () => {
+    test('should project the origin to the center of the world', () => {
+        const point = TileMath.project(0, 0, 0);
+        expect(point.x).toBeCloseTo(TILE_SIZE / 2);
+        expect(point.y).toBeCloseTo(TILE_SIZE / 2);
+    });
+
+    test('should round-trip positions', () => {
+        const world = TileMath.project(51.5007, -0.1246, 15);
+        const position = TileMath.unproject(world.x, world.y, 15);
+        expect(position.lat).toBeCloseTo(51.5007, 6);
+        expect(position.lon).toBeCloseTo(-0.1246, 6);
+    });
+
+    test('should match standard tile numbering', () => {
+        // Big Ben is in tile 16/32745/21794
+        const world = TileMath.project(51.5007, -0.1246, 16);
+        expect(Math.floor(world.x / TILE_SIZE)).toBe(32745);
+        expect(Math.floor(world.y / TILE_SIZE)).toBe(21794);
+    });
+
+    test('should fit bounds at the highest zoom that contains every point', () => {
+        const points = [
+            { lat: 51.5, lon: -0.13 },
+            { lat: 51.51, lon: -0.11 },
+        ];
+        const fit = TileMath.fitBounds(points, 400, 300, 2, 19, 0)!;
+
+        const topLeft = TileMath.project(51.51, -0.13, fit.zoom);
+        const bottomRight = TileMath.project(51.5, -0.11, fit.zoom);
+        expect(bottomRight.x - topLeft.x).toBeLessThanOrEqual(400);
+
+        const tighter = fit.zoom + 1;
+        const width = TileMath.project(51.5, -0.11, tighter).x - TileMath.project(51.51, -0.13, tighter).x;
+        expect(width).toBeGreaterThan(400);
+
+        expect(fit.center.lat).toBeCloseTo(51.505, 2);
+        expect(fit.center.lon).toBeCloseTo(-0.12, 3);
+    });
+
+    test('should use max zoom for a single point and null for none', () => {
+        expect(TileMath.fitBounds([{ lat: 10, lon: 20 }], 400, 300, 2, 17)?.zoom).toBe(17);
+        expect(TileMath.fitBounds([], 400, 300, 2, 17)).toBeNull();
+    });
+});
+
+describe('UrlTileSource', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('should fill in the URL template', () => {
+        const source = new UrlTileSource('https://tiles.example.com/{z}/{x}/{y}.png');
+        expect(source.getTileUrl(3, 4, 5)).toBe('https://tiles.example.com/3/4/5.png');
+        expect(source.name).toBe('tiles.example.com');
+    });
+
+    test('should return null for missing tiles and network errors', async () => {
+        const source = new UrlTileSource('https://tiles.example.com/{z}/{x}/{y}.png');
+
+        global.fetch = jest.fn().mockResolvedValue({ ok: false }) as any;
+        await expect(source.getTile(1, 0, 0)).resolves.toBeNull();
+
+        global.fetch = jest.fn().mockRejectedValue(new TypeError('offline')) as any;
+        await expect(source.getTile(1, 0, 0)).resolves.toBeNull();
+    });
+});
+
+describe('MBTilesSource', () => {
+    const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+
+    test('should read metadata', () => {
+        const source = new MBTilesSource(
+            createMBTilesStub(
+                { name: 'Field area', format: 'png', minzoom: '10', maxzoom: '16', bounds: '-0.2,51.4,0,51.6', attribution: '© Test' },
+                [[10, 0, 0, png]]
+            )
+        );
+
+        expect(source.name).toBe('Field area');
+        expect(source.minZoom).toBe(10);
+        expect(source.maxZoom).toBe(16);
+        expect(source.bounds).toEqual([-0.2, 51.4, 0, 51.6]);
+        expect(source.attribution).toBe('© Test');
+    });
+
+    test('should fall back to the zoom range of the tiles table', () => {
+        const source = new MBTilesSource(createMBTilesStub({}, [[12, 0, 0, png], [14, 0, 0, png]]));
+        expect(source.minZoom).toBe(12);
+        expect(source.maxZoom).toBe(14);
+        expect(source.bounds).toBeNull();
+    });
+
+    test('should flip rows from XYZ to TMS', async () => {
+        // XYZ tile 2/1/0 is TMS row 3
+        const source = new MBTilesSource(createMBTilesStub({ format: 'jpg' }, [[2, 1, 3, png]]));
+
+        const tile = await source.getTile(2, 1, 0);
+        expect(tile).not.toBeNull();
+        expect(tile!.type).toBe('image/jpeg');
+        expect(tile!.size).toBe(png.length);
+        await expect(source.getTile(2, 1, 3)).resolves.toBeNull();
+    });
+
+    test('should reject vector tiles', () => {
+        expect(() => new MBTilesSource(createMBTilesStub({ format: 'pbf' }, [[0, 0, 0, png]]))).toThrow(
+            'Unsupported MBTiles tile format: pbf'
+        );
+    });
+});
+
+describe('MapView', () => {
+    let source: StubTileSource;
+    let view: MapView;
+
+    beforeEach(() => {
+        source = new StubTileSource();
+        view = new MapView(createCanvas(512, 256), source, { minZoom: 1, maxZoom: 18 });
+    });
+
+    afterEach(() => {
+        view.destroy();
+    });
+
+    test('should cover the viewport with tiles', () => {
+        view.setView({ lat: 0, lon: 0 }, 2);
+        const tiles = view.getVisibleTiles();
+
+        // 512x256 viewport centered on a 1024 px world (4x4 tiles at zoom 2)
+        expect(tiles.map(t => `${t.x}/${t.y}`).sort()).toEqual(['1/1', '1/2', '2/1', '2/2']);
+        expect(tiles.find(t => t.x === 1 && t.y === 1)).toMatchObject({ z: 2, left: 0, top: -128 });
+    });
+
+    test('should wrap columns across the antimeridian', () => {
+        view.setView({ lat: 0, lon: 180 }, 1);
+        const columns = new Set(view.getVisibleTiles().map(t => t.x));
+        expect([...columns].sort()).toEqual([0, 1]);
+    });
+
+    test('should convert between positions and canvas points', () => {
+        view.setView({ lat: 51.5, lon: -0.12 }, 15);
+        const center = view.latLonToCanvas({ lat: 51.5, lon: -0.12 });
+        expect(center.x).toBeCloseTo(256);
+        expect(center.y).toBeCloseTo(128);
+
+        const position = view.canvasToLatLon({ x: 100, y: 50 });
+        const back = view.latLonToCanvas(position);
+        expect(back.x).toBeCloseTo(100);
+        expect(back.y).toBeCloseTo(50);
+    });
+
+    test('should find the marker under a point', () => {
+        view.setView({ lat: 51.5, lon: -0.12 }, 15);
+        view.setMarkers([
+            { id: 1, lat: 51.5, lon: -0.12 },
+            { id: 2, lat: 51.51, lon: -0.12 },
+        ]);
+
+        expect(view.markerAt({ x: 260, y: 130 })?.id).toBe(1);
+        expect(view.markerAt({ x: 10, y: 10 })).toBeNull();
+    });
+
+    test('should fit the track and markers', () => {
+        view.setTrack([
+            { lat: 51.5, lon: -0.13 },
+            { lat: 51.51, lon: -0.11 },
+        ]);
+        expect(view.fitToData()).toBe(true);
+
+        const { center } = view.getView();
+        expect(center.lat).toBeCloseTo(51.505, 2);
+        expect(center.lon).toBeCloseTo(-0.12, 3);
+    });
+
+    test('should clamp zoom and keep the anchor fixed when zooming', () => {
+        view.setView({ lat: 51.5, lon: -0.12 }, 40);
+        expect(view.getView().zoom).toBe(18);
+
+        view.setView({ lat: 51.5, lon: -0.12 }, 14);
+        const anchor = { x: 100, y: 60 };
+        const before = view.canvasToLatLon(anchor);
+        view.zoomBy(1, anchor);
+        const after = view.canvasToLatLon(anchor);
+
+        expect(view.getView().zoom).toBe(15);
+        expect(after.lat).toBeCloseTo(before.lat, 6);
+        expect(after.lon).toBeCloseTo(before.lon, 6);
+    });
+
+    test('should pan by pixels', () => {
+        view.setView({ lat: 0, lon: 0 }, 3);
+        view.panBy(-TILE_SIZE, 0);
+        expect(view.getView().center.lon).toBeCloseTo(360 / 8);
+    });
+});
+
+describe('MapView photo markers', () => {
+    let databaseManager: any;
+
+    beforeAll(() => {
+        // Real Web Crypto with a key that lives for this test only; jest.setup.js only mocks it
+        Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+        (global as any).AppConstants = require('../constants.js');
+        const cryptoManager = require('../crypto-manager.js');
+        cryptoManager.loadKeyFromStorage = async () => null;
+        cryptoManager.saveKeyToStorage = async () => undefined;
+        (global as any).cryptoManager = cryptoManager;
+        (window as any).cryptoManager = cryptoManager;
+        databaseManager = require('../database.js');
+    });
+
+    test('should place a photo with an encrypted location at its own position', async () => {
+        const cryptoManager = (window as any).cryptoManager;
+        const location = await cryptoManager.encryptLocation({ latitude: 51.505, longitude: -0.09, accuracy: 5 });
+        const photo = {
+            id: 3, userId: 'user-1', imageName: 'photo_3.jpg', timestamp: '2024-05-01T10:00:05.000Z',
+            lat: location.latitude, lon: location.longitude, accuracy: 5, encrypted: true,
+        };
+        // A GPS fix a few seconds earlier, about 2 km away
+        const gpsLog = { id: 1, userId: 'user-1', timestamp: '2024-05-01T10:00:00.000Z', lat: 51.5, lon: -0.12 };
+        databaseManager.getRecordsByIndex = async (storeName: string) =>
+            storeName === databaseManager.stores.photos ? [{ ...photo }] : [{ ...gpsLog }];
+
+        const track = await databaseManager.getTrackData('user-1');
+        const view = new MapView(createCanvas(512, 256), new StubTileSource(), { minZoom: 1, maxZoom: 18 });
+        view.setTrack(track.points);
+        view.setMarkers(MapView.markersFromWaypoints(track.waypoints));
+        view.setView({ lat: 51.5, lon: -0.1 }, 13);
+
+        const marker = view.markerAt(view.latLonToCanvas({ lat: 51.505, lon: -0.09 }));
+        expect(marker).toEqual({ id: 3, lat: 51.505, lon: -0.09, label: 'photo_3.jpg' });
+        expect(view.markerAt(view.latLonToCanvas({ lat: 51.5, lon: -0.12 }))).toBeNull();
+        view.destroy();
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for MeasurementManager and MeasurementMath
+ */
+
+import { MeasurementManager, MeasurementMath, MeasurementContext, DepthSample } from '../measurement';
+
+/**
+ * Depth map with a constant background and rectangles of other values (frame pixels)
+ */
+function depthMap(width: number, height: number, background: number, regions: Array<[number, number, number, number, number]> = []): DepthSample {
+    const values = new Float32Array(width * height).fill(background);
+    for (const [x, y, w, h, value] of regions) {
+        for (let row = y; row < y + h; row++) {
+            for (let col = x; col < x + w; col++) {
+                values[row * width + col] = value;
+            }
+        }
+    }
+    return { values, width, height };
+}
+
+const FOCAL_LENGTH = 500;
+
+function context(overrides: Partial<MeasurementContext> = {}): MeasurementContext {
+    return {
+        frameWidth: 640,
+        frameHeight: 480,
+        focalLength: FOCAL_LENGTH,
+        detections: [],
+        depth: null,
+        ...overrides,
+    };
+}
+
+describe('MeasurementMath', () => {
+    test('should derive the focal length from the field of view', () => {
+        // 90° across 640 px puts the edge at 45°: f = 320 / tan(45°)
+        expect(MeasurementMath.focalLength(640, 480, 90)).toBeCloseTo(320);
+        expect(MeasurementMath.focalLength(480, 640, 90, 2)).toBeCloseTo(640);
+    });
+
+    test('should take the median depth and skip empty samples', () => {
+        const depth = depthMap(4, 4, 10, [[0, 0, 2, 2, 0], [3, 3, 1, 1, 200]]);
+        expect(MeasurementMath.medianDepth(depth, 4, 4, { x: 0, y: 0, width: 4, height: 4 })).toBe(10);
+        expect(MeasurementMath.medianDepth(depth, 4, 4, { x: 0, y: 0, width: 2, height: 2 })).toBeNull();
+    });
+
+    test('should map frame coordinates onto a smaller depth map', () => {
+        const depth = depthMap(64, 48, 10, [[32, 24, 32, 24, 40]]);
+        expect(MeasurementMath.pointDepth(depth, 640, 480, { x: 500, y: 400 })).toBe(40);
+        expect(MeasurementMath.pointDepth(depth, 640, 480, { x: 100, y: 100 })).toBe(10);
+    });
+
+    test('should scale distance by inverse depth', () => {
+        expect(MeasurementMath.scaleByDepth(4, 100, 50)).toBe(8);
+        expect(MeasurementMath.scaleByDepth(4, 100, 0)).toBeNull();
+    });
+});
+
+describe('MeasurementManager', () => {
+    const person = { class: 'person', bbox: { x: 100, y: 100, width: 60, height: 170 }, trackId: 1 };
+
+    test('should measure an object of known size from the focal length', () => {
+        const manager = new MeasurementManager();
+        const measurement = manager.measureObject(person, context({ detections: [person] }));
+
+        // 1.7 m over 170 px at f = 500 px is 5 m away
+        expect(measurement.method).toBe('size');
+        expect(measurement.distance).toBeCloseTo(5);
+        expect(measurement.height).toBeCloseTo(1.7);
+        expect(measurement.width).toBeCloseTo(0.6);
+    });
+
+    test('should scale other objects and points from a reference through depth', () => {
+        const dog = { class: 'dog', bbox: { x: 400, y: 300, width: 100, height: 50 }, trackId: 2 };
+        // The dog is twice as near as the person (inverse depth 80 vs 40)
+        const depth = depthMap(640, 480, 20, [[100, 100, 60, 170, 40], [400, 300, 100, 50, 80]]);
+        const manager = new MeasurementManager();
+        const frame = context({ detections: [person, dog], depth });
+
+        const object = manager.measureAt({ x: 450, y: 320 }, frame);
+        expect(object.kind).toBe('object');
+        expect(object.method).toBe('depth');
+        expect(object.reference).toBe('person #1');
+        expect(object.distance).toBeCloseTo(2.5);
+        expect(object.width).toBeCloseTo(0.5);
+
+        const point = manager.measureAt({ x: 600, y: 20 }, frame);
+        expect(point.kind).toBe('point');
+        expect(point.distance).toBeCloseTo(10);
+    });
+
+    test('should prefer the user reference over the size table', () => {
+        const manager = new MeasurementManager();
+        manager.setReference({ trackId: 1, label: 'door', height: 2.0 });
+
+        const measurement = manager.measureObject(person, context({ detections: [person] }));
+
+        expect(measurement.distance).toBeCloseTo(500 * 2.0 / 170);
+        expect(measurement.height).toBeCloseTo(2.0);
+        expect(measurement.reference).toBe('door #1');
+    });
+
+    test('should leave the distance empty without a scale', () => {
+        const manager = new MeasurementManager();
+        const dog = { class: 'dog', bbox: { x: 0, y: 0, width: 10, height: 10 } };
+
+        expect(manager.measurePoint({ x: 10, y: 10 }, context()).distance).toBeNull();
+        const measurement = manager.measureObject(dog, context({ detections: [dog] }));
+        expect(measurement.distance).toBeNull();
+        expect(measurement.width).toBeNull();
+        expect(MeasurementManager.formatLabel(measurement)).toBe('dog: no scale');
+    });
+
+    test('should discard distances beyond the limit', () => {
+        const manager = new MeasurementManager({ maxDistance: 4 });
+        expect(manager.measureObject(person, context({ detections: [person] })).distance).toBeNull();
+    });
+
+    test('should re-measure tracked objects and keep a bounded list', () => {
+        const manager = new MeasurementManager({ maxMeasurements: 2 });
+        manager.measureObject(person, context({ detections: [person] }));
+
+        const closer = { ...person, bbox: { x: 90, y: 50, width: 120, height: 340 } };
+        manager.refresh(context({ detections: [closer] }));
+        expect(manager.getMeasurements()[0]?.distance).toBeCloseTo(2.5);
+
+        // Measuring the same track again replaces its measurement
+        manager.measureObject(person, context({ detections: [person] }));
+        expect(manager.getMeasurements()).toHaveLength(1);
+
+        manager.measurePoint({ x: 1, y: 1 }, context());
+        manager.measurePoint({ x: 2, y: 2 }, context());
+        expect(manager.getMeasurements().map(measurement => measurement.kind)).toEqual(['point', 'point']);
+    });
+
+    test('should export copies for the photo record', () => {
+        const manager = new MeasurementManager();
+        expect(manager.exportMeasurements()).toBeNull();
+
+        manager.measureObject(person, context({ detections: [person] }));
+        const exported = manager.exportMeasurements();
+        exported![0]!.bbox!.x = 0;
+
+        expect(manager.getMeasurements()[0]?.bbox?.x).toBe(100);
+    });
+
+    test('should format lengths', () => {
+        expect(MeasurementManager.formatLength(0.42)).toBe('42 cm');
+        expect(MeasurementManager.formatLength(4.25)).toBe('4.3 m');
+        expect(MeasurementManager.formatLength(12.4)).toBe('12 m');
+        expect(MeasurementManager.formatLabel({
+            id: 1, kind: 'object', point: { x: 0, y: 0 }, label: 'person',
+            distance: 4.2, width: 0.6, height: 1.7, method: 'size', timestamp: '',
+        })).toBe('person ≈ 4.2 m · 60 cm × 1.7 m');
+    });
+});
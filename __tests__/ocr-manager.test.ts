@@ -2,7 +2,7 @@
  * Tests for OCRManager
  */
 
-import { OCRManager, OCRConfig, SubtitleBarConfig } from '../ocr-manager';
+import { OCRManager, OCRConfig, SubtitleBarConfig, QuadMath, Quad, OCRLanguages } from '../ocr-manager';
 
 // Mock Tesseract - must be before imports due to hoisting
 const mockRecognize = jest.fn();
@@ -378,4 +378,101 @@ describe('OCRManager', () => {
             expect(subtitleBar?.innerHTML).toContain('&lt;script&gt;');
         });
     });
+
+    describe('Region of Interest', () => {
+        test('should store regions with ordered corners', () => {
+            ocrManager.setRegion({
+                quad: [{ x: 200, y: 120 }, { x: 10, y: 20 }, { x: 15, y: 110 }, { x: 190, y: 25 }],
+                source: 'document',
+            });
+
+            expect(ocrManager.getRegion()).toEqual({
+                quad: [{ x: 10, y: 20 }, { x: 190, y: 25 }, { x: 200, y: 120 }, { x: 15, y: 110 }],
+                source: 'document',
+            });
+        });
+
+        test('should clear the region', () => {
+            ocrManager.setRegion({ quad: QuadMath.fromRect(0, 0, 100, 50), source: 'manual' });
+            ocrManager.setRegion(null);
+            expect(ocrManager.getRegion()).toBeNull();
+        });
+    });
+});
+
+describe('QuadMath', () => {
+    // A sign photographed at an angle: the right edge is further away and shorter
+    const skewed: Quad = [{ x: 100, y: 100 }, { x: 400, y: 140 }, { x: 400, y: 260 }, { x: 100, y: 300 }];
+
+    test('should reject anything but four corners', () => {
+        expect(() => QuadMath.order([{ x: 0, y: 0 }])).toThrow('Expected 4 corners, got 1');
+    });
+
+    test('should size the warp from the longest edges', () => {
+        expect(QuadMath.getWarpSize(skewed, 0, 10000)).toEqual({ width: 303, height: 200 });
+    });
+
+    test('should upscale small regions and downscale large ones', () => {
+        expect(QuadMath.getWarpSize(QuadMath.fromRect(0, 0, 160, 40), 640, 1600)).toEqual({ width: 640, height: 160 });
+        expect(QuadMath.getWarpSize(QuadMath.fromRect(0, 0, 4000, 1000), 640, 1600)).toEqual({ width: 1600, height: 400 });
+    });
+
+    test('should map corners onto corners', () => {
+        const target = QuadMath.fromRect(0, 0, 300, 200);
+        const m = QuadMath.getTransform(skewed, target);
+
+        skewed.forEach((corner, i) => {
+            const mapped = QuadMath.transformPoint(m, corner);
+            expect(mapped.x).toBeCloseTo(target[i]!.x, 6);
+            expect(mapped.y).toBeCloseTo(target[i]!.y, 6);
+        });
+    });
+
+    test('should reduce to scale and translation for rectangles', () => {
+        const m = QuadMath.getTransform(QuadMath.fromRect(0, 0, 640, 160), QuadMath.fromRect(50, 30, 160, 40));
+        const bbox = QuadMath.transformBBox(m, { x0: 64, y0: 16, x1: 128, y1: 48 });
+
+        expect(bbox.x0).toBeCloseTo(66);
+        expect(bbox.y0).toBeCloseTo(34);
+        expect(bbox.x1).toBeCloseTo(82);
+        expect(bbox.y1).toBeCloseTo(42);
+    });
+
+    test('should reject degenerate quads', () => {
+        const line: Quad = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+        expect(() => QuadMath.getTransform(line, QuadMath.fromRect(0, 0, 10, 10))).toThrow('Degenerate quad');
+    });
+});
+
+describe('OCRLanguages', () => {
+    test('should normalize combined language strings', () => {
+        expect(OCRLanguages.parse('eng+fra')).toEqual(['eng', 'fra']);
+        expect(OCRLanguages.normalize(' eng + chi_sim+eng ')).toBe('eng+chi_sim');
+    });
+
+    test('should reject invalid language codes', () => {
+        expect(() => OCRLanguages.parse('')).toThrow('No OCR language given');
+        expect(() => OCRLanguages.parse('eng+english')).toThrow('Invalid OCR language: english');
+    });
+
+    test('should check which scripts a language string reads', () => {
+        expect(OCRLanguages.covers('eng+rus', 'Cyrillic')).toBe(true);
+        expect(OCRLanguages.covers('eng', 'Han')).toBe(false);
+        expect(OCRLanguages.covers('kor', 'Hangul')).toBe(true);
+    });
+
+    test('should keep the current languages when they read the script', () => {
+        expect(OCRLanguages.forScript('Latin', 'fra+eng')).toBe('fra+eng');
+    });
+
+    test('should pick a language for a new script, keeping English alongside', () => {
+        expect(OCRLanguages.forScript('Cyrillic', 'eng')).toBe('rus+eng');
+        expect(OCRLanguages.forScript('Katakana', 'eng')).toBe('jpn+eng');
+        expect(OCRLanguages.forScript('Latin', 'rus')).toBe('eng');
+    });
+
+    test('should use configured script languages', () => {
+        expect(OCRLanguages.forScript('Cyrillic', 'eng', { Cyrillic: 'ukr' })).toBe('ukr+eng');
+        expect(OCRLanguages.forScript('Ethiopic', 'eng')).toBeNull();
+    });
 });
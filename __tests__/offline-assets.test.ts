@@ -0,0 +1,143 @@
+/**
+ * Tests for OfflineAssets (offline bundle URL mapping and checks)
+ */
+
+import { webcrypto, createHash } from 'crypto';
+
+// Real Web Crypto for SHA-256; jest.setup.js only mocks it
+Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+const AppConstants = require('../constants.js');
+(global as any).AppConstants = AppConstants;
+require('../offline-assets.js');
+const OfflineAssets = (global as any).OfflineAssets;
+
+const ORIGIN = window.location.origin;
+
+function fileEntry(name: string, content: Uint8Array) {
+    return { name, size: content.byteLength, sha256: createHash('sha256').update(content).digest('hex') };
+}
+
+/**
+ * Cache Storage stand-in holding each cache as a Map of URL to response
+ */
+function useCaches(entries: Record<string, Map<string, any>>) {
+    (global as any).caches = {
+        keys: async () => Object.keys(entries),
+        open: async (name: string) => ({ match: async (url: string) => entries[name]!.get(url) })
+    };
+}
+
+function cachedManifest(bundles: object): Map<string, any> {
+    const manifest = { version: 'abc123', bundles };
+    return new Map([[OfflineAssets.getManifestUrl(), { json: async () => manifest }]]);
+}
+
+/**
+ * Server answering every request with the given bytes
+ */
+function serve(content: Uint8Array, status = 200) {
+    (global as any).fetch = jest.fn(async () => ({
+        ok: status >= 200 && status < 300,
+        status,
+        clone() { return this; },
+        arrayBuffer: async () => content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength)
+    }));
+}
+
+beforeEach(() => {
+    OfflineAssets.manifestPromise = null;
+    OfflineAssets.ready = new Map();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete (global as any).caches;
+});
+
+describe('OfflineAssets URL mapping', () => {
+    it('maps bundled files to their CDN sources, with paths and query', () => {
+        expect(OfflineAssets.getSourceUrl('tfjs', 'tf.min.js'))
+            .toBe('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js');
+        expect(OfflineAssets.getSourceUrl('tessdata', 'eng.traineddata.gz'))
+            .toBe('https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz');
+        expect(OfflineAssets.getSourceUrl('movenet', 'model.json'))
+            .toBe('https://tfhub.dev/google/tfjs-model/movenet/singlepose/lightning/4/model.json?tfjs-format=file');
+    });
+
+    it('lists every manifest file with its bundled URL on the app origin', () => {
+        const files = OfflineAssets.listFiles({
+            version: 'abc123',
+            bundles: {
+                tfjs: { url: AppConstants.OFFLINE.BUNDLES.tfjs.url, files: [{ name: 'tf.min.js', source: 'https://cdn/tf.min.js', size: 1, sha256: 'x' }] },
+                movenet: { url: AppConstants.OFFLINE.BUNDLES.movenet.url, files: [{ name: 'group1-shard1of1.bin', source: 'https://hub/shard', size: 2, sha256: 'y' }] }
+            }
+        });
+
+        expect(files).toEqual([
+            { name: 'tf.min.js', source: 'https://cdn/tf.min.js', size: 1, sha256: 'x', bundle: 'tfjs', url: `${ORIGIN}/offline/tfjs/tf.min.js` },
+            { name: 'group1-shard1of1.bin', source: 'https://hub/shard', size: 2, sha256: 'y', bundle: 'movenet', url: `${ORIGIN}/offline/movenet/group1-shard1of1.bin` }
+        ]);
+    });
+});
+
+describe('OfflineAssets.fetchVerified', () => {
+    const content = new TextEncoder().encode('model weights');
+    const file = { ...fileEntry('weights.bin', content), url: `${ORIGIN}/offline/movenet/weights.bin` };
+
+    it('returns the response when size and SHA-256 match the manifest', async () => {
+        serve(content);
+
+        const response = await OfflineAssets.fetchVerified(file, { cache: 'no-cache' });
+
+        expect(response.ok).toBe(true);
+        expect((global as any).fetch).toHaveBeenCalledWith(file.url, { cache: 'no-cache' });
+    });
+
+    it('rejects a file whose hash does not match', async () => {
+        serve(new TextEncoder().encode('model weighTs'));
+
+        await expect(OfflineAssets.fetchVerified(file)).rejects.toThrow('does not match the manifest');
+    });
+
+    it('rejects a truncated file', async () => {
+        serve(content.slice(0, 5));
+
+        await expect(OfflineAssets.fetchVerified(file)).rejects.toThrow('does not match the manifest');
+    });
+
+    it('rejects a failed download', async () => {
+        serve(content, 404);
+
+        await expect(OfflineAssets.fetchVerified(file)).rejects.toThrow('HTTP 404');
+    });
+});
+
+describe('OfflineAssets.getUrl', () => {
+    const tfjs = { url: AppConstants.OFFLINE.BUNDLES.tfjs.url, files: [fileEntry('tf.min.js', new Uint8Array([1]))] };
+
+    it('loads from the bundle once the service worker has cached it, without fetching it again', async () => {
+        useCaches({ 'policamera-v7': new Map(), 'policamera-offline-abc123': cachedManifest({ tfjs }) });
+        (global as any).fetch = jest.fn();
+
+        expect(await OfflineAssets.getUrl('tfjs', 'tf.min.js')).toBe(`${ORIGIN}/offline/tfjs/tf.min.js`);
+        expect((global as any).fetch).not.toHaveBeenCalled();
+    });
+
+    it('loads from the CDN while no complete bundle is cached', async () => {
+        useCaches({ 'policamera-offline-abc123': new Map() });
+
+        expect(await OfflineAssets.getUrl('tfjs', 'tf.min.js')).toBe(OfflineAssets.getSourceUrl('tfjs', 'tf.min.js'));
+        expect(await OfflineAssets.getModelUrl('movenet')).toBeUndefined();
+    });
+
+    it('loads from the CDN when the bundle was built for another library version', async () => {
+        useCaches({ 'policamera-offline-abc123': cachedManifest({ tfjs: { ...tfjs, url: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.9.0/dist/' } }) });
+
+        expect(await OfflineAssets.getUrl('tfjs', 'tf.min.js')).toBe(OfflineAssets.getSourceUrl('tfjs', 'tf.min.js'));
+    });
+
+    it('loads from the CDN without Cache Storage', async () => {
+        expect(await OfflineAssets.getDirectoryUrl('tessdata')).toBeUndefined();
+    });
+});
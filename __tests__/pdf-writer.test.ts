@@ -0,0 +1,151 @@
+/**
+ * Tests for PdfWriter
+ */
+
+import { PdfWriter } from '../pdf-writer';
+
+// Stand-in for JPEG data (only embedded, never decoded)
+const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0xff, 0xd9]);
+
+function toText(pdf: Uint8Array): string {
+    return Array.from(pdf, byte => String.fromCharCode(byte)).join('');
+}
+
+describe('PdfWriter', () => {
+    test('should refuse to build an empty document', () => {
+        expect(() => new PdfWriter().build()).toThrow('PDF has no pages');
+    });
+
+    test('should reject pages without size or image data', () => {
+        const writer = new PdfWriter();
+        expect(() => writer.addPage({ jpeg, width: 0, height: 100 })).toThrow('Invalid page size: 0x100');
+        expect(() => writer.addPage({ jpeg: new Uint8Array(0), width: 100, height: 100 })).toThrow('Page has no image data');
+        expect(writer.pageCount).toBe(0);
+    });
+
+    test('should fit pages to A4 in their own orientation', () => {
+        const portrait = PdfWriter.getPageSize(1000, 1414);
+        expect(portrait.width).toBeCloseTo(595.28, 1);
+        expect(portrait.height).toBeCloseTo(841.7, 0);
+
+        const landscape = PdfWriter.getPageSize(2000, 1000);
+        expect(landscape.width).toBeCloseTo(841.89, 1);
+        expect(landscape.height).toBeCloseTo(420.95, 1);
+    });
+
+    test('should write a valid cross-reference table', () => {
+        const writer = new PdfWriter({ title: 'Scan' });
+        writer.addPage({ jpeg, width: 800, height: 1000 });
+        writer.addPage({ jpeg, width: 1000, height: 800 });
+        const text = toText(writer.build());
+
+        expect(text.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(text.endsWith('%%EOF\n')).toBe(true);
+        expect(text).toContain('/Count 2');
+
+        const startxref = Number(text.match(/startxref\n(\d+)\n/)![1]);
+        expect(text.slice(startxref, startxref + 4)).toBe('xref');
+
+        // 4 shared objects + 3 per page
+        const entries = text.slice(startxref).match(/^(\d{10}) 00000 n $/gm)!;
+        expect(entries).toHaveLength(10);
+        entries.forEach((entry, i) => {
+            const offset = Number(entry.slice(0, 10));
+            expect(text.slice(offset, offset + `${i + 1} 0 obj`.length)).toBe(`${i + 1} 0 obj`);
+        });
+        expect(text).toContain('/Size 11 /Root 1 0 R /Info 4 0 R');
+    });
+
+    test('should embed the JPEG bytes unchanged', () => {
+        const writer = new PdfWriter();
+        writer.addPage({ jpeg, width: 640, height: 480 });
+        const text = toText(writer.build());
+
+        expect(text).toContain(`/Width 640 /Height 480 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length}`);
+        expect(text).toContain(`stream\n${toText(jpeg)}\nendstream`);
+    });
+
+    test('should add an invisible text layer scaled to the word boxes', () => {
+        const writer = new PdfWriter();
+        writer.addPage({
+            jpeg,
+            width: 1000,
+            height: 1000,
+            words: [
+                { text: 'SERIAL', bbox: { x0: 100, y0: 100, x1: 400, y1: 150 } },
+                { text: '   ', bbox: { x0: 0, y0: 0, x1: 10, y1: 10 } },
+            ],
+        });
+        const text = toText(writer.build());
+
+        expect(text).toContain('BT\n3 Tr\n');
+        // The square page is 595.28 pt wide, so the word box is 178.58 x 29.76 pt
+        // and six half-em glyphs at 29.76 pt need 200% horizontal scaling to fill it
+        expect(text).toContain('200 Tz 1 0 0 1 59.53 511.94 Tm /F1 29.76 Tf <00010203040506> Tj');
+        expect(text.match(/ Tj/g)).toHaveLength(1);
+        expect(text).toContain('/Resources << /Font << /F1 8 0 R >> /XObject << /Im0 7 0 R >> >>');
+        expect(text).toContain('/Subtype /Type3');
+        expect(text).toContain('/FirstChar 0 /LastChar 6 /Widths [500 500 500 500 500 500 500]');
+    });
+
+    test('should map any Unicode text back through ToUnicode', () => {
+        const writer = new PdfWriter();
+        writer.addPage({
+            jpeg,
+            width: 1000,
+            height: 1000,
+            words: [
+                { text: '東京', bbox: { x0: 100, y0: 100, x1: 300, y1: 150 } },
+                { text: 'Ελλάδα😀', bbox: { x0: 100, y0: 200, x1: 300, y1: 250 } },
+            ],
+        });
+        const text = toText(writer.build());
+
+        // Codes are given in order of first use; the repeated λ reuses its code
+        expect(text).toContain('Tm /F1 29.76 Tf <000102> Tj');
+        expect(text).toContain('Tm /F1 29.76 Tf <0304040506070802> Tj');
+        expect(text).toContain('9 beginbfchar\n<00> <6771>\n<01> <4EAC>\n<02> <0020>\n<03> <0395>\n<04> <03BB>');
+        expect(text).toContain('<08> <D83DDE00>\nendbfchar');
+    });
+
+    test('should spread more than 256 different characters over several fonts', () => {
+        const characters = Array.from({ length: 300 }, (_, i) => String.fromCodePoint(0x4e00 + i));
+        const writer = new PdfWriter();
+        writer.addPage({
+            jpeg,
+            width: 1000,
+            height: 1000,
+            words: [{ text: characters.join(''), bbox: { x0: 0, y0: 0, x1: 1000, y1: 50 } }],
+        });
+        const text = toText(writer.build());
+
+        expect(text).toContain('/Font << /F1 8 0 R /F2 10 0 R >>');
+        expect(text).toMatch(/\/F1 29\.76 Tf <000102[0-9A-F]*FF> Tj \/F2 29\.76 Tf <00[0-9A-F]*2C> Tj/);
+        expect(text).toContain('/LastChar 255');
+        expect(text).toContain('/LastChar 44');
+        expect(text).toContain('<00> <4F00>');
+    });
+
+    test('should skip the text layer when there are no words', () => {
+        const writer = new PdfWriter();
+        writer.addPage({ jpeg, width: 100, height: 100, words: [] });
+        expect(toText(writer.build())).not.toContain('BT');
+    });
+
+    test('should escape and encode text', () => {
+        expect(PdfWriter.encodeText('Lot (A) 1\\2')).toBe('(Lot \\(A\\) 1\\\\2)');
+        expect(PdfWriter.encodeText('café')).toBe('(caf\\351)');
+        expect(PdfWriter.encodeText('“OK” – 5€')).toBe('<FEFF201C004F004B201D002020130020003520AC>');
+        expect(PdfWriter.encodeText('東京\n')).toBe('<FEFF67714EAC>');
+    });
+
+    test('should write document information', () => {
+        const writer = new PdfWriter({ title: 'Notice', creationDate: new Date(Date.UTC(2024, 2, 5, 9, 8, 7)) });
+        writer.addPage({ jpeg, width: 100, height: 100 });
+        const text = toText(writer.build());
+
+        expect(text).toContain('/Title (Notice)');
+        expect(text).toContain('/Creator (PoliCamera)');
+        expect(text).toContain('/CreationDate (D:20240305090807Z)');
+    });
+});
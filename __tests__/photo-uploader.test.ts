@@ -0,0 +1,188 @@
+/**
+ * Tests for PhotoUploader (photo upload outbox) against a mock upload server
+ */
+
+const AppConstants = require('../constants.js');
+(global as any).AppConstants = AppConstants;
+require('../photo-uploader.js');
+const PhotoUploader = (global as any).PhotoUploader;
+const databaseManager = require('../database.js');
+
+const ENDPOINT = 'https://uploads.example.org/photos';
+
+interface ReceivedUpload {
+    url: string;
+    image: File | null;
+    metadata: any;
+}
+
+/**
+ * Mock upload server: answers each POST with the next status, recording what it received
+ */
+function mockServer(statuses: number[]): ReceivedUpload[] {
+    const received: ReceivedUpload[] = [];
+    let next = 0;
+    (global as any).fetch = jest.fn(async (url: string, init: { method: string; body: FormData }) => {
+        const status = statuses[next++] ?? 201;
+        received.push({
+            url,
+            image: init.body.get('image') as File | null,
+            metadata: JSON.parse(init.body.get('metadata') as string)
+        });
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            json: async () => ({ id: `remote-${received.length}` })
+        };
+    });
+    return received;
+}
+
+/**
+ * Keep the photos and settings stores in memory instead of IndexedDB
+ */
+function useMemoryStores(photos: any[], endpoint: string): Map<number, any> {
+    const records = new Map<number, any>(photos.map(photo => [photo.id, photo]));
+    databaseManager.getSetting = async (key: string, fallback: any) =>
+        key === AppConstants.UPLOAD.ENDPOINT_SETTING_KEY ? endpoint : fallback;
+    databaseManager.getRecord = async (_storeName: string, id: number) => records.get(id);
+    databaseManager.putRecord = async (_storeName: string, record: any) => { records.set(record.id, record); return record.id; };
+    databaseManager.getRecordsByIndex = async (_storeName: string, indexName: string, value: any) =>
+        Array.from(records.values()).filter(record => record[indexName] === value);
+    return records;
+}
+
+function photo(id: number, extra: object = {}): any {
+    return {
+        id,
+        imageName: `photo_${id}.jpg`,
+        imageBlob: new Blob(['jpeg'], { type: 'image/jpeg' }),
+        thumbnailBlob: new Blob(['thumb'], { type: 'image/jpeg' }),
+        uploadStatus: 'pending',
+        uploadAttempts: 0,
+        nextUploadAttempt: 0,
+        ...extra
+    };
+}
+
+describe('PhotoUploader', () => {
+    it('posts each pending photo as multipart form data and stores the remote ID', async () => {
+        const records = useMemoryStores([photo(1, { lat: 52.1, lon: 4.3 }), photo(2)], ENDPOINT);
+        const received = mockServer([201, 201]);
+
+        const result = await PhotoUploader.uploadPending(databaseManager);
+
+        expect(result).toEqual({ endpoint: ENDPOINT, uploaded: 2, failed: 0, nextAttempt: null });
+        expect(received).toHaveLength(2);
+        expect(received[0]!.url).toBe(ENDPOINT);
+        expect(received[0]!.image!.name).toBe('photo_1.jpg');
+        expect(received[0]!.metadata).toMatchObject({ id: 1, lat: 52.1, lon: 4.3 });
+        expect(received[0]!.metadata.imageBlob).toBeUndefined();
+        expect(received[0]!.metadata.thumbnailBlob).toBeUndefined();
+
+        expect(records.get(1).uploadStatus).toBe('uploaded');
+        expect(records.get(1).remoteId).toBe('remote-1');
+        expect(records.get(2).remoteId).toBe('remote-2');
+    });
+
+    it('uploads every batch, not just the first', async () => {
+        const count = AppConstants.UPLOAD.BATCH_SIZE + 3;
+        const records = useMemoryStores(Array.from({ length: count }, (_, i) => photo(i + 1)), ENDPOINT);
+        mockServer([]);
+
+        const result = await PhotoUploader.uploadPending(databaseManager);
+
+        expect(result.uploaded).toBe(count);
+        expect(Array.from(records.values()).every(record => record.uploadStatus === 'uploaded')).toBe(true);
+    });
+
+    it('backs off on server errors and reports when the next attempt is due', async () => {
+        const records = useMemoryStores([photo(1)], ENDPOINT);
+        mockServer([503]);
+        const before = Date.now();
+
+        const result = await PhotoUploader.uploadPending(databaseManager);
+
+        expect(result.failed).toBe(1);
+        expect(records.get(1).uploadStatus).toBe('pending');
+        expect(records.get(1).uploadAttempts).toBe(1);
+        expect(records.get(1).lastUploadError).toBe('Upload failed with status 503');
+        expect(result.nextAttempt).toBe(records.get(1).nextUploadAttempt);
+        expect(result.nextAttempt).toBeGreaterThanOrEqual(before + 30000);
+    });
+
+    it('reports photos still waiting out their backoff without uploading them', async () => {
+        const due = Date.now() + 60000;
+        useMemoryStores([photo(1, { uploadAttempts: 2, nextUploadAttempt: due })], ENDPOINT);
+        const received = mockServer([]);
+
+        const result = await PhotoUploader.uploadPending(databaseManager);
+
+        expect(received).toHaveLength(0);
+        expect(result).toEqual({ endpoint: ENDPOINT, uploaded: 0, failed: 0, nextAttempt: due });
+    });
+
+    it('gives up on client errors but retries rate limiting', async () => {
+        const records = useMemoryStores([photo(1), photo(2)], ENDPOINT);
+        mockServer([400, 429]);
+
+        await PhotoUploader.uploadPending(databaseManager);
+
+        expect(records.get(1).uploadStatus).toBe('failed');
+        expect(records.get(2).uploadStatus).toBe('pending');
+    });
+
+    it('sends the ciphertext and its IV for encrypted photos', async () => {
+        const encryptedImage = { blob: new Blob(['ciphertext']), iv: 'aXY=', keyId: 'abc123', type: 'image/jpeg' };
+        useMemoryStores([photo(1, { imageBlob: null, encryptedImage, recordEncrypted: true })], ENDPOINT);
+        const received = mockServer([201]);
+
+        await PhotoUploader.uploadPending(databaseManager);
+
+        expect(received[0]!.image!.name).toBe('photo_1.jpg.enc');
+        expect(received[0]!.metadata.imageEncryption).toEqual({ algorithm: 'AES-GCM', iv: 'aXY=', keyId: 'abc123', type: 'image/jpeg' });
+        expect(received[0]!.metadata.encryptedImage).toBeUndefined();
+    });
+
+    it('keeps photos queued when no endpoint is configured', async () => {
+        const records = useMemoryStores([photo(1)], '');
+        const received = mockServer([]);
+
+        const result = await PhotoUploader.uploadPending(databaseManager);
+
+        expect(result.endpoint).toBe('');
+        expect(received).toHaveLength(0);
+        expect(records.get(1).uploadStatus).toBe('pending');
+    });
+
+    it('queues failed photos again on retry and uploads them', async () => {
+        const records = useMemoryStores([
+            photo(1, { uploadStatus: 'failed', uploadAttempts: 8, nextUploadAttempt: Date.now() + 3600000, lastUploadError: 'Upload failed with status 404' }),
+            photo(2, { uploadStatus: 'uploaded' })
+        ], ENDPOINT);
+        const received = mockServer([201]);
+
+        expect(await databaseManager.retryFailedUploads()).toBe(1);
+        expect(records.get(1)).toMatchObject({ uploadStatus: 'pending', uploadAttempts: 0, nextUploadAttempt: 0 });
+
+        const result = await PhotoUploader.uploadPending(databaseManager);
+
+        expect(result.uploaded).toBe(1);
+        expect(received).toHaveLength(1);
+        expect(records.get(1).uploadStatus).toBe('uploaded');
+    });
+
+    it('queues failed photos again when the endpoint changes', async () => {
+        const records = useMemoryStores([photo(1, { uploadStatus: 'failed', uploadAttempts: 1 })], ENDPOINT);
+        const settings = new Map<string, any>([[AppConstants.UPLOAD.ENDPOINT_SETTING_KEY, ENDPOINT]]);
+        databaseManager.getSetting = async (key: string, fallback: any) => settings.has(key) ? settings.get(key) : fallback;
+        databaseManager.setSetting = async (key: string, value: any) => { settings.set(key, value); };
+
+        expect(await databaseManager.setUploadEndpoint(ENDPOINT)).toBe(0);
+        expect(records.get(1).uploadStatus).toBe('failed');
+
+        expect(await databaseManager.setUploadEndpoint('https://uploads.example.org/v2/photos')).toBe(1);
+        expect(settings.get(AppConstants.UPLOAD.ENDPOINT_SETTING_KEY)).toBe('https://uploads.example.org/v2/photos');
+        expect(records.get(1).uploadStatus).toBe('pending');
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for RedactionManager (privacy redaction of captured photos)
+ */
+
+(global as any).AppConstants = require('../constants.js');
+(global as any).Utils = require('../utils.js');
+require('../redaction.js');
+const RedactionManager = (window as any).redactionManager.constructor;
+
+/**
+ * 2D context stand-in recording draw calls; jsdom has no canvas rendering
+ */
+function fakeContext() {
+    return { drawImage: jest.fn(), imageSmoothingEnabled: true };
+}
+
+function createCanvas(width: number, height: number): HTMLCanvasElement {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+const contexts = new WeakMap<HTMLCanvasElement, ReturnType<typeof fakeContext>>();
+
+beforeAll(() => {
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(function (this: HTMLCanvasElement) {
+        if (!contexts.has(this)) contexts.set(this, fakeContext());
+        return contexts.get(this) as any;
+    });
+});
+
+let manager: any;
+
+beforeEach(() => {
+    localStorage.clear();
+    delete (window as any).openCVWrapper;
+    delete (window as any).faceDetectionManager;
+    manager = new RedactionManager();
+});
+
+describe('padBox', () => {
+    it('grows a box by the padding fraction to whole pixels', () => {
+        expect(manager.padBox({ x: 100, y: 100, width: 100, height: 50 }, 1000, 1000))
+            .toEqual({ x: 85, y: 92, width: 130, height: 66 });
+    });
+
+    it('clamps the grown box to the image', () => {
+        expect(manager.padBox({ x: 5, y: 10, width: 80, height: 75 }, 90, 90))
+            .toEqual({ x: 0, y: 0, width: 90, height: 90 });
+    });
+});
+
+describe('redactRegion', () => {
+    const box = { x: 100, y: 100, width: 100, height: 50 };
+
+    it('pixelates the padded region without smoothing', () => {
+        manager.updateSettings({ method: 'pixelate' });
+        const canvas = createCanvas(1000, 1000);
+
+        expect(manager.redactRegion(canvas, box)).toBe('pixelate');
+
+        const ctx = contexts.get(canvas)!;
+        expect(ctx.drawImage).toHaveBeenCalledTimes(1);
+        const [small, sx, sy, sw, sh, dx, dy, dw, dh] = ctx.drawImage.mock.calls[0];
+        // 66 px shorter side / 8 blocks = 8 px blocks
+        expect([small.width, small.height]).toEqual([16, 8]);
+        expect([sx, sy, sw, sh]).toEqual([0, 0, 16, 8]);
+        expect([dx, dy, dw, dh]).toEqual([85, 92, 130, 66]);
+        expect(ctx.imageSmoothingEnabled).toBe(true);
+    });
+
+    it('blurs with OpenCV, using an odd kernel that scales with the region', () => {
+        const blurred = createCanvas(130, 66);
+        const gaussianBlur = jest.fn(() => blurred);
+        (window as any).openCVWrapper = { isReady: () => true, gaussianBlur };
+        const canvas = createCanvas(1000, 1000);
+
+        expect(manager.redactRegion(canvas, box)).toBe('blur');
+
+        expect(gaussianBlur).toHaveBeenCalledWith(expect.any(HTMLCanvasElement), 33);
+        expect(contexts.get(canvas)!.drawImage).toHaveBeenCalledWith(blurred, 85, 92);
+    });
+
+    it('falls back to pixelating when the blur fails or OpenCV is not loaded', () => {
+        (window as any).openCVWrapper = { isReady: () => true, gaussianBlur: (crop: HTMLCanvasElement) => crop };
+        expect(manager.redactRegion(createCanvas(1000, 1000), box)).toBe('pixelate');
+
+        delete (window as any).openCVWrapper;
+        expect(manager.redactRegion(createCanvas(1000, 1000), box)).toBe('pixelate');
+    });
+
+    it('skips regions outside the image', () => {
+        const canvas = createCanvas(100, 100);
+
+        manager.redactRegion(canvas, { x: 200, y: 200, width: 10, height: 10 });
+
+        expect(contexts.has(canvas)).toBe(false);
+    });
+});
+
+describe('redactCanvas', () => {
+    const face = { score: 0.9, box: { x: 10, y: 10, width: 40, height: 40 } };
+    const car = { class: 'car', confidence: 80, bbox: { x: 100, y: 100, width: 200, height: 100 } };
+    const person = { class: 'person', confidence: 70, bbox: { x: 400, y: 50, width: 80, height: 200 } };
+
+    it('redacts faces, plate areas and configured classes and reports a complete result', async () => {
+        manager.updateSettings({ method: 'pixelate', objectClasses: ['person'] });
+
+        const result = await manager.redactCanvas(createCanvas(1000, 1000), { faces: [face], detections: [car, person] });
+
+        expect(result).toMatchObject({
+            applied: true,
+            complete: true,
+            method: 'pixelate',
+            regionCount: 3,
+            counts: { face: 1, plate: 1, object: 1 },
+            warnings: []
+        });
+        // Without OpenCV the lower part of the vehicle is redacted
+        const plate = result.regions.find((region: any) => region.type === 'plate');
+        expect(plate).toMatchObject({ source: 'vehicle-band', box: { x: 100, y: 155, width: 200, height: 45 } });
+        expect(result.regions.every((region: any) => region.method === 'pixelate')).toBe(true);
+    });
+
+    it('reports objects not checked when there are no detections to search', async () => {
+        const result = await manager.redactCanvas(createCanvas(100, 100), { faces: [], detections: null });
+
+        expect(result.complete).toBe(false);
+        expect(result.warnings).toEqual(['objects not checked']);
+    });
+
+    it('reports faces not checked when face detection fails', async () => {
+        (window as any).faceDetectionManager = { detectFacesInImage: jest.fn().mockRejectedValue(new Error('model not loaded')) };
+
+        const result = await manager.redactCanvas(createCanvas(100, 100), { detections: [] });
+
+        expect(result.complete).toBe(false);
+        expect(result.warnings).toEqual(['faces not checked']);
+        expect(result.regionCount).toBe(0);
+    });
+
+    it('checks nothing it was not asked to', async () => {
+        manager.updateSettings({ redactFaces: false, redactPlates: false });
+
+        const result = await manager.redactCanvas(createCanvas(100, 100), { detections: null });
+
+        expect(result.complete).toBe(true);
+    });
+});
+
+describe('settings', () => {
+    it('keeps valid values, ignores invalid ones and persists them', () => {
+        const settings = manager.updateSettings({ method: 'smudge', objectClasses: ['laptop', 7], keepEncryptedOriginal: true });
+
+        expect(settings).toMatchObject({ method: 'blur', objectClasses: ['laptop'], keepEncryptedOriginal: true });
+        expect(new RedactionManager().getSettings()).toEqual(settings);
+        expect(manager.shouldKeepOriginal()).toBe(true);
+
+        manager.updateSettings({ enabled: false });
+        expect(manager.shouldKeepOriginal()).toBe(false);
+    });
+});
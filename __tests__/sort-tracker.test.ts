@@ -0,0 +1,196 @@
+/**
+ * Tests for SortTracker, KalmanBoxFilter and TrackingMath
+ */
+
+import { SortTracker, KalmanBoxFilter, TrackingMath, Detection } from '../sort-tracker';
+
+function person(x: number, y: number, width = 80, height = 160, className = 'person'): Detection {
+    return { class: className, confidence: 0.9, bbox: { x, y, width, height } };
+}
+
+/**
+ * Total cost of an assignment
+ */
+function totalCost(cost: number[][], pairs: Array<[number, number]>): number {
+    return pairs.reduce((sum, [row, column]) => sum + cost[row]![column]!, 0);
+}
+
+/**
+ * Lowest total cost over every permutation of a square matrix
+ */
+function bruteForceCost(cost: number[][], row = 0, used = new Set<number>()): number {
+    if (row === cost.length) return 0;
+    let best = Infinity;
+    cost[row]!.forEach((value, column) => {
+        if (used.has(column)) return;
+        used.add(column);
+        best = Math.min(best, value + bruteForceCost(cost, row + 1, used));
+        used.delete(column);
+    });
+    return best;
+}
+
+describe('TrackingMath', () => {
+    test('should compute IoU', () => {
+        const box = { x: 0, y: 0, width: 10, height: 10 };
+        expect(TrackingMath.iou(box, box)).toBe(1);
+        expect(TrackingMath.iou(box, { x: 5, y: 0, width: 10, height: 10 })).toBeCloseTo(1 / 3);
+        expect(TrackingMath.iou(box, { x: 10, y: 0, width: 10, height: 10 })).toBe(0);
+        expect(TrackingMath.iou(box, { x: 0, y: 0, width: 0, height: 10 })).toBe(0);
+    });
+
+    test('should find the optimal assignment where greedy matching does not', () => {
+        // Greedy takes the 0.1 first and is left with 0.9
+        const cost = [[0.1, 0.2], [0.2, 0.9]];
+        expect(TrackingMath.assign(cost)).toEqual([[0, 1], [1, 0]]);
+
+        const square = [
+            [7, 53, 183, 439],
+            [497, 383, 563, 79],
+            [627, 343, 773, 959],
+            [447, 283, 463, 29],
+        ];
+        const pairs = TrackingMath.assign(square);
+        expect(pairs).toHaveLength(4);
+        expect(totalCost(square, pairs)).toBe(bruteForceCost(square));
+    });
+
+    test('should leave extra rows or columns unassigned', () => {
+        const wide = [[0.9, 0.1, 0.5], [0.2, 0.8, 0.3]];
+        expect(TrackingMath.assign(wide)).toEqual([[0, 1], [1, 0]]);
+
+        const tall = [[0.9, 0.2], [0.1, 0.8], [0.5, 0.3]];
+        expect(TrackingMath.assign(tall)).toEqual([[0, 1], [1, 0]]);
+
+        expect(TrackingMath.assign([])).toEqual([]);
+        expect(TrackingMath.assign([[]])).toEqual([]);
+    });
+});
+
+describe('KalmanBoxFilter', () => {
+    test('should learn a constant velocity and predict ahead', () => {
+        const filter = new KalmanBoxFilter({ x: 0, y: 50, width: 40, height: 100 });
+        for (let frame = 1; frame <= 10; frame++) {
+            filter.predict();
+            filter.update({ x: frame * 12, y: 50, width: 40, height: 100 });
+        }
+
+        expect(filter.getVelocity().x).toBeCloseTo(12, 0);
+        const predicted = filter.predict();
+        expect(predicted.x).toBeCloseTo(132, 0);
+        expect(predicted.y).toBeCloseTo(50, 0);
+        expect(predicted.width).toBeCloseTo(40, 0);
+        expect(predicted.height).toBeCloseTo(100, 0);
+    });
+
+    test('should keep the box valid while it is predicted', () => {
+        const filter = new KalmanBoxFilter({ x: 0, y: 0, width: 40, height: 40 });
+        filter.predict();
+        filter.update({ x: 0, y: 0, width: 10, height: 10 });
+        for (let frame = 0; frame < 20; frame++) {
+            const box = filter.predict();
+            expect(box.width).toBeGreaterThan(0);
+            expect(box.height).toBeGreaterThan(0);
+        }
+    });
+});
+
+describe('SortTracker', () => {
+    test('should keep IDs when two people cross', () => {
+        const tracker = new SortTracker({ minHits: 2 });
+        const ids = { a: new Set<number>(), b: new Set<number>() };
+
+        // A walks right, B walks left a little lower. At frame 10 B's detection lands exactly
+        // on A's previous box, which is what made nearest-box matching swap their IDs
+        for (let frame = 0; frame <= 20; frame++) {
+            const a = person(frame * 30, 100);
+            const b = person(570 - frame * 30, 110);
+            const tracked = tracker.update(frame % 2 ? [a, b] : [b, a]);
+
+            if (frame >= 1) {
+                expect(tracked).toHaveLength(2);
+            }
+            for (const detection of tracked) {
+                const isA = detection.bbox.y < 105;
+                (isA ? ids.a : ids.b).add(detection.trackId);
+                expect(detection.bbox.x).toBeCloseTo(isA ? frame * 30 : 570 - frame * 30, -1);
+            }
+        }
+
+        expect(ids.a.size).toBe(1);
+        expect(ids.b.size).toBe(1);
+        expect([...ids.a, ...ids.b].sort()).toEqual([1, 2]);
+    });
+
+    test('should confirm tracks after minHits and give IDs only to confirmed tracks', () => {
+        const tracker = new SortTracker({ minHits: 3 });
+
+        // A one-frame false positive never gets an ID
+        expect(tracker.update([person(500, 0, 80, 160, 'dog')])).toEqual([]);
+        expect(tracker.update([person(0, 0)])).toEqual([]);
+        expect(tracker.getTracks().map(track => track.state)).toEqual(['tentative']);
+        expect(tracker.update([person(5, 0)])).toEqual([]);
+
+        const confirmed = tracker.update([person(10, 0)]);
+        expect(confirmed).toEqual([expect.objectContaining({ trackId: 1, framesSeen: 3, state: 'confirmed', class: 'person' })]);
+    });
+
+    test('should keep lost tracks for maxAge frames and resume them with the same ID', () => {
+        const tracker = new SortTracker({ minHits: 1, maxAge: 3 });
+        tracker.update([person(0, 0)]);
+        tracker.update([person(10, 0)]);
+
+        // Occluded for three frames: predicted onwards, not reported
+        for (let frame = 0; frame < 3; frame++) {
+            expect(tracker.update([])).toEqual([]);
+            expect(tracker.getTracks()[0]).toEqual(expect.objectContaining({ id: 1, state: 'lost', missedFrames: frame + 1 }));
+        }
+        expect(tracker.getTracks()[0]!.bbox.x).toBeGreaterThan(20);
+
+        const resumed = tracker.update([person(60, 0)]);
+        expect(resumed).toEqual([expect.objectContaining({ trackId: 1, state: 'confirmed', framesSeen: 3 })]);
+
+        // Gone for longer than maxAge
+        for (let frame = 0; frame < 4; frame++) tracker.update([]);
+        expect(tracker.getTracks()).toEqual([]);
+        expect(tracker.update([person(60, 0)])[0]?.trackId).toBe(2);
+    });
+
+    test('should drop tentative tracks on their first miss', () => {
+        const tracker = new SortTracker({ minHits: 3 });
+        tracker.update([person(0, 0)]);
+        tracker.update([person(0, 0)]);
+        tracker.update([]);
+        expect(tracker.getTracks()).toEqual([]);
+    });
+
+    test('should not continue a track with a detection of another class', () => {
+        const tracker = new SortTracker({ minHits: 1 });
+        tracker.update([person(0, 0)]);
+        const tracked = tracker.update([person(0, 0, 80, 160, 'dog')]);
+        expect(tracked).toEqual([expect.objectContaining({ class: 'dog', trackId: 2 })]);
+        expect(tracker.getTracks().map(track => track.state)).toEqual(['lost', 'confirmed']);
+    });
+
+    test('should not match boxes below the IoU threshold', () => {
+        const tracker = new SortTracker({ minHits: 1, iouThreshold: 0.3 });
+        tracker.update([person(0, 0)]);
+        expect(tracker.update([person(70, 0)])[0]?.trackId).toBe(2);
+    });
+
+    test('should cap the number of tracks and reset', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const tracker = new SortTracker({ minHits: 1, maxTracks: 3 });
+        tracker.update([person(0, 0), person(200, 0)]);
+        tracker.update([person(400, 0), person(600, 0)]);
+
+        // The tracks missed in the latest frame go first
+        expect(tracker.getTracks().map(track => track.id)).toEqual([1, 3, 4]);
+        expect(warn).toHaveBeenCalled();
+        warn.mockRestore();
+
+        tracker.reset();
+        expect(tracker.getTracks()).toEqual([]);
+        expect(tracker.update([person(0, 0)])[0]?.trackId).toBe(1);
+    });
+});
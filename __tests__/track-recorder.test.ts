@@ -0,0 +1,123 @@
+/**
+ * Tests for TrackRecorder
+ */
+
+import { TrackRecorder, TrackedDetection } from '../track-recorder';
+
+const T0 = Date.UTC(2024, 4, 1, 12, 0, 0);
+
+function box(trackId: number, x: number, className = 'person', state = 'confirmed'): TrackedDetection {
+    return { class: className, confidence: 0.87654, bbox: { x, y: 20, width: 40, height: 80 }, trackId, state };
+}
+
+/**
+ * Recorder with three frames: track 1 in all of them, track 2 (a car) in the last two
+ */
+function recordSequence(): TrackRecorder {
+    const recorder = new TrackRecorder();
+    recorder.start(640, 480, 'street');
+    recorder.record([box(1, 10)], T0);
+    recorder.record([box(1, 20), box(2, 300, 'car'), box(3, 100, 'person', 'tentative')], T0 + 1000);
+    recorder.record([box(1, 30.555), box(2, 290, 'car')], T0 + 2000);
+    return recorder;
+}
+
+describe('TrackRecorder', () => {
+    test('should record confirmed tracks only while recording', () => {
+        const recorder = new TrackRecorder();
+        expect(recorder.record([box(1, 10)], T0)).toBe(false);
+
+        const sequence = recordSequence();
+        expect(sequence.getFrames().map(frame => frame.boxes.map(b => b.trackId))).toEqual([[1], [1, 2], [1, 2]]);
+        expect(sequence.getTracks()).toEqual([
+            { trackId: 1, class: 'person', firstFrame: 1, lastFrame: 3, startTime: T0, endTime: T0 + 2000, frames: 3 },
+            { trackId: 2, class: 'car', firstFrame: 2, lastFrame: 3, startTime: T0 + 1000, endTime: T0 + 2000, frames: 2 },
+        ]);
+
+        sequence.stop();
+        expect(sequence.record([box(1, 40)], T0 + 3000)).toBe(false);
+        expect(sequence.hasRecording()).toBe(true);
+    });
+
+    test('should keep frame numbers for frames without tracks and stop at the frame limit', () => {
+        const recorder = new TrackRecorder({ maxFrames: 2 });
+        recorder.start(640, 480);
+        recorder.record([], T0);
+        recorder.record([box(1, 10)], T0 + 100);
+        expect(recorder.getFrames()[1]?.index).toBe(2);
+
+        expect(recorder.record([box(1, 10)], T0 + 200)).toBe(false);
+        expect(recorder.isRecording()).toBe(false);
+    });
+
+    test('should write MOTChallenge results', () => {
+        expect(recordSequence().toMot()).toBe([
+            '1,1,11,21,40,80,0.8765,-1,-1,-1',
+            '2,1,21,21,40,80,0.8765,-1,-1,-1',
+            '2,2,301,21,40,80,0.8765,-1,-1,-1',
+            '3,1,31.56,21,40,80,0.8765,-1,-1,-1',
+            '3,2,291,21,40,80,0.8765,-1,-1,-1',
+            '',
+        ].join('\n'));
+        expect(new TrackRecorder().toMot()).toBe('');
+    });
+
+    test('should write COCO video annotations with track IDs', () => {
+        const coco = recordSequence().toCocoVideo() as any;
+
+        expect(coco.videos).toEqual([{ id: 1, name: 'street', width: 640, height: 480, length: 3 }]);
+        expect(coco.images[2]).toEqual({
+            id: 3, video_id: 1, frame_id: 2, file_name: 'street/000003.jpg', width: 640, height: 480,
+            timestamp: '2024-05-01T12:00:02.000Z',
+        });
+        expect(coco.categories).toEqual([{ id: 1, name: 'car' }, { id: 2, name: 'person' }]);
+        expect(coco.tracks).toEqual([{ id: 1, category_id: 2, video_id: 1 }, { id: 2, category_id: 1, video_id: 1 }]);
+        expect(coco.annotations).toHaveLength(5);
+        expect(coco.annotations[2]).toEqual({
+            id: 3, image_id: 2, video_id: 1, track_id: 2, category_id: 1,
+            bbox: [300, 20, 40, 80], area: 3200, iscrowd: 0, score: 0.8765,
+        });
+    });
+
+    test('should write the camera path over each track as GeoJSON', () => {
+        const recorder = new TrackRecorder();
+        recorder.start(640, 480);
+        recorder.recordPosition({ latitude: 50, longitude: 8 }, T0 - 1000);
+        recorder.recordPosition({ latitude: 50.002, longitude: 8.002 }, T0 + 1000);
+        recorder.recordPosition({ latitude: 51, longitude: 9 }, T0 + 1500); // Too soon after the last one
+        recorder.recordPosition({ latitude: 50.004, longitude: 8.004 }, T0 + 3000);
+
+        recorder.record([box(1, 10)], T0);
+        recorder.record([box(1, 20)], T0 + 2000);
+        recorder.record([box(2, 20)], T0 + 5000);
+
+        const geojson = recorder.toGeoJson();
+        expect(geojson.type).toBe('FeatureCollection');
+
+        const [moving, still] = geojson.features;
+        expect(moving?.geometry).toEqual({ type: 'LineString', coordinates: [[8.001, 50.001], [8.002, 50.002], [8.003, 50.003]] });
+        expect(moving?.properties).toEqual(expect.objectContaining({
+            trackId: 1,
+            class: 'person',
+            startTime: '2024-05-01T12:00:00.000Z',
+            endTime: '2024-05-01T12:00:02.000Z',
+            duration: 2000,
+            frames: 2,
+            coordTimes: ['2024-05-01T12:00:00.000Z', '2024-05-01T12:00:01.000Z', '2024-05-01T12:00:02.000Z'],
+        }));
+
+        // After the last position: where the camera was last seen
+        expect(still?.geometry).toEqual({ type: 'Point', coordinates: [8.004, 50.004] });
+    });
+
+    test('should leave out the geometry without GPS', () => {
+        const geojson = recordSequence().toGeoJson();
+        expect(geojson.features).toHaveLength(2);
+        expect(geojson.features[0]?.geometry).toBeNull();
+    });
+
+    test('should summarize the recording', () => {
+        expect(TrackRecorder.formatSummary(new TrackRecorder())).toBe('No frames recorded');
+        expect(TrackRecorder.formatSummary(recordSequence())).toBe('3 frames · 2 tracks · 2 s');
+    });
+});
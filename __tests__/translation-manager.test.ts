@@ -0,0 +1,171 @@
+/**
+ * Tests for TranslationManager and its translators
+ */
+
+import { TranslationManager, DictionaryTranslator, HttpTranslator, PhraseTable, Translator, TranslationResult } from '../translation-manager';
+
+const table: PhraseTable = {
+    version: 1,
+    pivot: 'en',
+    languages: {
+        de: {
+            'ausgang': 'exit',
+            'notausgang': 'emergency exit',
+            'einfahrt verboten': 'no entry',
+            'geöffnet': 'open',
+        },
+        fr: {
+            'sortie': 'exit',
+            'sens interdit': 'no entry',
+        },
+        ru: {
+            'выход': 'exit',
+        },
+    },
+};
+
+/**
+ * Translator that answers from a fixed map and records its calls
+ */
+class StubTranslator implements Translator {
+    calls: string[] = [];
+
+    constructor(readonly name: string, private readonly answers: Record<string, string>, private available = true) {}
+
+    isAvailable(): boolean {
+        return this.available;
+    }
+
+    async translate(text: string, source: string, target: string): Promise<TranslationResult | null> {
+        this.calls.push(text);
+        const answer = this.answers[text];
+        return answer ? { text: answer, source: source === 'auto' ? 'de' : source, target, translator: this.name } : null;
+    }
+}
+
+describe('DictionaryTranslator', () => {
+    const dictionary = new DictionaryTranslator(table);
+
+    test('should translate phrases, preferring the longest match', async () => {
+        const result = await dictionary.translate('Einfahrt verboten\nAusgang 3', 'de', 'en');
+        expect(result).toEqual({ text: 'No entry\nExit 3', source: 'de', target: 'en', translator: 'dictionary' });
+    });
+
+    test('should keep all-caps signage in capitals', async () => {
+        expect((await dictionary.translate('NOTAUSGANG', 'de', 'en'))?.text).toBe('EMERGENCY EXIT');
+    });
+
+    test('should match text without accents', async () => {
+        expect((await dictionary.translate('geoffnet', 'de', 'en'))?.text).toBe('open');
+    });
+
+    test('should detect the source language', async () => {
+        expect(dictionary.detectLanguage('SENS INTERDIT')).toBe('fr');
+        expect(dictionary.detectLanguage('Выход')).toBe('ru');
+        expect(dictionary.detectLanguage('Exit')).toBe('en');
+        expect(dictionary.detectLanguage('Bonjour')).toBeNull();
+        expect((await dictionary.translate('Выход', 'auto', 'en'))?.source).toBe('ru');
+    });
+
+    test('should translate between other languages through the pivot', async () => {
+        expect((await dictionary.translate('Sortie', 'fr', 'de'))?.text).toBe('Ausgang');
+        expect((await dictionary.translate('no entry', 'en', 'fr'))?.text).toBe('sens interdit');
+    });
+
+    test('should return null when nothing matches or no translation is needed', async () => {
+        expect(await dictionary.translate('Bahnhofstraße 12', 'de', 'en')).toBeNull();
+        expect(await dictionary.translate('Exit', 'auto', 'en')).toBeNull();
+        expect(await dictionary.translate('Ausgang', 'de', 'ja')).toBeNull();
+    });
+
+    test('should not join words across punctuation', async () => {
+        expect((await dictionary.translate('Einfahrt, verboten', 'de', 'en'))).toBeNull();
+    });
+});
+
+describe('HttpTranslator', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    test('should post to the LibreTranslate API', async () => {
+        global.fetch = jest.fn().mockResolvedValue({
+            ok: true,
+            json: async () => ({ translatedText: 'Exit', detectedLanguage: { language: 'de', confidence: 90 } }),
+        }) as any;
+
+        const translator = new HttpTranslator('https://translate.example.org/', 'secret');
+        const result = await translator.translate('Ausgang', 'auto', 'en');
+
+        expect(result).toEqual({ text: 'Exit', source: 'de', target: 'en', translator: 'server' });
+        const [url, init] = (global.fetch as jest.Mock).mock.calls[0];
+        expect(url).toBe('https://translate.example.org/translate');
+        expect(JSON.parse(init.body)).toEqual({ q: 'Ausgang', source: 'auto', target: 'en', format: 'text', api_key: 'secret' });
+    });
+
+    test('should reject on server errors', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 }) as any;
+
+        await expect(new HttpTranslator('http://localhost:5000').translate('Ausgang', 'de', 'en'))
+            .rejects.toThrow('Translation server error: HTTP 503');
+    });
+});
+
+describe('TranslationManager', () => {
+    test('should fall back to the next translator', async () => {
+        const server = new StubTranslator('server', {}, false);
+        const dictionary = new StubTranslator('dictionary', { Ausgang: 'Exit' });
+        const manager = new TranslationManager({ targetLanguage: 'en' });
+        manager.setTranslators([server, dictionary]);
+
+        const result = await manager.translate(' Ausgang ');
+
+        expect(result?.text).toBe('Exit');
+        expect(result?.translator).toBe('dictionary');
+        expect(server.calls).toEqual([]);
+    });
+
+    test('should fall back when a translator fails', async () => {
+        const failing: Translator = {
+            name: 'server',
+            isAvailable: () => true,
+            translate: jest.fn().mockRejectedValue(new Error('timeout')),
+        };
+        const dictionary = new StubTranslator('dictionary', { Ausgang: 'Exit' });
+        const manager = new TranslationManager();
+        manager.setTranslators([failing, dictionary]);
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect((await manager.translate('Ausgang'))?.translator).toBe('dictionary');
+        warn.mockRestore();
+    });
+
+    test('should cache recent translations', async () => {
+        const dictionary = new StubTranslator('dictionary', { Ausgang: 'Exit', Sortie: 'Exit' });
+        const manager = new TranslationManager({ cacheSize: 1 });
+        manager.setTranslators([dictionary]);
+
+        await manager.translate('Ausgang');
+        await manager.translate('Ausgang');
+        expect(dictionary.calls).toEqual(['Ausgang']);
+
+        await manager.translate('Sortie');
+        await manager.translate('Ausgang');
+        expect(dictionary.calls).toEqual(['Ausgang', 'Sortie', 'Ausgang']);
+    });
+
+    test('should clear the cache when the target language changes', async () => {
+        const dictionary = new StubTranslator('dictionary', { Ausgang: 'Exit' });
+        const manager = new TranslationManager();
+        manager.setTranslators([dictionary]);
+
+        await manager.translate('Ausgang');
+        manager.setTargetLanguage('fr');
+        await manager.translate('Ausgang');
+
+        expect(manager.getTargetLanguage()).toBe('fr');
+        expect(dictionary.calls).toHaveLength(2);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for ZoneAnalytics and ZoneMath
+ */
+
+import { ZoneAnalytics, ZoneMath, TrackedDetection } from '../zone-analytics';
+
+const FRAME_WIDTH = 1000;
+const FRAME_HEIGHT = 1000;
+
+/**
+ * Detection whose bottom center (where it is counted) is at a normalized point
+ */
+function at(trackId: number, x: number, y: number, className = 'person'): TrackedDetection {
+    return {
+        class: className,
+        bbox: { x: x * FRAME_WIDTH - 20, y: y * FRAME_HEIGHT - 80, width: 40, height: 80 },
+        trackId,
+    };
+}
+
+function update(analytics: ZoneAnalytics, detections: TrackedDetection[], timestamp: number) {
+    return analytics.update(detections, FRAME_WIDTH, FRAME_HEIGHT, timestamp);
+}
+
+const square = [{ x: 0.2, y: 0.2 }, { x: 0.6, y: 0.2 }, { x: 0.6, y: 0.6 }, { x: 0.2, y: 0.6 }];
+
+describe('ZoneMath', () => {
+    test('should count detections at the bottom center of their box', () => {
+        expect(ZoneMath.anchor({ x: 100, y: 200, width: 50, height: 100 }, 1000, 500)).toEqual({ x: 0.125, y: 0.6 });
+    });
+
+    test('should test points against polygons', () => {
+        expect(ZoneMath.contains(square, { x: 0.4, y: 0.4 })).toBe(true);
+        expect(ZoneMath.contains(square, { x: 0.7, y: 0.4 })).toBe(false);
+
+        // Concave "L": the notch is outside
+        const l = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 0.4 }, { x: 0.4, y: 0.4 }, { x: 0.4, y: 1 }, { x: 0, y: 1 }];
+        expect(ZoneMath.contains(l, { x: 0.7, y: 0.7 })).toBe(false);
+        expect(ZoneMath.contains(l, { x: 0.2, y: 0.7 })).toBe(true);
+    });
+
+    test('should put the right-hand side of a line on the positive side', () => {
+        const from = { x: 0, y: 0.5 };
+        const to = { x: 1, y: 0.5 };
+        expect(ZoneMath.side(from, to, { x: 0.5, y: 0.7 })).toBeCloseTo(0.2);
+        expect(ZoneMath.side(from, to, { x: 0.5, y: 0.4 })).toBeCloseTo(-0.1);
+        expect(ZoneMath.crossingAt(from, to, { x: 0.25, y: 0 }, { x: 0.25, y: 1 })).toBeCloseTo(0.25);
+    });
+});
+
+describe('ZoneAnalytics', () => {
+    test('should count occupancy, entries and dwell time per class', () => {
+        const analytics = new ZoneAnalytics();
+        const zone = analytics.addZone(square, 'Plaza');
+
+        const enter = update(analytics, [at(1, 0.1, 0.4), at(2, 0.4, 0.4, 'dog')], 0);
+        expect(enter).toEqual([expect.objectContaining({ type: 'enter', trackId: 2, class: 'dog', regionName: 'Plaza' })]);
+
+        update(analytics, [at(1, 0.3, 0.4), at(2, 0.4, 0.4, 'dog')], 1000);
+        expect(analytics.getZoneStats()[0]?.occupancy).toEqual({ person: 1, dog: 1 });
+        expect(analytics.getDwellTimes(3000).find(dwell => dwell.trackId === 1)?.dwell).toBe(2000);
+
+        const exit = update(analytics, [at(1, 0.8, 0.4), at(2, 0.4, 0.4, 'dog')], 4000);
+        expect(exit).toEqual([expect.objectContaining({ type: 'exit', trackId: 1, regionId: zone.id, dwell: 3000 })]);
+
+        const stats = analytics.getZoneStats()[0]!;
+        expect(stats.occupancy).toEqual({ dog: 1 });
+        expect(stats.entries).toEqual({ person: 1, dog: 1 });
+        expect(stats.averageDwell).toEqual({ person: 3000 });
+    });
+
+    test('should let tracks that disappear leave the zone when last seen', () => {
+        const analytics = new ZoneAnalytics({ trackTimeout: 1000 });
+        analytics.addZone(square);
+
+        update(analytics, [at(1, 0.4, 0.4)], 0);
+        update(analytics, [at(1, 0.4, 0.4)], 500);
+        expect(update(analytics, [], 1200)).toEqual([]);
+
+        const events = update(analytics, [], 1600);
+        expect(events).toEqual([expect.objectContaining({ type: 'exit', trackId: 1, dwell: 500, timestamp: 500 })]);
+        expect(analytics.getZoneStats()[0]?.occupancy).toEqual({});
+    });
+
+    test('should count line crossings per class and direction', () => {
+        const analytics = new ZoneAnalytics();
+        // Left to right across the frame: 'in' is downwards
+        const line = analytics.addLine({ x: 0.2, y: 0.5 }, { x: 0.8, y: 0.5 }, 'Gate');
+
+        update(analytics, [at(1, 0.3, 0.3), at(2, 0.6, 0.8, 'car')], 0);
+        const events = update(analytics, [at(1, 0.35, 0.7), at(2, 0.6, 0.2, 'car')], 100);
+
+        expect(events).toEqual([
+            expect.objectContaining({ type: 'cross', trackId: 1, direction: 'in', regionId: line.id }),
+            expect.objectContaining({ type: 'cross', trackId: 2, direction: 'out', class: 'car' }),
+        ]);
+        expect(analytics.getLineStats()[0]?.counts).toEqual({
+            person: { in: 1, out: 0 },
+            car: { in: 0, out: 1 },
+        });
+    });
+
+    test('should not count tracks passing beside the line or jittering on it', () => {
+        const analytics = new ZoneAnalytics({ lineMargin: 0.02 });
+        analytics.addLine({ x: 0.2, y: 0.5 }, { x: 0.8, y: 0.5 });
+
+        // Beside the line
+        update(analytics, [at(1, 0.9, 0.3)], 0);
+        expect(update(analytics, [at(1, 0.9, 0.7)], 100)).toEqual([]);
+
+        // Wobbling within the margin, then through
+        update(analytics, [at(2, 0.5, 0.4)], 0);
+        expect(update(analytics, [at(2, 0.5, 0.51)], 100)).toEqual([]);
+        expect(update(analytics, [at(2, 0.5, 0.49)], 200)).toEqual([]);
+        expect(update(analytics, [at(2, 0.5, 0.51)], 300)).toEqual([]);
+        expect(update(analytics, [at(2, 0.5, 0.6)], 400)).toHaveLength(1);
+        expect(update(analytics, [at(2, 0.5, 0.49)], 500)).toEqual([]);
+
+        expect(analytics.getLineStats()[0]?.counts).toEqual({ person: { in: 1, out: 0 } });
+    });
+
+    test('should ignore detections without a track', () => {
+        const analytics = new ZoneAnalytics();
+        analytics.addZone(square);
+        expect(update(analytics, [{ class: 'person', bbox: { x: 380, y: 320, width: 40, height: 80 } }], 0)).toEqual([]);
+    });
+
+    test('should keep regions and restart counts when regions are restored', () => {
+        const analytics = new ZoneAnalytics();
+        analytics.addZone(square);
+        analytics.addLine({ x: 0, y: 0.5 }, { x: 1, y: 0.5 });
+        update(analytics, [at(1, 0.4, 0.4)], 0);
+
+        const saved = JSON.parse(JSON.stringify(analytics.getRegions()));
+        const restored = new ZoneAnalytics();
+        restored.setRegions(saved);
+
+        expect(restored.getRegions()).toEqual(saved);
+        expect(restored.getZoneStats()[0]?.entries).toEqual({});
+        expect(restored.addZone(square).id).toBe(3);
+
+        restored.removeRegion(1);
+        expect(restored.getRegions().map(region => region.id)).toEqual([2, 3]);
+        expect(() => restored.addZone(square.slice(0, 2))).toThrow();
+    });
+
+    test('should summarize counts', () => {
+        const analytics = new ZoneAnalytics();
+        analytics.addZone(square);
+        analytics.addLine({ x: 0.2, y: 0.5 }, { x: 0.8, y: 0.5 });
+        expect(ZoneAnalytics.formatZoneStats(analytics.getZoneStats()[0]!)).toBe('No counts yet');
+
+        update(analytics, [at(1, 0.3, 0.3), at(2, 0.4, 0.4, 'dog')], 0);
+        update(analytics, [at(1, 0.3, 0.7), at(2, 0.4, 0.4, 'dog')], 32000);
+
+        expect(ZoneAnalytics.formatZoneStats(analytics.getZoneStats()[0]!))
+            .toBe('person: 0 now, 1 entered, avg 32 s · dog: 1 now, 1 entered');
+        expect(ZoneAnalytics.formatLineStats(analytics.getLineStats()[0]!)).toBe('person: in 1, out 0');
+    });
+
+    test('should format dwell times', () => {
+        expect(ZoneAnalytics.formatDwell(45200)).toBe('45 s');
+        expect(ZoneAnalytics.formatDwell(192000)).toBe('3 min 12 s');
+        expect(ZoneAnalytics.formatDwell(120000)).toBe('2 min');
+    });
+});
@@ -3,37 +3,69 @@
  * Handles TensorFlow.js operations in background thread
  */
 
-// Import TensorFlow.js and COCO-SSD in worker context
-importScripts('https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/tf.min.js');
-importScripts('https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.2/dist/coco-ssd.min.js');
+// Shared constants, the offline bundle and custom model support; TensorFlow.js and COCO-SSD
+// are imported when the model is first loaded (see loadLibraries)
+importScripts('constants.js', 'offline-assets.js', 'custom-detector.js');
 
 class AIWorker {
     constructor() {
         this.model = null;
+        this.modelConfig = null; // Custom model config; null for COCO-SSD
         this.isModelLoaded = false;
         this.isLoading = false;
         this.detectionThreshold = 0.5;
         this.maxDetections = 20;
     }
 
+    /**
+     * Import TensorFlow.js and COCO-SSD, from the app origin when the offline bundle is verified
+     */
+    async loadLibraries() {
+        if (typeof tf !== 'undefined' && typeof cocoSsd !== 'undefined') {
+            return;
+        }
+
+        const urls = [
+            await OfflineAssets.getUrl('tfjs', 'tf.min.js'),
+            await OfflineAssets.getUrl('cocoSsd', 'coco-ssd.min.js')
+        ];
+        console.log('[AI Worker] Loading TensorFlow.js from', urls[0]);
+        importScripts(...urls);
+    }
+
     /**
      * Initialize the AI model
+     * @param {Object|null} [config] - Normalized CustomDetector config; null for COCO-SSD.
+     *   A different config than the loaded one replaces the model
      */
-    async initializeModel() {
-        if (this.isModelLoaded || this.isLoading) {
-            return { success: this.isModelLoaded, message: 'Model already loaded or loading' };
+    async initializeModel(config = null) {
+        if (this.isLoading) {
+            return { success: false, message: 'Model loading' };
+        }
+        if (this.isModelLoaded) {
+            if (JSON.stringify(config) === JSON.stringify(this.modelConfig)) {
+                return { success: true, message: 'Model already loaded' };
+            }
+            this.model.dispose();
+            this.model = null;
+            this.isModelLoaded = false;
         }
 
         this.isLoading = true;
         console.log('[AI Worker] Loading AI model...');
 
         try {
+            await this.loadLibraries();
+
             // Set TensorFlow.js backend for worker environment
             await tf.setBackend('cpu');
             await tf.ready();
 
-            // Load the COCO-SSD model
-            this.model = await cocoSsd.load();
+            // Load the custom model or COCO-SSD (its weights from the offline bundle when verified)
+            this.model = config
+                ? await CustomDetector.load(config)
+                : await cocoSsd.load({ modelUrl: await OfflineAssets.getModelUrl('cocoSsdModel') });
+            this.modelConfig = config;
             this.isModelLoaded = true;
 
             console.log('[AI Worker] AI model loaded successfully');
@@ -53,7 +85,7 @@ class AIWorker {
      */
     async detectObjects(imageData, width, height) {
         if (!this.isModelLoaded) {
-            const initResult = await this.initializeModel();
+            const initResult = await this.initializeModel(this.modelConfig);
             if (!initResult.success) {
                 return {
                     success: false,
@@ -170,7 +202,7 @@ self.onmessage = async function(event) {
 
         switch (type) {
             case 'INIT_MODEL':
-                result = await aiWorker.initializeModel();
+                result = await aiWorker.initializeModel(data.config || null);
                 break;
 
             case 'DETECT_OBJECTS':
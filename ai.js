@@ -30,29 +30,20 @@ class AIRecognitionManager {
         // Fallback properties for non-worker mode
         this.model = null;
         this.modelBase = 'lite_mobilenet_v2'; // Fastest model
+        this.customModelConfig = null; // Custom TF.js model (CustomDetector config); null uses COCO-SSD
+        this.customModelError = null; // Why the custom model last failed to load
 
-        // Object tracking and smoothing
-        this.trackedObjects = [];
-        this.objectIdCounter = 0;
-        this.trackingIoUThreshold = 0.4; // Higher threshold for more confident matching
-        this.minDetectionFrames = 1; // Show objects immediately for continuous display
-        this.maxMissingFrames = 5; // Longer persistence to maintain tracking through brief occlusions
+        // Object tracking (SortTracker from sort-tracker.ts, created on first use)
+        this.tracker = null;
+        this.trackingIoUThreshold = 0.3; // Minimum IoU between a detection and a track's predicted box
+        this.minDetectionFrames = 2; // Frames before a track is confirmed; one-frame false positives get no ID
+        this.maxMissingFrames = 5; // Frames a lost track is kept, to bridge brief occlusions
+        this.maxTrackedObjects = 50;
 
         // NMS settings
         this.nmsIoUThreshold = 0.5;
         this.enableNMS = true;
 
-        // Temporal smoothing settings - Optimized for sticky tracking
-        this.smoothingAlpha = 0.75; // Higher = more responsive, lower = smoother
-        this.enableSmoothing = true; // Keep enabled for stability
-        this.adaptiveSmoothing = true; // Adjust smoothing based on motion speed
-
-        // Velocity-based tracking for better following
-        this.enableVelocityTracking = true;
-        this.velocitySmoothing = 0.7; // Higher smoothing for more stable velocity
-        this.predictionWeight = 0.5; // Increased trust in velocity prediction for better sticking
-        this.maxVelocity = 500; // Maximum velocity (pixels per second) to prevent jumps
-
         // Detection statistics
         this.detectionStats = {
             frameCount: 0,
@@ -153,7 +144,11 @@ class AIRecognitionManager {
             if (this.worker) {
                 // Use worker
                 console.log('📦 Using Web Worker for AI processing');
-                const result = await this.sendWorkerMessage('INIT_MODEL');
+                let result = await this.sendWorkerMessage('INIT_MODEL', { config: this.customModelConfig });
+                if (!result.success && this.customModelConfig) {
+                    this.useCocoSsdAfterFailure(result.message);
+                    result = await this.sendWorkerMessage('INIT_MODEL', { config: null });
+                }
                 this.isModelLoaded = result.success;
                 if (result.success) {
                     console.log('✅ AI model loaded successfully (worker)');
@@ -187,11 +182,6 @@ class AIRecognitionManager {
                 throw new Error('TensorFlow.js not loaded');
             }
 
-            // Check if COCO-SSD model is available
-            if (typeof cocoSsd === 'undefined') {
-                throw new Error('COCO-SSD model not loaded');
-            }
-
             // Suppress TensorFlow warnings about kernel registration
             // Multiple models (COCO-SSD, BlazeFace, PoseNet) register the same kernels
             // which causes hundreds of harmless "already registered" warnings
@@ -212,11 +202,28 @@ class AIRecognitionManager {
                 console.log('✅ TensorFlow.js CPU backend ready');
             }
 
+            if (this.customModelConfig) {
+                try {
+                    this.model = await CustomDetector.load(this.customModelConfig);
+                    this.isModelLoaded = true;
+                    console.log(`✅ Custom detection model loaded: ${this.customModelConfig.name} (${this.getModelInfo().classes.length} classes)`);
+                    return true;
+                } catch (error) {
+                    this.useCocoSsdAfterFailure(error.message);
+                }
+            }
+
+            // Check if COCO-SSD model is available
+            if (typeof cocoSsd === 'undefined') {
+                throw new Error('COCO-SSD model not loaded');
+            }
+
             console.log('🚀 Loading COCO-SSD with lite_mobilenet_v2 + OpenCV.js acceleration...');
 
-            // Load COCO-SSD with fastest base model
+            // Load COCO-SSD with fastest base model, from the offline bundle when it is verified
             this.model = await cocoSsd.load({
-                base: this.modelBase
+                base: this.modelBase,
+                modelUrl: await OfflineAssets.getModelUrl('cocoSsdModel')
             });
 
             this.isModelLoaded = true;
@@ -235,6 +242,112 @@ class AIRecognitionManager {
         }
     }
 
+    /**
+     * Drop a custom model that failed to load so COCO-SSD is loaded instead
+     * @param {string} message - Why the custom model failed
+     */
+    useCocoSsdAfterFailure(message) {
+        console.error(`❌ Failed to load custom model ${this.customModelConfig.name}, falling back to COCO-SSD:`, message);
+        this.customModelError = message;
+        this.customModelConfig = null;
+        AIRecognitionManager.CLASS_COLORS = this.initializeClassColors();
+    }
+
+    /**
+     * Switch detection to a custom TF.js graph model, or back to COCO-SSD.
+     * A custom model is loaded right away so a bad model or label map is reported here;
+     * COCO-SSD only when detection has already started
+     * @param {Object|null} config - CustomDetector config: { name, modelUrl, labels | labelsUrl, format,
+     *   inputSize, ... }; null for COCO-SSD
+     * @param {Object} [source] - tf.io handler (e.g. tf.io.browserFiles) to load the model from
+     *   instead of config.modelUrl; the model is then saved to IndexedDB so it survives reloads
+     * @returns {Promise<Object|null>} The normalized config to persist
+     */
+    async setDetectionModel(config, source = null) {
+        if (this.isLoading) {
+            throw new Error('A model is still loading');
+        }
+
+        let normalized = null;
+        if (config) {
+            const labels = config.labels || (config.labelsUrl ? await CustomDetector.fetchLabels(config.labelsUrl) : null);
+            normalized = CustomDetector.normalizeConfig({
+                ...config,
+                labels,
+                modelUrl: source ? AppConstants.AI.CUSTOM_MODEL_STORE : config.modelUrl
+            });
+            delete normalized.labelsUrl;
+
+            if (source) {
+                const model = await CustomDetector.load(normalized, source);
+                await model.model.save(AppConstants.AI.CUSTOM_MODEL_STORE);
+                model.dispose();
+            }
+        }
+
+        this.customModelConfig = normalized;
+        this.customModelError = null;
+        AIRecognitionManager.CLASS_COLORS = this.initializeClassColors(normalized ? normalized.labels : []);
+
+        if (this.isModelLoaded || normalized) {
+            if (this.model) {
+                this.model.dispose();
+                this.model = null;
+            }
+            this.isModelLoaded = false;
+            this.resetDetectionStats();
+
+            await this.initializeModel();
+            if (this.customModelError) {
+                throw new Error(this.customModelError);
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Restore a saved custom model without loading it; it is loaded when detection starts
+     * @param {Object} config - Normalized config as returned by setDetectionModel
+     */
+    restoreDetectionModel(config) {
+        this.customModelConfig = CustomDetector.normalizeConfig(config);
+        AIRecognitionManager.CLASS_COLORS = this.initializeClassColors(this.customModelConfig.labels);
+    }
+
+    /**
+     * Describe the active detection model
+     * @returns {Object} { name, custom, format, inputSize, classes }
+     */
+    getModelInfo() {
+        const config = this.customModelConfig;
+        if (!config) {
+            return {
+                name: 'COCO-SSD',
+                custom: false,
+                format: 'ssd',
+                inputSize: this.inputSize,
+                classes: Object.keys(this.initializeClassColors())
+            };
+        }
+        return {
+            name: config.name,
+            custom: true,
+            format: config.format,
+            inputSize: config.inputSize,
+            classes: config.labels.filter(label => label)
+        };
+    }
+
+    /**
+     * Size real-time frames are downscaled to before detection. A custom model is fed
+     * frames at its own input size, since it does not resize them as aggressively as COCO-SSD
+     * @returns {number}
+     */
+    getProcessingSize() {
+        return this.customModelConfig ? this.customModelConfig.inputSize : this.inputSize;
+    }
+
     /**
      * Detect objects in an image with performance optimizations
      * @param {HTMLImageElement|HTMLCanvasElement|HTMLVideoElement} imageElement
@@ -333,9 +446,10 @@ class AIRecognitionManager {
             }
 
             // Optimize size for real-time processing
-            if (isRealTime && (sourceWidth > this.inputSize || sourceHeight > this.inputSize)) {
+            const processingSize = this.getProcessingSize();
+            if (isRealTime && (sourceWidth > processingSize || sourceHeight > processingSize)) {
                 // Scale down for faster processing
-                const scale = Math.min(this.inputSize / sourceWidth, this.inputSize / sourceHeight);
+                const scale = Math.min(processingSize / sourceWidth, processingSize / sourceHeight);
                 width = Math.floor(sourceWidth * scale);
                 height = Math.floor(sourceHeight * scale);
             } else {
@@ -448,8 +562,9 @@ class AIRecognitionManager {
                 }
 
                 // Downscale for performance
-                if (sourceWidth > this.inputSize || sourceHeight > this.inputSize) {
-                    const scale = Math.min(this.inputSize / sourceWidth, this.inputSize / sourceHeight);
+                const processingSize = this.getProcessingSize();
+                if (sourceWidth > processingSize || sourceHeight > processingSize) {
+                    const scale = Math.min(processingSize / sourceWidth, processingSize / sourceHeight);
                     const width = Math.floor(sourceWidth * scale);
                     const height = Math.floor(sourceHeight * scale);
 
@@ -469,10 +584,10 @@ class AIRecognitionManager {
             }
 
             if (!isRealTime) {
-                console.log('Running COCO-SSD detection (ultra-fast mode)...');
+                console.log(`Running ${this.getModelInfo().name} detection (ultra-fast mode)...`);
             }
 
-            // Run COCO-SSD detection
+            // Run detection (a CustomDetector returns the same format as COCO-SSD)
             const predictions = await this.model.detect(processElement);
 
             // Convert COCO-SSD format to our standard format and filter
@@ -568,7 +683,7 @@ class AIRecognitionManager {
                 detections: detections,
                 summary: this.generateDetectionSummary(detections),
                 metadata: {
-                    modelUsed: 'COCO-SSD',
+                    modelUsed: this.getModelInfo().name,
                     threshold: this.detectionThreshold,
                     totalDetections: detections.length
                 }
@@ -783,7 +898,8 @@ class AIRecognitionManager {
      */
     isSupported() {
         try {
-            return typeof tf !== 'undefined' && typeof cocoSsd !== 'undefined';
+            return typeof tf !== 'undefined' &&
+                (typeof cocoSsd !== 'undefined' || (this.customModelConfig !== null && typeof CustomDetector !== 'undefined'));
         } catch (error) {
             return false;
         }
@@ -831,9 +947,12 @@ class AIRecognitionManager {
      */
     /**
      * Initialize class colors for different object types
+     * @param {string[]} [classes] - Labels of a custom model; labels without a COCO color get a
+     *   generated one
+     * @returns {Object} Class name to hex color
      */
-    initializeClassColors() {
-        return {
+    initializeClassColors(classes = []) {
+        const colors = {
             'person': '#E91E63',      // Pink
             'bicycle': '#2196F3',     // Blue
             'car': '#F44336',         // Red
@@ -915,6 +1034,32 @@ class AIRecognitionManager {
             'hair drier': '#616161',  // Dark Grey
             'toothbrush': '#26C6DA'   // Cyan
         };
+
+        // Spread generated hues by the golden angle so neighbouring classes are easy to tell apart
+        let generated = 0;
+        classes.forEach(className => {
+            if (className && !colors[className]) {
+                colors[className] = AIRecognitionManager.hslToHex((generated++ * 137.508 + 20) % 360, 75, 55);
+            }
+        });
+        return colors;
+    }
+
+    /**
+     * Convert an HSL color to hex
+     * @param {number} h - Hue in degrees
+     * @param {number} s - Saturation in percent
+     * @param {number} l - Lightness in percent
+     * @returns {string} e.g. '#E91E63'
+     */
+    static hslToHex(h, s, l) {
+        const a = (s / 100) * Math.min(l / 100, 1 - l / 100);
+        const channel = n => {
+            const k = (n + h / 30) % 12;
+            const value = l / 100 - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+        return `#${channel(0)}${channel(8)}${channel(4)}`.toUpperCase();
     }
 
     /**
@@ -989,243 +1134,35 @@ class AIRecognitionManager {
     }
 
     /**
-     * Smooth bounding box using exponential moving average
-     */
-    smoothBoundingBox(newBox, oldBox, velocity = null, deltaTime = 1, motionMagnitude = 0) {
-        if (!this.enableSmoothing || !oldBox || !newBox) {
-            return newBox;
-        }
-
-        // Validate inputs
-        if (newBox.width <= 0 || newBox.height <= 0) {
-            return newBox;
-        }
-
-        // Adaptive alpha based on motion speed - faster objects need more responsive tracking
-        let alpha = this.smoothingAlpha;
-        if (this.adaptiveSmoothing && motionMagnitude > 0) {
-            // Scale alpha up for faster motion (0-100 pixels/sec -> 0.75-0.95)
-            const motionFactor = Math.min(motionMagnitude / 100, 1.0);
-            alpha = this.smoothingAlpha + (0.2 * motionFactor); // Increase up to 0.95 for fast motion
-            alpha = Math.min(0.95, alpha);
-        }
-
-        let smoothed;
-
-        // Use velocity-based prediction if enabled and velocity is provided
-        if (this.enableVelocityTracking && velocity) {
-            // Predict where the object should be based on velocity
-            const predicted = {
-                x: oldBox.x + velocity.x * deltaTime,
-                y: oldBox.y + velocity.y * deltaTime,
-                width: oldBox.width + velocity.width * deltaTime,
-                height: oldBox.height + velocity.height * deltaTime
-            };
-
-            // Blend between new detection, old position, and prediction
-            const beta = this.predictionWeight; // How much to trust prediction
-            smoothed = {
-                x: Math.round(alpha * newBox.x + (1 - alpha) * (beta * predicted.x + (1 - beta) * oldBox.x)),
-                y: Math.round(alpha * newBox.y + (1 - alpha) * (beta * predicted.y + (1 - beta) * oldBox.y)),
-                width: Math.round(alpha * newBox.width + (1 - alpha) * (beta * predicted.width + (1 - beta) * oldBox.width)),
-                height: Math.round(alpha * newBox.height + (1 - alpha) * (beta * predicted.height + (1 - beta) * oldBox.height))
-            };
-        } else {
-            // Fallback to simple exponential smoothing
-            smoothed = {
-                x: Math.round(alpha * newBox.x + (1 - alpha) * oldBox.x),
-                y: Math.round(alpha * newBox.y + (1 - alpha) * oldBox.y),
-                width: Math.round(alpha * newBox.width + (1 - alpha) * oldBox.width),
-                height: Math.round(alpha * newBox.height + (1 - alpha) * oldBox.height)
-            };
-        }
-
-        // Ensure non-negative dimensions
-        smoothed.width = Math.max(1, smoothed.width);
-        smoothed.height = Math.max(1, smoothed.height);
-
-        return smoothed;
-    }
-
-    /**
-     * Calculate and update velocity for tracked object
-     */
-    updateVelocity(tracked, newBox, deltaTime) {
-        if (!this.enableVelocityTracking || deltaTime <= 0) {
-            return;
-        }
-
-        // Calculate instantaneous velocity
-        let instantVelocity = {
-            x: (newBox.x - tracked.bbox.x) / deltaTime,
-            y: (newBox.y - tracked.bbox.y) / deltaTime,
-            width: (newBox.width - tracked.bbox.width) / deltaTime,
-            height: (newBox.height - tracked.bbox.height) / deltaTime
-        };
-
-        // Clamp velocity to prevent unrealistic jumps (likely detection errors)
-        const clamp = (val, max) => Math.max(-max, Math.min(max, val));
-        instantVelocity = {
-            x: clamp(instantVelocity.x, this.maxVelocity),
-            y: clamp(instantVelocity.y, this.maxVelocity),
-            width: clamp(instantVelocity.width, this.maxVelocity),
-            height: clamp(instantVelocity.height, this.maxVelocity)
-        };
-
-        // Smooth velocity using exponential moving average
-        const vAlpha = this.velocitySmoothing;
-        tracked.velocity = {
-            x: vAlpha * instantVelocity.x + (1 - vAlpha) * tracked.velocity.x,
-            y: vAlpha * instantVelocity.y + (1 - vAlpha) * tracked.velocity.y,
-            width: vAlpha * instantVelocity.width + (1 - vAlpha) * tracked.velocity.width,
-            height: vAlpha * instantVelocity.height + (1 - vAlpha) * tracked.velocity.height
-        };
-
-        // Store motion magnitude for adaptive smoothing
-        tracked.motionMagnitude = Math.sqrt(
-            tracked.velocity.x * tracked.velocity.x +
-            tracked.velocity.y * tracked.velocity.y
-        );
-    }
-
-    /**
-     * Track objects across frames using IoU matching
-     * Optimized to avoid splice and reduce object creation
+     * Track objects across frames with a SORT tracker: a Kalman filter predicts each track's box
+     * and detections are assigned to the predictions optimally on IoU, so IDs survive crossings
+     * @param {Array} detections - { class, confidence, bbox } in video pixels
+     * @returns {Array} Detections of confirmed tracks: { class, confidence, bbox, trackId, framesSeen, state }
      */
     trackObjects(detections) {
-        // Enforce max tracked objects limit to prevent memory growth
-        const MAX_TRACKED_OBJECTS = 50;
-        if (this.trackedObjects.length > MAX_TRACKED_OBJECTS) {
-            // Remove oldest objects that haven't been seen recently
-            this.trackedObjects.sort((a, b) => {
-                // Prioritize objects seen more recently and more frequently
-                const aScore = a.framesSeen - (a.missingFrames * 10);
-                const bScore = b.framesSeen - (b.missingFrames * 10);
-                return bScore - aScore;
-            });
-            this.trackedObjects = this.trackedObjects.slice(0, MAX_TRACKED_OBJECTS);
-            console.warn(`Tracked objects limit reached. Pruned to ${MAX_TRACKED_OBJECTS} objects.`);
-        }
-
-        if (detections.length === 0) {
-            // Increment missing frame count for all tracked objects
-            for (let i = 0; i < this.trackedObjects.length; i++) {
-                this.trackedObjects[i].missingFrames++;
-            }
-
-            // Remove objects that have been missing too long
-            this.trackedObjects = this.trackedObjects.filter(
-                obj => obj.missingFrames < this.maxMissingFrames
-            );
-
-            return [];
-        }
-
-        // Match detections to existing tracked objects
-        const matchedDetections = [];
-        const matched = new Set(); // Track which detections have been matched
-
-        // Try to match each tracked object with a detection
-        for (let t = 0; t < this.trackedObjects.length; t++) {
-            const tracked = this.trackedObjects[t];
-            let bestMatch = null;
-            let bestIoU = 0;
-            let bestIndex = -1;
-
-            // Find best matching detection
-            for (let d = 0; d < detections.length; d++) {
-                if (matched.has(d)) continue; // Skip already matched
-
-                const detection = detections[d];
-                if (detection.class === tracked.class) {
-                    const iou = this.calculateIoU(tracked.bbox, detection.bbox);
-                    if (iou > bestIoU && iou > this.trackingIoUThreshold) {
-                        bestMatch = detection;
-                        bestIoU = iou;
-                        bestIndex = d;
-                    }
+        if (!this.tracker) {
+            if (typeof SortTracker === 'undefined') {
+                if (!this.trackerUnavailable) {
+                    console.warn('Object tracker not loaded; detections are shown without track IDs');
+                    this.trackerUnavailable = true;
                 }
+                this.updateDetectionStats(detections);
+                return detections;
             }
-
-            if (bestMatch) {
-                // Calculate time delta for velocity tracking
-                const currentTime = performance.now();
-                const deltaTime = Math.max(0.001, (currentTime - (tracked.lastUpdateTime || currentTime)) / 1000); // Convert to seconds
-
-                // Update velocity before smoothing
-                this.updateVelocity(tracked, bestMatch.bbox, deltaTime);
-
-                // Update tracked object with velocity-based smoothed bounding box
-                // Pass motion magnitude for adaptive smoothing
-                tracked.bbox = this.smoothBoundingBox(
-                    bestMatch.bbox,
-                    tracked.bbox,
-                    tracked.velocity,
-                    deltaTime,
-                    tracked.motionMagnitude || 0
-                );
-                tracked.confidence = bestMatch.confidence;
-                tracked.framesSeen++;
-                tracked.missingFrames = 0;
-                tracked.lastUpdateTime = currentTime;
-
-                matchedDetections.push({
-                    class: bestMatch.class,
-                    confidence: bestMatch.confidence,
-                    bbox: tracked.bbox,
-                    trackId: tracked.id,
-                    framesSeen: tracked.framesSeen
-                });
-
-                // Mark detection as matched
-                matched.add(bestIndex);
-            } else {
-                tracked.missingFrames++;
-            }
-        }
-
-        // Add unmatched detections as new tracked objects
-        for (let d = 0; d < detections.length; d++) {
-            if (matched.has(d)) continue;
-
-            const detection = detections[d];
-            const newId = ++this.objectIdCounter;
-
-            this.trackedObjects.push({
-                id: newId,
-                class: detection.class,
-                bbox: { ...detection.bbox }, // Clone bbox
-                confidence: detection.confidence,
-                framesSeen: 1,
-                missingFrames: 0,
-                velocity: { x: 0, y: 0, width: 0, height: 0 }, // Track velocity for prediction
-                motionMagnitude: 0, // Motion speed for adaptive smoothing
-                lastUpdateTime: performance.now()
-            });
-
-            matchedDetections.push({
-                class: detection.class,
-                confidence: detection.confidence,
-                bbox: detection.bbox,
-                trackId: newId,
-                framesSeen: 1
+            this.tracker = new SortTracker({
+                iouThreshold: this.trackingIoUThreshold,
+                minHits: this.minDetectionFrames,
+                maxAge: this.maxMissingFrames,
+                maxTracks: this.maxTrackedObjects
             });
         }
 
-        // Remove objects that have been missing too long
-        this.trackedObjects = this.trackedObjects.filter(
-            obj => obj.missingFrames < this.maxMissingFrames
-        );
-
-        // Only return detections that have been seen for minimum frames
-        const stableDetections = matchedDetections.filter(
-            det => det.framesSeen >= this.minDetectionFrames
-        );
+        const trackedDetections = this.tracker.update(detections);
 
         // Update statistics
-        this.updateDetectionStats(stableDetections);
+        this.updateDetectionStats(trackedDetections);
 
-        return stableDetections;
+        return trackedDetections;
     }
 
     /**
@@ -1276,7 +1213,7 @@ class AIRecognitionManager {
             totalDetections: this.detectionStats.totalDetections,
             classCounts: this.detectionStats.classCounts,
             averageDetectionsPerFrame: avgDetections,
-            trackedObjectsCount: this.trackedObjects.length
+            trackedObjectsCount: this.tracker ? this.tracker.getTracks().length : 0
         };
     }
 
@@ -1289,8 +1226,9 @@ class AIRecognitionManager {
             totalDetections: 0,
             classCounts: {}
         };
-        this.trackedObjects = [];
-        this.objectIdCounter = 0;
+        if (this.tracker) {
+            this.tracker.reset();
+        }
     }
 
     /**
@@ -1341,7 +1279,7 @@ class AIRecognitionManager {
      */
     getPerformanceStats() {
         return {
-            inputSize: this.inputSize,
+            inputSize: this.getProcessingSize(),
             skipFrames: this.skipFrames,
             maxDetections: this.maxDetections,
             detectionThreshold: this.detectionThreshold,
@@ -1359,8 +1297,6 @@ class AIRecognitionManager {
         this.isModelLoaded = false;
 
         // Clean up tracking state
-        this.trackedObjects = [];
-        this.objectIdCounter = 0;
         this.resetDetectionStats();
 
         console.log('AI Recognition Manager cleaned up');
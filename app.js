@@ -4,10 +4,18 @@ class PoliCameraApp {
         this.stream = null;
         this.capturedPhotos = [];
         this.selectedPhotos = new Set();
+        this.galleryPhotos = []; // Photos loaded from IndexedDB by the gallery
+        this.mapView = null;
+        this.mapPhotos = []; // Photos opened from map markers
         this.imageStitcher = null;
         this.currentFacingMode = 'environment'; // Start with back camera
         this.isSwitchingCamera = false; // Flag to prevent race conditions
 
+        // Video recording (MediaRecorder lives in CameraManager)
+        this.cameraManager = new CameraManager();
+        this.recordingCues = [];
+        this.isSavingRecording = false;
+
         // Debug mode for developers (check localStorage or URL param)
         this.debugMode = localStorage.getItem('policamera-debug') === 'true' ||
                         new URLSearchParams(window.location.search).has('debug');
@@ -31,8 +39,21 @@ class PoliCameraApp {
         this.isDepthPredictionEnabled = false;
         this.currentDepthMap = null;
         this.isOCREnabled = false;
+        this.isOCRRegionMode = false; // Recognize a dragged box or detected document instead of the whole frame
+        this.ocrRegionDragStart = null;
         this.isBarcodeEnabled = false;
         this.barcodeIntervalId = null;
+        this.isMeasureMode = false; // Taps on the camera view measure distance and object size
+        this.currentDetections = []; // Tracked detections drawn in the last frame
+        this.measurementDepth = null; // Depth values read from currentDepthMap for measuring
+        this.measurementPress = null; // { point, timer } while a tap on the measure layer is held
+        this.zoneTool = null; // 'zone' or 'line' while a region is drawn on the camera view
+        this.zoneDraft = []; // Normalized corners of the region being drawn
+        this.zonePanelRenderedAt = 0;
+        this.isModelSwitching = false; // Detection model being loaded from the model panel
+        this.uploadRetryTimer = null; // Asks for another upload when a queued photo's backoff elapses
+        this.isKeyOperationRunning = false; // Encryption key backup, restore or rotation in progress
+        this.isPhotoEncryptionChanging = false; // Stored photos being encrypted from the settings panel
 
         // Video scaling cache (performance optimization)
         this.cachedVideoScaleX = 1;
@@ -125,10 +146,120 @@ class PoliCameraApp {
         this.depthFab = document.getElementById('depthFab');
         this.cameraSwitchFab = document.getElementById('cameraSwitchFab');
         this.ocrFab = document.getElementById('ocrFab');
+        this.ocrRegionFab = document.getElementById('ocrRegionFab');
+        this.ocrTranslateFab = document.getElementById('ocrTranslateFab');
+        this.ocrRegionLayer = document.getElementById('ocrRegionLayer');
+        this.measureFab = document.getElementById('measureFab');
+        this.measureLayer = document.getElementById('measureLayer');
+        this.zonesFab = document.getElementById('zonesFab');
+        this.zoneLayer = document.getElementById('zoneLayer');
+        this.zonesPanel = document.getElementById('zonesPanel');
+        this.zonesCount = document.getElementById('zonesCount');
+        this.zoneDrawBtn = document.getElementById('zoneDrawBtn');
+        this.zoneLineBtn = document.getElementById('zoneLineBtn');
+        this.zoneResetBtn = document.getElementById('zoneResetBtn');
+        this.zoneCsvBtn = document.getElementById('zoneCsvBtn');
+        this.zonesCloseBtn = document.getElementById('zonesCloseBtn');
+        this.zoneStats = document.getElementById('zoneStats');
+        this.zoneStatus = document.getElementById('zoneStatus');
+        this.trackLogSummary = document.getElementById('trackLogSummary');
+        this.trackLogRecordBtn = document.getElementById('trackLogRecordBtn');
+        this.trackLogExportBtn = document.getElementById('trackLogExportBtn');
+        this.modelFab = document.getElementById('modelFab');
+        this.modelPanel = document.getElementById('modelPanel');
+        this.modelName = document.getElementById('modelName');
+        this.modelFileInput = document.getElementById('modelFileInput');
+        this.modelResetBtn = document.getElementById('modelResetBtn');
+        this.modelCloseBtn = document.getElementById('modelCloseBtn');
+        this.modelUrlForm = document.getElementById('modelUrlForm');
+        this.modelUrlInput = document.getElementById('modelUrlInput');
+        this.modelLabelsInput = document.getElementById('modelLabelsInput');
+        this.modelFormatSelect = document.getElementById('modelFormatSelect');
+        this.modelInputSize = document.getElementById('modelInputSize');
+        this.modelStatus = document.getElementById('modelStatus');
+        this.settingsFab = document.getElementById('settingsFab');
+        this.settingsPanel = document.getElementById('settingsPanel');
+        this.settingsCloseBtn = document.getElementById('settingsCloseBtn');
+        this.uploadEndpointForm = document.getElementById('uploadEndpointForm');
+        this.uploadEndpointInput = document.getElementById('uploadEndpointInput');
+        this.uploadRetryBtn = document.getElementById('uploadRetryBtn');
+        this.uploadStatus = document.getElementById('uploadStatus');
+        this.photoEncryptionToggle = document.getElementById('photoEncryptionToggle');
+        this.redactionClassesForm = document.getElementById('redactionClassesForm');
+        this.redactionClassesInput = document.getElementById('redactionClassesInput');
+        this.keepOriginalToggle = document.getElementById('keepOriginalToggle');
+        this.keyControls = document.getElementById('keyControls');
+        this.keyPassphraseInput = document.getElementById('keyPassphraseInput');
+        this.keyPassphraseRepeatInput = document.getElementById('keyPassphraseRepeatInput');
+        this.keyBackupBtn = document.getElementById('keyBackupBtn');
+        this.keyRestoreInput = document.getElementById('keyRestoreInput');
+        this.keyRotateBtn = document.getElementById('keyRotateBtn');
+        this.keyStatus = document.getElementById('keyStatus');
+        this.recordingsDetails = document.getElementById('recordingsDetails');
+        this.recordings = document.getElementById('recordings');
         this.barcodeFab = document.getElementById('barcodeFab');
+        this.recordFab = document.getElementById('recordFab');
+        this.galleryFab = document.getElementById('galleryFab');
         this.photosOverlay = document.getElementById('photosOverlay');
         this.stitchBtn = document.getElementById('stitchBtn');
 
+        // Gallery filter elements
+        this.galleryStartDate = document.getElementById('galleryStartDate');
+        this.galleryEndDate = document.getElementById('galleryEndDate');
+        this.galleryObjectClass = document.getElementById('galleryObjectClass');
+        this.galleryObjectClasses = document.getElementById('galleryObjectClasses');
+        this.galleryText = document.getElementById('galleryText');
+        this.galleryUploadStatus = document.getElementById('galleryUploadStatus');
+        this.galleryHasDetections = document.getElementById('galleryHasDetections');
+        this.galleryHasFaces = document.getElementById('galleryHasFaces');
+        this.galleryHasPoses = document.getElementById('galleryHasPoses');
+        this.galleryNearMe = document.getElementById('galleryNearMe');
+        this.galleryRadius = document.getElementById('galleryRadius');
+        this.galleryCount = document.getElementById('galleryCount');
+        this.galleryMoreBtn = document.getElementById('galleryMoreBtn');
+
+        // Map elements
+        this.mapFab = document.getElementById('mapFab');
+        this.mapPanel = document.getElementById('mapPanel');
+        this.mapCanvas = document.getElementById('mapCanvas');
+        this.mapStatus = document.getElementById('mapStatus');
+        this.mapTilesInput = document.getElementById('mapTilesInput');
+        this.mapFitBtn = document.getElementById('mapFitBtn');
+        this.mapZoomInBtn = document.getElementById('mapZoomInBtn');
+        this.mapZoomOutBtn = document.getElementById('mapZoomOutBtn');
+        this.mapCloseBtn = document.getElementById('mapCloseBtn');
+
+        // Document scanner elements
+        this.scanFab = document.getElementById('scanFab');
+        this.scanPanel = document.getElementById('scanPanel');
+        this.scanOverlay = document.getElementById('scanOverlay');
+        this.scanPageCount = document.getElementById('scanPageCount');
+        this.scanAutoCapture = document.getElementById('scanAutoCapture');
+        this.scanCaptureBtn = document.getElementById('scanCaptureBtn');
+        this.scanUndoBtn = document.getElementById('scanUndoBtn');
+        this.scanSaveBtn = document.getElementById('scanSaveBtn');
+        this.scanCloseBtn = document.getElementById('scanCloseBtn');
+        this.scanPages = document.getElementById('scanPages');
+        this.scanStatus = document.getElementById('scanStatus');
+        this.scanDocumentsDetails = document.getElementById('scanDocumentsDetails');
+        this.scanDocuments = document.getElementById('scanDocuments');
+        this.scanPageUrls = [];
+
+        // Inventory session elements
+        this.inventoryFab = document.getElementById('inventoryFab');
+        this.inventoryPanel = document.getElementById('inventoryPanel');
+        this.inventoryCount = document.getElementById('inventoryCount');
+        this.inventoryCsvBtn = document.getElementById('inventoryCsvBtn');
+        this.inventoryJsonBtn = document.getElementById('inventoryJsonBtn');
+        this.inventoryStopBtn = document.getElementById('inventoryStopBtn');
+        this.inventoryCloseBtn = document.getElementById('inventoryCloseBtn');
+        this.inventoryStartForm = document.getElementById('inventoryStartForm');
+        this.inventoryNameInput = document.getElementById('inventoryNameInput');
+        this.inventoryItems = document.getElementById('inventoryItems');
+        this.inventoryStatus = document.getElementById('inventoryStatus');
+        this.inventorySessionsDetails = document.getElementById('inventorySessionsDetails');
+        this.inventorySessions = document.getElementById('inventorySessions');
+
         // Orientation display elements (now in GPS modal)
         this.azimuthDisplay = document.getElementById('azimuthDisplay');
         this.pitchDisplay = document.getElementById('pitchDisplay');
@@ -207,8 +338,102 @@ class PoliCameraApp {
         this.depthFab.addEventListener('click', () => this.toggleDepthPrediction());
         this.cameraSwitchFab.addEventListener('click', () => this.switchCamera());
         this.ocrFab.addEventListener('click', () => this.toggleOCR());
+        this.ocrRegionFab.addEventListener('click', () => this.toggleOCRRegionMode());
+        this.ocrTranslateFab.addEventListener('click', () => this.toggleOCRTranslation());
+        this.ocrRegionLayer.addEventListener('pointerdown', (e) => this.startOCRRegionDrag(e));
+        this.ocrRegionLayer.addEventListener('pointermove', (e) => this.updateOCRRegionDrag(e));
+        this.ocrRegionLayer.addEventListener('pointerup', (e) => this.endOCRRegionDrag(e));
+        this.ocrRegionLayer.addEventListener('pointercancel', () => { this.ocrRegionDragStart = null; });
+        this.measureFab.addEventListener('click', () => this.toggleMeasureMode());
+        this.measureLayer.addEventListener('pointerdown', (e) => this.startMeasurePress(e));
+        this.measureLayer.addEventListener('pointerup', () => this.endMeasurePress());
+        this.measureLayer.addEventListener('pointercancel', () => this.cancelMeasurePress());
+        this.zonesFab.addEventListener('click', () => this.toggleZonesPanel());
+        this.zonesCloseBtn.addEventListener('click', () => this.toggleZonesPanel(false));
+        this.zoneDrawBtn.addEventListener('click', () => this.setZoneTool('zone'));
+        this.zoneLineBtn.addEventListener('click', () => this.setZoneTool('line'));
+        this.zoneResetBtn.addEventListener('click', () => this.resetZoneCounts());
+        this.zoneCsvBtn.addEventListener('click', () => this.exportZoneEvents());
+        this.zoneLayer.addEventListener('pointerup', (e) => this.addZonePoint(e));
+        this.trackLogRecordBtn.addEventListener('click', () => this.toggleTrackLog());
+        this.trackLogExportBtn.addEventListener('click', () => this.exportTrackLog());
+        this.modelFab.addEventListener('click', () => this.toggleModelPanel());
+        this.modelCloseBtn.addEventListener('click', () => this.toggleModelPanel(false));
+        this.modelResetBtn.addEventListener('click', () => this.applyDetectionModel(null));
+        this.modelUrlForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadDetectionModelFromUrl();
+        });
+        this.modelFileInput.addEventListener('change', (e) => {
+            const files = [...e.target.files];
+            e.target.value = '';
+            if (files.length > 0) this.loadDetectionModelFromFiles(files);
+        });
+        this.settingsFab.addEventListener('click', () => this.toggleSettingsPanel());
+        this.settingsCloseBtn.addEventListener('click', () => this.toggleSettingsPanel(false));
+        this.uploadEndpointForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveUploadEndpoint();
+        });
+        this.uploadRetryBtn.addEventListener('click', () => this.retryFailedUploads());
+        this.photoEncryptionToggle.addEventListener('change', (e) => this.setPhotoEncryption(e.target.checked));
+        this.redactionClassesForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRedactionClasses();
+        });
+        this.keepOriginalToggle.addEventListener('change', (e) => this.setKeepOriginal(e.target.checked));
+        this.keyBackupBtn.addEventListener('click', () => this.backupEncryptionKey());
+        this.keyRestoreInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.restoreEncryptionKey(file);
+        });
+        this.keyRotateBtn.addEventListener('click', () => this.rotateEncryptionKey());
+        this.recordingsDetails.addEventListener('toggle', () => {
+            if (this.recordingsDetails.open) this.refreshRecordings();
+        });
         this.barcodeFab.addEventListener('click', () => this.toggleBarcodeScanner());
+        this.recordFab.addEventListener('click', () => this.toggleRecording());
         this.stitchBtn.addEventListener('click', () => this.stitchSelectedPhotos());
+        this.galleryFab.addEventListener('click', () => this.togglePhotosOverlay());
+        this.galleryMoreBtn.addEventListener('click', () => this.loadMoreGalleryPhotos());
+        [
+            this.galleryStartDate, this.galleryEndDate, this.galleryObjectClass, this.galleryText, this.galleryUploadStatus,
+            this.galleryHasDetections, this.galleryHasFaces, this.galleryHasPoses, this.galleryNearMe, this.galleryRadius
+        ].forEach(input => input.addEventListener('change', () => this.refreshGallery()));
+        this.mapFab.addEventListener('click', () => this.toggleMapView());
+        this.mapCloseBtn.addEventListener('click', () => this.closeMapView());
+        this.mapFitBtn.addEventListener('click', () => this.mapView && this.mapView.fitToData());
+        this.mapZoomInBtn.addEventListener('click', () => this.mapView && this.mapView.zoomBy(1));
+        this.mapZoomOutBtn.addEventListener('click', () => this.mapView && this.mapView.zoomBy(-1));
+        this.mapTilesInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.loadMapTiles(file);
+        });
+        this.scanFab.addEventListener('click', () => this.toggleDocumentScanner());
+        this.scanCloseBtn.addEventListener('click', () => this.closeDocumentScanner());
+        this.scanCaptureBtn.addEventListener('click', () => this.captureScanPage());
+        this.scanUndoBtn.addEventListener('click', () => documentScannerManager.removeLastPage());
+        this.scanSaveBtn.addEventListener('click', () => this.saveScannedDocument());
+        this.scanAutoCapture.addEventListener('change', () => {
+            documentScannerManager.autoCapture = this.scanAutoCapture.checked;
+        });
+        this.scanDocumentsDetails.addEventListener('toggle', () => {
+            if (this.scanDocumentsDetails.open) this.refreshScannedDocuments();
+        });
+        this.inventoryFab.addEventListener('click', () => this.toggleInventoryPanel());
+        this.inventoryCloseBtn.addEventListener('click', () => this.toggleInventoryPanel(false));
+        this.inventoryStopBtn.addEventListener('click', () => this.stopInventorySession());
+        this.inventoryCsvBtn.addEventListener('click', () => this.exportInventorySession('csv'));
+        this.inventoryJsonBtn.addEventListener('click', () => this.exportInventorySession('json'));
+        this.inventoryStartForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startInventorySession();
+        });
+        this.inventorySessionsDetails.addEventListener('toggle', () => {
+            if (this.inventorySessionsDetails.open) this.refreshInventorySessions();
+        });
         this.gpsToggle.addEventListener('click', (e) => {
             e.stopPropagation();
             this.toggleGPSOverlay();
@@ -371,17 +596,401 @@ class PoliCameraApp {
             try {
                 const registration = await navigator.serviceWorker.register('sw.js');
                 console.log('Service Worker registered:', registration);
+                this.addEventListener(navigator.serviceWorker, 'message', (e) => this.handleServiceWorkerMessage(e));
+                this.requestOfflineAssetCache();
             } catch (error) {
                 console.warn('Service Worker registration failed:', error);
             }
         }
     }
 
+    /**
+     * Ask the service worker to precache the offline bundle of AI libraries and models.
+     * It installs with the service worker; this picks up a bundle rebuilt since then
+     */
+    async requestOfflineAssetCache() {
+        if (!navigator.onLine) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.active) {
+                registration.active.postMessage({ type: 'CACHE_OFFLINE_ASSETS' });
+            }
+        } catch (error) {
+            console.warn('Failed to cache offline assets:', error);
+        }
+    }
+
     initializeNetworkStatus() {
         // Initialize the network manager with our status element
         networkManager.initialize('networkStatusOverlay');
+
+        // Drain the photo upload queue whenever connectivity returns
+        this.addEventListener(window, 'online', () => this.requestPhotoUpload());
+    }
+
+    /**
+     * Ask the service worker to upload queued photos
+     * Uses Background Sync where available, otherwise messages the worker directly
+     */
+    async requestPhotoUpload() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+
+            if ('sync' in registration) {
+                await registration.sync.register(AppConstants.UPLOAD.SYNC_TAG);
+            } else if (registration.active && navigator.onLine) {
+                registration.active.postMessage({ type: 'UPLOAD_PENDING_PHOTOS' });
+            }
+        } catch (error) {
+            console.warn('Failed to schedule photo upload:', error);
+        }
+    }
+
+    /**
+     * Handle messages from the service worker
+     * @param {MessageEvent} event
+     */
+    handleServiceWorkerMessage(event) {
+        if (event.data && event.data.type === 'UPLOAD_STATUS') {
+            this.scheduleUploadRetry(event.data.nextAttempt);
+            this.renderSettingsPanel();
+        }
+    }
+
+    /**
+     * Ask for another upload once the next queued photo is due
+     * The browser gives up on a failing sync after a few retries, so while the
+     * app is open it keeps the queue moving itself
+     * @param {number|null} nextAttempt - Timestamp (ms) from the service worker; null cancels
+     */
+    scheduleUploadRetry(nextAttempt) {
+        clearTimeout(this.uploadRetryTimer);
+        this.uploadRetryTimer = null;
+        if (nextAttempt === null) return;
+
+        this.uploadRetryTimer = setTimeout(() => {
+            this.uploadRetryTimer = null;
+            this.requestPhotoUpload();
+        }, Math.max(nextAttempt - Date.now(), 0) + 1000);
+    }
+
+    /**
+     * Show or hide the settings panel
+     * @param {boolean} [show] - Defaults to toggling
+     */
+    toggleSettingsPanel(show = this.settingsPanel.style.display === 'none') {
+        this.settingsPanel.style.display = show ? 'flex' : 'none';
+        this.settingsFab.classList.toggle('active', show);
+        if (show) {
+            this.renderSettingsPanel();
+            this.renderRedactionSettings();
+            this.renderKeyStatus();
+        } else {
+            this.keyPassphraseInput.value = '';
+            this.keyPassphraseRepeatInput.value = '';
+        }
+    }
+
+    /**
+     * Show the saved settings and the upload queue
+     */
+    async renderSettingsPanel() {
+        if (this.settingsPanel.style.display === 'none') return;
+        if (!this.isDatabaseAvailable) {
+            this.uploadStatus.textContent = 'Storage unavailable';
+            return;
+        }
+
+        try {
+            const endpoint = await databaseManager.getSetting(AppConstants.UPLOAD.ENDPOINT_SETTING_KEY, AppConstants.UPLOAD.ENDPOINT);
+            if (document.activeElement !== this.uploadEndpointInput) {
+                this.uploadEndpointInput.value = endpoint || '';
+            }
+
+            const encryptPhotos = await databaseManager.isPhotoEncryptionEnabled();
+            this.photoEncryptionToggle.checked = encryptPhotos;
+            this.photoEncryptionToggle.disabled = this.isPhotoEncryptionChanging || !(window.cryptoManager && CryptoManager.isSupported());
+
+            const { pending, failed } = await databaseManager.getUploadQueueCounts();
+            this.uploadRetryBtn.disabled = failed === 0;
+            const queue = `${pending} photo(s) queued` + (failed > 0 ? `, ${failed} failed` : '');
+            this.uploadStatus.textContent = endpoint
+                ? `Uploading to ${new URL(endpoint).host}: ${queue}` +
+                    (encryptPhotos ? '. Encrypted photos are sent as ciphertext; the server needs your key backup to read them' : '')
+                : `Uploads off: ${queue}`;
+        } catch (error) {
+            console.warn('Failed to read upload settings:', error);
+        }
+    }
+
+    /**
+     * Turn full photo encryption on or off
+     * Turning it on also encrypts the photos already stored, which can take a while
+     * @param {boolean} enabled
+     */
+    async setPhotoEncryption(enabled) {
+        if (this.isPhotoEncryptionChanging) return;
+        if (!this.isDatabaseAvailable) {
+            this.photoEncryptionToggle.checked = !enabled;
+            this.showError('Storage unavailable');
+            return;
+        }
+        this.isPhotoEncryptionChanging = true;
+        this.photoEncryptionToggle.disabled = true;
+        if (enabled) {
+            this.uploadStatus.textContent = 'Encrypting stored photos...';
+        }
+
+        try {
+            const sealed = await databaseManager.setPhotoEncryptionEnabled(enabled);
+            this.showToast(
+                enabled ? `Photo encryption on (${sealed} stored photo(s) encrypted)` : 'Photo encryption off for new photos',
+                enabled ? 'lock' : 'lock_open'
+            );
+        } catch (error) {
+            console.error('Failed to change photo encryption:', error);
+            this.showError(`Failed to change photo encryption: ${error.message}`);
+        } finally {
+            this.isPhotoEncryptionChanging = false;
+            this.renderSettingsPanel();
+        }
+    }
+
+    /**
+     * Show the redaction settings
+     */
+    renderRedactionSettings() {
+        const available = Boolean(window.redactionManager);
+        this.redactionClassesInput.disabled = !available;
+        this.keepOriginalToggle.disabled = !available || !(window.cryptoManager && CryptoManager.isSupported());
+        if (!available) return;
+
+        const settings = redactionManager.getSettings();
+        this.redactionClassesInput.value = settings.objectClasses.join(', ');
+        this.keepOriginalToggle.checked = settings.keepEncryptedOriginal;
+    }
+
+    /**
+     * Save the object classes redacted in addition to faces and licence plates
+     */
+    saveRedactionClasses() {
+        if (!window.redactionManager) return;
+
+        const classes = [...new Set(this.redactionClassesInput.value.split(',')
+            .map(name => name.trim())
+            .filter(name => name.length > 0))];
+        redactionManager.updateSettings({ objectClasses: classes });
+        this.renderRedactionSettings();
+        this.showToast(classes.length > 0 ? `Also redacting: ${classes.join(', ')}` : 'Redacting faces and licence plates only', 'privacy_tip');
+    }
+
+    /**
+     * Turn keeping an encrypted unredacted original of new photos on or off
+     * @param {boolean} enabled
+     */
+    setKeepOriginal(enabled) {
+        if (!window.redactionManager) return;
+
+        redactionManager.updateSettings({ keepEncryptedOriginal: enabled });
+        this.renderRedactionSettings();
+        this.showToast(
+            enabled ? 'New photos keep an encrypted unredacted original' : 'Unredacted originals are no longer kept',
+            enabled ? 'lock' : 'privacy_tip'
+        );
+    }
+
+    /**
+     * Show the active encryption key
+     * @param {string} [message] - Outcome of the last key operation
+     */
+    async renderKeyStatus(message = '') {
+        const available = Boolean(window.cryptoManager && CryptoManager.isSupported());
+        this.keyControls.querySelectorAll('input, button').forEach(control => {
+            control.disabled = !available || this.isKeyOperationRunning;
+        });
+        if (!available) {
+            this.keyStatus.textContent = 'Encryption not available in this browser';
+            return;
+        }
+
+        try {
+            await cryptoManager.initializeKey();
+            const retired = cryptoManager.retiredKeys.size;
+            this.keyStatus.textContent = message ||
+                `Encryption key ${cryptoManager.keyId}` + (retired > 0 ? ` (+${retired} older key(s) kept for existing data)` : '');
+        } catch (error) {
+            this.keyStatus.textContent = `Encryption key unavailable: ${error.message}`;
+        }
+    }
+
+    /**
+     * Run one key operation at a time, keeping the controls disabled meanwhile
+     * @param {string} progress - Status shown while it runs
+     * @param {Function} operation - Async function returning the status to show afterwards
+     */
+    async runKeyOperation(progress, operation) {
+        if (this.isKeyOperationRunning) return;
+        this.isKeyOperationRunning = true;
+        this.renderKeyStatus(progress);
+
+        let message = '';
+        try {
+            message = await operation();
+        } catch (error) {
+            console.error('Encryption key operation failed:', error);
+            this.showError(error.message);
+        } finally {
+            this.isKeyOperationRunning = false;
+            this.renderKeyStatus(message);
+        }
+    }
+
+    /**
+     * Download a passphrase-protected backup of the encryption keys
+     */
+    backupEncryptionKey() {
+        const passphrase = this.keyPassphraseInput.value;
+        if (passphrase !== this.keyPassphraseRepeatInput.value) {
+            this.showError('The passphrases do not match');
+            return;
+        }
+
+        this.runKeyOperation('Creating key backup...', async () => {
+            await cryptoManager.exportKeyBackupToFile(passphrase);
+            this.keyPassphraseInput.value = '';
+            this.keyPassphraseRepeatInput.value = '';
+            this.showToast('Key backup downloaded - keep it and the passphrase safe', 'key');
+            return `Backup of key ${cryptoManager.keyId} downloaded`;
+        });
+    }
+
+    /**
+     * Restore encryption keys from a backup file, using the passphrase in the panel
+     * @param {File} file - Backup JSON
+     */
+    restoreEncryptionKey(file) {
+        const passphrase = this.keyPassphraseInput.value;
+        if (!passphrase) {
+            this.showError('Enter the backup passphrase first');
+            return;
+        }
+
+        this.runKeyOperation('Restoring key backup...', async () => {
+            const { keyId, keysImported } = await cryptoManager.importKeyBackup(await file.text(), passphrase);
+            this.keyPassphraseInput.value = '';
+            this.keyPassphraseRepeatInput.value = '';
+            this.showToast('Encryption key restored', 'settings_backup_restore');
+            return `Restored key ${keyId} (${keysImported} key(s) imported)`;
+        });
+    }
+
+    /**
+     * Replace the encryption key and re-encrypt everything stored with the old one
+     */
+    rotateEncryptionKey() {
+        if (!this.isDatabaseAvailable) {
+            this.showError('Storage unavailable');
+            return;
+        }
+        if (!confirm('Generate a new encryption key and re-encrypt all stored data? Existing key backups will not be able to read it.')) {
+            return;
+        }
+
+        this.runKeyOperation('Re-encrypting stored data...', async () => {
+            const stats = await databaseManager.rotateEncryptionKey();
+            if (stats.recordsFailed > 0) {
+                this.showError(`${stats.recordsFailed} record(s) could not be re-encrypted; the old key was kept`);
+            } else {
+                this.showToast('Encryption key rotated - download a new backup', 'autorenew');
+            }
+            return `Key ${stats.newKeyId}: ${stats.recordsReencrypted} record(s) re-encrypted`;
+        });
+    }
+
+    /**
+     * Save the upload endpoint and start uploading the queue
+     * An empty endpoint turns uploads off; queued photos stay queued
+     */
+    async saveUploadEndpoint() {
+        if (!this.isDatabaseAvailable) {
+            this.showError('Storage unavailable');
+            return;
+        }
+
+        const endpoint = this.uploadEndpointInput.value.trim();
+        if (endpoint && !/^https?:$/.test(new URL(endpoint).protocol)) {
+            this.showError('The upload endpoint must be an http(s) URL');
+            return;
+        }
+
+        try {
+            const requeued = await databaseManager.setUploadEndpoint(endpoint);
+            this.showToast(
+                endpoint ? 'Upload endpoint saved' + (requeued > 0 ? ` (${requeued} failed photo(s) queued again)` : '') : 'Uploads turned off',
+                'cloud_upload'
+            );
+            if (endpoint) {
+                this.requestPhotoUpload();
+            } else {
+                this.scheduleUploadRetry(null);
+            }
+            this.renderSettingsPanel();
+        } catch (error) {
+            console.error('Failed to save upload endpoint:', error);
+            this.showError('Failed to save upload endpoint');
+        }
+    }
+
+    /**
+     * Put the photos whose upload failed back into the queue and upload them
+     */
+    async retryFailedUploads() {
+        if (!this.isDatabaseAvailable) {
+            this.showError('Storage unavailable');
+            return;
+        }
+
+        try {
+            const requeued = await databaseManager.retryFailedUploads();
+            this.showToast(`${requeued} photo(s) queued for upload again`, 'replay');
+            this.requestPhotoUpload();
+            this.renderSettingsPanel();
+        } catch (error) {
+            console.error('Failed to retry uploads:', error);
+            this.showError('Failed to retry uploads');
+        }
     }
 
+    /**
+     * Ask the service worker to fetch the offline OCR languages ahead of use,
+     * so a script detected without a connection can still be read
+     */
+    async requestOCRLanguageCache() {
+        if (!('serviceWorker' in navigator) || !navigator.onLine) return;
+        if (await OfflineAssets.isBundleReady('tessdata')) return; // Precached with the offline bundle
+
+        const { LANG_PATH, LANG_CDN_URL, OFFLINE_LANGUAGES } = AppConstants.OCR;
+        const urls = OFFLINE_LANGUAGES.map(language => {
+            if (LANG_PATH) {
+                return new URL(`${LANG_PATH}/${language}.traineddata.gz`, window.location.href).href;
+            }
+            // Same locations Tesseract.js uses: OSD runs on the legacy engine, text on LSTM models
+            const variant = language === 'osd' ? '4.0.0' : '4.0.0_best_int';
+            return `${LANG_CDN_URL}${language}/${variant}/${language}.traineddata.gz`;
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.active) {
+                registration.active.postMessage({ type: 'CACHE_OCR_LANGUAGES', urls });
+            }
+        } catch (error) {
+            console.warn('Failed to cache OCR languages:', error);
+        }
+    }
 
     initializeDeviceOrientation() {
         if ('DeviceOrientationEvent' in window) {
@@ -597,6 +1206,20 @@ class PoliCameraApp {
             await databaseManager.init();
             this.isDatabaseAvailable = true;
             console.log('✅ Database initialized successfully');
+
+            // Retry anything left in the upload queue from earlier sessions
+            this.requestPhotoUpload();
+
+            // Photos migrated from data URLs have no thumbnail yet
+            databaseManager.backfillThumbnails().catch(error => {
+                console.warn('Thumbnail backfill failed:', error);
+            });
+
+            // Zones and counting lines drawn in earlier sessions
+            this.loadZoneRegions();
+
+            // Custom detection model chosen in an earlier session
+            this.loadDetectionModelSetting();
         } catch (error) {
             console.error('❌ Failed to initialize database:', error);
             this.isDatabaseAvailable = false;
@@ -604,10 +1227,15 @@ class PoliCameraApp {
         }
     }
 
-    generateVTTContent() {
+    /**
+     * Build WebVTT file content from cues
+     * @param {Array<Object>} cues - Cues with startTime/endTime (ms) and text (defaults to the live track)
+     * @returns {string} WebVTT content
+     */
+    generateVTTContent(cues = this.vttCues) {
         let vttContent = 'WEBVTT\n\n';
 
-        this.vttCues.forEach((cue, index) => {
+        cues.forEach((cue, index) => {
             vttContent += `${index + 1}\n`;
             vttContent += `${this.formatTime(cue.startTime)} --> ${this.formatTime(cue.endTime)}\n`;
             vttContent += `${cue.text}\n\n`;
@@ -657,6 +1285,47 @@ class PoliCameraApp {
 
         // Update the track
         this.updateVTTTrack();
+
+        // Mirror into the recording sidecar (uncapped, relative to recording start)
+        if (this.cameraManager.isRecording()) {
+            this.updateRecordingCue(cueText);
+        }
+    }
+
+    /**
+     * Update the recording's WebVTT cue list with current position data
+     * @param {string} cueText - Cue text
+     */
+    updateRecordingCue(cueText) {
+        const currentTime = Date.now() - this.cameraManager.recordingStartTime;
+        const lastCue = this.recordingCues[this.recordingCues.length - 1];
+
+        if (lastCue && currentTime - lastCue.startTime < AppConstants.VTT.UPDATE_THRESHOLD) {
+            lastCue.endTime = currentTime + AppConstants.VTT.CUE_DURATION;
+            lastCue.text = cueText;
+        } else {
+            this.recordingCues.push({
+                startTime: currentTime,
+                endTime: currentTime + AppConstants.VTT.CUE_DURATION,
+                text: cueText
+            });
+        }
+    }
+
+    /**
+     * Make recording cues contiguous: each cue lasts until the next one starts
+     * and the last one until the end of the video
+     * @param {number} duration - Recording duration in milliseconds
+     * @returns {Array<Object>} Finalized cues
+     */
+    finalizeRecordingCues(duration) {
+        return this.recordingCues
+            .filter(cue => cue.startTime < duration)
+            .map((cue, index, cues) => ({
+                startTime: cue.startTime,
+                endTime: index < cues.length - 1 ? cues[index + 1].startTime : duration,
+                text: cue.text
+            }));
     }
 
     /**
@@ -795,6 +1464,13 @@ class PoliCameraApp {
                     console.warn('⚠️ OCR manager not available - button hidden');
                 }
 
+                // Show record button if MediaRecorder can produce WebM
+                if (CameraManager.getSupportedRecordingMimeType()) {
+                    this.recordFab.style.display = 'flex';
+                } else {
+                    console.warn('⚠️ Video recording not supported - button hidden');
+                }
+
                 // Show barcode button if available
                 if (window.barcodeManager) {
                     this.barcodeFab.style.display = 'flex';
@@ -867,6 +1543,11 @@ class PoliCameraApp {
      * Handle camera permission being revoked
      */
     handleCameraPermissionRevoked() {
+        // Save any recording in progress before the stream goes away
+        if (this.cameraManager.isRecording()) {
+            this.stopRecording();
+        }
+
         // Stop current stream
         if (this.stream) {
             this.stream.getTracks().forEach(track => track.stop());
@@ -879,6 +1560,7 @@ class PoliCameraApp {
         // Hide camera controls
         this.captureFab.style.display = 'none';
         this.cameraSwitchFab.style.display = 'none';
+        this.recordFab.style.display = 'none';
 
         // Reset start button
         this.resetStartFab();
@@ -900,6 +1582,11 @@ class PoliCameraApp {
         try {
             this.isSwitchingCamera = true;
 
+            // Stopping the tracks would end the recording, so save it first
+            if (this.cameraManager.isRecording()) {
+                await this.stopRecording();
+            }
+
             // Toggle facing mode
             this.currentFacingMode = this.currentFacingMode === 'environment' ? 'user' : 'environment';
 
@@ -989,68 +1676,477 @@ class PoliCameraApp {
     togglePhotosOverlay() {
         if (this.photosOverlay.style.display === 'none') {
             this.photosOverlay.style.display = 'block';
+            this.galleryFab.classList.add('active');
+            this.refreshGallery();
         } else {
             this.photosOverlay.style.display = 'none';
+            this.galleryFab.classList.remove('active');
         }
     }
 
-    showQRCode() {
-        qrCodeManager.showQRCode();
+    toggleMapView() {
+        if (this.mapPanel.style.display === 'none') {
+            this.openMapView();
+        } else {
+            this.closeMapView();
+        }
     }
 
-    async togglePoseEstimation() {
-        if (!window.poseEstimationManager) {
-            this.showError('Pose estimation not available');
+    /**
+     * Show the map with the GPS track and photo markers
+     */
+    async openMapView() {
+        if (!window.MapView) {
+            this.showError('Map not available');
+            return;
+        }
+        if (!this.isDatabaseAvailable) {
+            this.showError('Map needs local storage (IndexedDB)');
             return;
         }
 
+        this.mapPanel.style.display = 'flex';
+        this.mapFab.classList.add('active');
+
+        if (!this.mapView) {
+            this.mapView = new MapView(
+                this.mapCanvas,
+                new UrlTileSource(AppConstants.MAP.TILE_URL, AppConstants.MAP.TILE_ATTRIBUTION, 0, AppConstants.MAP.MAX_ZOOM),
+                {
+                    minZoom: AppConstants.MAP.MIN_ZOOM,
+                    maxZoom: AppConstants.MAP.MAX_ZOOM,
+                    defaultZoom: AppConstants.MAP.DEFAULT_ZOOM
+                }
+            );
+            this.mapView.onMarkerClick = (marker) => this.showMapPhoto(marker.id);
+            this.addEventListener(window, 'resize', () => {
+                if (this.mapPanel.style.display !== 'none') this.mapView.resize();
+            });
+        }
+        this.mapView.resize();
+
         try {
-            const isEnabled = await poseEstimationManager.toggle();
-            this.isPoseEstimationEnabled = isEnabled;
+            const track = await databaseManager.getTrackData(this.userId);
+            this.mapView.setTrack(track.points);
+            this.mapView.setMarkers(MapView.markersFromWaypoints(track.waypoints));
 
-            // Update button styling
-            if (isEnabled) {
-                this.poseFab.classList.add('active');
-                this.showToast('Pose estimation enabled', 'accessibility_new');
-            } else {
-                this.poseFab.classList.remove('active');
-                this.showToast('Pose estimation disabled', 'accessibility_new');
+            if (!this.mapView.fitToData()) {
+                this.centerMapOnCurrentLocation();
             }
+            this.updateMapStatus(`${track.points.length} track points, ${track.waypoints.length} photos`);
         } catch (error) {
-            console.error('Failed to toggle pose estimation:', error);
-            this.showError('Failed to initialize pose estimation');
+            console.error('Failed to load map data:', error);
+            this.showError('Failed to load map data');
         }
     }
 
-    async toggleFaceDetection() {
-        if (!window.faceDetectionManager) {
-            this.showError('Face detection not available');
-            return;
+    closeMapView() {
+        this.mapPanel.style.display = 'none';
+        this.mapFab.classList.remove('active');
+
+        this.mapPhotos.forEach(photo => URL.revokeObjectURL(photo.thumbnailUrl));
+        this.mapPhotos = [];
+    }
+
+    /**
+     * Center the map on the current GPS position, if there is one
+     */
+    centerMapOnCurrentLocation() {
+        const location = this.getCurrentLocation();
+        const lat = parseFloat(location.latitude);
+        const lon = parseFloat(location.longitude);
+        if (!isNaN(lat) && !isNaN(lon)) {
+            this.mapView.setView({ lat, lon }, AppConstants.MAP.DEFAULT_ZOOM);
         }
+    }
 
+    /**
+     * Show map tiles from an MBTiles package instead of the online tile server
+     * @param {File} file - .mbtiles file
+     */
+    async loadMapTiles(file) {
         try {
-            const isEnabled = await faceDetectionManager.toggle();
-            this.isFaceDetectionEnabled = isEnabled;
+            this.updateMapStatus(`Loading ${file.name}...`);
+            const source = await MBTilesSource.fromFile(file, AppConstants.MAP.SQL_JS_URL);
 
-            // Update button styling
-            if (isEnabled) {
-                this.faceFab.classList.add('active');
-                this.showToast('Face detection enabled', 'face');
-            } else {
-                this.faceFab.classList.remove('active');
-                this.showToast('Face detection disabled', 'face');
+            const previous = this.mapView.getSource();
+            this.mapView.setSource(source);
+            if (previous instanceof MBTilesSource) {
+                previous.close();
+            }
+
+            if (!this.mapView.fitToData() && source.bounds) {
+                const [west, south, east, north] = source.bounds;
+                this.mapView.setView({ lat: (south + north) / 2, lon: (west + east) / 2 }, source.maxZoom);
             }
+            this.updateMapStatus(`Offline tiles: ${source.name} (zoom ${source.minZoom}-${source.maxZoom})`);
+            this.showToast('Offline map tiles loaded', 'map');
         } catch (error) {
-            console.error('Failed to toggle face detection:', error);
-            this.showError('Failed to initialize face detection');
+            console.error('Failed to load MBTiles:', error);
+            this.updateMapStatus('');
+            this.showError(`Failed to load map tiles: ${error.message}`);
         }
     }
 
-    async toggleDepthPrediction() {
-        console.log('🌊 Toggle depth prediction clicked');
+    /**
+     * @param {string} text - Status line shown under the map
+     */
+    updateMapStatus(text) {
+        this.mapStatus.textContent = text;
+    }
 
-        if (!window.depthPredictionManager) {
-            console.error('❌ Depth prediction manager not available');
+    /**
+     * Open the details of a photo clicked on the map
+     * @param {number} photoId - Photo record ID
+     */
+    async showMapPhoto(photoId) {
+        try {
+            const [record] = await databaseManager.getPhotosById([photoId]);
+            if (!record) {
+                this.showError('Photo not found');
+                return;
+            }
+
+            const photo = this.photoFromRecord(record);
+            this.mapPhotos.push(photo);
+            this.showPhotoDetails(photo);
+        } catch (error) {
+            console.error('Failed to open photo from map:', error);
+            this.showError('Failed to open photo');
+        }
+    }
+
+    /**
+     * Toggle the document scanner
+     */
+    toggleDocumentScanner() {
+        if (this.scanPanel.style.display === 'none') {
+            this.openDocumentScanner();
+        } else {
+            this.closeDocumentScanner();
+        }
+    }
+
+    /**
+     * Open the document scanner and start looking for pages
+     */
+    openDocumentScanner() {
+        if (!window.documentScannerManager || !window.PdfWriter) {
+            this.showError('Document scanner not available');
+            return;
+        }
+        if (!this.stream) {
+            this.showError('Start the camera to scan documents');
+            return;
+        }
+
+        this.scanPanel.style.display = 'flex';
+        this.scanOverlay.style.display = 'block';
+        this.scanFab.classList.add('active');
+
+        documentScannerManager.autoCapture = this.scanAutoCapture.checked;
+        documentScannerManager.onStatusChange = (message) => {
+            this.scanStatus.textContent = message;
+        };
+        documentScannerManager.onPagesChange = (pages) => this.renderScanPages(pages);
+        documentScannerManager.start(this.video, this.scanOverlay);
+        this.renderScanPages(documentScannerManager.pages);
+    }
+
+    /**
+     * Close the document scanner (pages not yet saved are kept until the next scan is saved)
+     */
+    closeDocumentScanner() {
+        this.scanPanel.style.display = 'none';
+        this.scanOverlay.style.display = 'none';
+        this.scanFab.classList.remove('active');
+
+        if (window.documentScannerManager) {
+            documentScannerManager.stop();
+        }
+    }
+
+    /**
+     * Capture a page by hand
+     */
+    async captureScanPage() {
+        this.scanCaptureBtn.disabled = true;
+        try {
+            await documentScannerManager.capturePage();
+        } catch (error) {
+            console.error('Failed to capture page:', error);
+            this.showError('Failed to capture page: ' + error.message);
+        } finally {
+            this.scanCaptureBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Show thumbnails of the scanned pages
+     * @param {Array<Object>} pages - Pages from DocumentScannerManager
+     */
+    renderScanPages(pages) {
+        this.scanPageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.scanPageUrls = pages.map(page => URL.createObjectURL(page.thumbnailBlob));
+
+        this.scanPages.innerHTML = '';
+        pages.forEach((page, index) => {
+            const item = document.createElement('div');
+            item.className = 'scan-page';
+            item.title = page.text ? page.text.slice(0, 200) : 'No text recognized';
+            item.innerHTML = `
+                <img src="${this.scanPageUrls[index]}" alt="Page ${index + 1}">
+                <span class="scan-page-number">${index + 1}</span>
+            `;
+            this.scanPages.appendChild(item);
+        });
+
+        this.scanPageCount.textContent = pages.length > 0 ? `(${pages.length} page${pages.length === 1 ? '' : 's'})` : '';
+        this.scanUndoBtn.disabled = pages.length === 0;
+        this.scanSaveBtn.disabled = pages.length === 0;
+    }
+
+    /**
+     * Save the scanned pages as a searchable PDF and download it
+     */
+    async saveScannedDocument() {
+        if (!this.isDatabaseAvailable) {
+            this.showError('Saving scans needs local storage (IndexedDB)');
+            return;
+        }
+
+        this.scanSaveBtn.disabled = true;
+        try {
+            const { id, pageCount } = await documentScannerManager.saveDocument(this.userId);
+            await databaseManager.exportDocument(id);
+            this.showToast(`Saved ${pageCount}-page PDF`, 'picture_as_pdf');
+
+            if (this.scanDocumentsDetails.open) {
+                await this.refreshScannedDocuments();
+            }
+        } catch (error) {
+            console.error('Failed to save scan:', error);
+            this.showError('Failed to save scan: ' + error.message);
+            this.scanSaveBtn.disabled = documentScannerManager.pages.length === 0;
+        }
+    }
+
+    /**
+     * List the scans stored in IndexedDB
+     */
+    async refreshScannedDocuments() {
+        if (!this.isDatabaseAvailable) return;
+
+        try {
+            const documents = await databaseManager.getDocumentsForUser(this.userId);
+            this.scanDocuments.innerHTML = '';
+
+            if (documents.length === 0) {
+                this.scanDocuments.textContent = 'No saved scans';
+                return;
+            }
+
+            documents.forEach(scan => {
+                const item = document.createElement('div');
+                item.className = 'scan-document';
+                item.innerHTML = `
+                    <span class="scan-document-title">${this.escapeHtml(scan.title)}</span>
+                    <span>${scan.pageCount} p · ${Utils.formatBytes(scan.size, 1)}</span>
+                    <button class="map-btn" data-action="download" aria-label="Download PDF">
+                        <span class="material-icons">download</span>
+                    </button>
+                    <button class="map-btn" data-action="delete" aria-label="Delete scan">
+                        <span class="material-icons">delete</span>
+                    </button>
+                `;
+                item.querySelector('[data-action="download"]').addEventListener('click', () => {
+                    databaseManager.exportDocument(scan.id).catch(() => this.showError('Failed to export scan'));
+                });
+                item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                    if (!confirm(`Delete "${scan.title}"?`)) return;
+                    await databaseManager.deleteRecord(databaseManager.stores.documents, scan.id);
+                    await this.refreshScannedDocuments();
+                });
+                this.scanDocuments.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Failed to load scans:', error);
+            this.showError('Failed to load saved scans');
+        }
+    }
+
+    /**
+     * Read the gallery filter inputs
+     * @returns {Object} Filters for PhotoGalleryManager
+     */
+    getGalleryFilters() {
+        let near = null;
+        if (this.galleryNearMe.checked) {
+            const location = this.getCurrentLocation();
+            const latitude = parseFloat(location.latitude);
+            const longitude = parseFloat(location.longitude);
+            if (isNaN(latitude) || isNaN(longitude)) {
+                this.showToast('No GPS fix - distance filter ignored', 'location_off');
+            } else {
+                near = { latitude, longitude, radius: parseFloat(this.galleryRadius.value) || 0 };
+            }
+        }
+
+        return {
+            startDate: this.galleryStartDate.value || null,
+            endDate: this.galleryEndDate.value || null,
+            objectClass: this.galleryObjectClass.value.trim() || null,
+            hasDetections: this.galleryHasDetections.checked,
+            hasFaces: this.galleryHasFaces.checked,
+            hasPoses: this.galleryHasPoses.checked,
+            text: this.galleryText.value.trim(),
+            uploadStatus: this.galleryUploadStatus.value || null,
+            near: near
+        };
+    }
+
+    /**
+     * Reload the gallery from IndexedDB with the current filters
+     * Without a database the grid keeps showing this session's photos
+     */
+    async refreshGallery() {
+        if (!this.isDatabaseAvailable || !window.photoGalleryManager) return;
+
+        try {
+            await photoGalleryManager.query(this.userId, this.getGalleryFilters());
+        } catch (error) {
+            console.error('Failed to query photo gallery:', error);
+            this.showError('Failed to load photos');
+            return;
+        }
+
+        this.clearPhotoSelection();
+        this.galleryPhotos.forEach(photo => URL.revokeObjectURL(photo.thumbnailUrl));
+        this.galleryPhotos = [];
+        this.photosGrid.innerHTML = '';
+
+        await this.loadMoreGalleryPhotos();
+    }
+
+    /**
+     * Append the next page of gallery photos
+     */
+    async loadMoreGalleryPhotos() {
+        this.galleryMoreBtn.disabled = true;
+
+        try {
+            const records = await photoGalleryManager.loadNextPage();
+            const photos = records.map(record => this.photoFromRecord(record));
+            photos.forEach(photo => this.displayPhoto(photo));
+            this.galleryPhotos.push(...photos);
+
+            this.galleryObjectClasses.innerHTML = photoGalleryManager
+                .collectObjectClasses(this.galleryPhotos)
+                .map(name => `<option value="${this.escapeHtml(name)}">`)
+                .join('');
+        } catch (error) {
+            console.error('Failed to load gallery page:', error);
+            this.showError('Failed to load photos');
+        }
+
+        const count = photoGalleryManager.matchCount;
+        this.galleryCount.textContent = `${count}${photoGalleryManager.hasMore() ? '+' : ''} photo${count === 1 ? '' : 's'}`;
+        this.galleryMoreBtn.style.display = photoGalleryManager.hasMore() ? 'block' : 'none';
+        this.galleryMoreBtn.disabled = false;
+    }
+
+    /**
+     * Convert a stored photo record into the photo object used by the UI
+     * @param {Object} record - Decrypted photo record from DatabaseManager
+     * @returns {Object} Photo with a thumbnail object URL; the full image loads on demand
+     */
+    photoFromRecord(record) {
+        return {
+            id: record.id,
+            dbId: record.id,
+            userId: record.userId,
+            timestamp: record.timestamp,
+            location: {
+                latitude: record.lat || '--',
+                longitude: record.lon || '--',
+                altitude: record.alt || '--',
+                accuracy: record.accuracy || '--'
+            },
+            orientation: record.orientation || { alpha: '--', beta: '--', gamma: '--' },
+            networkInfo: record.networkInfo || { online: false, effectiveType: 'unknown' },
+            aiAnalysis: record.aiAnalysis,
+            poseData: record.poseData,
+            faceData: record.faceData,
+            depthData: record.depthData,
+            hasDepthFiles: Boolean(record.depthFiles || record.encryptedDepthFiles),
+            hasOriginal: Boolean(record.encryptedOriginal),
+            ocrText: record.ocrText,
+            barcodeData: record.barcodeData,
+            measurements: record.measurements,
+            redaction: record.redaction,
+            imageBlob: null,
+            thumbnailBlob: record.thumbnailBlob,
+            thumbnailUrl: record.thumbnailBlob ? URL.createObjectURL(record.thumbnailBlob) : ''
+        };
+    }
+
+    showQRCode() {
+        qrCodeManager.showQRCode();
+    }
+
+    async togglePoseEstimation() {
+        if (!window.poseEstimationManager) {
+            this.showError('Pose estimation not available');
+            return;
+        }
+
+        try {
+            const isEnabled = await poseEstimationManager.toggle();
+            this.isPoseEstimationEnabled = isEnabled;
+
+            // Update button styling
+            if (isEnabled) {
+                this.poseFab.classList.add('active');
+                this.showToast('Pose estimation enabled', 'accessibility_new');
+            } else {
+                this.poseFab.classList.remove('active');
+                this.showToast('Pose estimation disabled', 'accessibility_new');
+            }
+        } catch (error) {
+            console.error('Failed to toggle pose estimation:', error);
+            this.showError('Failed to initialize pose estimation');
+        }
+    }
+
+    async toggleFaceDetection() {
+        if (!window.faceDetectionManager) {
+            this.showError('Face detection not available');
+            return;
+        }
+
+        try {
+            const isEnabled = await faceDetectionManager.toggle();
+            this.isFaceDetectionEnabled = isEnabled;
+
+            // Update button styling
+            if (isEnabled) {
+                this.faceFab.classList.add('active');
+                this.showToast('Face detection enabled', 'face');
+            } else {
+                this.faceFab.classList.remove('active');
+                this.showToast('Face detection disabled', 'face');
+            }
+        } catch (error) {
+            console.error('Failed to toggle face detection:', error);
+            this.showError('Failed to initialize face detection');
+        }
+    }
+
+    async toggleDepthPrediction() {
+        console.log('🌊 Toggle depth prediction clicked');
+
+        if (!window.depthPredictionManager) {
+            console.error('❌ Depth prediction manager not available');
             this.showError('Depth prediction not available - manager not loaded');
             return;
         }
@@ -1072,6 +2168,15 @@ class PoliCameraApp {
                 // Update button styling
                 this.depthFab.classList.add('active');
                 this.showToast('Depth PiP enabled - White=Near, Black=Far', 'layers');
+
+                // The model loads in the background; heuristics are shown until then
+                if (depthPredictionManager.estimationMode === 'model' && !depthPredictionManager.isDepthModelReady()) {
+                    depthPredictionManager.loadDepthModel().then(ready => {
+                        if (this.isDepthPredictionEnabled) {
+                            this.showToast(ready ? 'Depth model loaded' : 'Depth model unavailable - using edge-based estimation', 'layers');
+                        }
+                    });
+                }
             } else {
                 // Hide PiP depth view
                 if (this.pipDepthView) {
@@ -1101,7 +2206,19 @@ class PoliCameraApp {
             // Initialize on first use
             if (!window.ocrManager.getMetrics().isInitialized) {
                 this.showToast('Initializing OCR...', 'text_fields');
+                // Tesseract's worker, core and traineddata from the offline bundle when it is verified
+                window.ocrManager.configure({
+                    language: AppConstants.OCR.LANGUAGE,
+                    autoDetectLanguage: AppConstants.OCR.AUTO_DETECT_LANGUAGE,
+                    langPath: await OfflineAssets.getDirectoryUrl('tessdata') || AppConstants.OCR.LANG_PATH || undefined,
+                    workerPath: await OfflineAssets.getUrl('tesseract', 'worker.min.js'),
+                    corePath: await OfflineAssets.getDirectoryUrl('tesseractCore')
+                });
+                window.ocrManager.setLanguageChangeCallback((language, script) => {
+                    this.showToast(`OCR: ${script} text, reading as ${language}`, 'translate');
+                });
                 await window.ocrManager.initialize();
+                this.requestOCRLanguageCache();
             }
 
             const isEnabled = await window.ocrManager.toggle();
@@ -1111,11 +2228,17 @@ class PoliCameraApp {
             if (isEnabled && this.detectionOverlay) {
                 window.ocrManager.setOverlayCanvas(this.detectionOverlay);
                 window.ocrManager.setOverlayEnabled(true);
+                window.ocrManager.setRegionPreprocessor((image, quad, width, height) => this.preprocessOCRRegion(image, quad, width, height));
             } else if (!isEnabled) {
                 // Clear overlay when disabled
                 window.ocrManager.clearOverlay();
                 window.ocrManager.setOverlayEnabled(false);
+                if (this.isOCRRegionMode) {
+                    this.toggleOCRRegionMode();
+                }
             }
+            this.ocrRegionFab.style.display = isEnabled ? 'flex' : 'none';
+            this.ocrTranslateFab.style.display = isEnabled && window.translationManager ? 'flex' : 'none';
 
             // Update button styling and show/hide OCR guide line
             const ocrGuideLine = document.getElementById('ocrGuideLine');
@@ -1139,85 +2262,1133 @@ class PoliCameraApp {
     }
 
     /**
-     * Toggle barcode/QR code scanner
+     * Toggle live translation of OCR subtitles
+     * Uses the translation server while it is configured and reachable, otherwise the bundled phrase table
      */
-    async toggleBarcodeScanner() {
-        if (!window.barcodeManager) {
-            this.showError('Barcode scanner not available');
+    async toggleOCRTranslation() {
+        if (!window.ocrManager || !window.translationManager) {
+            this.showError('Translation not available');
+            return;
+        }
+
+        if (window.ocrManager.isTranslating()) {
+            window.ocrManager.setTranslator(null);
+            this.ocrTranslateFab.classList.remove('active');
+            this.showToast('Translation off', 'translate');
             return;
         }
 
         try {
-            // Initialize on first use
-            if (!window.barcodeManager.getMetrics().isInitialized) {
-                this.showToast('Initializing barcode scanner...', 'qr_code_scanner');
-                await window.barcodeManager.initialize();
+            if (window.translationManager.getTranslators().length === 0) {
+                await this.initializeTranslation();
             }
 
-            const isEnabled = await window.barcodeManager.toggle();
-            this.isBarcodeEnabled = isEnabled;
+            window.ocrManager.setTranslator(window.translationManager);
+            this.ocrTranslateFab.classList.add('active');
+            this.showToast(`Translating text to ${window.translationManager.getTargetLanguage()}`, 'translate');
+        } catch (error) {
+            console.error('❌ Failed to start translation:', error);
+            this.showError('Failed to load translations: ' + error.message);
+        }
+    }
 
-            // Set overlay canvas for drawing bounding boxes
-            if (isEnabled && this.detectionOverlay) {
-                window.barcodeManager.setOverlayCanvas(this.detectionOverlay);
-                window.barcodeManager.setOverlayEnabled(true);
-            } else if (!isEnabled) {
-                // Clear overlay when disabled
-                window.barcodeManager.clearOverlay();
-                window.barcodeManager.setOverlayEnabled(false);
+    /**
+     * Set up the translation backends and target language from constants and saved settings
+     */
+    async initializeTranslation() {
+        const config = AppConstants.TRANSLATION;
+        let serverUrl = config.SERVER_URL;
+        let targetLanguage = config.TARGET_LANGUAGE;
+
+        if (this.isDatabaseAvailable) {
+            serverUrl = await databaseManager.getSetting(config.SERVER_SETTING_KEY, serverUrl);
+            targetLanguage = await databaseManager.getSetting(config.TARGET_LANGUAGE_SETTING_KEY, targetLanguage);
+        }
+
+        const translators = [];
+        if (serverUrl) {
+            translators.push(new HttpTranslator(serverUrl, config.SERVER_API_KEY || null, config.TIMEOUT_MS));
+        }
+        translators.push(await DictionaryTranslator.load(config.PHRASE_TABLE_URL));
+
+        window.translationManager.setTargetLanguage(targetLanguage || navigator.language.split('-')[0]);
+        window.translationManager.setTranslators(translators);
+        console.log(`✅ Translation ready: ${translators.map(translator => translator.name).join(', ')}`);
+    }
+
+    /**
+     * Toggle region-of-interest OCR
+     * Recognizes a box dragged on the camera view, or the largest document outline
+     * found in the frame when no box is drawn
+     */
+    toggleOCRRegionMode() {
+        this.isOCRRegionMode = !this.isOCRRegionMode;
+        this.ocrRegionDragStart = null;
+        window.ocrManager.setRegion(null);
+
+        const ocrGuideLine = document.getElementById('ocrGuideLine');
+        if (ocrGuideLine) {
+            ocrGuideLine.style.display = this.isOCREnabled && !this.isOCRRegionMode ? 'block' : 'none';
+        }
+        this.ocrRegionLayer.style.display = this.isOCRRegionMode ? 'block' : 'none';
+        this.ocrRegionFab.classList.toggle('active', this.isOCRRegionMode);
+
+        if (this.isOCRRegionMode) {
+            this.showToast('Drag a box around the text, or tap to detect documents', 'crop_free');
+        } else {
+            this.showToast('Reading the whole frame', 'text_fields');
+        }
+    }
+
+    /**
+     * Convert a pointer position on the camera view to video pixels
+     * @param {PointerEvent} e
+     * @param {HTMLElement} layer - Full-size layer the pointer event came from
+     * @returns {{x: number, y: number}|null}
+     */
+    getVideoPoint(e, layer = this.ocrRegionLayer) {
+        if (!this.video || !this.video.videoWidth) return null;
+
+        // The overlay stretches the video over the layer, as in drawTextOverlay
+        const rect = layer.getBoundingClientRect();
+        const x = Math.min(Math.max(e.clientX - rect.left, 0), rect.width);
+        const y = Math.min(Math.max(e.clientY - rect.top, 0), rect.height);
+        return {
+            x: x * this.video.videoWidth / rect.width,
+            y: y * this.video.videoHeight / rect.height
+        };
+    }
+
+    /**
+     * Start dragging an OCR region
+     * @param {PointerEvent} e
+     */
+    startOCRRegionDrag(e) {
+        const point = this.getVideoPoint(e);
+        if (!point) return;
+
+        this.ocrRegionDragStart = point;
+        this.ocrRegionLayer.setPointerCapture(e.pointerId);
+    }
+
+    /**
+     * Resize the OCR region being dragged
+     * @param {PointerEvent} e
+     */
+    updateOCRRegionDrag(e) {
+        if (!this.ocrRegionDragStart) return;
+
+        const point = this.getVideoPoint(e);
+        if (!point) return;
+
+        const start = this.ocrRegionDragStart;
+        window.ocrManager.setRegion({
+            quad: QuadMath.fromRect(
+                Math.min(start.x, point.x), Math.min(start.y, point.y),
+                Math.abs(point.x - start.x), Math.abs(point.y - start.y)
+            ),
+            source: 'manual'
+        });
+    }
+
+    /**
+     * Finish dragging an OCR region
+     * A tap or tiny box clears the region so documents are detected again
+     * @param {PointerEvent} e
+     */
+    endOCRRegionDrag(e) {
+        if (!this.ocrRegionDragStart) return;
+
+        this.updateOCRRegionDrag(e);
+        this.ocrRegionDragStart = null;
+
+        const region = window.ocrManager.getRegion();
+        const minSize = AppConstants.OCR.ROI_MIN_SIZE;
+        if (region) {
+            const bounds = QuadMath.boundingBox(region.quad);
+            if (bounds.x1 - bounds.x0 < minSize || bounds.y1 - bounds.y0 < minSize) {
+                window.ocrManager.setRegion(null);
+            }
+        }
+    }
+
+    /**
+     * Toggle tap-to-measure
+     * A tap measures the distance to a point, or the distance and size of the
+     * detected object under it; holding an object sets its known size as reference
+     */
+    toggleMeasureMode() {
+        if (!window.measurementManager) {
+            this.showError('Measurement not available');
+            return;
+        }
+        if (!this.isMeasureMode && !this.stream) {
+            this.showError('Start the camera to measure');
+            return;
+        }
+
+        this.isMeasureMode = !this.isMeasureMode;
+        this.cancelMeasurePress();
+        this.measureLayer.style.display = this.isMeasureMode ? 'block' : 'none';
+        this.measureFab.classList.toggle('active', this.isMeasureMode);
+
+        if (this.isMeasureMode) {
+            // Both layers take taps on the camera view
+            if (this.isOCRRegionMode) {
+                this.toggleOCRRegionMode();
+            }
+            if (this.zoneTool) {
+                this.setZoneTool(null);
             }
+            measurementManager.configure({
+                fieldOfView: AppConstants.MEASUREMENT.FIELD_OF_VIEW,
+                maxDistance: AppConstants.MEASUREMENT.MAX_DISTANCE,
+                maxMeasurements: AppConstants.MEASUREMENT.MAX_MEASUREMENTS
+            });
+            const hint = this.isDepthPredictionEnabled ? '' : ' (turn on depth to measure any point)';
+            this.showToast(`Tap to measure, hold an object to set its size${hint}`, 'straighten');
+        } else {
+            measurementManager.clear();
+            measurementManager.setReference(null);
+            this.measurementDepth = null;
+            this.showToast('Measuring off', 'straighten');
+        }
+    }
+
+    /**
+     * Start a tap on the measure layer; holding it sets a reference
+     * @param {PointerEvent} e
+     */
+    startMeasurePress(e) {
+        const point = this.getVideoPoint(e, this.measureLayer);
+        if (!point) return;
+
+        this.cancelMeasurePress();
+        this.measurementPress = {
+            point,
+            timer: setTimeout(() => {
+                this.measurementPress = null;
+                this.setMeasurementReference(point);
+            }, AppConstants.MEASUREMENT.LONG_PRESS_MS)
+        };
+    }
+
+    /**
+     * Finish a tap on the measure layer
+     */
+    endMeasurePress() {
+        const press = this.measurementPress;
+        if (!press) return;
+
+        this.cancelMeasurePress();
+        this.measureAt(press.point);
+    }
+
+    /**
+     * Forget a tap in progress
+     */
+    cancelMeasurePress() {
+        if (this.measurementPress) {
+            clearTimeout(this.measurementPress.timer);
+            this.measurementPress = null;
+        }
+    }
+
+    /**
+     * Measure the point or object at a position
+     * @param {{x: number, y: number}} point - Video pixels
+     */
+    async measureAt(point) {
+        const context = await this.getMeasurementContext();
+        if (!context) return;
+
+        const measurement = measurementManager.measureAt(point, context);
+        if (measurement.distance === null) {
+            this.showToast('No scale here - hold an object of known size to set a reference', 'straighten');
+        } else {
+            console.log('📏 Measurement:', measurement);
+        }
+    }
+
+    /**
+     * Ask for the real height of the detected object at a position and use it as reference
+     * @param {{x: number, y: number}} point - Video pixels
+     */
+    setMeasurementReference(point) {
+        const detection = this.currentDetections
+            .filter(other => other.trackId && MeasurementMath.contains(other.bbox, point))
+            .sort((a, b) => a.bbox.width * a.bbox.height - b.bbox.width * b.bbox.height)[0];
+        if (!detection) {
+            this.showToast('Hold a detected object to use it as reference', 'straighten');
+            return;
+        }
+
+        const name = `${detection.class} #${detection.trackId}`;
+        const input = prompt(`Real height of ${name} in cm:`);
+        if (input === null) return;
+
+        const height = parseFloat(input.replace(',', '.')) / 100;
+        if (!Number.isFinite(height) || height <= 0) {
+            this.showError('Enter the height in centimeters');
+            return;
+        }
+
+        measurementManager.setReference({ trackId: detection.trackId, label: detection.class, height });
+        this.showToast(`${name} is the reference (${Math.round(height * 100)} cm)`, 'straighten');
+        this.measureAt(point);
+    }
+
+    /**
+     * What the current frame offers to measure against
+     * @returns {Promise<Object|null>} MeasurementContext, or null without video
+     */
+    async getMeasurementContext() {
+        if (!this.video || !this.video.videoWidth) return null;
+
+        const width = this.video.videoWidth;
+        const height = this.video.videoHeight;
+        // The camera is opened here, not by cameraManager, so read the zoom from our own track
+        const videoTrack = this.stream ? this.stream.getVideoTracks()[0] : null;
+        const settings = videoTrack ? videoTrack.getSettings() : null;
+        return {
+            frameWidth: width,
+            frameHeight: height,
+            focalLength: measurementManager.getFocalLength(width, height, settings),
+            detections: this.currentDetections,
+            depth: await this.getMeasurementDepth()
+        };
+    }
+
+    /**
+     * Values of the current depth map, read once per depth frame
+     * @returns {Promise<Object|null>} DepthSample
+     */
+    async getMeasurementDepth() {
+        const depthMap = this.isDepthPredictionEnabled ? this.currentDepthMap : null;
+        if (!depthMap) return null;
+
+        if (!this.measurementDepth || this.measurementDepth.source !== depthMap) {
+            try {
+                const [height, width] = depthMap.shape;
+                this.measurementDepth = { source: depthMap, sample: { values: await depthMap.data(), width, height } };
+            } catch (error) {
+                // The map was disposed while a new one was predicted
+                return null;
+            }
+        }
+        return this.measurementDepth.sample;
+    }
+
+    /**
+     * Show or hide the zones panel (zones keep counting while it is hidden)
+     * @param {boolean} [show] - Defaults to toggling
+     */
+    toggleZonesPanel(show = this.zonesPanel.style.display === 'none') {
+        if (!window.zoneAnalytics) {
+            this.showError('Zone analytics not available');
+            return;
+        }
+
+        this.zonesPanel.style.display = show ? 'flex' : 'none';
+        if (!show && this.zoneTool) {
+            this.setZoneTool(null);
+        }
+        this.renderZoneStats();
+    }
+
+    /**
+     * Start drawing a zone or counting line on the camera view
+     * Pressing the zone button again closes the zone; pressing a tool's button
+     * again otherwise stops drawing
+     * @param {string|null} tool - 'zone', 'line', or null to stop drawing
+     */
+    setZoneTool(tool) {
+        if (tool === 'zone' && this.zoneTool === 'zone' && this.zoneDraft.length >= 3) {
+            this.finishZoneDraft();
+            return;
+        }
+        if (tool && !this.stream) {
+            this.showError('Start the camera to draw zones');
+            return;
+        }
+
+        this.zoneTool = tool === this.zoneTool ? null : tool;
+        this.zoneDraft = [];
+        this.zoneLayer.style.display = this.zoneTool ? 'block' : 'none';
+        this.zoneDrawBtn.classList.toggle('active', this.zoneTool === 'zone');
+        this.zoneLineBtn.classList.toggle('active', this.zoneTool === 'line');
+        this.zoneDrawBtn.querySelector('.material-icons').textContent = this.zoneTool === 'zone' ? 'check' : 'pentagon';
+
+        if (this.zoneTool) {
+            // Both layers take taps on the camera view
+            if (this.isMeasureMode) {
+                this.toggleMeasureMode();
+            }
+            if (this.isOCRRegionMode) {
+                this.toggleOCRRegionMode();
+            }
+        }
+        this.renderZoneStats();
+    }
+
+    /**
+     * Add a corner to the region being drawn
+     * A line is done after two taps; a zone when its first corner is tapped again
+     * @param {PointerEvent} e
+     */
+    addZonePoint(e) {
+        const point = this.getVideoPoint(e, this.zoneLayer);
+        if (!point || !this.zoneTool) return;
+
+        const corner = { x: point.x / this.video.videoWidth, y: point.y / this.video.videoHeight };
+        const first = this.zoneDraft[0];
+        if (this.zoneTool === 'zone' && first && this.zoneDraft.length >= 3 &&
+            Math.hypot(corner.x - first.x, corner.y - first.y) < AppConstants.ZONES.CLOSE_DISTANCE) {
+            this.finishZoneDraft();
+            return;
+        }
+
+        this.zoneDraft.push(corner);
+        if (this.zoneTool === 'line' && this.zoneDraft.length === 2) {
+            this.finishZoneDraft();
+        }
+    }
+
+    /**
+     * Add the region being drawn and save the regions
+     */
+    finishZoneDraft() {
+        try {
+            const region = this.zoneTool === 'line'
+                ? zoneAnalytics.addLine(this.zoneDraft[0], this.zoneDraft[1])
+                : zoneAnalytics.addZone(this.zoneDraft);
+            this.showToast(`${region.name} added`, 'pentagon');
+            this.saveZoneRegions();
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.setZoneTool(null);
+    }
+
+    /**
+     * Remove a zone or counting line
+     * @param {number} id - Region ID
+     */
+    removeZoneRegion(id) {
+        zoneAnalytics.removeRegion(id);
+        this.saveZoneRegions();
+        this.renderZoneStats();
+    }
+
+    /**
+     * Start counting over (logged events are kept)
+     */
+    resetZoneCounts() {
+        zoneAnalytics.resetCounts();
+        this.renderZoneStats();
+        this.showToast('Zone counts reset', 'restart_alt');
+    }
+
+    /**
+     * Download all logged zone events as CSV
+     */
+    async exportZoneEvents() {
+        try {
+            await databaseManager.exportZoneEventsCSV(this.userId);
+        } catch (error) {
+            this.showError(error.message || 'Failed to export zone events');
+        }
+    }
+
+    /**
+     * Restore zones and counting lines from the settings store
+     */
+    async loadZoneRegions() {
+        if (!window.zoneAnalytics) return;
+
+        try {
+            const regions = await databaseManager.getSetting(AppConstants.ZONES.REGIONS_SETTING_KEY, []);
+            if (regions.length > 0) {
+                zoneAnalytics.setRegions(regions);
+                console.log(`🔷 Restored ${regions.length} zones and counting lines`);
+            }
+        } catch (error) {
+            console.warn('Failed to load zones:', error);
+        }
+    }
+
+    /**
+     * Keep the zones and counting lines for the next session
+     */
+    saveZoneRegions() {
+        if (!this.isDatabaseAvailable) return;
+
+        databaseManager.setSetting(AppConstants.ZONES.REGIONS_SETTING_KEY, zoneAnalytics.getRegions()).catch(error => {
+            console.warn('Failed to save zones:', error);
+        });
+    }
+
+    /**
+     * Count the tracked detections of a frame in the zones and log what happened
+     * @param {Array<Object>} detections - Tracked detections (video pixels)
+     */
+    updateZoneAnalytics(detections) {
+        const now = Date.now();
+        const events = zoneAnalytics.update(detections, this.video.videoWidth, this.video.videoHeight, now);
+
+        if (events.length > 0 && this.isDatabaseAvailable) {
+            databaseManager.storeZoneEvents(this.userId, events, this.getScanLocation()).catch(error => {
+                console.warn('Failed to store zone events:', error);
+            });
+        }
+
+        if (this.zonesPanel.style.display !== 'none' &&
+            (events.length > 0 || now - this.zonePanelRenderedAt > AppConstants.ZONES.PANEL_REFRESH_MS)) {
+            this.renderZoneStats();
+        }
+    }
+
+    /**
+     * Show the counts of every zone and line in the zones panel
+     */
+    renderZoneStats() {
+        const regions = zoneAnalytics.getRegions();
+        const isOpen = this.zonesPanel.style.display !== 'none';
+        const isLogging = !!window.trackRecorder && trackRecorder.isRecording();
+        this.zonesFab.classList.toggle('active', regions.length > 0 || isOpen || isLogging);
+        this.zonePanelRenderedAt = Date.now();
+        if (!isOpen) return;
+
+        this.renderTrackLog();
+
+        this.zonesCount.textContent = regions.length > 0 ? `(${regions.length})` : '';
+        this.zoneResetBtn.disabled = regions.length === 0;
+        this.zoneCsvBtn.disabled = !this.isDatabaseAvailable;
+
+        if (this.zoneTool === 'zone') {
+            this.zoneStatus.textContent = 'Tap the corners of the zone, then tap the first corner or ✓';
+        } else if (this.zoneTool === 'line') {
+            this.zoneStatus.textContent = 'Tap where the line starts, then where it ends (the arrow points "in")';
+        } else if (regions.length === 0) {
+            this.zoneStatus.textContent = 'Draw a zone or counting line to count tracked objects';
+        } else {
+            this.zoneStatus.textContent = 'Objects are counted where their box meets the ground';
+        }
+
+        const zoneStats = new Map(zoneAnalytics.getZoneStats().map(stats => [stats.id, stats]));
+        const lineStats = new Map(zoneAnalytics.getLineStats().map(stats => [stats.id, stats]));
+
+        this.zoneStats.innerHTML = '';
+        regions.forEach(region => {
+            const summary = region.kind === 'zone'
+                ? ZoneAnalytics.formatZoneStats(zoneStats.get(region.id))
+                : ZoneAnalytics.formatLineStats(lineStats.get(region.id));
+
+            const row = document.createElement('div');
+            row.className = 'inventory-item';
+            row.innerHTML = `
+                <span class="material-icons">${region.kind === 'zone' ? 'pentagon' : 'horizontal_rule'}</span>
+                <span class="inventory-item-label">
+                    ${this.escapeHtml(region.name)}
+                    <span class="inventory-item-code">${this.escapeHtml(summary)}</span>
+                </span>
+                <button class="map-btn" aria-label="Remove ${this.escapeHtml(region.name)}">
+                    <span class="material-icons">delete</span>
+                </button>
+            `;
+            row.querySelector('.map-btn').addEventListener('click', () => this.removeZoneRegion(region.id));
+            this.zoneStats.appendChild(row);
+        });
+    }
+
+    /**
+     * Start or stop logging the confirmed tracks of every detection frame
+     * Starting again discards the previous log
+     */
+    toggleTrackLog() {
+        if (!window.trackRecorder) {
+            this.showError('Track recording not available');
+            return;
+        }
+
+        if (trackRecorder.isRecording()) {
+            trackRecorder.stop();
+            this.showToast(`Track log stopped: ${TrackRecorder.formatSummary(trackRecorder)}`, 'timeline');
+        } else {
+            if (!this.stream || !this.video.videoWidth) {
+                this.showError('Start the camera to record tracks');
+                return;
+            }
+            trackRecorder.configure({
+                maxFrames: AppConstants.TRACK_LOG.MAX_FRAMES,
+                positionInterval: AppConstants.TRACK_LOG.POSITION_INTERVAL_MS
+            });
+            trackRecorder.start(this.video.videoWidth, this.video.videoHeight, `policamera-tracks-${Date.now()}`);
+            this.showToast('Recording tracks', 'fiber_manual_record');
+        }
+        this.renderZoneStats();
+    }
+
+    /**
+     * Log the tracked detections of a frame and where the camera is
+     * @param {Array<Object>} detections - Tracked detections (video pixels)
+     */
+    recordTrackLog(detections) {
+        const now = Date.now();
+        if (!trackRecorder.record(detections, now)) {
+            // Frame limit reached
+            this.showToast(`Track log full: ${TrackRecorder.formatSummary(trackRecorder)}`, 'timeline');
+            this.renderZoneStats();
+            return;
+        }
+
+        const location = this.getScanLocation();
+        if (location) {
+            trackRecorder.recordPosition(location, now);
+        }
+
+        if (this.zonesPanel.style.display !== 'none' && now - this.zonePanelRenderedAt > AppConstants.ZONES.PANEL_REFRESH_MS) {
+            this.renderZoneStats();
+        }
+    }
+
+    /**
+     * Download the track log as MOTChallenge text, COCO video JSON and GeoJSON
+     */
+    exportTrackLog() {
+        if (!window.trackRecorder || !trackRecorder.hasRecording()) return;
+
+        const name = trackRecorder.getName();
+        databaseManager.downloadBlob(new Blob([trackRecorder.toMot()], { type: 'text/plain' }), `${name}-mot.txt`);
+        databaseManager.downloadBlob(
+            new Blob([JSON.stringify(trackRecorder.toCocoVideo())], { type: 'application/json' }),
+            `${name}-coco.json`
+        );
+        databaseManager.downloadBlob(
+            new Blob([JSON.stringify(trackRecorder.toGeoJson())], { type: 'application/geo+json' }),
+            `${name}.geojson`
+        );
+    }
+
+    /**
+     * Show the state of the track log in the zones panel
+     */
+    renderTrackLog() {
+        const isAvailable = !!window.trackRecorder;
+        const isLogging = isAvailable && trackRecorder.isRecording();
+
+        this.trackLogRecordBtn.disabled = !isAvailable;
+        this.trackLogRecordBtn.classList.toggle('active', isLogging);
+        this.trackLogRecordBtn.querySelector('.material-icons').textContent = isLogging ? 'stop' : 'fiber_manual_record';
+        this.trackLogRecordBtn.setAttribute('aria-label', isLogging ? 'Stop recording tracks' : 'Record tracks');
+        this.trackLogExportBtn.disabled = !isAvailable || isLogging || !trackRecorder.hasRecording();
+
+        if (!isAvailable) {
+            this.trackLogSummary.textContent = 'Not available';
+        } else if (isLogging || trackRecorder.hasRecording()) {
+            this.trackLogSummary.textContent = `${isLogging ? 'Recording: ' : ''}${TrackRecorder.formatSummary(trackRecorder)}`;
+        } else {
+            this.trackLogSummary.textContent = 'Record tracked objects for MOTChallenge, COCO video and GeoJSON export';
+        }
+    }
+
+    /**
+     * Show or hide the detection model panel
+     * @param {boolean} [show] - Defaults to toggling
+     */
+    toggleModelPanel(show = this.modelPanel.style.display === 'none') {
+        if (!window.aiRecognitionManager || typeof CustomDetector === 'undefined') {
+            this.showError('Custom detection models not available');
+            return;
+        }
+
+        this.modelPanel.style.display = show ? 'flex' : 'none';
+        this.renderModelPanel();
+    }
+
+    /**
+     * Format and input size chosen in the panel
+     * @returns {Object}
+     */
+    getModelPanelOptions() {
+        return {
+            format: this.modelFormatSelect.value,
+            inputSize: parseInt(this.modelInputSize.value, 10) || AppConstants.AI.CUSTOM_MODEL_INPUT_SIZE
+        };
+    }
+
+    /**
+     * Load a custom model and label map from the URLs in the panel
+     */
+    async loadDetectionModelFromUrl() {
+        const modelUrl = this.modelUrlInput.value.trim();
+        const labelsUrl = this.modelLabelsInput.value.trim();
+        const name = decodeURIComponent(modelUrl.replace(/\/model\.json$/i, '').split('/').pop() || 'Custom model');
+
+        await this.applyDetectionModel({ ...this.getModelPanelOptions(), name, modelUrl, labelsUrl });
+    }
+
+    /**
+     * Load a custom model from picked files: model.json, its weight shards and a label map JSON
+     * @param {File[]} files
+     */
+    async loadDetectionModelFromFiles(files) {
+        try {
+            const jsonFiles = files.filter(file => file.name.toLowerCase().endsWith('.json'));
+            const weightFiles = files.filter(file => file.name.toLowerCase().endsWith('.bin'));
+
+            // Tell model.json apart from the label map by its content
+            let modelFile = null;
+            let labelsFile = null;
+            let labels = null;
+            for (const file of jsonFiles) {
+                const json = JSON.parse(await file.text());
+                if (json.modelTopology) {
+                    modelFile = file;
+                } else {
+                    labelsFile = file;
+                    labels = json;
+                }
+            }
+            if (!modelFile) {
+                throw new Error('No model.json among the files');
+            }
+            if (!labels) {
+                throw new Error('No label map among the files');
+            }
+
+            // "model.json" says little, so name the model after its label map then
+            const name = (modelFile.name === 'model.json' ? labelsFile : modelFile).name.replace(/\.json$/i, '');
+            await this.applyDetectionModel(
+                { ...this.getModelPanelOptions(), name, labels },
+                tf.io.browserFiles([modelFile, ...weightFiles])
+            );
+        } catch (error) {
+            this.modelStatus.textContent = `Failed: ${error.message}`;
+            this.showError(error.message || 'Failed to read model files');
+        }
+    }
+
+    /**
+     * Switch the detection model and keep the choice for the next session
+     * @param {Object|null} config - CustomDetector config; null for COCO-SSD
+     * @param {Object} [source] - tf.io handler of picked model files
+     */
+    async applyDetectionModel(config, source = null) {
+        if (this.isModelSwitching) return;
+        this.isModelSwitching = true;
+        this.modelStatus.textContent = config ? `Loading ${config.name}...` : 'Switching to COCO-SSD...';
+        this.renderModelPanel();
+
+        try {
+            const saved = await aiRecognitionManager.setDetectionModel(config, source);
+            if (this.isDatabaseAvailable) {
+                await databaseManager.setSetting(AppConstants.AI.CUSTOM_MODEL_SETTING_KEY, saved);
+            }
+            const info = aiRecognitionManager.getModelInfo();
+            this.showToast(
+                info.custom ? `${info.name} loaded: ${info.classes.length} classes` : 'Using COCO-SSD',
+                'model_training'
+            );
+        } catch (error) {
+            console.error('Failed to switch detection model:', error);
+            this.showError(`Failed to load model: ${error.message}`);
+        } finally {
+            this.isModelSwitching = false;
+            this.renderModelPanel();
+        }
+    }
+
+    /**
+     * Restore the custom detection model from the settings store
+     */
+    async loadDetectionModelSetting() {
+        if (!window.aiRecognitionManager || typeof CustomDetector === 'undefined') return;
+
+        try {
+            const config = await databaseManager.getSetting(AppConstants.AI.CUSTOM_MODEL_SETTING_KEY, null);
+            if (config) {
+                aiRecognitionManager.restoreDetectionModel(config);
+                console.log(`🧠 Restored detection model ${config.name}`);
+                this.renderModelPanel();
+            }
+        } catch (error) {
+            console.warn('Failed to restore detection model:', error);
+        }
+    }
+
+    /**
+     * Show the active detection model and its classes
+     */
+    renderModelPanel() {
+        const info = aiRecognitionManager.getModelInfo();
+        this.modelFab.classList.toggle('active', info.custom || this.modelPanel.style.display !== 'none');
+        if (this.modelPanel.style.display === 'none') return;
+
+        this.modelName.textContent = info.name;
+        this.modelResetBtn.disabled = this.isModelSwitching || !info.custom;
+        this.modelFileInput.disabled = this.isModelSwitching;
+        this.modelUrlForm.querySelector('button').disabled = this.isModelSwitching;
+        if (this.isModelSwitching) return;
+
+        const error = aiRecognitionManager.customModelError;
+        const classes = `${info.classes.length} classes (${info.format}, ${info.inputSize} px): ${info.classes.slice(0, 12).join(', ')}` +
+            (info.classes.length > 12 ? '…' : '');
+        this.modelStatus.textContent = error ? `Failed: ${error} — using COCO-SSD. ${classes}` : classes;
+    }
+
+    /**
+     * Find a document outline for region OCR when no box was dragged
+     * @param {HTMLCanvasElement} frame - Current video frame
+     */
+    updateOCRDocumentRegion(frame) {
+        const region = window.ocrManager.getRegion();
+        if (region && region.source === 'manual') return;
+
+        const quad = window.openCVWrapper ? openCVWrapper.findDocumentQuad(frame) : null;
+        window.ocrManager.setRegion(quad ? { quad, source: 'document' } : null);
+    }
+
+    /**
+     * Deskew and binarize an OCR region (called by OCRManager)
+     * @param {HTMLCanvasElement} image - Video frame
+     * @param {Array<{x: number, y: number}>} quad - Ordered region corners
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @returns {HTMLCanvasElement|null} Null lets OCRManager fall back to a plain crop
+     */
+    preprocessOCRRegion(image, quad, width, height) {
+        if (!window.openCVWrapper || !openCVWrapper.isReady()) return null;
+
+        const warped = openCVWrapper.warpPerspective(image, quad, width, height);
+        if (!warped) return null;
+
+        return openCVWrapper.enhanceContrast(warped, warped, true);
+    }
+
+    /**
+     * Toggle barcode/QR code scanner
+     */
+    async toggleBarcodeScanner() {
+        if (!window.barcodeManager) {
+            this.showError('Barcode scanner not available');
+            return;
+        }
+
+        try {
+            // Initialize on first use
+            if (!window.barcodeManager.getMetrics().isInitialized) {
+                this.showToast('Initializing barcode scanner...', 'qr_code_scanner');
+                await window.barcodeManager.initialize();
+            }
+
+            const isEnabled = await window.barcodeManager.toggle();
+            this.isBarcodeEnabled = isEnabled;
+
+            // Set overlay canvas for drawing bounding boxes
+            if (isEnabled && this.detectionOverlay) {
+                window.barcodeManager.setOverlayCanvas(this.detectionOverlay);
+                window.barcodeManager.setOverlayEnabled(true);
+            } else if (!isEnabled) {
+                // Clear overlay when disabled
+                window.barcodeManager.clearOverlay();
+                window.barcodeManager.setOverlayEnabled(false);
+            }
+
+            // Update button styling and show/hide barcode guide box
+            const barcodeGuideBox = document.getElementById('barcodeGuideBox');
+            this.inventoryFab.style.display = isEnabled && window.inventorySessionManager ? 'flex' : 'none';
+            if (isEnabled) {
+                this.barcodeFab.classList.add('active');
+                this.showToast('Barcode scanner enabled', 'qr_code_scanner');
+                if (barcodeGuideBox) {
+                    barcodeGuideBox.style.display = 'block';
+                }
+
+                // Start continuous scanning from video
+                if (this.video && isEnabled) {
+                    this.barcodeIntervalId = window.barcodeManager.startVideoScanning(
+                        this.video,
+                        (result) => {
+                            console.log(`📱 Scanned ${result.format}: ${result.text}`);
+
+                            // Count the scan instead of announcing it while an inventory session runs
+                            if (window.inventorySessionManager && inventorySessionManager.isActive) {
+                                this.recordInventoryScan(result);
+                                return;
+                            }
+
+                            // Show toast notification with barcode info (main field for parsed payloads)
+                            const payload = result.payload;
+                            const label = payload && payload.type !== 'text' ? payload.title : result.format;
+                            const text = payload && payload.type !== 'text' && payload.fields[0]
+                                ? payload.fields[0].value
+                                : result.text;
+                            const displayText = text.length > 50
+                                ? text.substring(0, 50) + '...'
+                                : text;
+                            UIHelpers.showToast(
+                                `${label}: ${displayText}`,
+                                'success',
+                                'qr_code_scanner',
+                                3000
+                            );
+                        },
+                        200 // Scan every 200ms
+                    );
+                }
+            } else {
+                this.barcodeFab.classList.remove('active');
+                this.showToast('Barcode scanner disabled', 'qr_code_scanner');
+                this.inventoryPanel.style.display = 'none';
+                if (barcodeGuideBox) {
+                    barcodeGuideBox.style.display = 'none';
+                }
+
+                // Stop continuous scanning - cleanup interval first
+                if (this.barcodeIntervalId) {
+                    clearInterval(this.barcodeIntervalId);
+                    this.barcodeIntervalId = null;
+                }
+
+                // Always call stopScanning to ensure cleanup
+                if (window.barcodeManager) {
+                    window.barcodeManager.stopScanning();
+                }
+            }
+        } catch (error) {
+            console.error('Failed to toggle barcode scanner:', error);
+            this.showError('Failed to initialize barcode scanner');
+        }
+    }
+
+    /**
+     * Show or hide the inventory panel (a running session keeps counting while hidden)
+     * @param {boolean} [show] - Defaults to toggling
+     */
+    toggleInventoryPanel(show = this.inventoryPanel.style.display === 'none') {
+        this.inventoryPanel.style.display = show ? 'flex' : 'none';
+
+        if (show) {
+            inventorySessionManager.onChange = (session) => this.renderInventory(session);
+        }
+        this.renderInventory(inventorySessionManager.session);
+    }
+
+    /**
+     * Start a named inventory session
+     */
+    async startInventorySession() {
+        if (!this.isDatabaseAvailable) {
+            this.showError('Inventory sessions need local storage (IndexedDB)');
+            return;
+        }
+
+        try {
+            const session = await inventorySessionManager.start(this.userId, this.inventoryNameInput.value);
+            this.inventoryNameInput.value = '';
+            this.setInventoryScanning(true);
+            this.showToast(`Counting "${session.name}"`, 'inventory_2');
+        } catch (error) {
+            console.error('Failed to start inventory session:', error);
+            this.showError('Failed to start inventory session');
+        }
+    }
+
+    /**
+     * Continue a saved inventory session
+     * @param {number} id - Session record ID
+     */
+    async resumeInventorySession(id) {
+        try {
+            const session = await inventorySessionManager.resume(id);
+            this.setInventoryScanning(true);
+            this.showToast(`Counting "${session.name}"`, 'inventory_2');
+            await this.refreshInventorySessions();
+        } catch (error) {
+            console.error('Failed to resume inventory session:', error);
+            this.showError('Failed to resume inventory session');
+        }
+    }
+
+    /**
+     * Finish the current inventory session
+     */
+    async stopInventorySession() {
+        const session = await inventorySessionManager.stop();
+        this.setInventoryScanning(false);
+
+        if (session) {
+            this.showToast(`${session.name}: ${inventorySessionManager.getTotalQuantity(session)} items saved`, 'inventory_2');
+            if (this.inventorySessionsDetails.open) {
+                await this.refreshInventorySessions();
+            }
+        }
+    }
+
+    /**
+     * Switch the barcode scanner between single scans and batch counting:
+     * identical codes count again once they leave the frame, and the result modal stays closed
+     * @param {boolean} counting
+     */
+    setInventoryScanning(counting) {
+        if (!window.barcodeManager) return;
+
+        if (counting) {
+            barcodeManager.setDuplicateDebounce(AppConstants.INVENTORY.REPEAT_SCAN_MS, true);
+        } else {
+            barcodeManager.setDuplicateDebounce(2000);
+        }
+        barcodeManager.setModalEnabled(!counting);
+    }
+
+    /**
+     * Count a scanned barcode in the current session
+     * @param {Object} result - BarcodeResult
+     */
+    recordInventoryScan(result) {
+        const item = inventorySessionManager.recordScan(result, this.getScanLocation());
+        if (!item) return;
+
+        // Flash the row that was counted
+        const row = this.inventoryItems.querySelector(`[data-code="${CSS.escape(item.code)}"]`);
+        if (row) {
+            row.classList.remove('updated');
+            void row.offsetWidth; // Restart the animation
+            row.classList.add('updated');
+        }
+    }
+
+    /**
+     * Current GPS position for tagging a scan or zone event
+     * @returns {Object|null} { latitude, longitude, accuracy }
+     */
+    getScanLocation() {
+        if (!this.gpsManager.hasValidCoordinates()) return null;
+
+        const location = this.gpsManager.getCurrentLocation();
+        return {
+            latitude: parseFloat(location.latitude),
+            longitude: parseFloat(location.longitude),
+            accuracy: GPSManager.parseAccuracy(location.accuracy)
+        };
+    }
+
+    /**
+     * Show the counted codes of the current session
+     * @param {Object|null} session - Current session record
+     */
+    renderInventory(session) {
+        const isActive = !!session;
+        this.inventoryStartForm.style.display = isActive ? 'none' : 'flex';
+        this.inventoryStopBtn.disabled = !isActive;
+        this.inventoryCsvBtn.disabled = !isActive;
+        this.inventoryJsonBtn.disabled = !isActive;
+        this.inventoryFab.classList.toggle('active', isActive || this.inventoryPanel.style.display !== 'none');
+
+        if (!isActive) {
+            this.inventoryCount.textContent = '';
+            this.inventoryItems.innerHTML = '';
+            this.inventoryStatus.textContent = 'Start a session to count scanned codes';
+            return;
+        }
 
-            // Update button styling and show/hide barcode guide box
-            const barcodeGuideBox = document.getElementById('barcodeGuideBox');
-            if (isEnabled) {
-                this.barcodeFab.classList.add('active');
-                this.showToast('Barcode scanner enabled', 'qr_code_scanner');
-                if (barcodeGuideBox) {
-                    barcodeGuideBox.style.display = 'block';
-                }
+        const items = inventorySessionManager.getItems();
+        this.inventoryCount.textContent = `(${inventorySessionManager.getTotalQuantity()})`;
+        this.inventoryStatus.textContent = `${session.name} · ${items.length} code${items.length === 1 ? '' : 's'}`;
+
+        this.inventoryItems.innerHTML = '';
+        items.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'inventory-item';
+            row.dataset.code = item.code;
+            row.innerHTML = `
+                <span class="inventory-item-label">
+                    ${this.escapeHtml(item.description || item.format)}
+                    <span class="inventory-item-code">${this.escapeHtml(item.code)}</span>
+                </span>
+                <button class="map-btn" data-delta="-1" aria-label="Decrease quantity">
+                    <span class="material-icons">remove</span>
+                </button>
+                <input class="inventory-qty" type="number" min="0" inputmode="numeric" value="${item.quantity}" aria-label="Quantity">
+                <button class="map-btn" data-delta="1" aria-label="Increase quantity">
+                    <span class="material-icons">add</span>
+                </button>
+            `;
+            row.querySelectorAll('[data-delta]').forEach(button => {
+                button.addEventListener('click', () => inventorySessionManager.adjustQuantity(item.code, Number(button.dataset.delta)));
+            });
+            row.querySelector('.inventory-qty').addEventListener('change', (e) => {
+                inventorySessionManager.setQuantity(item.code, parseInt(e.target.value, 10));
+            });
+            this.inventoryItems.appendChild(row);
+        });
+    }
 
-                // Start continuous scanning from video
-                if (this.video && isEnabled) {
-                    this.barcodeIntervalId = window.barcodeManager.startVideoScanning(
-                        this.video,
-                        (result) => {
-                            console.log(`📱 Scanned ${result.format}: ${result.text}`);
+    /**
+     * Download an inventory session
+     * @param {string} format - 'csv' or 'json'
+     * @param {number} [id] - Session record ID (defaults to the current session)
+     */
+    async exportInventorySession(format, id = inventorySessionManager.session?.id) {
+        if (id === undefined) return;
 
-                            // Show toast notification with barcode info
-                            const displayText = result.text.length > 50
-                                ? result.text.substring(0, 50) + '...'
-                                : result.text;
-                            UIHelpers.showToast(
-                                `${result.format}: ${displayText}`,
-                                'success',
-                                'qr_code_scanner',
-                                3000
-                            );
-                        },
-                        200 // Scan every 200ms
-                    );
-                }
-            } else {
-                this.barcodeFab.classList.remove('active');
-                this.showToast('Barcode scanner disabled', 'qr_code_scanner');
-                if (barcodeGuideBox) {
-                    barcodeGuideBox.style.display = 'none';
-                }
+        try {
+            await inventorySessionManager.save();
+            await databaseManager.exportInventorySession(id, format);
+        } catch (error) {
+            this.showError('Failed to export inventory session');
+        }
+    }
 
-                // Stop continuous scanning - cleanup interval first
-                if (this.barcodeIntervalId) {
-                    clearInterval(this.barcodeIntervalId);
-                    this.barcodeIntervalId = null;
-                }
+    /**
+     * List the inventory sessions stored in IndexedDB
+     */
+    async refreshInventorySessions() {
+        if (!this.isDatabaseAvailable) return;
 
-                // Always call stopScanning to ensure cleanup
-                if (window.barcodeManager) {
-                    window.barcodeManager.stopScanning();
-                }
+        try {
+            const sessions = await databaseManager.getInventorySessionsForUser(this.userId);
+            this.inventorySessions.innerHTML = '';
+
+            if (sessions.length === 0) {
+                this.inventorySessions.textContent = 'No saved sessions';
+                return;
             }
+
+            sessions.forEach(session => {
+                const isCurrent = inventorySessionManager.session?.id === session.id;
+                const item = document.createElement('div');
+                item.className = 'scan-document';
+                item.innerHTML = `
+                    <span class="scan-document-title">${this.escapeHtml(session.name)}</span>
+                    <span>${inventorySessionManager.getTotalQuantity(session)} · ${session.date}</span>
+                    <button class="map-btn" data-action="resume" aria-label="Continue session" ${isCurrent ? 'disabled' : ''}>
+                        <span class="material-icons">play_arrow</span>
+                    </button>
+                    <button class="map-btn" data-action="csv" aria-label="Export CSV">
+                        <span class="material-icons">table_view</span>
+                    </button>
+                    <button class="map-btn" data-action="json" aria-label="Export JSON">
+                        <span class="material-icons">data_object</span>
+                    </button>
+                    <button class="map-btn" data-action="delete" aria-label="Delete session" ${isCurrent ? 'disabled' : ''}>
+                        <span class="material-icons">delete</span>
+                    </button>
+                `;
+                item.querySelector('[data-action="resume"]').addEventListener('click', () => this.resumeInventorySession(session.id));
+                item.querySelector('[data-action="csv"]').addEventListener('click', () => this.exportInventorySession('csv', session.id));
+                item.querySelector('[data-action="json"]').addEventListener('click', () => this.exportInventorySession('json', session.id));
+                item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                    if (!confirm(`Delete "${session.name}"?`)) return;
+                    await databaseManager.deleteRecord(databaseManager.stores.inventory, session.id);
+                    await this.refreshInventorySessions();
+                });
+                this.inventorySessions.appendChild(item);
+            });
         } catch (error) {
-            console.error('Failed to toggle barcode scanner:', error);
-            this.showError('Failed to initialize barcode scanner');
+            console.error('Failed to load inventory sessions:', error);
+            this.showError('Failed to load inventory sessions');
         }
     }
 
@@ -1392,8 +3563,7 @@ class PoliCameraApp {
         // Draw video frame to canvas
         context.drawImage(this.video, 0, 0);
 
-        // Get image data
-        const imageDataUrl = canvas.toDataURL('image/jpeg', 0.9);
+        const capturedAt = new Date();
 
         // Run AI analysis on the captured image
         let aiAnalysis = null;
@@ -1422,10 +3592,11 @@ class PoliCameraApp {
 
         // Run face detection on the captured image
         let faceData = null;
+        let faces = null;
         if (this.isFaceDetectionEnabled && window.faceDetectionManager) {
             try {
                 console.log('Running face detection on captured photo...');
-                const faces = await faceDetectionManager.detectFaces(canvas, false);
+                faces = await faceDetectionManager.detectFaces(canvas, false);
                 faceData = faceDetectionManager.exportFaceData(faces);
                 console.log('Face detection results:', faceData);
             } catch (error) {
@@ -1434,19 +3605,80 @@ class PoliCameraApp {
         }
 
         // Run depth prediction on the captured image
+        // (the map is kept until after redaction, so the point cloud gets the redacted colors)
         let depthData = null;
+        let depthMap = null;
         if (this.isDepthPredictionEnabled && window.depthPredictionManager) {
             try {
                 console.log('Running depth prediction on captured photo...');
-                const depthMap = await depthPredictionManager.predictDepth(canvas, false);
+                depthMap = await depthPredictionManager.predictDepth(canvas, false);
                 depthData = await depthPredictionManager.exportDepthData(depthMap);
                 console.log('Depth prediction results:', depthData);
-                // Dispose depth map after exporting data
+            } catch (error) {
+                console.error('Depth prediction failed:', error);
+            }
+        }
+
+        // Blur faces and licence plates before anything leaves the canvas
+        let redaction = null;
+        let originalDataUrl = null;
+        if (window.redactionManager && redactionManager.isEnabled()) {
+            if (redactionManager.shouldKeepOriginal()) {
+                originalDataUrl = canvas.toDataURL('image/jpeg', 0.9);
+            }
+            try {
+                redaction = await redactionManager.redactCanvas(canvas, {
+                    faces: faces,
+                    detections: aiAnalysis && aiAnalysis.success ? aiAnalysis.detections : null
+                });
+                // A detector that could not run may have left faces or plates visible:
+                // only save once the user has seen that and agreed
+                if (!redaction.complete) {
+                    const save = confirm(`Redaction incomplete (${redaction.warnings.join(', ')}). Faces or licence plates may be visible. Save this photo anyway?`);
+                    if (!save) {
+                        UIHelpers.showToast('Photo not saved - redaction incomplete', 'warning', 'privacy_tip');
+                        if (depthMap) {
+                            depthMap.dispose();
+                        }
+                        return;
+                    }
+                    redaction.incompleteConfirmed = true;
+                }
+            } catch (error) {
+                console.error('Redaction failed:', error);
+                UIHelpers.showToast('Redaction failed - photo not saved', 'error', 'privacy_tip');
                 if (depthMap) {
                     depthMap.dispose();
                 }
+                return;
+            }
+        }
+
+        // Full depth map as 16-bit PNG, colorized preview and point cloud
+        let depthFiles = null;
+        if (depthMap) {
+            try {
+                depthFiles = await depthPredictionManager.exportDepthFiles(depthMap, canvas);
             } catch (error) {
-                console.error('Depth prediction failed:', error);
+                console.error('Depth export failed:', error);
+            }
+            // Dispose depth map after exporting data
+            depthMap.dispose();
+        }
+
+        // Get image data
+        let imageDataUrl = canvas.toDataURL('image/jpeg', 0.9);
+
+        // Embed GPS, heading, device and detection provenance into the JPEG itself
+        if (window.JpegMetadataWriter) {
+            try {
+                const jpegMetadata = this.buildJpegMetadata(capturedAt, aiAnalysis);
+                imageDataUrl = JpegMetadataWriter.embedInDataUrl(imageDataUrl, jpegMetadata);
+                if (originalDataUrl) {
+                    originalDataUrl = JpegMetadataWriter.embedInDataUrl(originalDataUrl, jpegMetadata);
+                }
+            } catch (error) {
+                console.error('Failed to embed JPEG metadata:', error);
             }
         }
 
@@ -1454,19 +3686,27 @@ class PoliCameraApp {
         const photo = {
             id: Date.now(),
             userId: this.userId,
-            dataUrl: imageDataUrl,
-            timestamp: new Date().toISOString(),
+            timestamp: capturedAt.toISOString(),
             location: this.getCurrentLocation(),
             orientation: this.getCurrentOrientation(),
             networkInfo: networkManager.getNetworkInfo(),
             aiAnalysis: aiAnalysis,
             poseData: poseData,
             faceData: faceData,
-            depthData: depthData
+            depthData: depthData,
+            depthFiles: depthFiles,
+            ocrText: this.getCaptureOCRText(),
+            barcodeData: this.getCaptureBarcode(),
+            measurements: this.isMeasureMode && window.measurementManager ? measurementManager.exportMeasurements() : null,
+            redaction: redaction
         };
+        await this.attachPhotoImage(photo, await Utils.dataUrlToBlob(imageDataUrl));
+        if (originalDataUrl) {
+            photo.originalBlob = await Utils.dataUrlToBlob(originalDataUrl);
+        }
 
         this.capturedPhotos.push(photo);
-        this.displayPhoto(photo);
+        this.displayPhoto(photo, true);
         this.savePhotoToStorage(photo);
 
         // Store in IndexedDB
@@ -1476,6 +3716,62 @@ class PoliCameraApp {
         this.showCaptureEffect();
     }
 
+    /**
+     * Get text recognized just before capture, if OCR is on
+     * @returns {string|null}
+     */
+    getCaptureOCRText() {
+        if (!this.isOCREnabled || !window.ocrManager) return null;
+
+        const result = window.ocrManager.getCurrentResult();
+        if (!result || !result.text.trim() || Date.now() - result.timestamp > AppConstants.GALLERY.CAPTURE_RESULT_MAX_AGE) {
+            return null;
+        }
+        return result.text.trim();
+    }
+
+    /**
+     * Get the barcode scanned just before capture, if the scanner is on
+     * @returns {Object|null} { text, format }
+     */
+    getCaptureBarcode() {
+        if (!this.isBarcodeEnabled || !window.barcodeManager) return null;
+
+        const result = window.barcodeManager.getCurrentResult();
+        if (!result || Date.now() - result.timestamp > AppConstants.GALLERY.CAPTURE_RESULT_MAX_AGE) {
+            return null;
+        }
+        return { text: result.text, format: result.format };
+    }
+
+    /**
+     * Build EXIF/XMP metadata for a captured photo
+     * @param {Date} capturedAt - Capture time
+     * @param {Object|null} aiAnalysis - AI analysis results
+     * @returns {Object} Metadata for JpegMetadataWriter
+     */
+    buildJpegMetadata(capturedAt, aiAnalysis) {
+        const location = this.gpsManager.getCurrentLocation();
+        const deviceInfo = Utils.getDeviceInfo();
+        const detections = aiAnalysis && aiAnalysis.success
+            ? aiAnalysis.detections.map(d => ({ class: d.class, confidence: d.confidence }))
+            : [];
+
+        return {
+            timestamp: capturedAt,
+            latitude: parseFloat(location.latitude),
+            longitude: parseFloat(location.longitude),
+            altitude: GPSManager.parseAltitude(location.altitude),
+            accuracy: GPSManager.parseAccuracy(location.accuracy),
+            heading: GPSManager.parseHeading(this.gpsManager.getCurrentOrientation().alpha),
+            software: `PoliCamera ${this.appVersion}`,
+            deviceModel: deviceInfo.platform,
+            userAgent: deviceInfo.userAgent,
+            description: detections.length > 0 ? aiAnalysis.summary : undefined,
+            detections
+        };
+    }
+
     getCurrentLocation() {
         return {
             latitude: this.latitudeEl.textContent,
@@ -1494,6 +3790,139 @@ class PoliCameraApp {
     }
 
 
+    /**
+     * Start or stop video recording
+     */
+    async toggleRecording() {
+        if (this.cameraManager.isRecording()) {
+            await this.stopRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+
+    /**
+     * Start recording the camera stream with a GPS WebVTT sidecar
+     */
+    startRecording() {
+        if (!this.stream || this.isSavingRecording) return;
+
+        try {
+            this.cameraManager.startRecording(this.stream);
+
+            // Seed the sidecar so it starts at 00:00:00.000
+            this.recordingCues = [];
+            this.updateRecordingCue(Utils.formatCueText(
+                this.gpsManager.getCurrentLocation(),
+                this.gpsManager.getCurrentOrientation(),
+                networkManager.getNetworkInfo()
+            ));
+
+            this.recordFab.classList.add('active', 'recording');
+            this.recordFab.querySelector('.material-icons').textContent = 'stop';
+            this.showToast('Recording started', 'fiber_manual_record');
+        } catch (error) {
+            console.error('Failed to start recording:', error);
+            this.showError('Failed to start recording: ' + error.message);
+        }
+    }
+
+    /**
+     * Stop recording and store the WebM with its WebVTT sidecar in IndexedDB
+     */
+    async stopRecording() {
+        this.isSavingRecording = true;
+        this.recordFab.classList.remove('active', 'recording');
+        this.recordFab.querySelector('.material-icons').textContent = 'fiber_manual_record';
+
+        try {
+            const recording = await this.cameraManager.stopRecording();
+            const cues = this.finalizeRecordingCues(recording.duration);
+            this.recordingCues = [];
+
+            if (!this.isDatabaseAvailable) {
+                this.showError('Database unavailable - recording not saved');
+                return;
+            }
+
+            const videoId = await databaseManager.storeVideo({
+                userId: this.userId,
+                videoBlob: recording.blob,
+                mimeType: recording.mimeType,
+                vttContent: this.generateVTTContent(cues),
+                cueCount: cues.length,
+                startTime: recording.startTime,
+                duration: recording.duration
+            });
+            console.log('Video stored in database with ID:', videoId);
+
+            if (this.recordingsDetails.open) {
+                await this.refreshRecordings();
+            }
+
+            const toast = UIHelpers.showToast(
+                `Recording saved (${Math.round(recording.duration / 1000)}s) - tap to export`,
+                'success',
+                'videocam',
+                AppConstants.TIMING.STITCH_SUCCESS_TOAST
+            );
+            toast.style.cursor = 'pointer';
+            toast.addEventListener('click', () => {
+                databaseManager.exportVideo(videoId).catch(() => this.showError('Failed to export video'));
+                toast.remove();
+            });
+        } catch (error) {
+            console.error('Failed to save recording:', error);
+            this.showError('Failed to save recording: ' + error.message);
+        } finally {
+            this.isSavingRecording = false;
+        }
+    }
+
+    /**
+     * List the recordings stored in IndexedDB
+     */
+    async refreshRecordings() {
+        if (!this.isDatabaseAvailable) return;
+
+        try {
+            const videos = await databaseManager.getVideosForUser(this.userId);
+            this.recordings.innerHTML = '';
+
+            if (videos.length === 0) {
+                this.recordings.textContent = 'No saved recordings';
+                return;
+            }
+
+            videos.forEach(video => {
+                const item = document.createElement('div');
+                item.className = 'scan-document';
+                item.innerHTML = `
+                    <span class="scan-document-title">${video.date} ${video.time}</span>
+                    <span>${Math.round(video.duration / 1000)}s · ${Utils.formatBytes(video.size, 1)}</span>
+                    <button class="map-btn" data-action="export" aria-label="Export video and GPS track">
+                        <span class="material-icons">download</span>
+                    </button>
+                    <button class="map-btn" data-action="delete" aria-label="Delete recording">
+                        <span class="material-icons">delete</span>
+                    </button>
+                `;
+                item.querySelector('[data-action="export"]').addEventListener('click', () => {
+                    databaseManager.exportVideo(video.id).catch(() => this.showError('Failed to export video'));
+                });
+                item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                    if (!confirm(`Delete the recording from ${video.date} ${video.time}?`)) return;
+                    await databaseManager.deleteRecord(databaseManager.stores.videos, video.id);
+                    await this.refreshRecordings();
+                });
+                this.recordings.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Failed to load recordings:', error);
+            this.showError('Failed to load saved recordings');
+        }
+    }
+
     /**
      * Show capture flash effect
      */
@@ -1501,14 +3930,105 @@ class PoliCameraApp {
         UIHelpers.showCaptureEffect();
     }
 
-    displayPhoto(photo) {
+    /**
+     * Attach an image to an in-memory photo
+     * The gallery only shows the thumbnail; the full image is kept until it is
+     * stored in IndexedDB and then loaded on demand with getPhotoImageBlob()
+     * @param {Object} photo - Photo object
+     * @param {Blob} imageBlob - Full-size JPEG
+     */
+    async attachPhotoImage(photo, imageBlob) {
+        photo.imageBlob = imageBlob;
+        try {
+            photo.thumbnailBlob = await Utils.createThumbnail(imageBlob);
+        } catch (error) {
+            console.warn('Failed to create thumbnail:', error);
+            photo.thumbnailBlob = null;
+        }
+        photo.thumbnailUrl = URL.createObjectURL(photo.thumbnailBlob || imageBlob);
+    }
+
+    /**
+     * Get the full-size image of a photo, loading it from IndexedDB if needed
+     * @param {Object} photo - Photo object
+     * @returns {Promise<Blob|null>}
+     */
+    async getPhotoImageBlob(photo) {
+        if (photo.imageBlob) return photo.imageBlob;
+        if (photo.dbId && this.isDatabaseAvailable) {
+            return databaseManager.getPhotoImage(photo.dbId);
+        }
+        return null;
+    }
+
+    /**
+     * Get the depth files of a photo, loading them from IndexedDB if needed
+     * @param {Object} photo - Photo object
+     * @returns {Promise<Object|null>} { width, height, png, preview, ply }
+     */
+    async getPhotoDepthFiles(photo) {
+        if (photo.depthFiles) return photo.depthFiles;
+        if (photo.hasDepthFiles && photo.dbId && this.isDatabaseAvailable) {
+            return databaseManager.getPhotoDepthFiles(photo.dbId);
+        }
+        return null;
+    }
+
+    /**
+     * Download one of a photo's depth files
+     * @param {Object} photo - Photo object
+     * @param {string} kind - 'png', 'preview' or 'ply'
+     */
+    async downloadPhotoDepthFile(photo, kind) {
+        try {
+            const files = await this.getPhotoDepthFiles(photo);
+            if (!files || !files[kind]) {
+                this.showError('Depth map not available');
+                return;
+            }
+
+            const names = { png: 'depth16.png', preview: 'depth.png', ply: 'depth.ply' };
+            databaseManager.downloadBlob(files[kind], `photo_${photo.id}_${names[kind]}`);
+        } catch (error) {
+            console.error('Failed to export depth map:', error);
+            this.showError('Failed to export depth map');
+        }
+    }
+
+    /**
+     * Decrypt the unredacted original of a photo kept at capture time
+     * @param {Object} photo - Photo object
+     * @returns {Promise<Blob|null>} Null (after showing an error) when it is unavailable
+     */
+    async getPhotoOriginal(photo) {
+        try {
+            const original = photo.dbId && this.isDatabaseAvailable
+                ? await databaseManager.getPhotoOriginal(photo.dbId)
+                : null;
+            if (!original) {
+                this.showError('Unredacted original not available');
+            }
+            return original;
+        } catch (error) {
+            console.error('Failed to decrypt unredacted original:', error);
+            this.showError('Failed to decrypt the unredacted original');
+            return null;
+        }
+    }
+
+    /**
+     * Add a photo to the grid
+     * @param {Object} photo - Photo with thumbnailUrl
+     * @param {boolean} prepend - Insert before older photos (new captures)
+     */
+    displayPhoto(photo, prepend = false) {
         const photoElement = document.createElement('div');
         photoElement.className = 'photo-item';
         photoElement.innerHTML = `
             <div class="photo-selection" data-photo-id="${photo.id}">
                 <span class="material-icons photo-tick">check</span>
             </div>
-            <img src="${photo.dataUrl}" alt="Captured photo">
+            <img src="${photo.thumbnailUrl}" alt="Captured photo" loading="lazy">
             <div class="photo-metadata">
                 <div>${new Date(photo.timestamp).toLocaleTimeString()}</div>
                 <div>📍 ${photo.location.latitude !== '--' ? 'GPS' : 'No GPS'}</div>
@@ -1534,7 +4054,11 @@ class PoliCameraApp {
             this.showPhotoDetails(photo);
         });
 
-        this.photosGrid.appendChild(photoElement);
+        if (prepend) {
+            this.photosGrid.prepend(photoElement);
+        } else {
+            this.photosGrid.appendChild(photoElement);
+        }
     }
 
     showPhotoDetails(photo) {
@@ -1568,11 +4092,32 @@ class PoliCameraApp {
         title.textContent = 'Photo Details';
         title.style.cssText = 'margin-bottom: 16px; color: var(--md-sys-color-primary);';
 
+        // Show the thumbnail right away and swap in the full image once loaded
         const img = document.createElement('img');
-        img.src = photo.dataUrl;
+        img.src = photo.thumbnailUrl;
         img.alt = 'Captured photo';
         img.style.cssText = 'width: 100%; max-width: 400px; border-radius: 8px; margin-bottom: 16px;';
 
+        let fullImageUrl = null;
+        this.getPhotoImageBlob(photo).then(blob => {
+            if (!blob || !modal.isConnected) return;
+            fullImageUrl = URL.createObjectURL(blob);
+            img.src = fullImageUrl;
+        }).catch(error => {
+            console.warn('Failed to load full image:', error);
+        });
+
+        let originalUrl = null;
+        const closeModal = () => {
+            modal.remove();
+            if (fullImageUrl) {
+                URL.revokeObjectURL(fullImageUrl);
+            }
+            if (originalUrl) {
+                URL.revokeObjectURL(originalUrl);
+            }
+        };
+
         const details = document.createElement('div');
         details.style.cssText = 'display: grid; gap: 8px; font-size: 14px;';
 
@@ -1703,11 +4248,86 @@ class PoliCameraApp {
                     <div><strong>Average Depth:</strong> ${photo.depthData.average.toFixed(2)}</div>
                     <div><strong>Depth Range:</strong> ${photo.depthData.min.toFixed(2)} - ${photo.depthData.max.toFixed(2)}</div>
                     <div><strong>Color Mode:</strong> ${photo.depthData.colorMode}</div>
+                    ${photo.depthFiles || photo.hasDepthFiles ? `
+                        <div style="display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap;">
+                            ${[['png', '16-bit PNG'], ['preview', 'Preview'], ['ply', 'Point cloud (PLY)']].map(([kind, label]) => `
+                                <button data-depth-file="${kind}" style="padding: 4px 12px; border: 1px solid var(--md-sys-color-outline-variant); border-radius: 16px; background: transparent; color: var(--md-sys-color-primary); cursor: pointer;">${label}</button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }
+
+        // Measurements section
+        let measurementInfo = '';
+        if (photo.measurements && photo.measurements.length > 0 && window.MeasurementManager) {
+            measurementInfo = `
+                <hr style="margin: 16px 0; border: 1px solid var(--md-sys-color-outline-variant);">
+                <div><strong>📏 Measurements (approximate):</strong></div>
+                <div style="margin-left: 16px;">
+                    ${photo.measurements.map(measurement => `
+                        <div>${this.escapeHtml(MeasurementManager.formatLabel(measurement))}${measurement.reference ? ` <span style="font-size: 12px;">(scale: ${this.escapeHtml(measurement.reference)})</span>` : ''}</div>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        // Privacy redaction section
+        let redactionInfo = '';
+        if (photo.redaction) {
+            const counts = Object.entries(photo.redaction.counts || {})
+                .map(([type, count]) => `${count} ${type}${count > 1 ? 's' : ''}`)
+                .join(', ');
+            redactionInfo = `
+                <hr style="margin: 16px 0; border: 1px solid var(--md-sys-color-outline-variant);">
+                <div><strong>🛡️ Privacy Redaction:</strong></div>
+                <div style="margin-left: 16px;">
+                    <div><strong>Method:</strong> ${this.escapeHtml(photo.redaction.method)}</div>
+                    <div><strong>Regions:</strong> ${counts || 'None'}</div>
+                    ${photo.redaction.warnings.length > 0 ? `<div style="color: var(--md-sys-color-error);"><strong>Warning:</strong> ${this.escapeHtml(photo.redaction.warnings.join(', '))}</div>` : ''}
+                    ${photo.hasOriginal ? `
+                        <div style="display: flex; gap: 8px; margin-top: 8px; flex-wrap: wrap;">
+                            ${[['view', 'View original'], ['download', 'Download original']].map(([action, label]) => `
+                                <button data-original="${action}" style="padding: 4px 12px; border: 1px solid var(--md-sys-color-outline-variant); border-radius: 16px; background: transparent; color: var(--md-sys-color-primary); cursor: pointer;">${label}</button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }
+
+        // Barcode and OCR text section
+        let textInfo = '';
+        if (photo.barcodeData || photo.ocrText) {
+            textInfo = `
+                <hr style="margin: 16px 0; border: 1px solid var(--md-sys-color-outline-variant);">
+                <div><strong>🔤 Text & Codes:</strong></div>
+                <div style="margin-left: 16px;">
+                    ${photo.barcodeData ? `<div><strong>${this.escapeHtml(photo.barcodeData.format)}:</strong> ${this.escapeHtml(photo.barcodeData.text)}</div>` : ''}
+                    ${photo.ocrText ? `<div style="white-space: pre-wrap;"><strong>OCR:</strong> ${this.escapeHtml(photo.ocrText)}</div>` : ''}
                 </div>
             `;
         }
 
-        details.innerHTML = basicInfo + aiInfo + poseInfo + faceInfo + depthInfo;
+        details.innerHTML = basicInfo + aiInfo + poseInfo + faceInfo + depthInfo + measurementInfo + textInfo + redactionInfo;
+        details.querySelectorAll('[data-depth-file]').forEach(button => {
+            button.addEventListener('click', () => this.downloadPhotoDepthFile(photo, button.dataset.depthFile));
+        });
+        details.querySelectorAll('[data-original]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const original = await this.getPhotoOriginal(photo);
+                if (!original || !modal.isConnected) return;
+
+                if (button.dataset.original === 'download') {
+                    databaseManager.downloadBlob(original, `photo_${photo.id}_original.jpg`);
+                } else {
+                    // Shown in place of the redacted image until the details are closed
+                    originalUrl = originalUrl || URL.createObjectURL(original);
+                    img.src = originalUrl;
+                }
+            });
+        });
 
         const closeBtn = document.createElement('button');
         closeBtn.textContent = 'Close';
@@ -1720,7 +4340,7 @@ class PoliCameraApp {
             border-radius: 20px;
             cursor: pointer;
         `;
-        closeBtn.addEventListener('click', () => modal.remove());
+        closeBtn.addEventListener('click', closeModal);
 
         modalContent.appendChild(title);
         modalContent.appendChild(img);
@@ -1730,7 +4350,7 @@ class PoliCameraApp {
 
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
-                modal.remove();
+                closeModal();
             }
         });
 
@@ -1761,7 +4381,11 @@ class PoliCameraApp {
             const photos = stored ? JSON.parse(stored) : [];
             photos.push({
                 ...photo,
-                dataUrl: null // Don't store large image data in localStorage
+                // Don't store image data in localStorage
+                imageBlob: null,
+                thumbnailBlob: null,
+                thumbnailUrl: null,
+                originalBlob: null
             });
             localStorage.setItem('policamera-photos', JSON.stringify(photos));
         } catch (error) {
@@ -1778,14 +4402,36 @@ class PoliCameraApp {
                 location: photo.location,
                 error: this.getLocationError(),
                 imageName: imageName,
-                imageData: photo.dataUrl,
+                imageBlob: photo.imageBlob,
+                thumbnailBlob: photo.thumbnailBlob,
                 orientation: photo.orientation,
-                networkInfo: photo.networkInfo
+                networkInfo: photo.networkInfo,
+                aiAnalysis: photo.aiAnalysis,
+                faceData: photo.faceData,
+                poseData: photo.poseData,
+                depthData: photo.depthData,
+                depthFiles: photo.depthFiles,
+                ocrText: photo.ocrText,
+                barcodeData: photo.barcodeData,
+                measurements: photo.measurements,
+                redaction: photo.redaction,
+                originalBlob: photo.originalBlob
             };
 
             const recordId = await databaseManager.storePhoto(photoData);
             console.log('Photo stored in database with ID:', recordId);
 
+            // Release the full image; it is loaded from IndexedDB when needed
+            photo.dbId = recordId;
+            photo.imageBlob = null;
+            photo.originalBlob = null;
+            photo.hasDepthFiles = Boolean(photo.depthFiles);
+            photo.hasOriginal = Boolean(photo.originalBlob);
+            photo.depthFiles = null;
+
+            // Queue for background upload
+            this.requestPhotoUpload();
+
             // Also log GPS coordinates
             await this.saveGPSLogToDatabase();
 
@@ -2094,6 +4740,9 @@ class PoliCameraApp {
                     const ocrCtx = ocrCanvas.getContext('2d');
                     if (ocrCtx) {
                         ocrCtx.drawImage(this.video, 0, 0, ocrCanvas.width, ocrCanvas.height);
+                        if (this.isOCRRegionMode) {
+                            this.updateOCRDocumentRegion(ocrCanvas);
+                        }
                         await window.ocrManager.recognizeText(ocrCanvas, true);
                     }
                 }
@@ -2173,6 +4822,30 @@ class PoliCameraApp {
             }
         }
 
+        // Re-measure tracked objects and draw the measurements
+        this.currentDetections = detections;
+        if (this.isMeasureMode && window.measurementManager && measurementManager.getMeasurements().length > 0) {
+            const context = await this.getMeasurementContext();
+            if (context) {
+                measurementManager.refresh(context);
+            }
+            measurementManager.drawAnnotations(ctx, { x: scaleX, y: scaleY });
+        }
+
+        // Count tracked objects in the zones and draw the zones with their counts
+        if (window.zoneAnalytics && (zoneAnalytics.getRegions().length > 0 || this.zoneTool)) {
+            this.updateZoneAnalytics(detections);
+            zoneAnalytics.drawAnnotations(ctx, {
+                width: this.video.videoWidth * scaleX,
+                height: this.video.videoHeight * scaleY
+            }, { draft: this.zoneDraft });
+        }
+
+        // Log the tracks of this frame
+        if (window.trackRecorder && trackRecorder.isRecording()) {
+            this.recordTrackLog(detections);
+        }
+
         // Draw "AI Active" indicator in corner when no detections, poses, or faces
         if (detections.length === 0 && this.currentPoses.length === 0 && this.currentFaces.length === 0) {
             this.drawAIActiveIndicator(ctx);
@@ -2373,6 +5046,9 @@ class PoliCameraApp {
 
         // Draw OCR text overlay if enabled and results available (shows for 2 seconds)
         if (this.isOCREnabled && window.ocrManager) {
+            if (this.isOCRRegionMode && this.video) {
+                window.ocrManager.drawRegionOverlay(this.video);
+            }
             const displayResult = window.ocrManager.getDisplayResult();
             if (displayResult && this.video) {
                 window.ocrManager.drawTextOverlay(displayResult, this.video);
@@ -2568,20 +5244,28 @@ class PoliCameraApp {
             this.stitchBtn.textContent = 'Stitching...';
 
             const photoArray = Array.from(this.selectedPhotos);
-            const imageSources = photoArray.map(photo => photo.dataUrl);
-
-            const stitchedImageUrl = await this.imageStitcher.stitchImages(imageSources, {
-                method: 'auto',
-                overlap: 0.1,
-                blending: true,
-                quality: 0.9,
-                format: 'image/jpeg'
-            });
+            const imageBlobs = await Promise.all(photoArray.map(photo => this.getPhotoImageBlob(photo)));
+            if (imageBlobs.some(blob => !blob)) {
+                throw new Error('Photo image not available');
+            }
+            const imageSources = imageBlobs.map(blob => URL.createObjectURL(blob));
+
+            let stitchedImageUrl;
+            try {
+                stitchedImageUrl = await this.imageStitcher.stitchImages(imageSources, {
+                    method: 'auto',
+                    overlap: 0.1,
+                    blending: true,
+                    quality: 0.9,
+                    format: 'image/jpeg'
+                });
+            } finally {
+                imageSources.forEach(url => URL.revokeObjectURL(url));
+            }
 
             const stitchedPhoto = {
                 id: Date.now(),
                 userId: this.userId,
-                dataUrl: stitchedImageUrl,
                 timestamp: new Date().toISOString(),
                 location: this.getCurrentLocation(),
                 orientation: this.getCurrentOrientation(),
@@ -2591,9 +5275,10 @@ class PoliCameraApp {
                 sourcePhotos: photoArray.map(p => p.id),
                 sourcePhotoCount: photoArray.length
             };
+            await this.attachPhotoImage(stitchedPhoto, await Utils.dataUrlToBlob(stitchedImageUrl));
 
             this.capturedPhotos.push(stitchedPhoto);
-            this.displayPhoto(stitchedPhoto);
+            this.displayPhoto(stitchedPhoto, true);
             this.savePhotoToStorage(stitchedPhoto);
             this.savePhotoToDatabase(stitchedPhoto);
 
@@ -2661,6 +5346,28 @@ class PoliCameraApp {
         // Remove all tracked event listeners
         this.removeAllEventListeners();
 
+        // Stop recording (unsaved data is discarded on shutdown)
+        this.cameraManager.cleanup();
+
+        // Release gallery thumbnails
+        [...this.capturedPhotos, ...this.galleryPhotos, ...this.mapPhotos].forEach(photo => {
+            if (photo.thumbnailUrl) {
+                URL.revokeObjectURL(photo.thumbnailUrl);
+            }
+        });
+
+        if (this.mapView) {
+            this.mapView.destroy();
+            this.mapView = null;
+        }
+
+        // Stop the document scanner and release page thumbnails
+        if (window.documentScannerManager) {
+            documentScannerManager.stop();
+        }
+        this.scanPageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.scanPageUrls = [];
+
         // Cleanup VTT resources
         if (this.currentVTTUrl) {
             URL.revokeObjectURL(this.currentVTTUrl);
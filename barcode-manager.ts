@@ -38,8 +38,133 @@ export interface BarcodeResult {
     timestamp: number; // When the code was scanned
     rawBytes?: Uint8Array; // Raw bytes if available
     resultPoints?: Array<{ x: number; y: number }>; // Corner/finder points
+    payload?: BarcodePayload; // Structured content, if recognized
 }
 
+// Labelled value shown in the result modal (tap to copy)
+export interface BarcodePayloadField {
+    label: string;
+    value: string;
+}
+
+// Button shown in the result modal
+export interface BarcodePayloadAction {
+    label: string;
+    icon: string;
+    kind: 'copy' | 'open' | 'download';
+    value: string; // Text to copy, URL to open or file content to download
+    filename?: string; // Download file name
+    mimeType?: string; // Download MIME type
+}
+
+interface BarcodePayloadBase {
+    title: string; // Human readable payload type
+    fields: BarcodePayloadField[];
+    actions: BarcodePayloadAction[];
+}
+
+export interface TextPayload extends BarcodePayloadBase {
+    type: 'text';
+}
+
+export interface UrlPayload extends BarcodePayloadBase {
+    type: 'url';
+    url: string;
+}
+
+export interface WifiPayload extends BarcodePayloadBase {
+    type: 'wifi';
+    ssid: string;
+    password: string;
+    security: string; // 'WPA', 'WEP', 'SAE'... or 'nopass'
+    hidden: boolean;
+}
+
+export interface ContactPayload extends BarcodePayloadBase {
+    type: 'contact';
+    source: 'vcard' | 'mecard';
+    name: string;
+    familyName?: string;
+    givenName?: string;
+    organization?: string;
+    phones: string[];
+    emails: string[];
+    urls: string[];
+    address?: string;
+    note?: string;
+}
+
+export interface GeoPayload extends BarcodePayloadBase {
+    type: 'geo';
+    latitude: number;
+    longitude: number;
+    altitude?: number; // Meters
+    query?: string; // Label from the ?q= parameter
+}
+
+// EMVCo merchant-presented QR code
+export interface PaymentPayload extends BarcodePayloadBase {
+    type: 'payment';
+    merchantName?: string;
+    merchantCity?: string;
+    countryCode?: string;
+    currency?: string; // ISO 4217 alpha code if known, else the numeric code
+    amount?: string;
+    reference?: string;
+    networks: string[]; // Payment schemes from the merchant account templates
+    dynamic: boolean; // Point of initiation: single-use (dynamic) or reusable (static)
+    checksumValid: boolean;
+    tags: Record<string, string>; // Top-level data objects by ID
+}
+
+// One GS1 Application Identifier element
+export interface GS1Element {
+    ai: string;
+    label: string;
+    value: string; // Formatted (dates as ISO, decimals applied)
+    raw: string; // As encoded
+}
+
+export interface GS1Payload extends BarcodePayloadBase {
+    type: 'gs1';
+    elements: GS1Element[];
+    gtin?: string;
+    lot?: string;
+    expiry?: string; // ISO date
+    serial?: string;
+}
+
+// AAMVA driver licence / ID card (PDF417)
+export interface DriverLicensePayload extends BarcodePayloadBase {
+    type: 'driver_license';
+    issuerId: string; // Issuer Identification Number
+    version: number; // AAMVA standard version
+    licenseNumber?: string;
+    familyName?: string;
+    givenName?: string;
+    middleName?: string;
+    dateOfBirth?: string; // ISO date
+    issueDate?: string;
+    expiryDate?: string;
+    sex?: string;
+    street?: string;
+    city?: string;
+    state?: string;
+    postalCode?: string;
+    country?: string;
+    elements: Record<string, string>; // Data elements by ID (e.g. 'DAQ')
+}
+
+export type BarcodePayload =
+    | TextPayload
+    | UrlPayload
+    | WifiPayload
+    | ContactPayload
+    | GeoPayload
+    | PaymentPayload
+    | GS1Payload
+    | DriverLicensePayload;
+
 // Performance metrics
 export interface BarcodeMetrics {
     scansPerformed: number;
@@ -97,7 +222,11 @@ export class BarcodeManager {
     // Duplicate detection for debouncing
     private lastDetectedText: string = '';
     private lastDetectionTime: number = 0;
-    private readonly duplicateDebounceMs: number = 2000; // 2 seconds
+    private duplicateDebounceMs: number = 2000; // 2 seconds
+    private debounceUntilGone: boolean = false; // Measure the window from the last sighting
+    private modalEnabled: boolean = true;
+    private readonly modalDisplayMs: number = 2000; // Plain results
+    private readonly payloadModalDisplayMs: number = 8000; // Results with fields and actions
 
     // Error tracking and retry logic
     private consecutiveErrors: number = 0;
@@ -192,6 +321,9 @@ export class BarcodeManager {
                 hints.set(ZXing.DecodeHintType.TRY_HARDER, true);
             }
 
+            // Keep FNC1 in GS1-128 codes so Application Identifiers can be split
+            hints.set(ZXing.DecodeHintType.ASSUME_GS1, true);
+
             this.reader = new ZXing.BrowserMultiFormatReader(hints);
 
             // Create subtitle bar UI
@@ -288,16 +420,7 @@ export class BarcodeManager {
             this.metrics.successfulScans++;
 
             // Create barcode result
-            const barcodeResult: BarcodeResult = {
-                text: result.getText(),
-                format: ZXing.BarcodeFormat[result.getBarcodeFormat()],
-                timestamp: Date.now(),
-                rawBytes: result.getRawBytes(),
-                resultPoints: result.getResultPoints()?.map((point: any) => ({
-                    x: point.getX(),
-                    y: point.getY(),
-                })),
-            };
+            const barcodeResult = this.createResult(result);
 
             // Update current result and history
             this.currentResult = barcodeResult;
@@ -333,6 +456,26 @@ export class BarcodeManager {
         }
     }
 
+    /**
+     * Convert a ZXing result to a BarcodeResult with its parsed payload
+     */
+    private createResult(result: any): BarcodeResult {
+        const text: string = result.getText();
+        const format: string = ZXing.BarcodeFormat[result.getBarcodeFormat()];
+
+        return {
+            text,
+            format,
+            timestamp: Date.now(),
+            rawBytes: result.getRawBytes(),
+            resultPoints: result.getResultPoints()?.map((point: any) => ({
+                x: point.getX(),
+                y: point.getY(),
+            })),
+            payload: BarcodePayloadParser.parse(text, format),
+        };
+    }
+
     /**
      * Scan continuously from video stream (polling-based)
      * Uses canvas buffer to avoid interfering with video display
@@ -379,16 +522,7 @@ export class BarcodeManager {
                 const result = await this.reader!.decodeFromImageElement(canvas);
 
                 if (result) {
-                    const barcodeResult: BarcodeResult = {
-                        text: result.getText(),
-                        format: ZXing.BarcodeFormat[result.getBarcodeFormat()],
-                        timestamp: Date.now(),
-                        rawBytes: result.getRawBytes(),
-                        resultPoints: result.getResultPoints()?.map((point: any) => ({
-                            x: point.getX(),
-                            y: point.getY(),
-                        })),
-                    };
+                    const barcodeResult = this.createResult(result);
 
                     // Check for duplicate detection (debounce)
                     if (this.isDuplicateDetection(barcodeResult)) {
@@ -498,6 +632,10 @@ export class BarcodeManager {
             result.text === this.lastDetectedText &&
             now - this.lastDetectionTime < this.duplicateDebounceMs
         ) {
+            // Keep suppressing while the code stays in view
+            if (this.debounceUntilGone) {
+                this.lastDetectionTime = now;
+            }
             return true;
         }
 
@@ -507,6 +645,32 @@ export class BarcodeManager {
         return false;
     }
 
+    /**
+     * Set how long the same code is ignored after it was detected
+     *
+     * For batch counting, use a short window measured from the last sighting
+     * (untilGone) so a code held in view counts once, while the next identical
+     * item counts again as soon as the previous one has left the frame.
+     *
+     * @param ms - Debounce window in milliseconds
+     * @param untilGone - Restart the window on every sighting of the same code
+     */
+    setDuplicateDebounce(ms: number, untilGone: boolean = false): void {
+        this.duplicateDebounceMs = ms;
+        this.debounceUntilGone = untilGone;
+        this.lastDetectedText = '';
+    }
+
+    /**
+     * Enable or disable the result modal (the subtitle bar still shows each scan)
+     */
+    setModalEnabled(enabled: boolean): void {
+        this.modalEnabled = enabled;
+        if (!enabled) {
+            this.hideModal();
+        }
+    }
+
     /**
      * Trigger haptic vibration feedback for successful scan
      * Uses Vibration API if available
@@ -643,16 +807,28 @@ export class BarcodeManager {
             max-width: 80vw;
             transition: all 0.3s cubic-bezier(0.34, 1.56, 0.64, 1);
             display: none;
+            max-height: 80vh;
+            overflow-y: auto;
         `;
 
+        // Keep the modal open while the user works with it
+        this.modal.addEventListener('pointerdown', () => {
+            if (this.modalTimeout) {
+                window.clearTimeout(this.modalTimeout);
+                this.modalTimeout = null;
+            }
+        });
+
         document.body.appendChild(this.modal);
     }
 
     /**
-     * Show modal with barcode result for 2 seconds
+     * Show modal with barcode result
+     * Plain results show for 2 seconds; parsed payloads list their fields with
+     * action buttons and stay longer (or until closed once touched)
      */
     private showModal(result: BarcodeResult): void {
-        if (!this.modal) return;
+        if (!this.modal || !this.modalEnabled) return;
 
         // Clear any existing timeout
         if (this.modalTimeout) {
@@ -669,22 +845,64 @@ export class BarcodeManager {
         // Truncate very long text for display
         const displayText = result.text.length > 200 ? safeText.substring(0, 200) + '...' : safeText;
 
+        const payload = result.payload && result.payload.type !== 'text' ? result.payload : null;
+
+        // Parsed payloads: one row per field (tap to copy) and the payload's actions
+        const fieldsHtml = payload
+            ? payload.fields.map((field, index) => `
+                <button data-field="${index}" style="display: flex; width: 100%; gap: 12px; padding: 6px 0; background: none; border: none; border-bottom: 1px solid rgba(255, 255, 255, 0.1); color: inherit; font: inherit; text-align: left; cursor: pointer;">
+                    <span style="flex: 0 0 35%; font-size: 12px; opacity: 0.7;">${this.escapeHtml(field.label)}</span>
+                    <span style="flex: 1; font-size: 15px; font-weight: 600; word-break: break-word;">${this.escapeHtml(field.value)}</span>
+                </button>
+            `).join('')
+            : '';
+        const actionsHtml = payload
+            ? payload.actions.map((action, index) => `
+                <button data-action="${index}" style="padding: 8px 14px; border-radius: 8px; border: 1px solid ${accentColor}; background: rgba(180, 242, 34, 0.12); color: inherit; font: inherit; font-size: 14px; cursor: pointer;">
+                    ${action.icon} ${this.escapeHtml(action.label)}
+                </button>
+            `).join('')
+            : '';
+
         // Create modal content
         this.modal.innerHTML = `
             <div style="text-align: center;">
+                ${payload ? '<button data-close aria-label="Close" style="position: absolute; top: 8px; right: 12px; background: none; border: none; color: inherit; font-size: 20px; cursor: pointer;">✕</button>' : ''}
                 <div style="font-size: 48px; margin-bottom: 16px;">${formatIcon}</div>
                 <div style="font-size: 14px; font-weight: 700; letter-spacing: 1px; color: ${accentColor}; margin-bottom: 12px; text-transform: uppercase;">
-                    ${result.format}
-                </div>
-                <div style="font-size: 18px; font-weight: 600; margin-bottom: 8px; word-break: break-word; line-height: 1.4;">
-                    ${displayText}
+                    ${result.format}${payload ? ` · ${this.escapeHtml(payload.title)}` : ''}
                 </div>
+                ${payload ? `
+                    <div style="margin-bottom: 8px;">${fieldsHtml}</div>
+                    <div style="display: flex; flex-wrap: wrap; justify-content: center; gap: 8px; margin-top: 16px;">${actionsHtml}</div>
+                ` : `
+                    <div style="font-size: 18px; font-weight: 600; margin-bottom: 8px; word-break: break-word; line-height: 1.4;">
+                        ${displayText}
+                    </div>
+                `}
                 <div style="font-size: 12px; opacity: 0.6; margin-top: 16px;">
                     Scanned at ${new Date(result.timestamp).toLocaleTimeString()}
                 </div>
             </div>
         `;
 
+        if (payload) {
+            this.modal.querySelectorAll<HTMLButtonElement>('[data-field]').forEach(button => {
+                const field = payload.fields[Number(button.dataset.field)];
+                if (field) {
+                    button.addEventListener('click', () => this.runPayloadAction({ label: field.label, icon: '', kind: 'copy', value: field.value }, button));
+                }
+            });
+            this.modal.querySelectorAll<HTMLButtonElement>('[data-action]').forEach(button => {
+                const action = payload.actions[Number(button.dataset.action)];
+                if (action) {
+                    button.addEventListener('click', () => this.runPayloadAction(action, button));
+                }
+            });
+            this.modal.querySelector('[data-close]')?.addEventListener('click', () => this.hideModal());
+        }
+        this.modal.style.pointerEvents = payload ? 'auto' : 'none';
+
         // Show modal with animation
         this.modal.style.display = 'block';
         requestAnimationFrame(() => {
@@ -694,10 +912,51 @@ export class BarcodeManager {
             }
         });
 
-        // Auto-hide after 2 seconds
+        // Auto-hide
         this.modalTimeout = window.setTimeout(() => {
             this.hideModal();
-        }, 2000);
+        }, payload ? this.payloadModalDisplayMs : this.modalDisplayMs);
+    }
+
+    /**
+     * Run a payload action from the result modal
+     */
+    private async runPayloadAction(action: BarcodePayloadAction, button: HTMLButtonElement): Promise<void> {
+        try {
+            switch (action.kind) {
+                case 'copy': {
+                    await navigator.clipboard.writeText(action.value);
+                    const label = button.dataset.label || button.innerHTML;
+                    button.dataset.label = label;
+                    button.textContent = '✓ Copied';
+                    window.setTimeout(() => {
+                        button.innerHTML = label;
+                    }, 1200);
+                    break;
+                }
+                case 'open':
+                    // Only follow links that hand off to the browser, dialer or mail app
+                    if (/^(https?:|tel:|mailto:)/i.test(action.value)) {
+                        window.open(action.value, '_blank', 'noopener');
+                    }
+                    break;
+                case 'download': {
+                    const blob = new Blob([action.value], { type: action.mimeType || 'text/plain' });
+                    const url = URL.createObjectURL(blob);
+                    const link = document.createElement('a');
+                    link.href = url;
+                    link.download = action.filename || `barcode-${Date.now()}.txt`;
+                    document.body.appendChild(link);
+                    link.click();
+                    document.body.removeChild(link);
+                    URL.revokeObjectURL(url);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error(`Barcode action "${action.label}" failed:`, error);
+            button.textContent = '⚠️ Failed';
+        }
     }
 
     /**
@@ -707,6 +966,7 @@ export class BarcodeManager {
         if (this.modal) {
             this.modal.style.opacity = '0';
             this.modal.style.transform = 'translate(-50%, -50%) scale(0.8)';
+            this.modal.style.pointerEvents = 'none';
             setTimeout(() => {
                 if (this.modal) {
                     this.modal.style.display = 'none';
@@ -724,11 +984,17 @@ export class BarcodeManager {
         // Get format icon
         const formatIcon = this.getFormatIcon(result.format);
 
+        // Parsed payloads show their type and main field instead of the raw data
+        const payload = result.payload;
+        const text = payload && payload.type !== 'text' && payload.fields[0]
+            ? `${payload.title}: ${payload.fields[0].value}`
+            : result.text;
+
         // Escape HTML to prevent XSS
-        const safeText = this.escapeHtml(result.text);
+        const safeText = this.escapeHtml(text);
 
         // Truncate long text for display
-        const displayText = result.text.length > 100 ? safeText.substring(0, 100) + '...' : safeText;
+        const displayText = text.length > 100 ? safeText.substring(0, 100) + '...' : safeText;
 
         this.subtitleBar.innerHTML = `
             <div style="display: flex; justify-content: center; align-items: center; gap: 12px;">
@@ -1083,6 +1349,7 @@ export class BarcodeManager {
                 format: result.format,
                 timestamp: result.timestamp,
                 timestampISO: new Date(result.timestamp).toISOString(),
+                payloadType: result.payload?.type || 'text',
                 hasRawBytes: !!result.rawBytes,
                 resultPointsCount: result.resultPoints?.length || 0,
             })),
@@ -1151,7 +1418,7 @@ export class BarcodeManager {
                 text: result.text,
                 format: result.format,
                 timestamp: result.timestamp,
-                // Omit rawBytes and resultPoints to save space
+                // Omit rawBytes, resultPoints and payload to save space
             }));
 
             localStorage.setItem(this.storageKey, JSON.stringify(simplifiedHistory));
@@ -1183,7 +1450,11 @@ export class BarcodeManager {
             const history = JSON.parse(stored) as BarcodeResult[];
             // Validate and restore history
             if (Array.isArray(history)) {
-                this.resultHistory = history.slice(-this.maxHistorySize);
+                // Payloads aren't stored; parse them again from the text
+                this.resultHistory = history.slice(-this.maxHistorySize).map(result => ({
+                    ...result,
+                    payload: BarcodePayloadParser.parse(result.text, result.format),
+                }));
                 if (this.debugMode) {
                     console.log(`📱 Loaded ${this.resultHistory.length} barcode results from storage`);
                 }
@@ -1261,6 +1532,821 @@ export class BarcodeManager {
     }
 }
 
+// ASCII group separator: FNC1 inside GS1 element strings
+const GS = '\x1d';
+
+interface GS1Definition {
+    label: string;
+    length?: number; // Fixed length; otherwise variable up to maxLength, ended by GS
+    maxLength?: number;
+    kind?: 'date' | 'decimal' | 'check' | 'datetime'; // 'decimal' AIs carry the decimal places in their 4th digit
+    unit?: string;
+}
+
+// GS1 Application Identifiers in common use on trade items and logistic labels
+const GS1_AIS: Record<string, GS1Definition> = {
+    '00': { label: 'SSCC', length: 18, kind: 'check' },
+    '01': { label: 'GTIN', length: 14, kind: 'check' },
+    '02': { label: 'Content GTIN', length: 14, kind: 'check' },
+    '10': { label: 'Batch/Lot', maxLength: 20 },
+    '11': { label: 'Production date', length: 6, kind: 'date' },
+    '12': { label: 'Due date', length: 6, kind: 'date' },
+    '13': { label: 'Packaging date', length: 6, kind: 'date' },
+    '15': { label: 'Best before', length: 6, kind: 'date' },
+    '16': { label: 'Sell by', length: 6, kind: 'date' },
+    '17': { label: 'Expiry', length: 6, kind: 'date' },
+    '20': { label: 'Variant', length: 2 },
+    '21': { label: 'Serial', maxLength: 20 },
+    '22': { label: 'Consumer product variant', maxLength: 20 },
+    '240': { label: 'Additional ID', maxLength: 30 },
+    '241': { label: 'Customer part no.', maxLength: 30 },
+    '250': { label: 'Secondary serial', maxLength: 30 },
+    '30': { label: 'Variable count', maxLength: 8 },
+    '37': { label: 'Count', maxLength: 8 },
+    '310': { label: 'Net weight', length: 6, kind: 'decimal', unit: 'kg' },
+    '320': { label: 'Net weight', length: 6, kind: 'decimal', unit: 'lb' },
+    '330': { label: 'Gross weight', length: 6, kind: 'decimal', unit: 'kg' },
+    '390': { label: 'Amount payable', maxLength: 15, kind: 'decimal' },
+    '392': { label: 'Price', maxLength: 15, kind: 'decimal' },
+    '400': { label: 'Order number', maxLength: 30 },
+    '410': { label: 'Ship to GLN', length: 13 },
+    '414': { label: 'Location GLN', length: 13 },
+    '420': { label: 'Ship to postal code', maxLength: 20 },
+    '422': { label: 'Country of origin', length: 3 },
+    '7003': { label: 'Expiry date/time', length: 10, kind: 'datetime' },
+    '8020': { label: 'Payment slip reference', maxLength: 25 },
+};
+
+// Company internal information (AIs 91-99)
+const GS1_INTERNAL: GS1Definition = { label: 'Internal', maxLength: 90 };
+
+// EMVCo merchant account IDs 02-16 are reserved for card schemes
+const EMV_CARD_NETWORKS: Array<{ from: number; to: number; name: string }> = [
+    { from: 2, to: 3, name: 'Visa' },
+    { from: 4, to: 5, name: 'Mastercard' },
+    { from: 6, to: 8, name: 'EMVCo' },
+    { from: 9, to: 10, name: 'Discover' },
+    { from: 11, to: 12, name: 'American Express' },
+    { from: 13, to: 14, name: 'JCB' },
+    { from: 15, to: 16, name: 'UnionPay' },
+];
+
+// Globally unique identifiers of well-known domestic schemes (templates 26-51)
+const EMV_SCHEME_NAMES: Record<string, string> = {
+    'BR.GOV.BCB.PIX': 'Pix',
+    'A000000677010111': 'PromptPay',
+    'A000000677010112': 'PromptPay',
+    'SG.PAYNOW': 'PayNow',
+    'ID.CO.QRIS.WWW': 'QRIS',
+    'COM.P2PQRPAY': 'QR Ph',
+};
+
+// ISO 4217 numeric to alpha codes for currencies seen in EMVCo QR codes
+const CURRENCY_CODES: Record<string, string> = {
+    '036': 'AUD', '124': 'CAD', '156': 'CNY', '344': 'HKD', '356': 'INR', '360': 'IDR',
+    '392': 'JPY', '410': 'KRW', '458': 'MYR', '484': 'MXN', '608': 'PHP', '702': 'SGD',
+    '704': 'VND', '764': 'THB', '826': 'GBP', '840': 'USD', '978': 'EUR', '986': 'BRL',
+};
+
+/**
+ * BarcodePayloadParser - Recognizes structured barcode content
+ * (WiFi, vCard/MeCard, geo: URIs, EMVCo payment QR, GS1 element strings, AAMVA driver licences)
+ */
+export class BarcodePayloadParser {
+    /**
+     * Parse barcode text into a typed payload; unrecognized content becomes a 'text' payload
+     */
+    static parse(text: string, format: string = ''): BarcodePayload {
+        const payload =
+            this.parseDriverLicense(text) ||
+            this.parsePayment(text) ||
+            this.parseWifi(text) ||
+            this.parseContact(text) ||
+            this.parseGeo(text) ||
+            this.parseGS1(text, format) ||
+            this.parseUrl(text);
+
+        return payload || {
+            type: 'text',
+            title: 'Text',
+            fields: [],
+            actions: [{ label: 'Copy', icon: '📋', kind: 'copy', value: text }],
+        };
+    }
+
+    /**
+     * Parse a web link
+     */
+    static parseUrl(text: string): UrlPayload | null {
+        const url = text.trim();
+        if (!/^https?:\/\/\S+$/i.test(url)) return null;
+
+        return {
+            type: 'url',
+            title: 'Link',
+            url,
+            fields: [{ label: 'URL', value: url }],
+            actions: [
+                { label: 'Open', icon: '🔗', kind: 'open', value: url },
+                { label: 'Copy', icon: '📋', kind: 'copy', value: url },
+            ],
+        };
+    }
+
+    /**
+     * Parse a WiFi network config (WIFI:T:WPA;S:name;P:password;H:false;;)
+     */
+    static parseWifi(text: string): WifiPayload | null {
+        if (!/^WIFI:/i.test(text)) return null;
+
+        const values = this.toRecord(this.parseKeyValues(text.slice(5)));
+        const ssid = values.S;
+        if (!ssid) return null;
+
+        const security = values.T || 'nopass';
+        const password = values.P || '';
+        const hidden = (values.H || '').toLowerCase() === 'true';
+        const isOpen = security.toLowerCase() === 'nopass';
+
+        const fields: BarcodePayloadField[] = [
+            { label: 'Network', value: ssid },
+            { label: 'Security', value: isOpen ? 'Open' : security.toUpperCase() },
+        ];
+        if (password) fields.push({ label: 'Password', value: password });
+        if (hidden) fields.push({ label: 'Hidden', value: 'Yes' });
+
+        const actions: BarcodePayloadAction[] = [];
+        if (password) actions.push({ label: 'Copy password', icon: '🔑', kind: 'copy', value: password });
+        actions.push({ label: 'Copy network', icon: '📶', kind: 'copy', value: ssid });
+
+        return { type: 'wifi', title: 'WiFi network', ssid, password, security, hidden, fields, actions };
+    }
+
+    /**
+     * Parse a vCard or MeCard contact
+     */
+    static parseContact(text: string): ContactPayload | null {
+        let contact: Omit<ContactPayload, 'title' | 'fields' | 'actions'>;
+        let vcard: string;
+
+        if (/^MECARD:/i.test(text)) {
+            contact = this.parseMeCard(text.slice(7));
+            vcard = this.buildVCard(contact);
+        } else if (/^BEGIN:VCARD/i.test(text.trim())) {
+            contact = this.parseVCard(text);
+            vcard = text.trim();
+        } else {
+            return null;
+        }
+
+        if (!contact.name && contact.phones.length === 0 && contact.emails.length === 0) return null;
+
+        const fields: BarcodePayloadField[] = [];
+        if (contact.name) fields.push({ label: 'Name', value: contact.name });
+        if (contact.organization) fields.push({ label: 'Organization', value: contact.organization });
+        contact.phones.forEach(phone => fields.push({ label: 'Phone', value: phone }));
+        contact.emails.forEach(email => fields.push({ label: 'Email', value: email }));
+        contact.urls.forEach(url => fields.push({ label: 'Website', value: url }));
+        if (contact.address) fields.push({ label: 'Address', value: contact.address });
+        if (contact.note) fields.push({ label: 'Note', value: contact.note });
+
+        const filename = (contact.name || 'contact').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_') || 'contact';
+        const actions: BarcodePayloadAction[] = [
+            { label: 'Save contact', icon: '👤', kind: 'download', value: vcard, filename: `${filename}.vcf`, mimeType: 'text/vcard' },
+        ];
+        if (contact.phones[0]) {
+            actions.push({ label: 'Call', icon: '📞', kind: 'open', value: `tel:${contact.phones[0].replace(/[^\d+*#]/g, '')}` });
+        }
+        if (contact.emails[0]) {
+            actions.push({ label: 'Email', icon: '✉️', kind: 'open', value: `mailto:${contact.emails[0]}` });
+        }
+
+        return { ...contact, title: 'Contact', fields, actions };
+    }
+
+    /**
+     * Parse a geo: URI (RFC 5870)
+     */
+    static parseGeo(text: string): GeoPayload | null {
+        const match = /^geo:(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)(?:,(-?\d+(?:\.\d+)?))?[^?]*(?:\?(.*))?$/i.exec(text.trim());
+        if (!match) return null;
+
+        const latitude = Number(match[1]);
+        const longitude = Number(match[2]);
+        if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+
+        const altitude = match[3] !== undefined ? Number(match[3]) : undefined;
+        let query: string | undefined;
+        const queryMatch = /(?:^|&)q=([^&]*)/.exec(match[4] || '');
+        if (queryMatch) {
+            try {
+                query = decodeURIComponent(queryMatch[1]!.replace(/\+/g, ' '));
+            } catch {
+                query = queryMatch[1];
+            }
+        }
+
+        const coordinates = `${latitude}, ${longitude}`;
+        const fields: BarcodePayloadField[] = [];
+        if (query) fields.push({ label: 'Place', value: query });
+        fields.push({ label: 'Coordinates', value: coordinates });
+        if (altitude !== undefined) fields.push({ label: 'Altitude', value: `${altitude} m` });
+
+        return {
+            type: 'geo',
+            title: 'Location',
+            latitude,
+            longitude,
+            altitude,
+            query,
+            fields,
+            actions: [
+                {
+                    label: 'Open map',
+                    icon: '🗺️',
+                    kind: 'open',
+                    value: `https://www.openstreetmap.org/?mlat=${latitude}&mlon=${longitude}#map=17/${latitude}/${longitude}`,
+                },
+                { label: 'Copy coordinates', icon: '📋', kind: 'copy', value: coordinates },
+            ],
+        };
+    }
+
+    /**
+     * Parse an EMVCo merchant-presented payment QR code
+     */
+    static parsePayment(text: string): PaymentPayload | null {
+        // Payload format indicator "01" always comes first
+        if (!text.startsWith('000201')) return null;
+
+        const entries = this.parseTLV(text);
+        if (!entries) return null;
+
+        const tags: Record<string, string> = {};
+        const networks: string[] = [];
+        entries.forEach(({ id, value }) => {
+            tags[id] = value;
+
+            const numericId = Number(id);
+            if (numericId >= 2 && numericId <= 25) {
+                const network = EMV_CARD_NETWORKS.find(range => numericId >= range.from && numericId <= range.to);
+                if (network && !networks.includes(network.name)) networks.push(network.name);
+            } else if (numericId >= 26 && numericId <= 51) {
+                // Merchant account template: sub-tag 00 is the scheme's globally unique identifier
+                const guid = this.parseTLV(value)?.find(entry => entry.id === '00')?.value;
+                if (guid) {
+                    const name = EMV_SCHEME_NAMES[guid.toUpperCase()] || guid;
+                    if (!networks.includes(name)) networks.push(name);
+                }
+            }
+        });
+
+        // CRC (ID 63) is the last data object and covers everything before its value
+        const last = entries[entries.length - 1];
+        const checksumValid = !!last && last.id === '63' &&
+            this.crc16(text.slice(0, -last.value.length)) === last.value.toUpperCase();
+
+        const additional = tags['62'] ? this.parseTLV(tags['62']) : null;
+        const reference = additional?.find(entry => entry.id === '05')?.value ||
+            additional?.find(entry => entry.id === '01')?.value;
+        const currency = tags['53'] ? CURRENCY_CODES[tags['53']] || tags['53'] : undefined;
+        const amount = tags['54'];
+
+        const fields: BarcodePayloadField[] = [];
+        if (tags['59']) fields.push({ label: 'Merchant', value: tags['59'] });
+        if (tags['60']) fields.push({ label: 'City', value: tags['60'] });
+        if (tags['58']) fields.push({ label: 'Country', value: tags['58'] });
+        if (amount) fields.push({ label: 'Amount', value: currency ? `${amount} ${currency}` : amount });
+        else if (currency) fields.push({ label: 'Currency', value: currency });
+        if (reference) fields.push({ label: 'Reference', value: reference });
+        if (networks.length > 0) fields.push({ label: 'Network', value: networks.join(', ') });
+        fields.push({ label: 'Checksum', value: checksumValid ? 'Valid' : 'Invalid ⚠️' });
+
+        const actions: BarcodePayloadAction[] = [];
+        if (amount) actions.push({ label: 'Copy amount', icon: '💰', kind: 'copy', value: amount });
+        if (reference) actions.push({ label: 'Copy reference', icon: '📋', kind: 'copy', value: reference });
+
+        return {
+            type: 'payment',
+            title: 'Payment',
+            merchantName: tags['59'],
+            merchantCity: tags['60'],
+            countryCode: tags['58'],
+            currency,
+            amount,
+            reference,
+            networks,
+            dynamic: tags['01'] === '12',
+            checksumValid,
+            tags,
+            fields,
+            actions,
+        };
+    }
+
+    /**
+     * Parse a GS1 element string (GS1-128, GS1 DataMatrix/QR, GS1 DataBar)
+     * Accepts FNC1-separated data with or without a symbology identifier, and the
+     * human readable form with AIs in parentheses
+     */
+    static parseGS1(text: string, format: string = ''): GS1Payload | null {
+        let data = text.trim();
+        let marked = false;
+
+        // Symbology identifiers for GS1 data (]C1 GS1-128, ]d2 DataMatrix, ]Q3 QR, ]e0 DataBar, ]J1 DotCode)
+        if (/^\](C1|d2|Q3|e0|J1)/.test(data)) {
+            data = data.slice(3);
+            marked = true;
+        }
+        if (data.startsWith(GS)) {
+            data = data.slice(1);
+            marked = true;
+        }
+        // GS1 DataBar Omnidirectional only carries a GTIN
+        if (format === 'RSS_14' && /^\d{14}$/.test(data)) {
+            data = '01' + data;
+            marked = true;
+        }
+
+        let elements: GS1Element[] | null;
+        if (/^\(\d{2,4}\)/.test(data)) {
+            elements = this.parseGS1Bracketed(data);
+        } else {
+            // Without FNC1 markers, only trust data that starts with a valid GTIN
+            if (!marked && !data.includes(GS) && !(/^01\d{14}/.test(data) && this.isValidCheckDigit(data.slice(2, 16)))) {
+                return null;
+            }
+            elements = this.parseGS1ElementString(data);
+        }
+        if (!elements || elements.length === 0) return null;
+
+        const find = (ai: string) => elements!.find(element => element.ai === ai);
+        const gtin = find('01') || find('02');
+        const lot = find('10');
+        const expiry = find('17');
+        const serial = find('21');
+
+        const fields = elements.map(element => ({ label: element.label, value: element.value }));
+        const actions: BarcodePayloadAction[] = [];
+        if (gtin) actions.push({ label: 'Copy GTIN', icon: '🏷️', kind: 'copy', value: gtin.raw });
+        actions.push({
+            label: 'Copy all',
+            icon: '📋',
+            kind: 'copy',
+            value: fields.map(field => `${field.label}\t${field.value}`).join('\n'),
+        });
+
+        return {
+            type: 'gs1',
+            title: 'GS1',
+            elements,
+            gtin: gtin?.raw,
+            lot: lot?.raw,
+            expiry: expiry?.value,
+            serial: serial?.raw,
+            fields,
+            actions,
+        };
+    }
+
+    /**
+     * Parse an AAMVA driver licence / ID card (PDF417)
+     */
+    static parseDriverLicense(text: string): DriverLicensePayload | null {
+        if (!text.startsWith('@')) return null;
+
+        const header = /(?:ANSI |AAMVA)(\d{6})(\d{2})/.exec(text.slice(0, 32));
+        if (!header) return null;
+
+        const elements: Record<string, string> = {};
+        text.split(/[\n\r\x1e]+/).forEach(line => {
+            let segment = line;
+            // The first subfile often follows the header and subfile designators on the same line
+            const subfileStart = /(?:ANSI |AAMVA).*?(?:DL|ID)(?=D[A-Z]{2})/.exec(segment);
+            if (subfileStart) {
+                segment = segment.slice(subfileStart.index + subfileStart[0].length);
+            } else if (/^(?:DL|ID)D[A-Z]{2}/.test(segment)) {
+                segment = segment.slice(2);
+            }
+
+            const match = /^(D[A-Z]{2})(.*)$/.exec(segment);
+            if (match && !(match[1]! in elements)) {
+                elements[match[1]!] = match[2]!.trim();
+            }
+        });
+
+        // Version 1 cards use DAA (LAST,FIRST,MIDDLE) or DCT for given names
+        const fullName = (elements.DAA || '').split(',').map(part => part.trim());
+        const givenNames = (elements.DCT || '').split(/[ ,]+/).filter(Boolean);
+        const familyName = elements.DCS || elements.DAB || fullName[0] || undefined;
+        const givenName = elements.DAC || givenNames[0] || fullName[1] || undefined;
+        const middleName = elements.DAD || givenNames[1] || fullName[2] || undefined;
+
+        const country = elements.DCG || undefined;
+        const dateOfBirth = this.parseLicenseDate(elements.DBB, country);
+        const issueDate = this.parseLicenseDate(elements.DBD, country);
+        const expiryDate = this.parseLicenseDate(elements.DBA, country);
+        const sex = ({ '1': 'Male', M: 'Male', '2': 'Female', F: 'Female', '9': 'Not specified' } as Record<string, string>)[elements.DBC || ''];
+        const postalCode = this.formatPostalCode(elements.DAK);
+        const licenseNumber = elements.DAQ || undefined;
+
+        if (!licenseNumber && !familyName) return null;
+
+        const name = [givenName, middleName, familyName].filter(Boolean).join(' ');
+        const locality = [elements.DAI, [elements.DAJ, postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+
+        const fields: BarcodePayloadField[] = [];
+        if (name) fields.push({ label: 'Name', value: name });
+        if (licenseNumber) fields.push({ label: 'Licence number', value: licenseNumber });
+        if (dateOfBirth) fields.push({ label: 'Date of birth', value: dateOfBirth });
+        if (sex) fields.push({ label: 'Sex', value: sex });
+        if (expiryDate) {
+            const expired = expiryDate < new Date().toISOString().slice(0, 10);
+            fields.push({ label: 'Expires', value: expired ? `${expiryDate} (expired)` : expiryDate });
+        }
+        if (issueDate) fields.push({ label: 'Issued', value: issueDate });
+        if (elements.DAG || locality) fields.push({ label: 'Address', value: [elements.DAG, locality].filter(Boolean).join(', ') });
+        fields.push({ label: 'Issuer', value: elements.DAJ ? `${elements.DAJ} (${header[1]})` : header[1]! });
+
+        const actions: BarcodePayloadAction[] = [];
+        if (licenseNumber) actions.push({ label: 'Copy number', icon: '🪪', kind: 'copy', value: licenseNumber });
+
+        return {
+            type: 'driver_license',
+            title: 'Driver licence',
+            issuerId: header[1]!,
+            version: Number(header[2]),
+            licenseNumber,
+            familyName,
+            givenName,
+            middleName,
+            dateOfBirth,
+            issueDate,
+            expiryDate,
+            sex,
+            street: elements.DAG || undefined,
+            city: elements.DAI || undefined,
+            state: elements.DAJ || undefined,
+            postalCode,
+            country,
+            elements,
+            fields,
+            actions,
+        };
+    }
+
+    /**
+     * Validate the GS1 mod-10 check digit of a GTIN or SSCC
+     */
+    static isValidCheckDigit(code: string): boolean {
+        if (!/^\d{8,18}$/.test(code)) return false;
+
+        const digits = code.split('').map(Number);
+        const checkDigit = digits.pop()!;
+        const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+        return (10 - (sum % 10)) % 10 === checkDigit;
+    }
+
+    /**
+     * CRC-16/CCITT-FALSE over the UTF-8 bytes of the text, as 4 hex digits (EMVCo ID 63)
+     */
+    static crc16(text: string): string {
+        let crc = 0xffff;
+        new TextEncoder().encode(text).forEach(byte => {
+            crc ^= byte << 8;
+            for (let bit = 0; bit < 8; bit++) {
+                crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+            }
+        });
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Split EMVCo data into ID / length / value entries; null if malformed
+     */
+    private static parseTLV(text: string): Array<{ id: string; value: string }> | null {
+        const entries: Array<{ id: string; value: string }> = [];
+        let position = 0;
+
+        while (position < text.length) {
+            const id = text.slice(position, position + 2);
+            const length = text.slice(position + 2, position + 4);
+            if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(length)) return null;
+
+            const value = text.slice(position + 4, position + 4 + Number(length));
+            if (value.length !== Number(length)) return null;
+
+            entries.push({ id, value });
+            position += 4 + value.length;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Parse FNC1-separated GS1 data; null if an AI is unknown or a value has the wrong length
+     */
+    private static parseGS1ElementString(data: string): GS1Element[] | null {
+        const elements: GS1Element[] = [];
+        let position = 0;
+
+        while (position < data.length) {
+            if (data[position] === GS) {
+                position++;
+                continue;
+            }
+
+            const match = this.findGS1AI(data.slice(position, position + 4));
+            if (!match) return null;
+            position += match.ai.length;
+
+            let raw: string;
+            if (match.definition.length) {
+                raw = data.slice(position, position + match.definition.length);
+                if (raw.length !== match.definition.length) return null;
+            } else {
+                const end = data.indexOf(GS, position);
+                raw = data.slice(position, end < 0 ? data.length : end);
+                if (raw.length === 0 || raw.length > (match.definition.maxLength || 0)) return null;
+            }
+            position += raw.length;
+
+            elements.push(this.createGS1Element(match.ai, match.definition, raw));
+        }
+
+        return elements;
+    }
+
+    /**
+     * Parse the human readable form: (01)09506000134352(17)201225(10)ABC
+     */
+    private static parseGS1Bracketed(data: string): GS1Element[] | null {
+        const elements: GS1Element[] = [];
+        const pattern = /\((\d{2,4})\)([^(]*)/g;
+        let consumed = 0;
+        let match: RegExpExecArray | null;
+
+        while ((match = pattern.exec(data)) !== null) {
+            if (match.index !== consumed) return null;
+            consumed = pattern.lastIndex;
+
+            const ai = match[1]!;
+            const raw = match[2]!.trim();
+            const found = this.findGS1AI(ai);
+            if (!found || found.ai !== ai) return null;
+
+            const { definition } = found;
+            if (definition.length ? raw.length !== definition.length : raw.length === 0 || raw.length > (definition.maxLength || 0)) {
+                return null;
+            }
+            elements.push(this.createGS1Element(ai, definition, raw));
+        }
+
+        return consumed === data.length ? elements : null;
+    }
+
+    /**
+     * Look up the AI at the start of the given digits
+     */
+    private static findGS1AI(digits: string): { ai: string; definition: GS1Definition } | null {
+        if (/^9[1-9]/.test(digits)) {
+            return { ai: digits.slice(0, 2), definition: GS1_INTERNAL };
+        }
+
+        for (let length = 2; length <= 4; length++) {
+            const prefix = digits.slice(0, length);
+            const definition = GS1_AIS[prefix];
+            if (!definition) continue;
+
+            if (definition.kind === 'decimal') {
+                // e.g. 3103: net weight in kg with 3 decimal places
+                const ai = digits.slice(0, length + 1);
+                return /^\d+$/.test(ai) && ai.length === length + 1 ? { ai, definition } : null;
+            }
+            return { ai: prefix, definition };
+        }
+
+        return null;
+    }
+
+    /**
+     * Format an element value by AI kind
+     */
+    private static createGS1Element(ai: string, definition: GS1Definition, raw: string): GS1Element {
+        let value = raw;
+
+        switch (definition.kind) {
+            case 'date':
+                value = this.formatGS1Date(raw) || raw;
+                break;
+            case 'datetime': {
+                const date = this.formatGS1Date(raw.slice(0, 6));
+                value = date ? `${date} ${raw.slice(6, 8)}:${raw.slice(8, 10)}` : raw;
+                break;
+            }
+            case 'decimal':
+                if (/^\d+$/.test(raw)) {
+                    const decimals = Number(ai[ai.length - 1]);
+                    const number = (Number(raw) / 10 ** decimals).toFixed(decimals);
+                    value = definition.unit ? `${number} ${definition.unit}` : number;
+                }
+                break;
+            case 'check':
+                if (!this.isValidCheckDigit(raw)) value = `${raw} (invalid check digit ⚠️)`;
+                break;
+        }
+
+        return { ai, label: definition.label, value, raw };
+    }
+
+    /**
+     * Convert a GS1 YYMMDD date to ISO; day 00 means the last day of the month
+     */
+    private static formatGS1Date(raw: string): string | null {
+        const match = /^(\d{2})(\d{2})(\d{2})$/.exec(raw);
+        if (!match) return null;
+
+        const month = Number(match[2]);
+        let day = Number(match[3]);
+        if (month < 1 || month > 12 || day > 31) return null;
+
+        // GS1 century rule: years more than 50 ahead belong to the previous century
+        const currentYear = new Date().getFullYear();
+        let year = Math.floor(currentYear / 100) * 100 + Number(match[1]);
+        if (year - currentYear > 50) year -= 100;
+        else if (currentYear - year >= 50) year += 100;
+
+        if (day === 0) {
+            day = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        }
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    /**
+     * Convert an AAMVA date (MMDDCCYY in the US, CCYYMMDD in Canada and version 1) to ISO
+     */
+    private static parseLicenseDate(raw: string | undefined, country: string | undefined): string | undefined {
+        if (!raw || !/^\d{8}$/.test(raw)) return undefined;
+
+        const yearFirst = country === 'CAN' || Number(raw.slice(0, 4)) > 1231;
+        return yearFirst
+            ? `${raw.slice(0, 4)}-${raw.slice(4, 6)}-${raw.slice(6, 8)}`
+            : `${raw.slice(4, 8)}-${raw.slice(0, 2)}-${raw.slice(2, 4)}`;
+    }
+
+    /**
+     * Format an AAMVA postal code (US ZIP+4 is stored as 9 digits, often padded with zeros)
+     */
+    private static formatPostalCode(raw: string | undefined): string | undefined {
+        if (!raw) return undefined;
+
+        const code = raw.trim();
+        if (/^\d{9}$/.test(code)) {
+            return code.endsWith('0000') ? code.slice(0, 5) : `${code.slice(0, 5)}-${code.slice(5)}`;
+        }
+        return code || undefined;
+    }
+
+    /**
+     * Parse MeCard fields (N:Doe,John;TEL:123;EMAIL:a@b.c;;)
+     */
+    private static parseMeCard(text: string): Omit<ContactPayload, 'title' | 'fields' | 'actions'> {
+        const entries = this.parseKeyValues(text);
+        const get = (key: string) => entries.filter(([name]) => name === key).map(([, value]) => value);
+
+        // N is "Family,Given"
+        const [familyName, givenName] = (get('N')[0] || '').split(',').map(part => part.trim());
+        const name = [givenName, familyName].filter(Boolean).join(' ');
+        const address = (get('ADR')[0] || '').split(',').map(part => part.trim()).filter(Boolean).join(', ');
+
+        return {
+            type: 'contact',
+            source: 'mecard',
+            name,
+            familyName: familyName || undefined,
+            givenName: givenName || undefined,
+            organization: get('ORG')[0],
+            phones: get('TEL'),
+            emails: get('EMAIL'),
+            urls: get('URL'),
+            address: address || undefined,
+            note: get('NOTE')[0],
+        };
+    }
+
+    /**
+     * Parse vCard 2.1 / 3.0 / 4.0 properties
+     */
+    private static parseVCard(text: string): Omit<ContactPayload, 'title' | 'fields' | 'actions'> {
+        const unescape = (value: string) => value.replace(/\\(.)/g, (_, char: string) => (char === 'n' || char === 'N' ? '\n' : char));
+        const properties: Array<[string, string]> = [];
+
+        // Unfold continuation lines, then split "GROUP.NAME;PARAMS:value"
+        text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon < 0) return;
+            const name = line.slice(0, colon).split(';')[0]!.replace(/^.*\./, '').toUpperCase();
+            properties.push([name, line.slice(colon + 1)]);
+        });
+
+        const get = (key: string) => properties.filter(([name]) => name === key).map(([, value]) => value);
+        const components = (value: string | undefined) => this.splitEscaped(value || '', ';').map(unescape);
+
+        // N is "Family;Given;Additional;Prefix;Suffix"
+        const [familyName, givenName, additionalName] = components(get('N')[0]);
+        const name = get('FN')[0] ? unescape(get('FN')[0]!) : [givenName, additionalName, familyName].filter(Boolean).join(' ');
+        const address = components(get('ADR')[0]).map(part => part.trim()).filter(Boolean).join(', ');
+        const organization = components(get('ORG')[0]).filter(Boolean).join(', ');
+        const note = get('NOTE')[0];
+
+        return {
+            type: 'contact',
+            source: 'vcard',
+            name,
+            familyName: familyName || undefined,
+            givenName: givenName || undefined,
+            organization: organization || undefined,
+            phones: get('TEL').map(unescape),
+            emails: get('EMAIL').map(unescape),
+            urls: get('URL').map(unescape),
+            address: address || undefined,
+            note: note ? unescape(note) : undefined,
+        };
+    }
+
+    /**
+     * Build a vCard 3.0 so MeCard contacts can be saved to the address book
+     */
+    private static buildVCard(contact: Omit<ContactPayload, 'title' | 'fields' | 'actions'>): string {
+        const escape = (value: string) => value.replace(/([\;,])/g, '\\$1').replace(/\n/g, '\\n');
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `N:${escape(contact.familyName || '')};${escape(contact.givenName || '')};;;`,
+            `FN:${escape(contact.name)}`,
+        ];
+
+        if (contact.organization) lines.push(`ORG:${escape(contact.organization)}`);
+        contact.phones.forEach(phone => lines.push(`TEL:${escape(phone)}`));
+        contact.emails.forEach(email => lines.push(`EMAIL:${escape(email)}`));
+        contact.urls.forEach(url => lines.push(`URL:${escape(url)}`));
+        if (contact.address) lines.push(`ADR:;;${escape(contact.address)};;;;`);
+        if (contact.note) lines.push(`NOTE:${escape(contact.note)}`);
+        lines.push('END:VCARD');
+
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Parse "KEY:value;KEY:value;;" pairs with backslash escapes (WiFi, MeCard)
+     */
+    private static parseKeyValues(text: string): Array<[string, string]> {
+        return this.splitEscaped(text, ';')
+            .map(part => {
+                const colon = part.indexOf(':');
+                if (colon < 0) return null;
+                return [part.slice(0, colon).toUpperCase(), part.slice(colon + 1).replace(/\\(.)/g, '$1')] as [string, string];
+            })
+            .filter((entry): entry is [string, string] => entry !== null);
+    }
+
+    /**
+     * Split on a separator that is not escaped with a backslash; escapes are kept
+     */
+    private static splitEscaped(text: string, separator: string): string[] {
+        const parts: string[] = [];
+        let current = '';
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i]!;
+            if (char === '\\' && i + 1 < text.length) {
+                current += char + text[i + 1];
+                i++;
+            } else if (char === separator) {
+                parts.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        parts.push(current);
+
+        return parts;
+    }
+
+    /**
+     * First value of each key
+     */
+    private static toRecord(entries: Array<[string, string]>): Record<string, string> {
+        const record: Record<string, string> = {};
+        entries.forEach(([key, value]) => {
+            if (!(key in record)) record[key] = value;
+        });
+        return record;
+    }
+}
+
 // Export singleton instance
 const barcodeManager = new BarcodeManager();
 export default barcodeManager;
@@ -1269,4 +2355,5 @@ export default barcodeManager;
 if (typeof window !== 'undefined') {
     (window as any).barcodeManager = barcodeManager;
     (window as any).BarcodeManager = BarcodeManager;
+    (window as any).BarcodePayloadParser = BarcodePayloadParser;
 }
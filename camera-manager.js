@@ -10,6 +10,11 @@ class CameraManager {
         this.isInitialized = false;
         this.permissionState = null;
 
+        // Video recording state
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.recordingStartTime = null;
+
         // Camera constraints
         this.constraints = {
             video: {
@@ -289,10 +294,115 @@ class CameraManager {
         }
     }
 
+    /**
+     * Get the best WebM MIME type supported by MediaRecorder
+     * @returns {string|null} MIME type or null if recording is unsupported
+     */
+    static getSupportedRecordingMimeType() {
+        if (typeof MediaRecorder === 'undefined') return null;
+
+        return AppConstants.RECORDING.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    /**
+     * Start recording a stream to WebM
+     * @param {MediaStream} stream - Stream to record (defaults to the managed camera stream)
+     * @returns {number} Recording start time (epoch milliseconds)
+     */
+    startRecording(stream = this.stream) {
+        if (!stream) {
+            throw new Error('Camera not started');
+        }
+        if (this.isRecording()) {
+            throw new Error('Recording already in progress');
+        }
+
+        const mimeType = CameraManager.getSupportedRecordingMimeType();
+        if (!mimeType) {
+            throw new Error('Video recording not supported in this browser');
+        }
+
+        this.recordedChunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType,
+            videoBitsPerSecond: AppConstants.RECORDING.VIDEO_BITS_PER_SECOND
+        });
+
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.recordedChunks.push(event.data);
+            }
+        };
+
+        // Timeslice keeps memory chunks small and limits loss if the tab dies
+        this.mediaRecorder.start(AppConstants.RECORDING.TIMESLICE_MS);
+        this.recordingStartTime = Date.now();
+
+        console.log(`🔴 Recording started (${mimeType})`);
+        return this.recordingStartTime;
+    }
+
+    /**
+     * Stop recording and collect the recorded video
+     * @returns {Promise<Object>} Recording with blob, mimeType, startTime, endTime and duration (ms)
+     */
+    stopRecording() {
+        if (!this.isRecording()) {
+            return Promise.reject(new Error('No recording in progress'));
+        }
+
+        const recorder = this.mediaRecorder;
+
+        return new Promise((resolve, reject) => {
+            recorder.onstop = () => {
+                const endTime = Date.now();
+                const blob = new Blob(this.recordedChunks, { type: recorder.mimeType });
+                const recording = {
+                    blob,
+                    mimeType: recorder.mimeType,
+                    startTime: this.recordingStartTime,
+                    endTime,
+                    duration: endTime - this.recordingStartTime
+                };
+
+                this.mediaRecorder = null;
+                this.recordedChunks = [];
+                this.recordingStartTime = null;
+
+                console.log(`⏹️ Recording stopped (${Utils.formatBytes(blob.size)})`);
+                resolve(recording);
+            };
+
+            recorder.onerror = (event) => {
+                this.mediaRecorder = null;
+                this.recordedChunks = [];
+                this.recordingStartTime = null;
+                reject(event.error || new Error('Recording failed'));
+            };
+
+            recorder.stop();
+        });
+    }
+
+    /**
+     * Check if a recording is in progress
+     * @returns {boolean}
+     */
+    isRecording() {
+        return this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive';
+    }
+
     /**
      * Cleanup resources
      */
     cleanup() {
+        if (this.isRecording()) {
+            this.mediaRecorder.stop();
+        }
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.recordingStartTime = null;
+
         this.stopCamera();
         this.videoElement = null;
         this.isInitialized = false;
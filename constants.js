@@ -7,7 +7,7 @@ const AppConstants = {
     // Application Info
     APP_VERSION: '1.0.0',
     DB_NAME: 'PoliCameraDB',
-    DB_VERSION: 1,
+    DB_VERSION: 7,
 
     // User ID
     USER_ID_LENGTH: 12,
@@ -20,7 +20,9 @@ const AppConstants = {
         IDEAL_WIDTH: 1920,
         IDEAL_HEIGHT: 1080,
         IMAGE_QUALITY: 0.9,
-        IMAGE_FORMAT: 'image/jpeg'
+        IMAGE_FORMAT: 'image/jpeg',
+        THUMBNAIL_SIZE: 320, // Longest edge in pixels
+        THUMBNAIL_QUALITY: 0.7
     },
 
     // GPS Configuration
@@ -28,7 +30,8 @@ const AppConstants = {
         ENABLE_HIGH_ACCURACY: true,
         TIMEOUT: 10000,
         MAXIMUM_AGE: 60000,
-        UPDATE_INTERVAL: 500 // milliseconds
+        UPDATE_INTERVAL: 500, // milliseconds
+        PHOTO_MATCH_WINDOW: 120000 // Max time between a photo and the GPS log used to place it in track exports (ms)
     },
 
     // Pull-to-Refresh
@@ -38,6 +41,13 @@ const AppConstants = {
         REFRESH_DELAY: 600
     },
 
+    // Video Recording
+    RECORDING: {
+        MIME_TYPES: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+        VIDEO_BITS_PER_SECOND: 2500000,
+        TIMESLICE_MS: 1000
+    },
+
     // VTT (WebVTT) Configuration
     VTT: {
         CUE_DURATION: 500,
@@ -58,7 +68,91 @@ const AppConstants = {
 
     // Storage
     STORAGE: {
-        LOCAL_STORAGE_KEY: 'policamera-photos'
+        LOCAL_STORAGE_KEY: 'policamera-photos',
+        ENCRYPT_PHOTOS_SETTING_KEY: 'encryptPhotoRecords' // Encrypt image and metadata of new photos
+    },
+
+    // Background photo upload (outbox drained by the service worker)
+    UPLOAD: {
+        SYNC_TAG: 'photo-upload',
+        ENDPOINT: '', // Empty = uploads disabled until an endpoint is configured
+        ENDPOINT_SETTING_KEY: 'uploadEndpoint',
+        BATCH_SIZE: 10,
+        MAX_ATTEMPTS: 8,
+        BASE_BACKOFF_MS: 30000,
+        MAX_BACKOFF_MS: 6 * 60 * 60 * 1000 // 6 hours
+    },
+
+    // Photo gallery (browses every photo stored in IndexedDB)
+    GALLERY: {
+        PAGE_SIZE: 24,
+        SCAN_BATCH_SIZE: 48, // Records read and filtered per IndexedDB transaction
+        CAPTURE_RESULT_MAX_AGE: 5000 // OCR/barcode results older than this are not attached to a photo (ms)
+    },
+
+    // Map view of photos and the GPS track
+    MAP: {
+        TILE_URL: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+        TILE_ATTRIBUTION: '© OpenStreetMap contributors',
+        TILE_CACHE_NAME: 'policamera-tiles-v1', // Service worker cache for tiles and sql.js (kept across app updates)
+        MAX_CACHED_TILES: 5000,
+        MIN_ZOOM: 2,
+        MAX_ZOOM: 19,
+        DEFAULT_ZOOM: 15,
+        SQL_JS_URL: 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/' // Reads MBTiles packages
+    },
+
+    // Privacy redaction applied to captured photos before they are saved
+    REDACTION: {
+        ENABLED: true, // GDPR-safe output by default
+        METHOD: 'blur', // 'blur' (OpenCV Gaussian, falls back to pixelate) or 'pixelate'
+        REDACT_FACES: true,
+        REDACT_PLATES: true,
+        OBJECT_CLASSES: [], // Extra COCO-SSD classes to redact entirely, e.g. ['person']
+        VEHICLE_CLASSES: ['car', 'truck', 'bus', 'motorcycle'], // Searched for licence plates
+        KEEP_ENCRYPTED_ORIGINAL: false,
+        REGION_PADDING: 0.15, // Grow each region by this fraction of its size
+        PIXEL_BLOCKS: 8, // Blocks across the shorter side when pixelating
+        SETTINGS_STORAGE_KEY: 'policamera-redaction'
+    },
+
+    // Region-of-interest OCR
+    OCR: {
+        ROI_MIN_SIZE: 24, // Smaller boxes dragged on screen are ignored (video pixels)
+        LANGUAGE: 'eng', // Tesseract language(s) to start with, e.g. 'eng+fra'
+        AUTO_DETECT_LANGUAGE: true, // Detect the script of the text and load a matching language
+        LANG_PATH: null, // Local directory with <lang>.traineddata.gz files (e.g. './tessdata'), null for the CDN
+        LANG_CDN_URL: 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/',
+        TESSERACT_URL: 'https://cdn.jsdelivr.net/npm/tesseract.js', // Also matches tesseract.js-core
+        CACHE_NAME: 'policamera-ocr-v1', // Service worker cache for Tesseract and traineddata (kept across app updates)
+        OFFLINE_LANGUAGES: ['eng', 'osd'] // Traineddata fetched ahead of time so detection works offline
+    },
+
+    // Live translation of OCR subtitles
+    TRANSLATION: {
+        TARGET_LANGUAGE: '', // ISO 639-1 code; empty = device language
+        TARGET_LANGUAGE_SETTING_KEY: 'translationTarget',
+        PHRASE_TABLE_URL: './translations/phrases.json', // Bundled offline phrase table
+        SERVER_URL: '', // Self-hosted LibreTranslate-compatible server; empty = phrase table only
+        SERVER_SETTING_KEY: 'translationServer',
+        SERVER_API_KEY: '',
+        TIMEOUT_MS: 4000 // Server requests slower than this fall back to the phrase table
+    },
+
+    // Document scanner (pages assembled into a searchable PDF)
+    SCANNER: {
+        DETECT_INTERVAL_MS: 200, // Page outline detection rate while scanning
+        STABLE_TOLERANCE: 0.02, // Max corner movement between detections, as a fraction of the page diagonal
+        STABLE_DURATION_MS: 1200, // Page must hold still this long before it is captured automatically
+        REARM_DISTANCE: 0.15, // Page must move this much, or leave the view, before the next auto-capture
+        MAX_PAGE_SIDE: 2000, // Flattened pages are scaled down to this many pixels on the longer side
+        JPEG_QUALITY: 0.85,
+        MAX_PAGES: 50
+    },
+
+    // Inventory sessions (batch barcode counting)
+    INVENTORY: {
+        REPEAT_SCAN_MS: 800 // The same code is counted again only after it has been out of view this long
     },
 
     // AI Detection
@@ -67,15 +161,15 @@ const AppConstants = {
         MAX_FPS: 30,
         DETECTION_THRESHOLD: 0.5,
         MAX_DETECTIONS: 15,
-        MIN_DETECTION_FRAMES: 1,
-        MAX_MISSING_FRAMES: 5,
+        MIN_DETECTION_FRAMES: 2, // Frames before a track is confirmed
+        MAX_MISSING_FRAMES: 5, // Frames a lost track is kept
         NMS_IOU_THRESHOLD: 0.5,
-        TRACKING_IOU_THRESHOLD: 0.4,
-        SMOOTHING_ALPHA: 0.75,
-        VELOCITY_SMOOTHING: 0.7,
-        PREDICTION_WEIGHT: 0.5,
-        MAX_VELOCITY: 500,
+        TRACKING_IOU_THRESHOLD: 0.3, // Against the Kalman-predicted box
+        MAX_TRACKED_OBJECTS: 50,
         MODEL_BASE: 'lite_mobilenet_v2',
+        CUSTOM_MODEL_STORE: 'indexeddb://policamera-detector', // Custom models picked from files
+        CUSTOM_MODEL_SETTING_KEY: 'detectionModel',
+        CUSTOM_MODEL_INPUT_SIZE: 640,
         WORKER_TIMEOUT: 30000,
         MAX_WORKER_FAILURES: 3,
         CANVAS_POOL_SIZE: 2
@@ -121,7 +215,7 @@ const AppConstants = {
     // Service Worker
     SERVICE_WORKER: {
         SCRIPT_PATH: 'sw.js',
-        CACHE_NAME: 'policamera-v3' // Updated to match sw.js
+        CACHE_NAME: 'policamera-v5' // Updated to match sw.js
     },
 
     // Theme Colors
@@ -156,7 +250,10 @@ const AppConstants = {
         BILATERAL_FILTER_SIGMA_COLOR: 75,
         BILATERAL_FILTER_SIGMA_SPACE: 75,
         MIN_ROI_SIZE: 20,
-        MIN_CONTOUR_AREA_PERCENTAGE: 0.1
+        MIN_CONTOUR_AREA_PERCENTAGE: 0.1,
+        ADAPTIVE_THRESHOLD_C: 10, // Subtracted from the local mean when binarizing
+        DOCUMENT_DETECTION_WIDTH: 640, // Frames are downscaled to this width to find outlines
+        DOCUMENT_MIN_AREA_RATIO: 0.05 // Smallest document outline, as a fraction of the frame
     },
 
     // Frame Management
@@ -168,7 +265,116 @@ const AppConstants = {
     DEPTH: {
         WARMUP_DELAY_MS: 2000,
         TARGET_FPS: 10,
-        OPACITY: 0.7
+        OPACITY: 0.7,
+        ESTIMATION_MODE: 'model', // 'model' falls back to 'hybrid' while the model loads or if it is missing
+        MODEL_URL: './models/depth/midas_v21_small_256.onnx', // MiDaS v2.1 small or Depth-Anything V2 small (ONNX)
+        MODEL_INPUT_SIZE: 256, // Square input; Depth-Anything needs a multiple of 14 (e.g. 266 or 518)
+        MODEL_MEAN: [0.485, 0.456, 0.406], // ImageNet normalization used by both model families
+        MODEL_STD: [0.229, 0.224, 0.225],
+        ORT_URL: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.3/dist/', // ONNX Runtime Web (WASM backend)
+        POINT_CLOUD_STEP: 2, // Every 2nd depth pixel in each direction goes into the PLY file
+        WORKER_TIMEOUT_MS: 15000, // One estimate in the depth worker
+        MODEL_LOAD_TIMEOUT_MS: 120000 // Model download and session creation in the depth worker
+    },
+
+    // Tap-to-measure
+    MEASUREMENT: {
+        FIELD_OF_VIEW: 66, // Degrees across the longer side of the frame (typical phone main camera)
+        MAX_DISTANCE: 50, // Meters; relative depth is too coarse beyond this
+        MAX_MEASUREMENTS: 6,
+        LONG_PRESS_MS: 600 // Holding a detected object sets it as the reference
+    },
+
+    // Zone analytics (tracked objects counted in zones and across lines)
+    ZONES: {
+        TRACK_TIMEOUT_MS: 2000, // A track unseen this long has left its zones
+        LINE_MARGIN: 0.01, // Fraction of the frame a track must clear a line by to count as crossed
+        CLOSE_DISTANCE: 0.03, // A tap this close to the first corner closes the zone
+        PANEL_REFRESH_MS: 1000,
+        REGIONS_SETTING_KEY: 'zoneRegions'
+    },
+
+    // Track recording (MOTChallenge / COCO video / GeoJSON export)
+    TRACK_LOG: {
+        MAX_FRAMES: 54000, // 30 minutes of detection frames at 30 FPS
+        POSITION_INTERVAL_MS: 1000
+    },
+
+    // Model files served from the app origin
+    MODELS: {
+        BASE_PATH: './models/',
+        CACHE_NAME: 'policamera-models-v1' // Service worker cache for models and their runtimes (kept across app updates)
+    },
+
+    // AI libraries and models served from the app origin, written by `npm run bundle:offline`.
+    // Without the bundle (or when a file fails verification) they load from the URLs below
+    OFFLINE: {
+        BASE_PATH: './offline/',
+        MANIFEST_URL: './offline/manifest.json',
+        CACHE_PREFIX: 'policamera-offline-', // + manifest version; caches of other versions are deleted
+        BUNDLES: {
+            // url: where the files come from; graphModel: weight shards listed in model.json are bundled too;
+            // query: appended to every URL (TF Hub); paths: source paths that differ from the file name
+            tfjs: {
+                url: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.10.0/dist/',
+                files: ['tf.min.js']
+            },
+            cocoSsd: {
+                url: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3/dist/',
+                files: ['coco-ssd.min.js']
+            },
+            cocoSsdModel: {
+                url: 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/',
+                files: ['model.json'],
+                graphModel: true
+            },
+            poseDetection: {
+                url: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.0/dist/',
+                files: ['pose-detection.min.js']
+            },
+            movenet: {
+                url: 'https://tfhub.dev/google/tfjs-model/movenet/singlepose/lightning/4/',
+                files: ['model.json'],
+                graphModel: true,
+                query: '?tfjs-format=file'
+            },
+            blazeface: {
+                url: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.0.7/dist/',
+                files: ['blazeface.min.js']
+            },
+            blazefaceModel: {
+                url: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1/',
+                files: ['model.json'],
+                graphModel: true,
+                query: '?tfjs-format=file'
+            },
+            tesseract: {
+                url: 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.0/dist/',
+                files: ['tesseract.min.js', 'worker.min.js']
+            },
+            tesseractCore: {
+                url: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.0/',
+                files: ['tesseract-core.wasm.js', 'tesseract-core-simd.wasm.js', 'tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js']
+            },
+            onnxRuntime: {
+                url: 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.17.3/dist/', // Same as DEPTH.ORT_URL
+                files: ['ort.min.js', 'ort-wasm.wasm', 'ort-wasm-simd.wasm'] // Single-threaded WASM builds
+            },
+            depthModel: {
+                // MiDaS v2.1 small (MIT license), saved under the name DEPTH.MODEL_URL uses
+                url: 'https://github.com/isl-org/MiDaS/releases/download/v2_1/',
+                files: ['midas_v21_small_256.onnx'],
+                paths: { 'midas_v21_small_256.onnx': 'model-small.onnx' }
+            },
+            tessdata: {
+                url: 'https://cdn.jsdelivr.net/npm/@tesseract.js-data/',
+                files: ['eng.traineddata.gz', 'osd.traineddata.gz'],
+                paths: {
+                    'eng.traineddata.gz': 'eng/4.0.0_best_int/eng.traineddata.gz',
+                    'osd.traineddata.gz': 'osd/4.0.0/osd.traineddata.gz'
+                }
+            }
+        }
     }
 };
 
@@ -177,9 +383,21 @@ Object.freeze(AppConstants);
 Object.freeze(AppConstants.CAMERA);
 Object.freeze(AppConstants.GPS);
 Object.freeze(AppConstants.PULL_TO_REFRESH);
+Object.freeze(AppConstants.RECORDING);
+Object.freeze(AppConstants.RECORDING.MIME_TYPES);
 Object.freeze(AppConstants.VTT);
 Object.freeze(AppConstants.TIMING);
 Object.freeze(AppConstants.STORAGE);
+Object.freeze(AppConstants.UPLOAD);
+Object.freeze(AppConstants.GALLERY);
+Object.freeze(AppConstants.MAP);
+Object.freeze(AppConstants.REDACTION);
+Object.freeze(AppConstants.REDACTION.OBJECT_CLASSES);
+Object.freeze(AppConstants.REDACTION.VEHICLE_CLASSES);
+Object.freeze(AppConstants.OCR);
+Object.freeze(AppConstants.TRANSLATION);
+Object.freeze(AppConstants.SCANNER);
+Object.freeze(AppConstants.INVENTORY);
 Object.freeze(AppConstants.AI);
 Object.freeze(AppConstants.OVERLAY);
 Object.freeze(AppConstants.STITCHING);
@@ -191,10 +409,19 @@ Object.freeze(AppConstants.CONTOUR);
 Object.freeze(AppConstants.OPENCV);
 Object.freeze(AppConstants.FRAME);
 Object.freeze(AppConstants.DEPTH);
+Object.freeze(AppConstants.DEPTH.MODEL_MEAN);
+Object.freeze(AppConstants.DEPTH.MODEL_STD);
+Object.freeze(AppConstants.MEASUREMENT);
+Object.freeze(AppConstants.ZONES);
+Object.freeze(AppConstants.TRACK_LOG);
+Object.freeze(AppConstants.MODELS);
+Object.freeze(AppConstants.OFFLINE);
+Object.freeze(AppConstants.OFFLINE.BUNDLES);
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AppConstants;
 } else {
-    window.AppConstants = AppConstants;
+    // `self` is the window on pages and the global scope in the service worker
+    self.AppConstants = AppConstants;
 }
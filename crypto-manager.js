@@ -10,6 +10,16 @@ class CryptoManager {
             length: 256
         };
         this.key = null;
+        this.keyId = null;
+
+        // Keys replaced by rotation or restore, kept until their data is re-encrypted
+        this.retiredKeys = new Map();
+
+        // Passphrase-protected key backups (PBKDF2 -> AES-KW)
+        this.backupFormat = 'policamera-key-backup';
+        this.backupVersion = 1;
+        this.kdfIterations = 600000;
+        this.minPassphraseLength = 8;
     }
 
     /**
@@ -27,6 +37,8 @@ class CryptoManager {
 
             if (storedKey) {
                 this.key = storedKey;
+                this.keyId = await this.getKeyId(this.key);
+                await this.loadRetiredKeys();
                 console.log('✅ Encryption key loaded from storage');
                 return this.key;
             }
@@ -40,6 +52,7 @@ class CryptoManager {
 
             // Store the key for future use
             await this.saveKeyToStorage(this.key);
+            this.keyId = await this.getKeyId(this.key);
             console.log('✅ New encryption key generated and stored');
 
             return this.key;
@@ -59,23 +72,355 @@ class CryptoManager {
             const exportedKey = await window.crypto.subtle.exportKey('jwk', key);
 
             // Store in a separate IndexedDB for keys
-            const db = await this.openKeyDB();
-            const transaction = db.transaction(['keys'], 'readwrite');
-            const store = transaction.objectStore('keys');
+            await this.putKeyRecord({ id: this.keyName, key: exportedKey });
+        } catch (error) {
+            console.error('Failed to save encryption key:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Write a record to the key store
+     * @param {Object} record - Record with id and JWK key
+     * @returns {Promise<void>}
+     */
+    async putKeyRecord(record) {
+        const db = await this.openKeyDB();
+        const transaction = db.transaction(['keys'], 'readwrite');
+        const store = transaction.objectStore('keys');
 
+        try {
             await new Promise((resolve, reject) => {
-                const request = store.put({ id: this.keyName, key: exportedKey });
+                const request = store.put(record);
                 request.onsuccess = () => resolve();
                 request.onerror = () => reject(request.error);
             });
+        } finally {
+            db.close();
+        }
+    }
 
+    /**
+     * Delete a record from the key store
+     * @param {string} id - Record ID
+     * @returns {Promise<void>}
+     */
+    async deleteKeyRecord(id) {
+        const db = await this.openKeyDB();
+        const transaction = db.transaction(['keys'], 'readwrite');
+        const store = transaction.objectStore('keys');
+
+        try {
+            await new Promise((resolve, reject) => {
+                const request = store.delete(id);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+        } finally {
             db.close();
-        } catch (error) {
-            console.error('Failed to save encryption key:', error);
-            throw error;
         }
     }
 
+    /**
+     * Get the key store ID for a retired key
+     * @param {string} keyId - Key fingerprint
+     * @returns {string}
+     */
+    getRetiredKeyRecordId(keyId) {
+        return `${this.keyName}:retired:${keyId}`;
+    }
+
+    /**
+     * Load retired keys from IndexedDB so older records stay decryptable
+     * @returns {Promise<void>}
+     */
+    async loadRetiredKeys() {
+        const db = await this.openKeyDB();
+        const transaction = db.transaction(['keys'], 'readonly');
+        const store = transaction.objectStore('keys');
+
+        const records = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        db.close();
+
+        this.retiredKeys.clear();
+        const prefix = this.getRetiredKeyRecordId('');
+        for (const record of records) {
+            if (!record.id.startsWith(prefix)) continue;
+
+            const key = await window.crypto.subtle.importKey(
+                'jwk',
+                record.key,
+                this.algorithm,
+                true,
+                ['encrypt', 'decrypt']
+            );
+            this.retiredKeys.set(record.keyId, key);
+        }
+
+        if (this.retiredKeys.size > 0) {
+            console.log(`🔑 ${this.retiredKeys.size} retired encryption key(s) loaded`);
+        }
+    }
+
+    /**
+     * Keep a replaced key so data encrypted with it can still be read
+     * @param {CryptoKey} key - Key being replaced
+     * @param {string} keyId - Its fingerprint
+     * @returns {Promise<void>}
+     */
+    async retireKey(key, keyId) {
+        const exportedKey = await window.crypto.subtle.exportKey('jwk', key);
+        await this.putKeyRecord({
+            id: this.getRetiredKeyRecordId(keyId),
+            keyId,
+            key: exportedKey,
+            retiredAt: new Date().toISOString()
+        });
+        this.retiredKeys.set(keyId, key);
+    }
+
+    /**
+     * Delete all retired keys
+     * Only call once every record has been re-encrypted with the active key
+     * @returns {Promise<number>} Number of keys deleted
+     */
+    async deleteRetiredKeys() {
+        await this.loadRetiredKeys();
+        const keyIds = Array.from(this.retiredKeys.keys());
+        for (const keyId of keyIds) {
+            await this.deleteKeyRecord(this.getRetiredKeyRecordId(keyId));
+            this.retiredKeys.delete(keyId);
+        }
+
+        if (keyIds.length > 0) {
+            console.log(`🗑️ Deleted ${keyIds.length} retired encryption key(s)`);
+        }
+        return keyIds.length;
+    }
+
+    /**
+     * Compute a short, stable fingerprint for a key
+     * @param {CryptoKey} key - AES key
+     * @returns {Promise<string>} First 16 hex characters of the SHA-256 of the raw key
+     */
+    async getKeyId(key) {
+        const raw = await window.crypto.subtle.exportKey('raw', key);
+        const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-256', raw));
+        return Array.from(digest.slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Replace the active key with a new one
+     * The old key is retired, not deleted; re-encrypt existing records with
+     * DatabaseManager.rotateEncryptionKey() and then call deleteRetiredKeys()
+     * @returns {Promise<Object>} Old and new key IDs
+     */
+    async rotateKey() {
+        await this.initializeKey();
+
+        const oldKey = this.key;
+        const oldKeyId = this.keyId;
+
+        const newKey = await window.crypto.subtle.generateKey(
+            this.algorithm,
+            true,
+            ['encrypt', 'decrypt']
+        );
+        const newKeyId = await this.getKeyId(newKey);
+
+        // Retire first so a crash never leaves data without its key
+        await this.retireKey(oldKey, oldKeyId);
+        await this.saveKeyToStorage(newKey);
+
+        this.key = newKey;
+        this.keyId = newKeyId;
+
+        console.log(`🔄 Encryption key rotated (${oldKeyId} -> ${newKeyId})`);
+        return { oldKeyId, newKeyId };
+    }
+
+    /**
+     * Derive an AES-KW wrapping key from a passphrase
+     * @param {string} passphrase - User passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveWrappingKey(passphrase, salt, iterations) {
+        const baseKey = await window.crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return window.crypto.subtle.deriveKey(
+            {
+                name: 'PBKDF2',
+                salt: salt,
+                iterations: iterations,
+                hash: 'SHA-256'
+            },
+            baseKey,
+            { name: 'AES-KW', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    /**
+     * Export the active key (and any retired keys) wrapped with a passphrase
+     * @param {string} passphrase - Passphrase protecting the backup
+     * @returns {Promise<Object>} Portable backup object (JSON-serializable)
+     */
+    async exportKeyBackup(passphrase) {
+        if (!passphrase || passphrase.length < this.minPassphraseLength) {
+            throw new Error(`Passphrase must be at least ${this.minPassphraseLength} characters`);
+        }
+
+        await this.initializeKey();
+
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const wrappingKey = await this.deriveWrappingKey(passphrase, salt, this.kdfIterations);
+
+        const wrap = async (key, keyId, active) => {
+            const wrapped = await window.crypto.subtle.wrapKey('raw', key, wrappingKey, 'AES-KW');
+            return { keyId, active, wrappedKey: this.arrayBufferToBase64(new Uint8Array(wrapped)) };
+        };
+
+        const keys = [await wrap(this.key, this.keyId, true)];
+        for (const [keyId, key] of this.retiredKeys) {
+            keys.push(await wrap(key, keyId, false));
+        }
+
+        console.log(`🔐 Encryption key backup created (${keys.length} key(s))`);
+        return {
+            format: this.backupFormat,
+            version: this.backupVersion,
+            createdAt: new Date().toISOString(),
+            algorithm: this.algorithm.name,
+            keyLength: this.algorithm.length,
+            kdf: {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: this.kdfIterations,
+                salt: this.arrayBufferToBase64(salt)
+            },
+            wrap: 'AES-KW',
+            keys
+        };
+    }
+
+    /**
+     * Export a passphrase-protected key backup and trigger download
+     * @param {string} passphrase - Passphrase protecting the backup
+     * @returns {Promise<boolean>}
+     */
+    async exportKeyBackupToFile(passphrase) {
+        const backup = await this.exportKeyBackup(passphrase);
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `policamera-key-backup-${this.keyId}.json`;
+
+        document.body.appendChild(a);
+        a.click();
+
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+
+        return true;
+    }
+
+    /**
+     * Restore keys from a passphrase-protected backup
+     * The backup's active key becomes the active key; the previous local key
+     * is retired so data already on this device stays readable
+     * @param {Object|string} backup - Backup object or its JSON text
+     * @param {string} passphrase - Passphrase used when exporting
+     * @returns {Promise<Object>} Restored active key ID and number of keys imported
+     */
+    async importKeyBackup(backup, passphrase) {
+        const data = typeof backup === 'string' ? JSON.parse(backup) : backup;
+
+        if (!data || data.format !== this.backupFormat) {
+            throw new Error('Not a PoliCamera key backup');
+        }
+        if (data.version !== this.backupVersion) {
+            throw new Error(`Unsupported key backup version: ${data.version}`);
+        }
+        if (data.kdf?.name !== 'PBKDF2' || data.wrap !== 'AES-KW' || !Array.isArray(data.keys)) {
+            throw new Error('Unsupported key backup parameters');
+        }
+
+        const wrappingKey = await this.deriveWrappingKey(
+            passphrase || '',
+            this.base64ToArrayBuffer(data.kdf.salt),
+            data.kdf.iterations
+        );
+
+        // Unwrap everything before touching storage so a bad passphrase changes nothing
+        const unwrapped = [];
+        for (const entry of data.keys) {
+            let key;
+            try {
+                key = await window.crypto.subtle.unwrapKey(
+                    'raw',
+                    this.base64ToArrayBuffer(entry.wrappedKey),
+                    wrappingKey,
+                    'AES-KW',
+                    this.algorithm,
+                    true,
+                    ['encrypt', 'decrypt']
+                );
+            } catch (error) {
+                throw new Error('Incorrect passphrase or corrupted key backup');
+            }
+            unwrapped.push({ key, keyId: await this.getKeyId(key), active: entry.active });
+        }
+
+        const restored = unwrapped.find(entry => entry.active);
+        if (!restored) {
+            throw new Error('Key backup has no active key');
+        }
+
+        // Keep the current local key readable
+        const localKey = (await this.loadKeyFromStorage()) || this.key;
+        await this.loadRetiredKeys();
+        if (localKey) {
+            const localKeyId = await this.getKeyId(localKey);
+            if (localKeyId !== restored.keyId) {
+                await this.retireKey(localKey, localKeyId);
+            }
+        }
+
+        for (const entry of unwrapped) {
+            if (!entry.active && entry.keyId !== restored.keyId) {
+                await this.retireKey(entry.key, entry.keyId);
+            }
+        }
+
+        await this.saveKeyToStorage(restored.key);
+        if (this.retiredKeys.has(restored.keyId)) {
+            await this.deleteKeyRecord(this.getRetiredKeyRecordId(restored.keyId));
+            this.retiredKeys.delete(restored.keyId);
+        }
+
+        this.key = restored.key;
+        this.keyId = restored.keyId;
+
+        console.log(`✅ Encryption key restored from backup (${this.keyId})`);
+        return { keyId: this.keyId, keysImported: unwrapped.length };
+    }
+
     /**
      * Load encryption key from IndexedDB
      * @returns {Promise<CryptoKey|null>}
@@ -171,7 +516,8 @@ class CryptoManager {
 
             return {
                 encrypted: encryptedBase64,
-                iv: ivBase64
+                iv: ivBase64,
+                keyId: this.keyId
             };
         } catch (error) {
             console.error('Encryption failed:', error);
@@ -196,25 +542,128 @@ class CryptoManager {
             const encryptedBuffer = this.base64ToArrayBuffer(encryptedData.encrypted);
             const iv = this.base64ToArrayBuffer(encryptedData.iv);
 
-            // Decrypt the data
-            const decryptedBuffer = await window.crypto.subtle.decrypt(
+            const decryptedBuffer = await this.decryptWithKnownKeys(encryptedBuffer, iv, encryptedData.keyId);
+
+            // Convert ArrayBuffer back to string
+            const decoder = new TextDecoder();
+            return decoder.decode(decryptedBuffer);
+        } catch (error) {
+            console.error('Decryption failed:', error);
+            throw new Error('Failed to decrypt data');
+        }
+    }
+
+    /**
+     * Encrypt a Blob (e.g. image bytes) with a fresh IV
+     * @param {Blob} blob - Blob to encrypt
+     * @returns {Promise<Object>} Ciphertext Blob with IV, key ID and original MIME type
+     */
+    async encryptBlob(blob) {
+        try {
+            await this.initializeKey();
+
+            const iv = window.crypto.getRandomValues(new Uint8Array(12));
+            const encryptedBuffer = await window.crypto.subtle.encrypt(
                 {
                     name: 'AES-GCM',
                     iv: iv
                 },
                 this.key,
-                encryptedBuffer
+                await blob.arrayBuffer()
             );
 
-            // Convert ArrayBuffer back to string
-            const decoder = new TextDecoder();
-            return decoder.decode(decryptedBuffer);
+            return {
+                blob: new Blob([encryptedBuffer], { type: 'application/octet-stream' }),
+                iv: this.arrayBufferToBase64(iv),
+                keyId: this.keyId,
+                type: blob.type
+            };
         } catch (error) {
-            console.error('Decryption failed:', error);
+            console.error('Blob encryption failed:', error);
+            throw new Error('Failed to encrypt data');
+        }
+    }
+
+    /**
+     * Decrypt a Blob encrypted with encryptBlob()
+     * @param {Object} encryptedBlob - Object returned by encryptBlob()
+     * @returns {Promise<Blob>} Decrypted Blob with its original MIME type
+     */
+    async decryptBlob(encryptedBlob) {
+        try {
+            await this.initializeKey();
+
+            const decryptedBuffer = await this.decryptWithKnownKeys(
+                new Uint8Array(await encryptedBlob.blob.arrayBuffer()),
+                this.base64ToArrayBuffer(encryptedBlob.iv),
+                encryptedBlob.keyId
+            );
+
+            return new Blob([decryptedBuffer], { type: encryptedBlob.type });
+        } catch (error) {
+            console.error('Blob decryption failed:', error);
             throw new Error('Failed to decrypt data');
         }
     }
 
+    /**
+     * Re-encrypt a Blob with the active key
+     * @param {Object} encryptedBlob - Object returned by encryptBlob()
+     * @returns {Promise<Object>} Blob encrypted with the active key (unchanged if it already is)
+     */
+    async reencryptBlob(encryptedBlob) {
+        if (!encryptedBlob || !encryptedBlob.blob) return encryptedBlob;
+
+        await this.initializeKey();
+        if (encryptedBlob.keyId === this.keyId) return encryptedBlob;
+
+        return this.encryptBlob(await this.decryptBlob(encryptedBlob));
+    }
+
+    /**
+     * Decrypt with the key named by keyId, or try every known key
+     * Data written before keys were tagged has no keyId; AES-GCM
+     * authentication rejects wrong keys, so trying them is safe
+     * @param {Uint8Array} encryptedBuffer - Ciphertext
+     * @param {Uint8Array} iv - Initialization vector
+     * @param {string|undefined} keyId - Key fingerprint stored with the data
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async decryptWithKnownKeys(encryptedBuffer, iv, keyId) {
+        let candidates;
+        if (keyId === this.keyId) {
+            candidates = [this.key];
+        } else if (keyId && this.retiredKeys.has(keyId)) {
+            candidates = [this.retiredKeys.get(keyId)];
+        } else {
+            candidates = [this.key, ...this.retiredKeys.values()];
+        }
+
+        let lastError = null;
+        for (const key of candidates) {
+            try {
+                return await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, encryptedBuffer);
+            } catch (error) {
+                lastError = error;
+            }
+        }
+        throw lastError || new Error('No key available');
+    }
+
+    /**
+     * Re-encrypt a value with the active key
+     * @param {Object} encryptedData - Object with encrypted data and IV
+     * @returns {Promise<Object>} Value encrypted with the active key (unchanged if it already is)
+     */
+    async reencrypt(encryptedData) {
+        if (!encryptedData || !encryptedData.encrypted) return encryptedData;
+
+        await this.initializeKey();
+        if (encryptedData.keyId === this.keyId) return encryptedData;
+
+        return this.encrypt(await this.decrypt(encryptedData));
+    }
+
     /**
      * Encrypt GPS coordinates
      * @param {Object} location - Location object with lat/lon
@@ -326,7 +775,9 @@ class CryptoManager {
             });
 
             db.close();
+            await this.deleteRetiredKeys();
             this.key = null;
+            this.keyId = null;
             console.log('✅ Encryption key deleted');
         } catch (error) {
             console.error('Failed to delete encryption key:', error);
@@ -0,0 +1,343 @@
+/**
+ * Custom object detection models for PoliCamera
+ * Runs a TF.js graph model (a YOLO or SSD export trained on our own classes) with a
+ * label map, and decodes its output into the same predictions as COCO-SSD's detect().
+ * Shared by AIRecognitionManager (main thread) and ai-worker.js
+ */
+class CustomDetector {
+    /**
+     * @param {tf.GraphModel} model
+     * @param {Object} config - Normalized config (see normalizeConfig)
+     */
+    constructor(model, config) {
+        this.model = model;
+        this.config = config;
+    }
+
+    /**
+     * Load a model
+     * @param {Object} config - Normalized config
+     * @param {string|Object} [source] - URL or tf.io handler to load from instead of config.modelUrl
+     * @returns {Promise<CustomDetector>}
+     */
+    static async load(config, source = null) {
+        console.log(`🔄 Loading detection model "${config.name}"...`);
+        const model = await tf.loadGraphModel(source || config.modelUrl);
+        return new CustomDetector(model, config);
+    }
+
+    /**
+     * Fill in defaults and check a model config
+     * @param {Object} config - { name, modelUrl, labels, format, inputSize, iouThreshold, labelOffset, normalizedBoxes, outputs }
+     *   format: 'yolov8' ([1, 4 + classes, boxes] or transposed), 'yolov5' ([1, boxes, 5 + classes])
+     *   or 'ssd' (TF Object Detection API: boxes, scores, classes; the input is the frame resized to inputSize)
+     *   labelOffset: subtracted from class IDs before the label lookup (1 for SSD with a plain label list)
+     *   normalizedBoxes: YOLO boxes are 0-1 rather than input pixels
+     *   outputs: { boxes, scores, classes } output names of an SSD model, if they don't say what they are
+     * @returns {Object}
+     */
+    static normalizeConfig(config) {
+        const normalized = { ...CustomDetector.DEFAULTS, ...config };
+
+        if (!CustomDetector.FORMATS.includes(normalized.format)) {
+            throw new Error(`Unknown model output format: ${normalized.format}`);
+        }
+        normalized.inputSize = parseInt(normalized.inputSize, 10);
+        if (!(normalized.inputSize >= 32)) {
+            throw new Error('Model input size must be at least 32 pixels');
+        }
+        if (!normalized.modelUrl) {
+            throw new Error('No model URL');
+        }
+
+        normalized.labels = CustomDetector.parseLabelMap(config.labels);
+        if (!normalized.labels.some(Boolean)) {
+            throw new Error('The label map has no classes');
+        }
+        return normalized;
+    }
+
+    /**
+     * Read a label map
+     * @param {*} labelMap - ["helmet", ...], {"0": "helmet", ...}, [{ id, name }, ...] (COCO categories),
+     *   or an object with one of those under labels, names (Ultralytics metadata), categories or classes
+     * @returns {string[]} Label per class ID (IDs without a label are left empty)
+     */
+    static parseLabelMap(labelMap) {
+        if (Array.isArray(labelMap)) {
+            // Saved configs keep the gaps of sparse label lists as null
+            if (labelMap.every(label => typeof label === 'string' || label === null)) {
+                return labelMap.map(label => label || '');
+            }
+            const labels = [];
+            labelMap.forEach(item => {
+                if (item && item.id !== undefined) {
+                    labels[Number(item.id)] = String(item.name || item.display_name || item.label || item.id);
+                }
+            });
+            return labels;
+        }
+
+        if (labelMap && typeof labelMap === 'object') {
+            for (const key of ['labels', 'names', 'categories', 'classes']) {
+                if (labelMap[key]) {
+                    return CustomDetector.parseLabelMap(labelMap[key]);
+                }
+            }
+            const labels = [];
+            Object.entries(labelMap).forEach(([id, name]) => {
+                if (/^\d+$/.test(id) && typeof name === 'string') {
+                    labels[Number(id)] = name;
+                }
+            });
+            return labels;
+        }
+
+        return [];
+    }
+
+    /**
+     * Fetch and read a label map
+     * @param {string} url
+     * @returns {Promise<string[]>}
+     */
+    static async fetchLabels(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Label map not found (HTTP ${response.status})`);
+        }
+        return CustomDetector.parseLabelMap(await response.json());
+    }
+
+    /**
+     * Candidate boxes from a YOLO output
+     * @param {Float32Array} data - Output values
+     * @param {number[]} shape - Output shape
+     * @param {Object} options - { classCount, format, threshold, normalizedBoxes, inputSize }
+     * @returns {Array<Object>} { classIndex, score, x, y, width, height } in input pixels
+     */
+    static decodeYolo(data, shape, { classCount, format = 'yolov8', threshold = 0.5, normalizedBoxes = false, inputSize = 640 }) {
+        const hasObjectness = format === 'yolov5';
+        const channels = classCount + (hasObjectness ? 5 : 4);
+        const [rows, columns] = shape.slice(-2);
+
+        // YOLOv8 exports are channels first ([1, channels, boxes]), YOLOv5 one box per row
+        let count, boxStride, channelStride;
+        if (columns === channels) {
+            count = rows;
+            boxStride = channels;
+            channelStride = 1;
+        } else if (rows === channels) {
+            count = columns;
+            boxStride = 1;
+            channelStride = columns;
+        } else {
+            throw new Error(`Model output [${shape.join(', ')}] does not fit ${classCount} classes`);
+        }
+
+        const unit = normalizedBoxes ? inputSize : 1;
+        const firstScore = hasObjectness ? 5 : 4;
+        const candidates = [];
+
+        for (let i = 0; i < count; i++) {
+            const offset = i * boxStride;
+            const objectness = hasObjectness ? data[offset + 4 * channelStride] : 1;
+            if (objectness < threshold) continue;
+
+            let classIndex = 0;
+            let best = -Infinity;
+            for (let c = 0; c < classCount; c++) {
+                const score = data[offset + (firstScore + c) * channelStride];
+                if (score > best) {
+                    best = score;
+                    classIndex = c;
+                }
+            }
+
+            const score = best * objectness;
+            if (score < threshold) continue;
+
+            const width = data[offset + 2 * channelStride] * unit;
+            const height = data[offset + 3 * channelStride] * unit;
+            candidates.push({
+                classIndex,
+                score,
+                x: data[offset] * unit - width / 2,
+                y: data[offset + channelStride] * unit - height / 2,
+                width,
+                height
+            });
+        }
+        return candidates;
+    }
+
+    /**
+     * Candidate boxes from the outputs of a TF Object Detection API SSD
+     * @param {Float32Array} boxes - [ymin, xmin, ymax, xmax] per box, 0-1
+     * @param {Float32Array} scores
+     * @param {Float32Array} classes - Class IDs
+     * @param {Object} options - { threshold, labelOffset }
+     * @returns {Array<Object>} { classIndex, score, x, y, width, height }, 0-1
+     */
+    static decodeSsd(boxes, scores, classes, { threshold = 0.5, labelOffset = 0 }) {
+        const candidates = [];
+        for (let i = 0; i < scores.length; i++) {
+            if (scores[i] < threshold) continue;
+            const [ymin, xmin, ymax, xmax] = boxes.subarray(i * 4, i * 4 + 4);
+            candidates.push({
+                classIndex: Math.round(classes[i]) - labelOffset,
+                score: scores[i],
+                x: xmin,
+                y: ymin,
+                width: xmax - xmin,
+                height: ymax - ymin
+            });
+        }
+        return candidates;
+    }
+
+    /**
+     * Per-class non-maximum suppression
+     * @param {Array<Object>} candidates - { classIndex, score, x, y, width, height }
+     * @param {number} iouThreshold
+     * @param {number} maxCount
+     * @returns {Array<Object>} Kept candidates, best first
+     */
+    static nms(candidates, iouThreshold, maxCount) {
+        const sorted = candidates.slice().sort((a, b) => b.score - a.score);
+        const kept = [];
+        for (const candidate of sorted) {
+            if (kept.length >= maxCount) break;
+            const overlaps = kept.some(other =>
+                other.classIndex === candidate.classIndex && CustomDetector.iou(other, candidate) > iouThreshold
+            );
+            if (!overlaps) {
+                kept.push(candidate);
+            }
+        }
+        return kept;
+    }
+
+    /**
+     * Intersection over union of two { x, y, width, height } boxes
+     */
+    static iou(a, b) {
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (width <= 0 || height <= 0) return 0;
+        const intersection = width * height;
+        return intersection / (a.width * a.height + b.width * b.height - intersection);
+    }
+
+    /**
+     * Detect objects; same call and result as COCO-SSD's detect()
+     * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement|OffscreenCanvas|ImageData} source
+     * @param {number} [maxNumBoxes]
+     * @param {number} [minScore]
+     * @returns {Promise<Array<Object>>} { class, score, bbox: [x, y, width, height] } in source pixels
+     */
+    async detect(source, maxNumBoxes = 20, minScore = 0.5) {
+        const { format, inputSize, labels, labelOffset, normalizedBoxes, iouThreshold } = this.config;
+        const pixels = tf.browser.fromPixels(source);
+        const [height, width] = pixels.shape;
+
+        // YOLO: letterbox (pad to a square at the bottom right, then scale), so boxes only need scaling back.
+        // SSD: stretch to the input size, its 0-1 boxes still map onto the whole frame
+        const scale = Math.max(width, height) / inputSize;
+        const input = tf.tidy(() => {
+            if (format === 'ssd') {
+                return tf.image.resizeBilinear(pixels, [inputSize, inputSize]).toInt().expandDims(0);
+            }
+            const size = Math.max(width, height);
+            const padded = pixels.pad([[0, size - height], [0, size - width], [0, 0]], 114);
+            return tf.image.resizeBilinear(padded, [inputSize, inputSize]).div(255).expandDims(0);
+        });
+        pixels.dispose();
+
+        let outputs;
+        try {
+            outputs = await this.model.executeAsync(input);
+        } finally {
+            input.dispose();
+        }
+        const tensors = Array.isArray(outputs) ? outputs : [outputs];
+
+        try {
+            let candidates;
+            if (format === 'ssd') {
+                const { boxes, scores, classes } = this.findSsdOutputs(tensors);
+                const [boxData, scoreData, classData] = await Promise.all([boxes.data(), scores.data(), classes.data()]);
+                candidates = CustomDetector.decodeSsd(boxData, scoreData, classData, { threshold: minScore, labelOffset })
+                    .map(box => ({ ...box, x: box.x * width, y: box.y * height, width: box.width * width, height: box.height * height }));
+            } else {
+                const output = tensors.find(tensor => tensor.shape.length === 3) || tensors[0];
+                candidates = CustomDetector.decodeYolo(await output.data(), output.shape, {
+                    classCount: labels.length,
+                    format,
+                    threshold: minScore,
+                    normalizedBoxes,
+                    inputSize
+                }).map(box => ({ ...box, x: box.x * scale, y: box.y * scale, width: box.width * scale, height: box.height * scale }));
+            }
+
+            return CustomDetector.nms(candidates, iouThreshold, maxNumBoxes).map(box => {
+                const x = Math.max(0, box.x);
+                const y = Math.max(0, box.y);
+                return {
+                    class: labels[box.classIndex] || `class ${box.classIndex}`,
+                    score: box.score,
+                    bbox: [x, y, Math.min(width, box.x + box.width) - x, Math.min(height, box.y + box.height) - y]
+                };
+            });
+        } finally {
+            tensors.forEach(tensor => tensor.dispose());
+        }
+    }
+
+    /**
+     * Pick the boxes, scores and classes outputs of an SSD model, by configured name, by
+     * name, or (boxes only) by shape
+     * @param {tf.Tensor[]} tensors - Outputs in the order of model.outputs
+     * @returns {Object} { boxes, scores, classes }
+     */
+    findSsdOutputs(tensors) {
+        const names = this.model.outputs.map(output => output.name);
+        const configured = this.config.outputs || {};
+        const find = (key, pattern) => {
+            const index = configured[key]
+                ? names.findIndex(name => name === configured[key] || name.split(':')[0] === configured[key])
+                : names.findIndex(name => pattern.test(name));
+            return index >= 0 ? tensors[index] : null;
+        };
+
+        const boxes = find('boxes', /box/i) || tensors.find(tensor => tensor.shape.length === 3 && tensor.shape[2] === 4);
+        const scores = find('scores', /score/i);
+        const classes = find('classes', /class/i);
+        if (!boxes || !scores || !classes) {
+            throw new Error(`Cannot tell the SSD outputs apart (${names.join(', ')}); set outputs.boxes, outputs.scores and outputs.classes`);
+        }
+        return { boxes, scores, classes };
+    }
+
+    /**
+     * Release the model's weights
+     */
+    dispose() {
+        this.model.dispose();
+    }
+}
+
+CustomDetector.FORMATS = ['yolov8', 'yolov5', 'ssd'];
+
+CustomDetector.DEFAULTS = {
+    name: 'Custom model',
+    format: 'yolov8',
+    inputSize: 640,
+    iouThreshold: 0.45,
+    labelOffset: 0,
+    normalizedBoxes: false,
+    outputs: null
+};
+
+// `self` is the window on pages and the global scope in the AI worker
+self.CustomDetector = CustomDetector;
@@ -4,16 +4,24 @@
  */
 class DatabaseManager {
     constructor() {
-        this.dbName = 'PoliCameraDB';
-        this.dbVersion = 1;
+        this.dbName = AppConstants.DB_NAME;
+        this.dbVersion = AppConstants.DB_VERSION;
         this.db = null;
         this.stores = {
             photos: 'photos',
             gpsLogs: 'gpsLogs',
-            sessions: 'sessions'
+            sessions: 'sessions',
+            settings: 'settings',
+            videos: 'videos',
+            documents: 'documents',
+            inventory: 'inventorySessions',
+            zoneEvents: 'zoneEvents'
         };
         // Enable encryption for sensitive GPS data
         this.encryptionEnabled = true;
+
+        // Photo fields sealed into one encrypted JSON blob when full-record encryption is on
+        this.sealedPhotoFields = ['orientation', 'networkInfo', 'error', 'aiAnalysis', 'faceData', 'poseData', 'depthData', 'ocrText', 'barcodeData', 'measurements'];
     }
 
     /**
@@ -31,13 +39,19 @@ class DatabaseManager {
 
             request.onsuccess = () => {
                 this.db = request.result;
+                // Let a newer app version upgrade the schema instead of staying blocked on this
+                // connection; the service worker reopens it on its next sync
+                this.db.onversionchange = () => {
+                    console.warn('Database upgraded by a newer version of the app, closing this connection');
+                    this.close();
+                };
                 console.log('Database initialized successfully');
                 resolve();
             };
 
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
-                this.createObjectStores(db);
+                this.createObjectStores(db, event.target.transaction, event.oldVersion);
             };
         });
     }
@@ -45,11 +59,14 @@ class DatabaseManager {
     /**
      * Create object stores for the database
      * @param {IDBDatabase} db
+     * @param {IDBTransaction} transaction - The version change transaction
+     * @param {number} oldVersion - Version the database is upgraded from (0 when new)
      */
-    createObjectStores(db) {
+    createObjectStores(db, transaction, oldVersion = 0) {
         // Photos store
+        let photosStore;
         if (!db.objectStoreNames.contains(this.stores.photos)) {
-            const photosStore = db.createObjectStore(this.stores.photos, {
+            photosStore = db.createObjectStore(this.stores.photos, {
                 keyPath: 'id',
                 autoIncrement: true
             });
@@ -57,6 +74,19 @@ class DatabaseManager {
             photosStore.createIndex('userId', 'userId', { unique: false });
             photosStore.createIndex('timestamp', 'timestamp', { unique: false });
             photosStore.createIndex('imageName', 'imageName', { unique: false });
+        } else {
+            photosStore = transaction.objectStore(this.stores.photos);
+        }
+
+        // v2: upload outbox state on photo records
+        if (!photosStore.indexNames.contains('uploadStatus')) {
+            photosStore.createIndex('uploadStatus', 'uploadStatus', { unique: false });
+        }
+
+        // v2 queues existing photos for upload, v4 stores images as Blobs instead of base64
+        // data URLs; both rewrite every record, so they share one cursor pass
+        if (oldVersion > 0 && oldVersion < 4) {
+            this.migratePhotoRecords(photosStore, oldVersion);
         }
 
         // GPS logs store
@@ -81,15 +111,176 @@ class DatabaseManager {
             sessionsStore.createIndex('userId', 'userId', { unique: false });
             sessionsStore.createIndex('startTime', 'startTime', { unique: false });
         }
+
+        // Settings store (key/value, readable from the service worker)
+        if (!db.objectStoreNames.contains(this.stores.settings)) {
+            db.createObjectStore(this.stores.settings, { keyPath: 'key' });
+        }
+
+        // Videos store (WebM recording + WebVTT GPS sidecar)
+        if (!db.objectStoreNames.contains(this.stores.videos)) {
+            const videosStore = db.createObjectStore(this.stores.videos, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            videosStore.createIndex('userId', 'userId', { unique: false });
+            videosStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+
+        // v5: documents store (scanned pages assembled into a searchable PDF)
+        if (!db.objectStoreNames.contains(this.stores.documents)) {
+            const documentsStore = db.createObjectStore(this.stores.documents, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            documentsStore.createIndex('userId', 'userId', { unique: false });
+            documentsStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+
+        // v6: inventory sessions (barcode counts with per-scan GPS)
+        if (!db.objectStoreNames.contains(this.stores.inventory)) {
+            const inventoryStore = db.createObjectStore(this.stores.inventory, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            inventoryStore.createIndex('userId', 'userId', { unique: false });
+            inventoryStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+
+        // v7: zone analytics events (zone entries and exits, line crossings)
+        if (!db.objectStoreNames.contains(this.stores.zoneEvents)) {
+            const zoneEventsStore = db.createObjectStore(this.stores.zoneEvents, {
+                keyPath: 'id',
+                autoIncrement: true
+            });
+
+            zoneEventsStore.createIndex('userId', 'userId', { unique: false });
+            zoneEventsStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
     }
 
     /**
-     * Store photo data with GPS information
-     * @param {Object} photoData
-     * @returns {Promise<number>}
+     * Apply the photo record migrations for an upgrade from before v4
+     * Runs inside the version change transaction
+     * @param {IDBObjectStore} photosStore
+     * @param {number} oldVersion - Version the database is upgraded from
      */
-    async storePhoto(photoData) {
-        // Check storage quota before storing
+    migratePhotoRecords(photosStore, oldVersion) {
+        photosStore.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            let record = cursor.value;
+            if (oldVersion < 2) {
+                record = this.queuePhotoForUpload(record);
+            }
+            record = this.convertPhotoDataUrlToBlob(record);
+
+            cursor.update(record);
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Convert a photo stored as a data URL to an image Blob
+     * Decoding is synchronous so it can run inside the version change transaction;
+     * thumbnails need an image decoder and are created later by backfillThumbnails()
+     * @param {Object} photo - Photo record
+     * @returns {Object} Updated record
+     */
+    convertPhotoDataUrlToBlob(photo) {
+        const { imageData, ...record } = photo;
+        if (typeof imageData === 'string' && imageData.startsWith('data:')) {
+            record.imageBlob = this.dataUrlToBlob(imageData);
+            record.imageSize = record.imageBlob.size;
+        } else if (!('imageBlob' in record)) {
+            record.imageBlob = null;
+            record.imageSize = 0;
+        }
+        record.thumbnailBlob = record.thumbnailBlob || null;
+        return record;
+    }
+
+    /**
+     * Decode a base64 data URL synchronously
+     * @param {string} dataUrl - Data URL
+     * @returns {Blob}
+     */
+    dataUrlToBlob(dataUrl) {
+        const [header, base64] = dataUrl.split(',');
+        const type = header.slice(5).split(';')[0] || 'application/octet-stream';
+        const binary = atob(base64 || '');
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    }
+
+    /**
+     * Create missing thumbnails (photos migrated from data URLs)
+     * Needs an image decoder, so only call this from the page
+     * @returns {Promise<number>} Number of thumbnails created
+     */
+    async backfillThumbnails() {
+        const photos = await this.getAllRecords(this.stores.photos);
+        let created = 0;
+
+        for (const photo of photos) {
+            const hasImage = photo.imageBlob || photo.encryptedImage;
+            const hasThumbnail = photo.thumbnailBlob || photo.encryptedThumbnail;
+            if (!hasImage || hasThumbnail) continue;
+
+            try {
+                const imageBlob = photo.recordEncrypted
+                    ? await cryptoManager.decryptBlob(photo.encryptedImage)
+                    : photo.imageBlob;
+                const thumbnailBlob = await Utils.createThumbnail(imageBlob);
+
+                const updated = { ...photo };
+                if (photo.recordEncrypted) {
+                    updated.encryptedThumbnail = await cryptoManager.encryptBlob(thumbnailBlob);
+                } else {
+                    updated.thumbnailBlob = thumbnailBlob;
+                }
+
+                await this.putRecord(this.stores.photos, updated);
+                created++;
+            } catch (error) {
+                console.warn(`Failed to create thumbnail for photo ${photo.id}:`, error);
+            }
+        }
+
+        if (created > 0) {
+            console.log(`🖼️ Created ${created} missing thumbnail(s)`);
+        }
+        return created;
+    }
+
+    /**
+     * Mark a photo captured before the upload outbox existed as pending
+     * @param {Object} photo - Photo record
+     * @returns {Object} Updated record
+     */
+    queuePhotoForUpload(photo) {
+        if (photo.uploadStatus) return photo;
+
+        return {
+            ...photo,
+            uploadStatus: 'pending',
+            uploadAttempts: 0,
+            nextUploadAttempt: 0
+        };
+    }
+
+    /**
+     * Throw if the storage quota is (nearly) exhausted
+     * @returns {Promise<void>}
+     */
+    async ensureStorageAvailable() {
         if ('storage' in navigator && 'estimate' in navigator.storage) {
             try {
                 const estimate = await navigator.storage.estimate();
@@ -107,8 +298,40 @@ class DatabaseManager {
                 console.warn('Could not check storage quota:', error);
             }
         }
+    }
+
+    /**
+     * Store photo data with GPS information
+     * The image is stored as a Blob (`photoData.imageBlob`, or decoded from
+     * `photoData.imageData` data URL) together with a thumbnail Blob
+     * @param {Object} photoData
+     * @returns {Promise<number>}
+     */
+    async storePhoto(photoData) {
+        // Check storage quota before storing
+        await this.ensureStorageAvailable();
 
         const now = new Date();
+        const encryptRecord = await this.isPhotoEncryptionEnabled();
+
+        let imageBlob = photoData.imageBlob || null;
+        if (!imageBlob && photoData.imageData) {
+            imageBlob = this.dataUrlToBlob(photoData.imageData);
+        }
+
+        let thumbnailBlob = photoData.thumbnailBlob || null;
+        if (!thumbnailBlob && imageBlob) {
+            try {
+                thumbnailBlob = await Utils.createThumbnail(imageBlob);
+            } catch (error) {
+                console.warn('Failed to create thumbnail:', error);
+            }
+        }
+
+        if (encryptRecord && !(window.cryptoManager && CryptoManager.isSupported())) {
+            // Never fall back to plain text when the user asked for encryption
+            throw new Error('Photo encryption is enabled but encryption is not available');
+        }
 
         // Encrypt GPS coordinates if encryption is enabled and crypto manager is available
         let locationData = {
@@ -118,7 +341,7 @@ class DatabaseManager {
             accuracy: photoData.location?.accuracy || null
         };
 
-        if (this.encryptionEnabled && window.cryptoManager && CryptoManager.isSupported()) {
+        if ((this.encryptionEnabled || encryptRecord) && window.cryptoManager && CryptoManager.isSupported()) {
             try {
                 if (photoData.location) {
                     const encrypted = await cryptoManager.encryptLocation(photoData.location);
@@ -135,6 +358,16 @@ class DatabaseManager {
             }
         }
 
+        // The unredacted original is only ever kept encrypted
+        let encryptedOriginal = null;
+        if (photoData.originalBlob) {
+            if (window.cryptoManager && CryptoManager.isSupported()) {
+                encryptedOriginal = await cryptoManager.encryptBlob(photoData.originalBlob);
+            } else {
+                console.warn('Encryption unavailable, discarding unredacted original');
+            }
+        }
+
         const record = {
             userId: photoData.userId,
             date: now.toISOString().split('T')[0], // YYYY-MM-DD
@@ -147,12 +380,600 @@ class DatabaseManager {
             encrypted: locationData.encrypted || false,
             error: photoData.error || null,
             imageName: photoData.imageName || `photo_${Date.now()}.jpg`,
-            imageData: photoData.imageData || null,
+            imageBlob: imageBlob,
+            imageSize: imageBlob ? imageBlob.size : 0,
+            thumbnailBlob: thumbnailBlob,
             orientation: photoData.orientation || null,
-            networkInfo: photoData.networkInfo || null
+            networkInfo: photoData.networkInfo || null,
+            aiAnalysis: photoData.aiAnalysis || null,
+            faceData: photoData.faceData || null,
+            poseData: photoData.poseData || null,
+            depthData: photoData.depthData || null,
+            depthFiles: photoData.depthFiles || null, // { width, height, colorMode, png, preview, ply }
+            ocrText: photoData.ocrText || null,
+            barcodeData: photoData.barcodeData || null,
+            measurements: photoData.measurements || null,
+            redaction: photoData.redaction || null,
+            encryptedOriginal: encryptedOriginal,
+            // Upload outbox state, drained by the service worker
+            uploadStatus: 'pending',
+            uploadAttempts: 0,
+            nextUploadAttempt: 0,
+            lastUploadError: null
+        };
+
+        return this.addRecord(this.stores.photos, encryptRecord ? await this.sealPhotoRecord(record) : record);
+    }
+
+    /**
+     * Check whether new photos are stored fully encrypted
+     * @returns {Promise<boolean>}
+     */
+    async isPhotoEncryptionEnabled() {
+        return this.getSetting(AppConstants.STORAGE.ENCRYPT_PHOTOS_SETTING_KEY, false);
+    }
+
+    /**
+     * Turn full photo record encryption on or off
+     * Enabling also encrypts photos already stored in plain text; disabling
+     * leaves encrypted photos encrypted (they are still decrypted on read)
+     * @param {boolean} enabled
+     * @returns {Promise<number>} Number of existing photos encrypted
+     */
+    async setPhotoEncryptionEnabled(enabled) {
+        if (enabled && !(window.cryptoManager && CryptoManager.isSupported())) {
+            throw new Error('Encryption not available');
+        }
+
+        await this.setSetting(AppConstants.STORAGE.ENCRYPT_PHOTOS_SETTING_KEY, Boolean(enabled));
+        if (!enabled) return 0;
+
+        let sealed = 0;
+        const photos = await this.getAllRecords(this.stores.photos);
+        for (const photo of photos) {
+            if (photo.recordEncrypted) continue;
+
+            let record = photo;
+            if (!photo.encrypted) {
+                const encryptedLocation = await cryptoManager.encryptLocation({
+                    latitude: photo.lat,
+                    longitude: photo.lon,
+                    altitude: photo.alt,
+                    accuracy: photo.accuracy
+                });
+                record = {
+                    ...photo,
+                    lat: encryptedLocation.latitude,
+                    lon: encryptedLocation.longitude,
+                    alt: encryptedLocation.altitude,
+                    encrypted: true
+                };
+            }
+
+            await this.putRecord(this.stores.photos, await this.sealPhotoRecord(record));
+            sealed++;
+        }
+
+        console.log(`🔒 Photo encryption enabled (${sealed} existing photo(s) encrypted)`);
+        return sealed;
+    }
+
+    /**
+     * Encrypt a photo record's image and sensitive metadata
+     * The image and thumbnail become AES-GCM ciphertext Blobs in `encryptedImage`
+     * and `encryptedThumbnail`, the depth files move to `encryptedDepthFiles`, and
+     * the fields in `sealedPhotoFields` are moved into one encrypted JSON value
+     * @param {Object} record - Photo record
+     * @returns {Promise<Object>} Encrypted record
+     */
+    async sealPhotoRecord(record) {
+        const sealed = {
+            ...record,
+            imageBlob: null,
+            thumbnailBlob: null,
+            encryptedImage: null,
+            encryptedThumbnail: null,
+            depthFiles: null,
+            encryptedDepthFiles: record.encryptedDepthFiles || null,
+            recordEncrypted: true
+        };
+
+        if (record.imageBlob) {
+            sealed.encryptedImage = await cryptoManager.encryptBlob(record.imageBlob);
+        }
+        if (record.thumbnailBlob) {
+            sealed.encryptedThumbnail = await cryptoManager.encryptBlob(record.thumbnailBlob);
+        }
+        if (record.depthFiles) {
+            const { png, preview, ply, ...info } = record.depthFiles;
+            sealed.encryptedDepthFiles = {
+                ...info,
+                png: await cryptoManager.encryptBlob(png),
+                preview: await cryptoManager.encryptBlob(preview),
+                ply: await cryptoManager.encryptBlob(ply)
+            };
+        }
+
+        const fields = {};
+        for (const field of this.sealedPhotoFields) {
+            fields[field] = record[field] ?? null;
+            sealed[field] = null;
+        }
+        sealed.sealedFields = await cryptoManager.encrypt(JSON.stringify(fields));
+
+        return sealed;
+    }
+
+    /**
+     * Decrypt a photo record produced by sealPhotoRecord()
+     * @param {Object} record - Encrypted photo record
+     * @param {boolean} includeImage - Also decrypt the full image (the thumbnail is always decrypted)
+     * @returns {Promise<Object>} Record with image Blobs and sealed fields restored
+     */
+    async unsealPhotoRecord(record, includeImage = true) {
+        const { encryptedImage, encryptedThumbnail, sealedFields, ...photo } = record;
+
+        if (encryptedImage && includeImage) {
+            photo.imageBlob = await cryptoManager.decryptBlob(encryptedImage);
+        }
+        if (encryptedThumbnail) {
+            photo.thumbnailBlob = await cryptoManager.decryptBlob(encryptedThumbnail);
+        }
+        if (sealedFields) {
+            Object.assign(photo, JSON.parse(await cryptoManager.decrypt(sealedFields)));
+        }
+
+        return photo;
+    }
+
+    /**
+     * Get photos waiting to be uploaded whose backoff has elapsed
+     * @param {number} limit - Maximum number of photos to return
+     * @returns {Promise<Array>}
+     */
+    async getPendingUploads(limit = AppConstants.UPLOAD.BATCH_SIZE) {
+        const pending = await this.getRecordsByIndex(this.stores.photos, 'uploadStatus', 'pending');
+        const now = Date.now();
+
+        return pending
+            .filter(photo => (photo.nextUploadAttempt || 0) <= now)
+            .slice(0, limit);
+    }
+
+    /**
+     * Get the time the next queued photo's backoff elapses
+     * @returns {Promise<number|null>} Timestamp (ms), or null if no pending photo is waiting
+     */
+    async getNextUploadAttempt() {
+        const pending = await this.getRecordsByIndex(this.stores.photos, 'uploadStatus', 'pending');
+        const now = Date.now();
+
+        const waiting = pending
+            .map(photo => photo.nextUploadAttempt || 0)
+            .filter(time => time > now);
+        return waiting.length > 0 ? Math.min(...waiting) : null;
+    }
+
+    /**
+     * Count photos in the upload queue
+     * @returns {Promise<Object>} { pending, failed }
+     */
+    async getUploadQueueCounts() {
+        const [pending, failed] = await Promise.all([
+            this.getRecordsByIndex(this.stores.photos, 'uploadStatus', 'pending'),
+            this.getRecordsByIndex(this.stores.photos, 'uploadStatus', 'failed')
+        ]);
+        return { pending: pending.length, failed: failed.length };
+    }
+
+    /**
+     * Mark a photo as successfully uploaded
+     * @param {number} id - Photo record ID
+     * @param {string|null} remoteId - ID assigned by the upload server, if any
+     * @returns {Promise<void>}
+     */
+    async markPhotoUploaded(id, remoteId = null) {
+        const photo = await this.getRecord(this.stores.photos, id);
+        if (!photo) return;
+
+        await this.putRecord(this.stores.photos, {
+            ...photo,
+            uploadStatus: 'uploaded',
+            uploadedAt: new Date().toISOString(),
+            remoteId,
+            lastUploadError: null
+        });
+    }
+
+    /**
+     * Record a failed upload attempt and schedule the next one with exponential backoff
+     * @param {number} id - Photo record ID
+     * @param {string} errorMessage - Reason for the failure
+     * @param {boolean} permanent - True if retrying cannot succeed (e.g. the server rejected the photo)
+     * @returns {Promise<void>}
+     */
+    async markPhotoUploadFailed(id, errorMessage, permanent = false) {
+        const photo = await this.getRecord(this.stores.photos, id);
+        if (!photo) return;
+
+        const attempts = (photo.uploadAttempts || 0) + 1;
+        const backoff = Math.min(
+            AppConstants.UPLOAD.BASE_BACKOFF_MS * Math.pow(2, attempts - 1),
+            AppConstants.UPLOAD.MAX_BACKOFF_MS
+        );
+        const giveUp = permanent || attempts >= AppConstants.UPLOAD.MAX_ATTEMPTS;
+
+        await this.putRecord(this.stores.photos, {
+            ...photo,
+            uploadStatus: giveUp ? 'failed' : 'pending',
+            uploadAttempts: attempts,
+            nextUploadAttempt: Date.now() + backoff,
+            lastUploadError: errorMessage
+        });
+    }
+
+    /**
+     * Put a failed photo back into the upload queue
+     * @param {number} id - Photo record ID
+     * @returns {Promise<void>}
+     */
+    async retryPhotoUpload(id) {
+        const photo = await this.getRecord(this.stores.photos, id);
+        if (!photo) return;
+
+        await this.putRecord(this.stores.photos, {
+            ...photo,
+            uploadStatus: 'pending',
+            uploadAttempts: 0,
+            nextUploadAttempt: 0
+        });
+    }
+
+    /**
+     * Put every failed photo back into the upload queue
+     * @returns {Promise<number>} Number of photos requeued
+     */
+    async retryFailedUploads() {
+        const failed = await this.getRecordsByIndex(this.stores.photos, 'uploadStatus', 'failed');
+        for (const photo of failed) {
+            await this.retryPhotoUpload(photo.id);
+        }
+        return failed.length;
+    }
+
+    /**
+     * Save the upload endpoint
+     * A new endpoint requeues the photos that failed, since the old one may have been the problem
+     * @param {string} endpoint - Upload URL; empty turns uploads off
+     * @returns {Promise<number>} Number of failed photos requeued
+     */
+    async setUploadEndpoint(endpoint) {
+        const previous = await this.getSetting(AppConstants.UPLOAD.ENDPOINT_SETTING_KEY, AppConstants.UPLOAD.ENDPOINT);
+        await this.setSetting(AppConstants.UPLOAD.ENDPOINT_SETTING_KEY, endpoint);
+        return endpoint && endpoint !== previous ? this.retryFailedUploads() : 0;
+    }
+
+    /**
+     * Store a video recording with its WebVTT GPS sidecar
+     * @param {Object} videoData - userId, videoBlob, mimeType, vttContent, startTime, duration
+     * @returns {Promise<number>}
+     */
+    async storeVideo(videoData) {
+        await this.ensureStorageAvailable();
+
+        const startTime = new Date(videoData.startTime);
+        const baseName = `video_${videoData.startTime}_${videoData.userId}`;
+
+        const record = {
+            userId: videoData.userId,
+            date: startTime.toISOString().split('T')[0],
+            time: startTime.toTimeString().split(' ')[0],
+            timestamp: startTime.toISOString(),
+            duration: videoData.duration,
+            mimeType: videoData.mimeType,
+            size: videoData.videoBlob.size,
+            videoName: `${baseName}.webm`,
+            videoBlob: videoData.videoBlob,
+            vttName: `${baseName}.vtt`,
+            vttContent: videoData.vttContent,
+            cueCount: videoData.cueCount || 0
+        };
+
+        return this.addRecord(this.stores.videos, record);
+    }
+
+    /**
+     * Get all video recordings for a specific user
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async getVideosForUser(userId) {
+        return this.getRecordsByIndex(this.stores.videos, 'userId', userId);
+    }
+
+    /**
+     * Download a stored recording together with its WebVTT sidecar
+     * Both files share a base name so players pick up the subtitles automatically
+     * @param {number} id - Video record ID
+     * @returns {Promise<boolean>}
+     */
+    async exportVideo(id) {
+        try {
+            const video = await this.getRecord(this.stores.videos, id);
+            if (!video) {
+                throw new Error(`Video ${id} not found`);
+            }
+
+            // One after the other: browsers may drop a second download started in the same task
+            await this.downloadBlob(video.videoBlob, video.videoName);
+            await this.downloadBlob(new Blob([video.vttContent], { type: 'text/vtt' }), video.vttName);
+
+            console.log('✅ Video and WebVTT track exported successfully');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to export video:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store a scanned document
+     * @param {Object} documentData - userId, title, pdfBlob, pageCount, text (OCR of every page)
+     * @returns {Promise<number>}
+     */
+    async storeDocument(documentData) {
+        await this.ensureStorageAvailable();
+
+        const now = new Date();
+        const record = {
+            userId: documentData.userId,
+            date: now.toISOString().split('T')[0],
+            time: now.toTimeString().split(' ')[0],
+            timestamp: now.toISOString(),
+            title: documentData.title,
+            pageCount: documentData.pageCount,
+            size: documentData.pdfBlob.size,
+            pdfName: `scan_${now.getTime()}_${documentData.userId}.pdf`,
+            pdfBlob: documentData.pdfBlob,
+            text: documentData.text || ''
+        };
+
+        return this.addRecord(this.stores.documents, record);
+    }
+
+    /**
+     * Get all scanned documents for a specific user, newest first
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async getDocumentsForUser(userId) {
+        const documents = await this.getRecordsByIndex(this.stores.documents, 'userId', userId);
+        return documents.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Download a stored scan as PDF
+     * @param {number} id - Document record ID
+     * @returns {Promise<boolean>}
+     */
+    async exportDocument(id) {
+        try {
+            const scan = await this.getRecord(this.stores.documents, id);
+            if (!scan) {
+                throw new Error(`Document ${id} not found`);
+            }
+
+            this.downloadBlob(scan.pdfBlob, scan.pdfName);
+            console.log('✅ Document exported successfully');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to export document:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create an inventory session
+     * @param {Object} sessionData - userId, name
+     * @returns {Promise<Object>} The stored session record
+     */
+    async storeInventorySession(sessionData) {
+        await this.ensureStorageAvailable();
+
+        const now = new Date();
+        const record = {
+            userId: sessionData.userId,
+            name: sessionData.name,
+            date: now.toISOString().split('T')[0],
+            time: now.toTimeString().split(' ')[0],
+            timestamp: now.toISOString(),
+            endedAt: null,
+            items: [],
+            scans: []
         };
 
-        return this.addRecord(this.stores.photos, record);
+        record.id = await this.addRecord(this.stores.inventory, record);
+        return record;
+    }
+
+    /**
+     * Get all inventory sessions for a specific user, newest first
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async getInventorySessionsForUser(userId) {
+        const sessions = await this.getRecordsByIndex(this.stores.inventory, 'userId', userId);
+        return sessions.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    }
+
+    /**
+     * Build a CSV of an inventory session, one row per code
+     * @param {Object} session - Inventory session record
+     * @returns {string}
+     */
+    buildInventoryCSV(session) {
+        const headers = ['Code', 'Format', 'Type', 'Description', 'Quantity', 'First Scan', 'Last Scan', 'Latitude', 'Longitude', 'Accuracy'];
+        const rows = session.items.map(item => [
+            item.code,
+            item.format,
+            item.type,
+            item.description,
+            item.quantity,
+            item.firstScan,
+            item.lastScan,
+            item.latitude ?? '',
+            item.longitude ?? '',
+            item.accuracy ?? ''
+        ]);
+
+        return [headers, ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Download an inventory session as CSV (counts per code) or JSON (counts and every scan)
+     * @param {number} id - Inventory session record ID
+     * @param {string} format - 'csv' or 'json'
+     * @returns {Promise<boolean>}
+     */
+    async exportInventorySession(id, format = 'csv') {
+        try {
+            const session = await this.getRecord(this.stores.inventory, id);
+            if (!session) {
+                throw new Error(`Inventory session ${id} not found`);
+            }
+
+            const blob = format === 'json'
+                ? new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' })
+                : new Blob([this.buildInventoryCSV(session)], { type: 'text/csv;charset=utf-8;' });
+            const name = session.name.replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '') || 'inventory';
+
+            this.downloadBlob(blob, `policamera-inventory-${name}-${session.date}.${format === 'json' ? 'json' : 'csv'}`);
+            console.log(`✅ Inventory session exported to ${format.toUpperCase()} successfully`);
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to export inventory session:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store zone analytics events of one frame
+     * @param {string} userId
+     * @param {Array<Object>} events - ZoneEvents from ZoneAnalytics.update
+     * @param {Object|null} location - { latitude, longitude, accuracy } at the time of the frame
+     * @returns {Promise<void>}
+     */
+    async storeZoneEvents(userId, events, location = null) {
+        if (events.length === 0) return;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.zoneEvents], 'readwrite');
+            const store = transaction.objectStore(this.stores.zoneEvents);
+
+            for (const event of events) {
+                const time = new Date(event.timestamp);
+                store.add({
+                    userId,
+                    date: time.toISOString().split('T')[0],
+                    timestamp: time.toISOString(),
+                    type: event.type,
+                    regionId: event.regionId,
+                    regionName: event.regionName,
+                    trackId: event.trackId,
+                    class: event.class,
+                    direction: event.direction || null,
+                    dwell: event.dwell ?? null,
+                    latitude: location ? location.latitude : null,
+                    longitude: location ? location.longitude : null,
+                    accuracy: location ? location.accuracy : null
+                });
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error('Error storing zone events:', transaction.error);
+                reject(transaction.error);
+            };
+        });
+    }
+
+    /**
+     * Get zone analytics events for a specific user, oldest first
+     * @param {string} userId
+     * @param {string|null} startDate - ISO date string (inclusive)
+     * @param {string|null} endDate - ISO date string (inclusive)
+     * @returns {Promise<Array>}
+     */
+    async getZoneEventsForUser(userId, startDate = null, endDate = null) {
+        const events = await this.getRecordsByIndex(this.stores.zoneEvents, 'userId', userId);
+        return events
+            .filter(event => this.isWithinDateRange(event, startDate, endDate))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    /**
+     * Download zone analytics events as CSV, one row per event
+     * @param {string} userId
+     * @returns {Promise<boolean>}
+     */
+    async exportZoneEventsCSV(userId) {
+        try {
+            const events = await this.getZoneEventsForUser(userId);
+            if (events.length === 0) {
+                throw new Error('No zone events to export');
+            }
+
+            const headers = ['Timestamp', 'Event', 'Region', 'Class', 'Track', 'Direction', 'Dwell (s)', 'Latitude', 'Longitude', 'Accuracy'];
+            const rows = events.map(event => [
+                event.timestamp,
+                event.type,
+                event.regionName,
+                event.class,
+                event.trackId,
+                event.direction ?? '',
+                event.dwell !== null ? (event.dwell / 1000).toFixed(1) : '',
+                event.latitude ?? '',
+                event.longitude ?? '',
+                event.accuracy ?? ''
+            ]);
+            const csvContent = [headers, ...rows]
+                .map(row => row.map(value => this.escapeCSV(value)).join(','))
+                .join('\n') + '\n';
+
+            this.downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), `policamera-zones-${userId}-${Date.now()}.csv`);
+            console.log('✅ Zone events exported to CSV successfully');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to export zone events:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Trigger a browser download for a blob
+     * The object URL is revoked on a later task, once the download has picked it up
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested file name
+     * @returns {Promise<void>} Resolves once the URL is revoked (await it to sequence downloads)
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+
+        document.body.appendChild(a);
+        a.click();
+
+        document.body.removeChild(a);
+        return new Promise(resolve => {
+            setTimeout(() => {
+                URL.revokeObjectURL(url);
+                resolve();
+            }, 100);
+        });
     }
 
     /**
@@ -181,59 +1002,249 @@ class DatabaseManager {
     }
 
     /**
-     * Add a record to a specific store
+     * Add a record to a specific store
+     * @param {string} storeName
+     * @param {Object} record
+     * @returns {Promise<number>}
+     */
+    async addRecord(storeName, record) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.add(record);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                console.error(`Error adding record to ${storeName}:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Insert or replace a record in a specific store
      * @param {string} storeName
      * @param {Object} record
      * @returns {Promise<number>}
      */
-    async addRecord(storeName, record) {
+    async putRecord(storeName, record) {
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([storeName], 'readwrite');
             const store = transaction.objectStore(storeName);
-            const request = store.add(record);
+            const request = store.put(record);
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                console.error(`Error putting record to ${storeName}:`, request.error);
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get a single record by key
+     * @param {string} storeName
+     * @param {any} key
+     * @returns {Promise<Object|undefined>}
+     */
+    async getRecord(storeName, key) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.get(key);
 
             request.onsuccess = () => {
                 resolve(request.result);
             };
 
             request.onerror = () => {
-                console.error(`Error adding record to ${storeName}:`, request.error);
                 reject(request.error);
             };
         });
     }
 
+    /**
+     * Get a setting value
+     * @param {string} key - Setting name
+     * @param {*} defaultValue - Value returned when the setting is not stored
+     * @returns {Promise<*>}
+     */
+    async getSetting(key, defaultValue = null) {
+        const record = await this.getRecord(this.stores.settings, key);
+        return record ? record.value : defaultValue;
+    }
+
+    /**
+     * Store a setting value
+     * @param {string} key - Setting name
+     * @param {*} value - Setting value (must be structured-cloneable)
+     * @returns {Promise<void>}
+     */
+    async setSetting(key, value) {
+        await this.putRecord(this.stores.settings, { key, value });
+    }
+
     /**
      * Get all photos for a specific user
      * @param {string} userId
      * @param {boolean} decrypt - Whether to decrypt encrypted data
+     * @param {boolean} includeImages - Whether to decrypt full images of encrypted records
+     *   (pass false for galleries and load images on demand with getPhotoImage())
      * @returns {Promise<Array>}
      */
-    async getPhotosForUser(userId, decrypt = true) {
+    async getPhotosForUser(userId, decrypt = true, includeImages = true) {
         const photos = await this.getRecordsByIndex(this.stores.photos, 'userId', userId);
 
-        // Decrypt GPS coordinates if needed
-        if (decrypt && window.cryptoManager) {
-            for (const photo of photos) {
-                if (photo.encrypted) {
-                    try {
-                        const decrypted = await cryptoManager.decryptLocation({
-                            latitude: photo.lat,
-                            longitude: photo.lon,
-                            altitude: photo.alt,
-                            accuracy: photo.accuracy
-                        });
-                        photo.lat = decrypted.latitude;
-                        photo.lon = decrypted.longitude;
-                        photo.alt = decrypted.altitude;
-                    } catch (error) {
-                        console.warn('Failed to decrypt photo location:', error);
-                    }
-                }
+        if (!decrypt || !window.cryptoManager) {
+            return photos;
+        }
+        return Promise.all(photos.map(photo => this.decryptPhotoRecord(photo, includeImages)));
+    }
+
+    /**
+     * Get the IDs of a user's photos, newest first
+     * Cheap enough to call for every gallery query; records are then read in pages with getPhotosById()
+     * @param {string} userId
+     * @returns {Promise<Array<number>>}
+     */
+    async getPhotoIdsForUser(userId) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.photos], 'readonly');
+            const index = transaction.objectStore(this.stores.photos).index('userId');
+            const request = index.getAllKeys(userId);
+
+            request.onsuccess = () => {
+                // IDs are auto-incremented, so descending ID order is newest first
+                resolve(request.result.sort((a, b) => b - a));
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Get photos by ID, decrypted, in the order given
+     * @param {Array<number>} ids - Photo record IDs
+     * @param {boolean} includeImages - Whether to decrypt full images of encrypted records
+     * @returns {Promise<Array>} Photos (IDs that no longer exist are skipped)
+     */
+    async getPhotosById(ids, includeImages = false) {
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.stores.photos], 'readonly');
+            const store = transaction.objectStore(this.stores.photos);
+            const results = new Array(ids.length);
+
+            ids.forEach((id, i) => {
+                store.get(id).onsuccess = (event) => {
+                    results[i] = event.target.result;
+                };
+            });
+
+            transaction.oncomplete = () => {
+                resolve(results.filter(Boolean));
+            };
+
+            transaction.onerror = () => {
+                reject(transaction.error);
+            };
+        });
+
+        if (!window.cryptoManager) {
+            return records;
+        }
+        return Promise.all(records.map(record => this.decryptPhotoRecord(record, includeImages)));
+    }
+
+    /**
+     * Decrypt a photo record's sealed fields and coordinates
+     * Values that fail to decrypt are left as stored
+     * @param {Object} photo - Photo record
+     * @param {boolean} includeImages - Whether to decrypt the full image of an encrypted record
+     * @returns {Promise<Object>}
+     */
+    async decryptPhotoRecord(photo, includeImages = true) {
+        if (photo.recordEncrypted) {
+            try {
+                photo = await this.unsealPhotoRecord(photo, includeImages);
+            } catch (error) {
+                console.warn('Failed to decrypt photo record:', error);
+            }
+        }
+
+        if (photo.encrypted) {
+            try {
+                const decrypted = await cryptoManager.decryptLocation({
+                    latitude: photo.lat,
+                    longitude: photo.lon,
+                    altitude: photo.alt,
+                    accuracy: photo.accuracy
+                });
+                photo.lat = decrypted.latitude;
+                photo.lon = decrypted.longitude;
+                photo.alt = decrypted.altitude;
+            } catch (error) {
+                console.warn('Failed to decrypt photo location:', error);
             }
         }
 
-        return photos;
+        return photo;
+    }
+
+    /**
+     * Get the full-size image of a photo, decrypting it if needed
+     * @param {number} id - Photo record ID
+     * @returns {Promise<Blob|null>}
+     */
+    async getPhotoImage(id) {
+        const record = await this.getRecord(this.stores.photos, id);
+        if (!record) return null;
+
+        if (record.encryptedImage) {
+            return cryptoManager.decryptBlob(record.encryptedImage);
+        }
+        return record.imageBlob || null;
+    }
+
+    /**
+     * Get the depth files of a photo (16-bit PNG, colorized preview and PLY point cloud)
+     * @param {number} id - Photo record ID
+     * @returns {Promise<Object|null>} { width, height, colorMode, png, preview, ply } with Blobs
+     */
+    async getPhotoDepthFiles(id) {
+        const record = await this.getRecord(this.stores.photos, id);
+        if (!record) return null;
+
+        if (record.encryptedDepthFiles) {
+            const { png, preview, ply, ...info } = record.encryptedDepthFiles;
+            return {
+                ...info,
+                png: await cryptoManager.decryptBlob(png),
+                preview: await cryptoManager.decryptBlob(preview),
+                ply: await cryptoManager.decryptBlob(ply)
+            };
+        }
+        return record.depthFiles || null;
+    }
+
+    /**
+     * Get the unredacted original of a photo
+     * Only available when it was kept at capture time, and only ever stored encrypted
+     * @param {number} id - Photo record ID
+     * @returns {Promise<Blob|null>}
+     */
+    async getPhotoOriginal(id) {
+        const record = await this.getRecord(this.stores.photos, id);
+        if (!record || !record.encryptedOriginal) return null;
+
+        return cryptoManager.decryptBlob(record.encryptedOriginal);
     }
 
     /**
@@ -255,18 +1266,7 @@ class DatabaseManager {
             const request = index.getAll(userId);
 
             request.onsuccess = () => {
-                let results = request.result;
-
-                if (startDate || endDate) {
-                    results = results.filter(record => {
-                        const recordDate = record.date;
-                        if (startDate && recordDate < startDate) return false;
-                        if (endDate && recordDate > endDate) return false;
-                        return true;
-                    });
-                }
-
-                resolve(results);
+                resolve(request.result.filter(record => this.isWithinDateRange(record, startDate, endDate)));
             };
 
             request.onerror = () => {
@@ -275,6 +1275,19 @@ class DatabaseManager {
         });
     }
 
+    /**
+     * Check whether a record's date falls inside an inclusive date range
+     * @param {Object} record - Record with a YYYY-MM-DD `date` field
+     * @param {string|null} startDate - ISO date string
+     * @param {string|null} endDate - ISO date string
+     * @returns {boolean}
+     */
+    isWithinDateRange(record, startDate, endDate) {
+        if (startDate && record.date < startDate) return false;
+        if (endDate && record.date > endDate) return false;
+        return true;
+    }
+
     /**
      * Get records by index
      * @param {string} storeName
@@ -388,10 +1401,16 @@ class DatabaseManager {
             this.getGPSLogsForUser(userId)
         ]);
 
+        // Blobs don't survive JSON; export images as data URLs (the unredacted original stays encrypted)
+        const exportedPhotos = await Promise.all(photos.map(async ({ imageBlob, thumbnailBlob, encryptedOriginal, ...photo }) => ({
+            ...photo,
+            imageData: imageBlob ? await Utils.blobToDataUrl(imageBlob) : null
+        })));
+
         return {
             userId,
             exportDate: new Date().toISOString(),
-            photos,
+            photos: exportedPhotos,
             gpsLogs,
             stats: {
                 totalPhotos: photos.length,
@@ -465,7 +1484,7 @@ class DatabaseManager {
                     log.heading || '',
                     log.speed || ''
                 ];
-                csvContent += row.join(',') + '\n';
+                csvContent += row.map(value => this.escapeCSV(value)).join(',') + '\n';
             });
 
             // Create CSV blob
@@ -493,6 +1512,454 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Build a time-ordered GPS track with photo waypoints
+     * Photos without a usable position (none recorded, or it failed to decrypt) are placed at the nearest GPS log
+     * within AppConstants.GPS.PHOTO_MATCH_WINDOW
+     * @param {string} userId
+     * @param {string} startDate - ISO date string (inclusive)
+     * @param {string} endDate - ISO date string (inclusive)
+     * @returns {Promise<Object>} Track with points and waypoints
+     */
+    async getTrackData(userId, startDate = null, endDate = null) {
+        const [gpsLogs, photos] = await Promise.all([
+            this.getGPSLogsForUser(userId, startDate, endDate),
+            this.getPhotosForUser(userId, true, false)
+        ]);
+
+        const points = gpsLogs
+            .map(log => this.toTrackPoint(log))
+            .filter(point => point !== null)
+            .sort((a, b) => a.time - b.time);
+
+        const waypoints = [];
+        photos
+            .filter(photo => this.isWithinDateRange(photo, startDate, endDate))
+            .forEach(photo => {
+                const time = new Date(photo.timestamp);
+                // Coordinates are decrypted by now; ones that failed to decrypt are still
+                // ciphertext objects, which toTrackPoint() rejects
+                let position = this.toTrackPoint(photo);
+
+                if (!position) {
+                    const nearest = this.findNearestTrackPoint(points, time);
+                    if (!nearest) return;
+                    position = { ...nearest, accuracy: null, heading: null };
+                }
+
+                waypoints.push({
+                    ...position,
+                    time,
+                    name: photo.imageName,
+                    photoId: photo.id
+                });
+            });
+        waypoints.sort((a, b) => a.time - b.time);
+
+        return { userId, startDate, endDate, points, waypoints };
+    }
+
+    /**
+     * Convert a GPS log or photo record to a track point
+     * @param {Object} record - Record with lat/lon/alt/accuracy/heading/timestamp
+     * @returns {Object|null} Track point, or null without valid coordinates
+     */
+    toTrackPoint(record) {
+        const lat = parseFloat(record.lat);
+        const lon = parseFloat(record.lon);
+        const time = new Date(record.timestamp);
+
+        if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            return null;
+        }
+        if (isNaN(time.getTime())) {
+            return null;
+        }
+
+        const alt = parseFloat(record.alt);
+        const accuracy = parseFloat(record.accuracy);
+        const heading = parseFloat(record.heading);
+
+        return {
+            lat,
+            lon,
+            alt: Number.isFinite(alt) ? alt : null,
+            accuracy: Number.isFinite(accuracy) ? accuracy : null,
+            heading: Number.isFinite(heading) ? heading : null,
+            time
+        };
+    }
+
+    /**
+     * Find the track point closest in time
+     * @param {Array} points - Track points
+     * @param {Date} time - Target time
+     * @returns {Object|null} Closest point within the match window
+     */
+    findNearestTrackPoint(points, time) {
+        let nearest = null;
+        let nearestDelta = AppConstants.GPS.PHOTO_MATCH_WINDOW;
+
+        for (const point of points) {
+            const delta = Math.abs(point.time - time);
+            if (delta <= nearestDelta) {
+                nearest = point;
+                nearestDelta = delta;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Build a GPX 1.1 document from track data
+     * @param {Object} track - Track from getTrackData()
+     * @returns {string} GPX XML
+     */
+    buildGPX(track) {
+        const esc = (value) => this.escapeXML(value);
+        const name = this.getTrackName(track);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="PoliCamera ${esc(AppConstants.APP_VERSION)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+            '  <metadata>',
+            `    <name>${esc(name)}</name>`,
+            `    <time>${new Date().toISOString()}</time>`,
+            '  </metadata>'
+        ];
+
+        track.waypoints.forEach(wpt => {
+            lines.push(`  <wpt lat="${wpt.lat}" lon="${wpt.lon}">`);
+            if (wpt.alt !== null) lines.push(`    <ele>${wpt.alt}</ele>`);
+            lines.push(`    <time>${wpt.time.toISOString()}</time>`);
+            lines.push(`    <name>${esc(wpt.name)}</name>`);
+            lines.push('    <sym>Photo</sym>');
+            lines.push('    <type>photo</type>');
+            lines.push('  </wpt>');
+        });
+
+        lines.push('  <trk>');
+        lines.push(`    <name>${esc(name)}</name>`);
+        lines.push('    <trkseg>');
+        track.points.forEach(point => {
+            lines.push(`      <trkpt lat="${point.lat}" lon="${point.lon}">`);
+            if (point.alt !== null) lines.push(`        <ele>${point.alt}</ele>`);
+            lines.push(`        <time>${point.time.toISOString()}</time>`);
+            lines.push('      </trkpt>');
+        });
+        lines.push('    </trkseg>');
+        lines.push('  </trk>');
+        lines.push('</gpx>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Build a KML 2.2 document from track data
+     * The track is a gx:Track so Google Earth and QGIS keep per-point timestamps
+     * @param {Object} track - Track from getTrackData()
+     * @returns {string} KML XML
+     */
+    buildKML(track) {
+        const esc = (value) => this.escapeXML(value);
+        const name = this.getTrackName(track);
+        const hasAltitude = track.points.length > 0 && track.points.every(point => point.alt !== null);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+            '  <Document>',
+            `    <name>${esc(name)}</name>`,
+            '    <Style id="track">',
+            '      <LineStyle><color>ff0000ff</color><width>4</width></LineStyle>',
+            '    </Style>',
+            '    <Style id="photo">',
+            '      <IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/camera.png</href></Icon></IconStyle>',
+            '    </Style>'
+        ];
+
+        if (track.points.length > 0) {
+            lines.push('    <Placemark>');
+            lines.push(`      <name>${esc(name)}</name>`);
+            lines.push('      <styleUrl>#track</styleUrl>');
+            lines.push('      <gx:Track>');
+            lines.push(`        <altitudeMode>${hasAltitude ? 'absolute' : 'clampToGround'}</altitudeMode>`);
+            track.points.forEach(point => {
+                lines.push(`        <when>${point.time.toISOString()}</when>`);
+            });
+            track.points.forEach(point => {
+                lines.push(`        <gx:coord>${point.lon} ${point.lat} ${point.alt ?? 0}</gx:coord>`);
+            });
+            lines.push('      </gx:Track>');
+            lines.push('    </Placemark>');
+        }
+
+        track.waypoints.forEach(wpt => {
+            lines.push('    <Placemark>');
+            lines.push(`      <name>${esc(wpt.name)}</name>`);
+            lines.push(`      <TimeStamp><when>${wpt.time.toISOString()}</when></TimeStamp>`);
+            lines.push('      <styleUrl>#photo</styleUrl>');
+            lines.push('      <Point>');
+            lines.push(`        <altitudeMode>${wpt.alt !== null ? 'absolute' : 'clampToGround'}</altitudeMode>`);
+            lines.push(`        <coordinates>${wpt.lon},${wpt.lat},${wpt.alt ?? 0}</coordinates>`);
+            lines.push('      </Point>');
+            lines.push('    </Placemark>');
+        });
+
+        lines.push('  </Document>');
+        lines.push('</kml>');
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Build a GeoJSON FeatureCollection from track data
+     * Track timestamps are in the LineString's `coordTimes` property
+     * @param {Object} track - Track from getTrackData()
+     * @returns {Object} GeoJSON FeatureCollection
+     */
+    buildGeoJSON(track) {
+        const position = (point) => point.alt !== null ? [point.lon, point.lat, point.alt] : [point.lon, point.lat];
+        const features = [];
+
+        if (track.points.length > 0) {
+            // Keep every position the same dimension so GIS tools accept the line
+            const hasAltitude = track.points.every(point => point.alt !== null);
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: track.points.map(point => hasAltitude ? position(point) : [point.lon, point.lat])
+                },
+                properties: {
+                    name: this.getTrackName(track),
+                    userId: track.userId,
+                    coordTimes: track.points.map(point => point.time.toISOString()),
+                    accuracy: track.points.map(point => point.accuracy),
+                    heading: track.points.map(point => point.heading)
+                }
+            });
+        }
+
+        track.waypoints.forEach(wpt => {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: position(wpt)
+                },
+                properties: {
+                    type: 'photo',
+                    name: wpt.name,
+                    photoId: wpt.photoId,
+                    time: wpt.time.toISOString(),
+                    accuracy: wpt.accuracy,
+                    heading: wpt.heading
+                }
+            });
+        });
+
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * Export a GPS track with photo waypoints as GPX and trigger download
+     * @param {string} userId
+     * @param {string} startDate - ISO date string (inclusive)
+     * @param {string} endDate - ISO date string (inclusive)
+     * @returns {Promise<boolean>}
+     */
+    async exportGPSToGPX(userId, startDate = null, endDate = null) {
+        return this.exportTrack(userId, startDate, endDate, 'GPX', (track) => new Blob(
+            [this.buildGPX(track)],
+            { type: 'application/gpx+xml' }
+        ), 'gpx');
+    }
+
+    /**
+     * Export a GPS track with photo waypoints as KML and trigger download
+     * @param {string} userId
+     * @param {string} startDate - ISO date string (inclusive)
+     * @param {string} endDate - ISO date string (inclusive)
+     * @returns {Promise<boolean>}
+     */
+    async exportGPSToKML(userId, startDate = null, endDate = null) {
+        return this.exportTrack(userId, startDate, endDate, 'KML', (track) => new Blob(
+            [this.buildKML(track)],
+            { type: 'application/vnd.google-earth.kml+xml' }
+        ), 'kml');
+    }
+
+    /**
+     * Export a GPS track with photo waypoints as GeoJSON and trigger download
+     * @param {string} userId
+     * @param {string} startDate - ISO date string (inclusive)
+     * @param {string} endDate - ISO date string (inclusive)
+     * @returns {Promise<boolean>}
+     */
+    async exportGPSToGeoJSON(userId, startDate = null, endDate = null) {
+        return this.exportTrack(userId, startDate, endDate, 'GeoJSON', (track) => new Blob(
+            [JSON.stringify(this.buildGeoJSON(track), null, 2)],
+            { type: 'application/geo+json' }
+        ), 'geojson');
+    }
+
+    /**
+     * Build track data, serialize it and trigger download
+     * @param {string} userId
+     * @param {string|null} startDate
+     * @param {string|null} endDate
+     * @param {string} formatName - Format name for logging
+     * @param {Function} serialize - Converts track data to a Blob
+     * @param {string} extension - File extension
+     * @returns {Promise<boolean>}
+     */
+    async exportTrack(userId, startDate, endDate, formatName, serialize, extension) {
+        try {
+            const track = await this.getTrackData(userId, startDate, endDate);
+
+            if (track.points.length === 0 && track.waypoints.length === 0) {
+                throw new Error('No GPS data to export');
+            }
+
+            this.downloadBlob(serialize(track), `policamera-track-${userId}-${Date.now()}.${extension}`);
+
+            console.log(`✅ GPS track exported to ${formatName} successfully`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to export GPS track to ${formatName}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Human-readable track name
+     * @param {Object} track - Track from getTrackData()
+     * @returns {string}
+     */
+    getTrackName(track) {
+        const range = [track.startDate, track.endDate].filter(Boolean).join(' to ');
+        return range ? `PoliCamera track ${range}` : 'PoliCamera track';
+    }
+
+    /**
+     * Escape a value for XML text and attributes
+     * @param {*} value
+     * @returns {string}
+     */
+    escapeXML(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Escape a value as an RFC 4180 CSV field
+     * @param {*} value
+     * @returns {string}
+     */
+    escapeCSV(value) {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Get all records from a store
+     * @param {string} storeName
+     * @returns {Promise<Array>}
+     */
+    async getAllRecords(storeName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(request.result);
+            };
+
+            request.onerror = () => {
+                reject(request.error);
+            };
+        });
+    }
+
+    /**
+     * Rotate the encryption key and re-encrypt every encrypted photo and GPS record
+     * The old key is only deleted once all records were re-encrypted; if any
+     * record fails it is kept so the data stays readable and rotation can be re-run
+     * @returns {Promise<Object>} Re-encryption stats
+     */
+    async rotateEncryptionKey() {
+        if (!window.cryptoManager || !CryptoManager.isSupported()) {
+            throw new Error('Encryption not available');
+        }
+
+        const { oldKeyId, newKeyId } = await cryptoManager.rotateKey();
+        const stats = { oldKeyId, newKeyId, recordsReencrypted: 0, recordsFailed: 0 };
+
+        for (const storeName of [this.stores.photos, this.stores.gpsLogs]) {
+            const records = await this.getAllRecords(storeName);
+
+            for (const record of records) {
+                if (!record.encrypted && !record.recordEncrypted && !record.encryptedOriginal && !record.encryptedDepthFiles) continue;
+
+                try {
+                    await this.putRecord(storeName, await this.reencryptRecord(record));
+                    stats.recordsReencrypted++;
+                } catch (error) {
+                    console.error(`Failed to re-encrypt ${storeName} record ${record.id}:`, error);
+                    stats.recordsFailed++;
+                }
+            }
+        }
+
+        if (stats.recordsFailed === 0) {
+            await cryptoManager.deleteRetiredKeys();
+        } else {
+            console.warn(`⚠️ ${stats.recordsFailed} record(s) still use a retired key; it was kept`);
+        }
+
+        console.log(`✅ Re-encrypted ${stats.recordsReencrypted} record(s) with key ${newKeyId}`);
+        return stats;
+    }
+
+    /**
+     * Re-encrypt a record's encrypted values with the active key
+     * @param {Object} record - Photo or GPS log record with `encrypted`, `recordEncrypted`, `encryptedOriginal` or `encryptedDepthFiles` set
+     * @returns {Promise<Object>} Updated record
+     */
+    async reencryptRecord(record) {
+        const updated = { ...record };
+        if (record.encrypted) {
+            for (const field of ['lat', 'lon', 'alt']) {
+                if (updated[field]) {
+                    updated[field] = await cryptoManager.reencrypt(updated[field]);
+                }
+            }
+        }
+        if (record.recordEncrypted) {
+            updated.encryptedImage = await cryptoManager.reencryptBlob(record.encryptedImage);
+            updated.encryptedThumbnail = await cryptoManager.reencryptBlob(record.encryptedThumbnail);
+            updated.sealedFields = await cryptoManager.reencrypt(record.sealedFields);
+        }
+        if (record.encryptedOriginal) {
+            updated.encryptedOriginal = await cryptoManager.reencryptBlob(record.encryptedOriginal);
+        }
+        if (record.encryptedDepthFiles) {
+            const { png, preview, ply, ...info } = record.encryptedDepthFiles;
+            updated.encryptedDepthFiles = {
+                ...info,
+                png: await cryptoManager.reencryptBlob(png),
+                preview: await cryptoManager.reencryptBlob(preview),
+                ply: await cryptoManager.reencryptBlob(ply)
+            };
+        }
+        return updated;
+    }
+
     /**
      * Delete all data for a specific user (GDPR compliance)
      * @param {string} userId
@@ -500,9 +1967,13 @@ class DatabaseManager {
      */
     async deleteAllUserData(userId) {
         try {
-            const [photos, gpsLogs] = await Promise.all([
-                this.getPhotosForUser(userId),
-                this.getGPSLogsForUser(userId)
+            const [photos, gpsLogs, videos, documents, inventorySessions, zoneEvents] = await Promise.all([
+                this.getPhotosForUser(userId, false, false),
+                this.getGPSLogsForUser(userId),
+                this.getVideosForUser(userId),
+                this.getDocumentsForUser(userId),
+                this.getInventorySessionsForUser(userId),
+                this.getZoneEventsForUser(userId)
             ]);
 
             // Delete all photos
@@ -515,10 +1986,34 @@ class DatabaseManager {
                 await this.deleteRecord(this.stores.gpsLogs, log.id);
             }
 
+            // Delete all video recordings (the WebVTT GPS sidecar is part of the record)
+            for (const video of videos) {
+                await this.deleteRecord(this.stores.videos, video.id);
+            }
+
+            // Delete all scanned documents
+            for (const scan of documents) {
+                await this.deleteRecord(this.stores.documents, scan.id);
+            }
+
+            // Delete all inventory sessions
+            for (const session of inventorySessions) {
+                await this.deleteRecord(this.stores.inventory, session.id);
+            }
+
+            // Delete all zone analytics events
+            for (const event of zoneEvents) {
+                await this.deleteRecord(this.stores.zoneEvents, event.id);
+            }
+
             console.log(`✅ Deleted all data for user ${userId}`);
             return {
                 photosDeleted: photos.length,
-                gpsLogsDeleted: gpsLogs.length
+                gpsLogsDeleted: gpsLogs.length,
+                videosDeleted: videos.length,
+                documentsDeleted: documents.length,
+                inventorySessionsDeleted: inventorySessions.length,
+                zoneEventsDeleted: zoneEvents.length
             };
         } catch (error) {
             console.error('❌ Failed to delete user data:', error);
@@ -544,5 +2039,6 @@ const databaseManager = new DatabaseManager();
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = databaseManager;
 } else {
-    window.databaseManager = databaseManager;
+    // `self` is the window on pages and the global scope in the service worker
+    self.databaseManager = databaseManager;
 }
\ No newline at end of file
@@ -0,0 +1,235 @@
+/**
+ * Depth estimation kernels for PoliCamera
+ * Pure functions on pixel arrays, shared by DepthPredictionManager (main thread
+ * fallback) and depth-worker.js
+ */
+class DepthEstimators {
+    /**
+     * Estimate depth with a heuristic
+     * @param {ImageData} imageData - Frame at depth map resolution
+     * @param {string} mode - 'edge', 'blur' or 'hybrid'
+     * @returns {Float32Array} Depth values, 0-255 (larger = nearer)
+     */
+    static estimate(imageData, mode) {
+        switch (mode) {
+            case 'edge':
+                return DepthEstimators.edges(imageData);
+            case 'blur':
+                return DepthEstimators.blur(imageData);
+            case 'hybrid':
+            default:
+                return DepthEstimators.hybrid(imageData);
+        }
+    }
+
+    /**
+     * RGBA pixels to normalized planar RGB (NCHW) model input
+     * @param {Uint8ClampedArray} data - RGBA pixels of a size x size image
+     * @param {number} size - Model input size
+     * @param {number[]} mean - Per-channel mean
+     * @param {number[]} std - Per-channel standard deviation
+     * @returns {Float32Array}
+     */
+    static toModelInput(data, size, mean, std) {
+        const planeSize = size * size;
+        const input = new Float32Array(3 * planeSize);
+        for (let i = 0; i < planeSize; i++) {
+            for (let c = 0; c < 3; c++) {
+                input[c * planeSize + i] = (data[i * 4 + c] / 255 - mean[c]) / std[c];
+            }
+        }
+        return input;
+    }
+
+    /**
+     * Scale model output to 0-255 and resample it bilinearly to the depth map size
+     * @param {Float32Array} values - Model output, row-major
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {number} targetWidth
+     * @param {number} targetHeight
+     * @returns {Float32Array}
+     */
+    static resample(values, width, height, targetWidth, targetHeight) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < width * height; i++) {
+            min = Math.min(min, values[i]);
+            max = Math.max(max, values[i]);
+        }
+        const scale = max > min ? 255 / (max - min) : 0;
+
+        const depthData = new Float32Array(targetWidth * targetHeight);
+        const xRatio = width / targetWidth;
+        const yRatio = height / targetHeight;
+
+        for (let y = 0; y < targetHeight; y++) {
+            // Sample at pixel centers
+            const sy = Math.min(height - 1, Math.max(0, (y + 0.5) * yRatio - 0.5));
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(height - 1, y0 + 1);
+            const fy = sy - y0;
+
+            for (let x = 0; x < targetWidth; x++) {
+                const sx = Math.min(width - 1, Math.max(0, (x + 0.5) * xRatio - 0.5));
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(width - 1, x0 + 1);
+                const fx = sx - x0;
+
+                const top = values[y0 * width + x0] * (1 - fx) + values[y0 * width + x1] * fx;
+                const bottom = values[y1 * width + x0] * (1 - fx) + values[y1 * width + x1] * fx;
+                depthData[y * targetWidth + x] = (top * (1 - fy) + bottom * fy - min) * scale;
+            }
+        }
+
+        return depthData;
+    }
+
+    /**
+     * Estimate depth using edge detection (Sobel filters)
+     * Objects with strong edges are typically closer
+     */
+    static edges(imageData) {
+        const { data, width, height } = imageData;
+        const depthData = new Float32Array(width * height);
+
+        // Sobel kernels for edge detection
+        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+
+        // Process each pixel
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let gx = 0, gy = 0;
+
+                // Apply Sobel filters
+                for (let ky = -1; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++) {
+                        const idx = ((y + ky) * width + (x + kx)) * 4;
+                        const kernelIdx = (ky + 1) * 3 + (kx + 1);
+
+                        // Use grayscale value (average RGB)
+                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+
+                        gx += gray * sobelX[kernelIdx];
+                        gy += gray * sobelY[kernelIdx];
+                    }
+                }
+
+                // Calculate gradient magnitude
+                const gradient = Math.sqrt(gx * gx + gy * gy);
+
+                // Normalize and invert (strong edges = near = bright)
+                const pixelIdx = y * width + x;
+                depthData[pixelIdx] = Math.min(255, gradient * 1.5);
+            }
+        }
+
+        return depthData;
+    }
+
+    /**
+     * Estimate depth from local variance (blur analysis)
+     * Blurry regions are typically farther away
+     */
+    static blur(imageData) {
+        const { data, width, height } = imageData;
+        const depthData = new Float32Array(width * height);
+        const windowSize = 5; // 5x5 window for variance calculation
+
+        for (let y = windowSize; y < height - windowSize; y++) {
+            for (let x = windowSize; x < width - windowSize; x++) {
+                let sum = 0;
+                let sumSq = 0;
+                let count = 0;
+
+                // Calculate local variance
+                for (let wy = -windowSize; wy <= windowSize; wy++) {
+                    for (let wx = -windowSize; wx <= windowSize; wx++) {
+                        const idx = ((y + wy) * width + (x + wx)) * 4;
+                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+
+                        sum += gray;
+                        sumSq += gray * gray;
+                        count++;
+                    }
+                }
+
+                // Variance = E[X²] - E[X]²
+                const mean = sum / count;
+                const variance = (sumSq / count) - (mean * mean);
+
+                // Higher variance = sharper = closer
+                const pixelIdx = y * width + x;
+                depthData[pixelIdx] = Math.min(255, variance * 2);
+            }
+        }
+
+        return depthData;
+    }
+
+    /**
+     * Hybrid depth estimation combining multiple cues
+     * - Edge strength (object boundaries)
+     * - Local variance (blur/sharpness)
+     * - Brightness (darker often means farther)
+     */
+    static hybrid(imageData) {
+        const { data, width, height } = imageData;
+        const depthData = new Float32Array(width * height);
+
+        // Sobel kernels
+        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+
+        for (let y = 2; y < height - 2; y++) {
+            for (let x = 2; x < width - 2; x++) {
+                // 1. Edge detection
+                let gx = 0, gy = 0;
+                for (let ky = -1; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++) {
+                        const idx = ((y + ky) * width + (x + kx)) * 4;
+                        const kernelIdx = (ky + 1) * 3 + (kx + 1);
+                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+                        gx += gray * sobelX[kernelIdx];
+                        gy += gray * sobelY[kernelIdx];
+                    }
+                }
+                const edgeStrength = Math.sqrt(gx * gx + gy * gy);
+
+                // 2. Local variance (sharpness)
+                let sum = 0, sumSq = 0, count = 0;
+                for (let wy = -2; wy <= 2; wy++) {
+                    for (let wx = -2; wx <= 2; wx++) {
+                        const idx = ((y + wy) * width + (x + wx)) * 4;
+                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
+                        sum += gray;
+                        sumSq += gray * gray;
+                        count++;
+                    }
+                }
+                const mean = sum / count;
+                const variance = (sumSq / count) - (mean * mean);
+
+                // 3. Brightness (darker = farther, inverted for our display)
+                const centerIdx = (y * width + x) * 4;
+                const brightness = (data[centerIdx] + data[centerIdx + 1] + data[centerIdx + 2]) / 3;
+
+                // Combine cues with weights
+                // Edge (40%) + Variance (40%) + Brightness (20%)
+                const depthEstimate =
+                    (edgeStrength * 0.4) +
+                    (variance * 1.5 * 0.4) +
+                    (brightness * 0.2);
+
+                const pixelIdx = y * width + x;
+                depthData[pixelIdx] = Math.min(255, depthEstimate);
+            }
+        }
+
+        return depthData;
+    }
+}
+
+// `self` is the window on pages and the global scope in the depth worker
+self.DepthEstimators = DepthEstimators;
@@ -0,0 +1,261 @@
+/**
+ * Depth Export for PoliCamera
+ * Encodes a full depth map as a 16-bit grayscale PNG and, together with the colors
+ * of the captured frame, as a PLY point cloud
+ */
+
+/**
+ * Depth map values, row-major; larger values are nearer (relative inverse depth, 0-255)
+ */
+export interface DepthGrid {
+    values: ArrayLike<number>;
+    width: number;
+    height: number;
+}
+
+export interface PointCloudOptions {
+    focalLength: number; // Pixels at the depth map's resolution
+    colors?: ArrayLike<number> | null; // RGBA at the depth map's resolution (ImageData.data)
+    minValue?: number; // Depth values below this are too far to place and are skipped
+    step?: number; // Use every n-th pixel in both directions
+}
+
+// Depth values are 0-255 floats; the PNG spreads them over the full 16-bit range
+const MAX_DEPTH_VALUE = 255;
+const MAX_SAMPLE = 65535;
+
+// Largest block a stored (uncompressed) deflate block can hold
+const MAX_STORED_BLOCK = 65535;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * PNG and PLY encoders for depth maps
+ */
+export class DepthExport {
+    /**
+     * Encode a depth map as a 16-bit grayscale PNG (0 = farthest, 65535 = nearest)
+     */
+    static async toPng16(depth: DepthGrid, description?: string): Promise<Uint8Array> {
+        const { width, height, values } = depth;
+        const rowLength = width * 2;
+        const raw = new Uint8Array((rowLength + 1) * height);
+
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * (rowLength + 1);
+            raw[rowStart] = 2; // "Up" filter: depth changes little from row to row
+
+            for (let x = 0; x < width; x++) {
+                const value = values[y * width + x] ?? 0;
+                const sample = Math.round(Math.min(Math.max(value / MAX_DEPTH_VALUE, 0), 1) * MAX_SAMPLE);
+                raw[rowStart + 1 + x * 2] = sample >> 8; // Samples are big-endian
+                raw[rowStart + 2 + x * 2] = sample & 0xff;
+            }
+        }
+
+        // Apply the filter from the bottom row up, so every row still sees its unfiltered neighbor
+        for (let y = height - 1; y > 0; y--) {
+            const rowStart = y * (rowLength + 1) + 1;
+            const aboveStart = rowStart - (rowLength + 1);
+            for (let i = 0; i < rowLength; i++) {
+                raw[rowStart + i] = (raw[rowStart + i]! - raw[aboveStart + i]!) & 0xff;
+            }
+        }
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = 16; // Bit depth
+        header[9] = 0; // Grayscale
+        // Compression, filter and interlace methods stay 0
+
+        const chunks = [DepthExport.chunk('IHDR', header)];
+        if (description) {
+            chunks.push(DepthExport.chunk('tEXt', DepthExport.latin1(`Description\0${description}`)));
+        }
+        chunks.push(DepthExport.chunk('IDAT', await DepthExport.zlib(raw)));
+        chunks.push(DepthExport.chunk('IEND', new Uint8Array(0)));
+
+        return DepthExport.concat([new Uint8Array(PNG_SIGNATURE), ...chunks]);
+    }
+
+    /**
+     * Encode a depth map as a binary PLY point cloud
+     *
+     * Depth values are relative inverse depth, so points are placed at distance
+     * 255 / value: the nearest possible point is 1 unit from the camera, and the scale
+     * is arbitrary. The camera is at the origin looking down -Z with +Y up.
+     */
+    static toPly(depth: DepthGrid, options: PointCloudOptions): Uint8Array {
+        const { width, height, values } = depth;
+        const { focalLength, colors = null } = options;
+        const minValue = options.minValue ?? 1;
+        const step = Math.max(1, Math.floor(options.step ?? 1));
+        const centerX = (width - 1) / 2;
+        const centerY = (height - 1) / 2;
+
+        const points: number[] = []; // x, y, z, index
+        for (let y = 0; y < height; y += step) {
+            for (let x = 0; x < width; x += step) {
+                const index = y * width + x;
+                const value = values[index] ?? 0;
+                if (!(value >= minValue)) continue;
+
+                const distance = MAX_DEPTH_VALUE / value;
+                points.push(
+                    ((x - centerX) * distance) / focalLength,
+                    (-(y - centerY) * distance) / focalLength,
+                    -distance,
+                    index
+                );
+            }
+        }
+
+        const count = points.length / 4;
+        const header = DepthExport.latin1([
+            'ply',
+            'format binary_little_endian 1.0',
+            'comment PoliCamera depth point cloud (relative scale)',
+            `element vertex ${count}`,
+            'property float x',
+            'property float y',
+            'property float z',
+            'property uchar red',
+            'property uchar green',
+            'property uchar blue',
+            'end_header',
+            '',
+        ].join('\n'));
+
+        const vertexSize = 15;
+        const body = new Uint8Array(count * vertexSize);
+        const view = new DataView(body.buffer);
+        for (let i = 0; i < count; i++) {
+            const offset = i * vertexSize;
+            const index = points[i * 4 + 3]!;
+            view.setFloat32(offset, points[i * 4]!, true);
+            view.setFloat32(offset + 4, points[i * 4 + 1]!, true);
+            view.setFloat32(offset + 8, points[i * 4 + 2]!, true);
+            if (colors) {
+                body[offset + 12] = colors[index * 4] ?? 0;
+                body[offset + 13] = colors[index * 4 + 1] ?? 0;
+                body[offset + 14] = colors[index * 4 + 2] ?? 0;
+            } else {
+                // Gray by nearness when the frame's colors are not available
+                body[offset + 12] = body[offset + 13] = body[offset + 14] = Math.round(values[index] ?? 0);
+            }
+        }
+
+        return DepthExport.concat([header, body]);
+    }
+
+    /**
+     * Compress data in the zlib format, with CompressionStream when the browser has it,
+     * otherwise as stored (uncompressed) deflate blocks
+     */
+    static async zlib(data: Uint8Array): Promise<Uint8Array> {
+        if (typeof CompressionStream !== 'undefined' && typeof Blob !== 'undefined' && typeof Blob.prototype.stream === 'function') {
+            try {
+                const stream = new Blob([data.slice()]).stream().pipeThrough(new CompressionStream('deflate'));
+                return new Uint8Array(await new Response(stream).arrayBuffer());
+            } catch (error) {
+                console.warn('CompressionStream failed, storing PNG data uncompressed:', error);
+            }
+        }
+
+        const blockCount = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK));
+        const output = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+        output[0] = 0x78; // Deflate, 32K window
+        output[1] = 0x01; // No preset dictionary, fastest; header checksum is a multiple of 31
+
+        let position = 2;
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * MAX_STORED_BLOCK;
+            const length = Math.min(MAX_STORED_BLOCK, data.length - start);
+            output[position] = block === blockCount - 1 ? 1 : 0;
+            output[position + 1] = length & 0xff;
+            output[position + 2] = length >> 8;
+            output[position + 3] = ~length & 0xff;
+            output[position + 4] = (~length >> 8) & 0xff;
+            output.set(data.subarray(start, start + length), position + 5);
+            position += 5 + length;
+        }
+
+        new DataView(output.buffer).setUint32(position, DepthExport.adler32(data));
+        return output;
+    }
+
+    /**
+     * CRC-32 as used by PNG chunks
+     */
+    static crc32(data: Uint8Array): number {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = crcTable[(crc ^ data[i]!) & 0xff]! ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Adler-32 checksum closing a zlib stream
+     */
+    static adler32(data: Uint8Array): number {
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < data.length; i++) {
+            a = (a + data[i]!) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    private static chunk(type: string, data: Uint8Array): Uint8Array {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        chunk.set(DepthExport.latin1(type), 4);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, DepthExport.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+
+    private static latin1(text: string): Uint8Array {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[i] = code < 256 ? code : 0x3f; // '?'
+        }
+        return bytes;
+    }
+
+    private static concat(parts: Uint8Array[]): Uint8Array {
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
+    }
+}
+
+export default DepthExport;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).DepthExport = DepthExport;
+}
@@ -0,0 +1,174 @@
+/**
+ * Depth Web Worker for PoliCamera
+ * Runs depth estimation (edge heuristics or the ONNX depth model) on ImageBitmaps
+ * drawn to an OffscreenCanvas, so the preview and detection overlay keep their frame rate
+ */
+
+importScripts('depth-estimators.js');
+
+class DepthWorker {
+    constructor() {
+        this.canvas = null;
+        this.ctx = null;
+
+        // ONNX Runtime session for 'model' mode
+        this.session = null;
+        this.modelConfig = null;
+        this.loadGeneration = 0; // A newer load discards the result of an older one
+    }
+
+    /**
+     * Read the pixels of a frame, scaled to the given size; the bitmap is closed afterwards
+     * @param {ImageBitmap} bitmap - Frame (browsers that ignore the resize options send it at full size)
+     * @param {number} width
+     * @param {number} height
+     * @returns {ImageData}
+     */
+    getPixels(bitmap, width, height) {
+        if (!this.canvas) {
+            this.canvas = new OffscreenCanvas(width, height);
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+
+        this.ctx.drawImage(bitmap, 0, 0, width, height);
+        bitmap.close();
+        return this.ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Load the depth model
+     * @param {Object} config - { url, inputSize, mean, std, runtimeUrl }
+     * @returns {Promise<Object>} { size } of the model file in bytes
+     */
+    async loadModel(config) {
+        const generation = ++this.loadGeneration;
+        await this.releaseModel();
+
+        console.log(`[Depth Worker] Loading depth model from ${config.url}...`);
+        const response = await fetch(config.url);
+        if (!response.ok) {
+            throw new Error(`Depth model not found (HTTP ${response.status})`);
+        }
+        const modelBytes = new Uint8Array(await response.arrayBuffer());
+
+        if (typeof ort === 'undefined') {
+            importScripts(`${config.runtimeUrl}ort.min.js`);
+        }
+        ort.env.wasm.wasmPaths = config.runtimeUrl;
+        // Threads need cross-origin isolation; this worker already keeps inference off the main thread
+        ort.env.wasm.numThreads = 1;
+        ort.env.wasm.proxy = false;
+
+        const session = await ort.InferenceSession.create(modelBytes, {
+            executionProviders: ['wasm'],
+            graphOptimizationLevel: 'all'
+        });
+        if (generation !== this.loadGeneration) {
+            await session.release();
+            throw new Error('Depth model load superseded');
+        }
+        this.session = session;
+        this.modelConfig = config;
+
+        return { size: modelBytes.length };
+    }
+
+    /**
+     * Release the depth model
+     */
+    async releaseModel() {
+        if (this.session) {
+            const session = this.session;
+            this.session = null;
+            await session.release();
+        }
+    }
+
+    /**
+     * Estimate depth for a frame
+     * @param {Object} data - { bitmap, width, height, mode }; for 'model' the bitmap is
+     *   read at the model's input size, otherwise at the depth map size
+     * @returns {Promise<Float32Array>} Depth values at width x height, 0-255 (larger = nearer)
+     */
+    async predictDepth({ bitmap, width, height, mode }) {
+        if (mode !== 'model') {
+            return DepthEstimators.estimate(this.getPixels(bitmap, width, height), mode);
+        }
+        if (!this.session) {
+            bitmap.close();
+            throw new Error('Depth model not loaded');
+        }
+
+        const { inputSize, mean, std } = this.modelConfig;
+        const imageData = this.getPixels(bitmap, inputSize, inputSize);
+        const input = DepthEstimators.toModelInput(imageData.data, inputSize, mean, std);
+        const feeds = { [this.session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, inputSize, inputSize]) };
+        const results = await this.session.run(feeds);
+        const output = results[this.session.outputNames[0]];
+
+        // Output is [1, H, W] or [1, 1, H, W]
+        const dims = output.dims;
+        return DepthEstimators.resample(output.data, dims[dims.length - 1], dims[dims.length - 2], width, height);
+    }
+}
+
+// Create worker instance
+const depthWorker = new DepthWorker();
+
+// Handle messages from main thread
+self.onmessage = async function(event) {
+    const { id, type, data } = event.data;
+
+    try {
+        let result;
+        const transfer = [];
+
+        switch (type) {
+            case 'LOAD_MODEL':
+                result = await depthWorker.loadModel(data.config);
+                break;
+
+            case 'RELEASE_MODEL':
+                await depthWorker.releaseModel();
+                result = {};
+                break;
+
+            case 'PREDICT_DEPTH': {
+                const depth = await depthWorker.predictDepth(data);
+                // Hand the buffer over instead of copying it
+                result = { depth: depth.buffer };
+                transfer.push(depth.buffer);
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+
+        self.postMessage({
+            id: id,
+            type: type,
+            success: true,
+            data: result
+        }, transfer);
+
+    } catch (error) {
+        console.error('[Depth Worker] Error processing message:', error);
+
+        self.postMessage({
+            id: id,
+            type: type,
+            success: false,
+            error: error.message
+        });
+    }
+};
+
+// Handle worker errors
+self.onerror = function(error) {
+    console.error('[Depth Worker] Worker error:', error);
+};
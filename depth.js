@@ -1,7 +1,7 @@
 /**
  * Depth Prediction Manager for PoliCamera
- * Uses lightweight edge-based depth estimation with optional TensorFlow.js enhancement
- * NO external dependencies or CDN loading required
+ * Runs a monocular depth model (MiDaS / Depth-Anything ONNX on the ONNX Runtime WASM backend)
+ * when one is served from the app, with lightweight edge-based estimation as the fallback
  */
 
 console.log('🌊 Loading depth.js module...');
@@ -40,11 +40,37 @@ class DepthPredictionManager {
         this.processingCanvas = document.createElement('canvas');
         this.processingCtx = this.processingCanvas.getContext('2d', { willReadFrequently: true });
 
-        // Depth estimation mode: 'edge' (fast), 'blur' (smooth), 'hybrid' (best quality)
-        this.estimationMode = 'hybrid';
-
-        console.log('✅ Depth estimation initialized (no external dependencies)');
-        this.isModelLoaded = true; // Always ready since we use client-side processing
+        // Depth estimation mode: 'model' (neural network), 'edge' (fast), 'blur' (smooth), 'hybrid' (best heuristic)
+        this.estimationMode = AppConstants.DEPTH.ESTIMATION_MODE;
+        this.fallbackMode = 'hybrid'; // Used while the model loads, or if it cannot be loaded
+        this.lastEstimationMode = null; // Mode that produced the last depth map
+
+        // Depth model (ONNX Runtime session), loaded on first use of 'model' mode
+        this.modelConfig = {
+            url: AppConstants.DEPTH.MODEL_URL,
+            inputSize: AppConstants.DEPTH.MODEL_INPUT_SIZE,
+            mean: AppConstants.DEPTH.MODEL_MEAN,
+            std: AppConstants.DEPTH.MODEL_STD,
+            runtimeUrl: AppConstants.DEPTH.ORT_URL
+        };
+        this.depthSession = null; // Main-thread session, used without the worker
+        this.workerModelReady = false; // The worker holds the session
+        this.modelLoadPromise = null;
+        this.modelLoadFailed = false;
+        this.inference = null; // Estimate in progress (one at a time)
+        this.modelCanvas = null;
+        this.modelCtx = null;
+
+        // Web Worker for estimation off the main thread
+        this.worker = null;
+        this.pendingMessages = new Map();
+        this.messageId = 0;
+        this.workerFailureCount = 0;
+        this.maxWorkerFailures = 3;
+        this.initializeWorker();
+
+        console.log(`✅ Depth estimation initialized (${this.estimationMode} mode, ${this.fallbackMode} fallback)`);
+        this.isModelLoaded = true; // The heuristics are always ready; the depth model loads on first use
     }
 
     /**
@@ -55,9 +81,112 @@ class DepthPredictionManager {
         return typeof document.createElement('canvas').getContext === 'function';
     }
 
+    /**
+     * Initialize the depth worker
+     * Frames go to it as ImageBitmaps, so it needs OffscreenCanvas to read their pixels
+     */
+    initializeWorker() {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') {
+            console.warn('Depth worker not supported, estimating depth on the main thread');
+            return;
+        }
+
+        try {
+            this.worker = new Worker('depth-worker.js');
+
+            this.worker.onmessage = (event) => {
+                const { id, success, data, error } = event.data;
+                const pending = this.pendingMessages.get(id);
+
+                if (pending) {
+                    this.pendingMessages.delete(id);
+                    if (success) {
+                        pending.resolve(data);
+                    } else {
+                        pending.reject(new Error(error || 'Depth worker failed'));
+                    }
+                }
+            };
+
+            this.worker.onerror = (error) => {
+                console.error('Depth worker error:', error);
+                this.stopWorker();
+            };
+
+            console.log('Depth worker initialized successfully');
+        } catch (error) {
+            console.error('Failed to initialize depth worker:', error);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Send message to the depth worker
+     * @param {string} type - Message type
+     * @param {Object} data - Message payload
+     * @param {Transferable[]} transfer - Objects to hand over instead of copying
+     * @param {number} timeout - Milliseconds to wait for the reply
+     * @returns {Promise<Object>}
+     */
+    sendWorkerMessage(type, data = {}, transfer = [], timeout = AppConstants.DEPTH.WORKER_TIMEOUT_MS) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error('Worker not available'));
+                return;
+            }
+
+            const id = ++this.messageId;
+            this.pendingMessages.set(id, { resolve, reject });
+
+            this.worker.postMessage({ id, type, data }, transfer);
+
+            setTimeout(() => {
+                if (this.pendingMessages.has(id)) {
+                    this.pendingMessages.delete(id);
+                    reject(new Error('Worker timeout'));
+                }
+            }, timeout);
+        });
+    }
+
+    /**
+     * Stop the depth worker and continue on the main thread
+     * A model held by the worker goes with it and is loaded again on the main thread
+     */
+    stopWorker() {
+        if (!this.worker) {
+            return;
+        }
+
+        this.worker.terminate();
+        this.worker = null;
+        for (const pending of this.pendingMessages.values()) {
+            pending.reject(new Error('Depth worker stopped'));
+        }
+        this.pendingMessages.clear();
+
+        if (this.workerModelReady || this.modelLoadPromise) {
+            this.workerModelReady = false;
+            this.modelLoadPromise = null;
+            this.modelLoadFailed = false;
+            if (this.isEnabled && this.estimationMode === 'model') {
+                this.loadDepthModel();
+            }
+        }
+    }
+
+    /**
+     * Whether the depth model is loaded, in the worker or on the main thread
+     * @returns {boolean}
+     */
+    isDepthModelReady() {
+        return Boolean(this.depthSession || this.workerModelReady);
+    }
+
     /**
      * Initialize the depth estimation
-     * No model loading required - using edge-based depth estimation
+     * Sets up the heuristic estimation, which is ready at once; the MiDaS ONNX model
+     * loads in the background when prediction is enabled (see loadDepthModel)
      */
     async initializeModel() {
         if (this.isModelLoaded) {
@@ -65,7 +194,7 @@ class DepthPredictionManager {
             return true;
         }
 
-        console.log('🌊 Initializing edge-based depth estimation...');
+        console.log('🌊 Initializing depth estimation...');
 
         try {
             // Initialize canvases
@@ -75,8 +204,10 @@ class DepthPredictionManager {
             this.processingCtx = this.processingCanvas.getContext('2d', { willReadFrequently: true });
 
             this.isModelLoaded = true;
-            console.log('✅ Depth estimation ready (edge-based, fast)');
-            console.log('💡 No model download required - using client-side algorithms');
+            console.log('✅ Depth estimation ready (heuristics)');
+            if (this.estimationMode === 'model') {
+                console.log('💡 The depth model loads when prediction is enabled; heuristics fill in until then');
+            }
             return true;
 
         } catch (error) {
@@ -99,25 +230,34 @@ class DepthPredictionManager {
 
         this.isEnabled = !this.isEnabled;
         console.log('Depth prediction:', this.isEnabled ? 'enabled' : 'disabled');
+
+        // Heuristics fill in while the model loads in the background
+        if (this.isEnabled && this.estimationMode === 'model') {
+            this.loadDepthModel();
+        }
         return this.isEnabled;
     }
 
     /**
-     * Warm up (preload) - No-op since we don't need to load models
+     * Warm up (preload) the heuristic estimation
+     * The depth model is not downloaded until prediction is enabled
      */
     async warmUp() {
-        console.log('🌊 Depth estimation ready (no warmup needed)');
+        console.log('🌊 Warming up depth estimation');
         return this.initializeModel();
     }
 
     /**
-     * Predict depth from image using edge-based depth estimation
+     * Predict depth from image
      *
-     * This uses a hybrid approach:
+     * In 'model' mode uses the MiDaS ONNX model once it is loaded. Until then, or if it cannot be loaded,
+     * the heuristic fallback combines:
      * 1. Edge detection (Sobel filters) - identifies object boundaries
      * 2. Gradient magnitude - estimates depth from intensity changes
      * 3. Blur analysis - far objects are typically blurrier
      * 4. Brightness analysis - darker areas often indicate depth
+     *
+     * Estimation runs in the depth worker when the browser supports it, else on the main thread
      */
     async predictDepth(imageElement, isRealTime = false) {
         if (!this.isModelLoaded) {
@@ -133,17 +273,15 @@ class DepthPredictionManager {
             this.lastProcessTime = currentTime;
         }
 
-        try {
-            // Dispose previous depth map to prevent memory leak
-            if (this.lastDepthMap && this.lastDepthMap.dispose) {
-                try {
-                    this.lastDepthMap.dispose();
-                } catch (e) {
-                    console.warn('Failed to dispose previous depth map:', e);
-                }
-                this.lastDepthMap = null;
+        // One estimate at a time: real-time frames reuse the last map, captures wait their turn
+        if (this.inference) {
+            if (isRealTime) {
+                return this.lastDepthMap;
             }
+            await this.inference.catch(() => {});
+        }
 
+        try {
             // Get image dimensions
             const width = imageElement.videoWidth || imageElement.width;
             const height = imageElement.videoHeight || imageElement.height;
@@ -152,36 +290,30 @@ class DepthPredictionManager {
             const targetWidth = 320;
             const targetHeight = Math.floor(height * (targetWidth / width));
 
-            // Set canvas size
-            this.processingCanvas.width = targetWidth;
-            this.processingCanvas.height = targetHeight;
-
-            // Draw image to processing canvas
-            this.processingCtx.drawImage(imageElement, 0, 0, targetWidth, targetHeight);
-
-            // Get image data
-            const imageData = this.processingCtx.getImageData(0, 0, targetWidth, targetHeight);
-
-            // Estimate depth based on mode
-            let depthData;
-            switch (this.estimationMode) {
-                case 'edge':
-                    depthData = this.estimateDepthFromEdges(imageData);
-                    break;
-                case 'blur':
-                    depthData = this.estimateDepthFromBlur(imageData);
-                    break;
-                case 'hybrid':
-                default:
-                    depthData = this.estimateDepthHybrid(imageData);
-                    break;
+            let result;
+            this.inference = this.estimateDepth(imageElement, targetWidth, targetHeight);
+            try {
+                result = await this.inference;
+            } finally {
+                this.inference = null;
             }
 
             // Create tensor-like object compatible with rendering code
-            const depthMap = this.createDepthTensor(depthData, targetHeight, targetWidth);
-
-            // Cache result
-            this.lastDepthMap = depthMap;
+            const depthMap = this.createDepthTensor(result.depthData, targetHeight, targetWidth);
+            this.lastEstimationMode = result.mode;
+
+            // Only real-time maps are cached; a capture's map belongs to the caller.
+            // The previous map stays valid until its replacement is ready.
+            if (isRealTime) {
+                if (this.lastDepthMap && this.lastDepthMap.dispose) {
+                    try {
+                        this.lastDepthMap.dispose();
+                    } catch (e) {
+                        console.warn('Failed to dispose previous depth map:', e);
+                    }
+                }
+                this.lastDepthMap = depthMap;
+            }
 
             return depthMap;
 
@@ -192,148 +324,261 @@ class DepthPredictionManager {
     }
 
     /**
-     * Estimate depth using edge detection (Sobel filters)
-     * Objects with strong edges are typically closer
+     * Estimate depth in the worker, or on the main thread without one
+     * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} imageElement
+     * @param {number} targetWidth - Width of the depth map
+     * @param {number} targetHeight - Height of the depth map
+     * @returns {Promise<Object>} { depthData, mode }
      */
-    estimateDepthFromEdges(imageData) {
-        const { data, width, height } = imageData;
-        const depthData = new Float32Array(width * height);
-
-        // Sobel kernels for edge detection
-        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
-
-        // Process each pixel
-        for (let y = 1; y < height - 1; y++) {
-            for (let x = 1; x < width - 1; x++) {
-                let gx = 0, gy = 0;
-
-                // Apply Sobel filters
-                for (let ky = -1; ky <= 1; ky++) {
-                    for (let kx = -1; kx <= 1; kx++) {
-                        const idx = ((y + ky) * width + (x + kx)) * 4;
-                        const kernelIdx = (ky + 1) * 3 + (kx + 1);
-
-                        // Use grayscale value (average RGB)
-                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-
-                        gx += gray * sobelX[kernelIdx];
-                        gy += gray * sobelY[kernelIdx];
-                    }
-                }
+    async estimateDepth(imageElement, targetWidth, targetHeight) {
+        if (this.worker) {
+            const result = await this.estimateInWorker(imageElement, targetWidth, targetHeight);
+            if (result) {
+                return result;
+            }
+        }
+        return this.estimateOnMainThread(imageElement, targetWidth, targetHeight);
+    }
+
+    /**
+     * Estimate depth in the worker
+     * The frame is handed over as an ImageBitmap at the size the worker reads it at
+     * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} imageElement
+     * @param {number} targetWidth - Width of the depth map
+     * @param {number} targetHeight - Height of the depth map
+     * @returns {Promise<Object|null>} { depthData, mode }, or null to estimate on the main thread
+     */
+    async estimateInWorker(imageElement, targetWidth, targetHeight) {
+        const mode = this.getActiveEstimationMode();
+        const size = this.modelConfig.inputSize;
+
+        try {
+            const bitmap = mode === 'model'
+                ? await createImageBitmap(imageElement, { resizeWidth: size, resizeHeight: size })
+                : await createImageBitmap(imageElement, { resizeWidth: targetWidth, resizeHeight: targetHeight });
+
+            const result = await this.sendWorkerMessage('PREDICT_DEPTH', {
+                bitmap,
+                width: targetWidth,
+                height: targetHeight,
+                mode
+            }, [bitmap]);
+
+            this.workerFailureCount = 0;
+            return { depthData: new Float32Array(result.depth), mode };
 
-                // Calculate gradient magnitude
-                const gradient = Math.sqrt(gx * gx + gy * gy);
+        } catch (error) {
+            if (mode === 'model' && this.worker) {
+                console.error(`Depth model inference failed, using ${this.fallbackMode} estimation:`, error);
+                this.workerModelReady = false;
+                this.modelLoadFailed = true;
+                return null;
+            }
 
-                // Normalize and invert (strong edges = near = bright)
-                const pixelIdx = y * width + x;
-                depthData[pixelIdx] = Math.min(255, gradient * 1.5);
+            console.error('Depth worker error:', error);
+            this.workerFailureCount++;
+            if (this.workerFailureCount >= this.maxWorkerFailures) {
+                console.warn('Depth worker failed too many times, switching to main thread permanently');
+                this.stopWorker();
             }
+            return null;
         }
+    }
+
+    /**
+     * Estimate depth on the main thread
+     * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} imageElement
+     * @param {number} targetWidth - Width of the depth map
+     * @param {number} targetHeight - Height of the depth map
+     * @returns {Promise<Object>} { depthData, mode }
+     */
+    async estimateOnMainThread(imageElement, targetWidth, targetHeight) {
+        // Run the model when it is ready; it keeps its own canvas for the model input
+        if (this.estimationMode === 'model' && this.depthSession) {
+            const modelDepth = await this.estimateDepthWithModel(imageElement, targetWidth, targetHeight);
+            if (modelDepth) {
+                return { depthData: modelDepth, mode: 'model' };
+            }
+        }
+
+        // Set canvas size
+        this.processingCanvas.width = targetWidth;
+        this.processingCanvas.height = targetHeight;
+
+        // Draw image to processing canvas
+        this.processingCtx.drawImage(imageElement, 0, 0, targetWidth, targetHeight);
 
-        return depthData;
+        // Get image data
+        const imageData = this.processingCtx.getImageData(0, 0, targetWidth, targetHeight);
+
+        // Estimate depth based on mode
+        const mode = this.estimationMode === 'model' ? this.fallbackMode : this.estimationMode;
+        return { depthData: DepthEstimators.estimate(imageData, mode), mode };
     }
 
     /**
-     * Estimate depth from local variance (blur analysis)
-     * Blurry regions are typically farther away
+     * Load the depth model in the background
+     * The model file is fetched first, so a missing model costs one request and not the runtime download
+     * @returns {Promise<boolean>} Whether the model is ready
      */
-    estimateDepthFromBlur(imageData) {
-        const { data, width, height } = imageData;
-        const depthData = new Float32Array(width * height);
-        const windowSize = 5; // 5x5 window for variance calculation
-
-        for (let y = windowSize; y < height - windowSize; y++) {
-            for (let x = windowSize; x < width - windowSize; x++) {
-                let sum = 0;
-                let sumSq = 0;
-                let count = 0;
-
-                // Calculate local variance
-                for (let wy = -windowSize; wy <= windowSize; wy++) {
-                    for (let wx = -windowSize; wx <= windowSize; wx++) {
-                        const idx = ((y + wy) * width + (x + wx)) * 4;
-                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-
-                        sum += gray;
-                        sumSq += gray * gray;
-                        count++;
+    loadDepthModel() {
+        if (this.isDepthModelReady()) {
+            return Promise.resolve(true);
+        }
+        if (this.modelLoadFailed) {
+            return Promise.resolve(false);
+        }
+        if (this.modelLoadPromise) {
+            return this.modelLoadPromise;
+        }
+
+        const config = this.modelConfig;
+        const loading = (async () => {
+            try {
+                const { url, runtimeUrl } = await this.resolveModelUrls(config);
+
+                if (this.worker) {
+                    const { size } = await this.sendWorkerMessage(
+                        'LOAD_MODEL',
+                        { config: { ...config, url, runtimeUrl } },
+                        [],
+                        AppConstants.DEPTH.MODEL_LOAD_TIMEOUT_MS
+                    );
+
+                    // Another model was chosen while this one loaded; the worker replaces it
+                    if (config !== this.modelConfig) {
+                        return false;
                     }
+                    this.workerModelReady = true;
+
+                    console.log(`✅ Depth model ready (${(size / 1024 / 1024).toFixed(1)} MB, WASM in worker)`);
+                    return true;
                 }
 
-                // Variance = E[X²] - E[X]²
-                const mean = sum / count;
-                const variance = (sumSq / count) - (mean * mean);
+                console.log(`🌊 Loading depth model from ${url}...`);
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`Depth model not found (HTTP ${response.status})`);
+                }
+                const modelBytes = new Uint8Array(await response.arrayBuffer());
+
+                await this.loadOnnxRuntime(runtimeUrl);
+                const session = await ort.InferenceSession.create(modelBytes, {
+                    executionProviders: ['wasm'],
+                    graphOptimizationLevel: 'all'
+                });
+
+                // Another model was chosen while this one loaded
+                if (config !== this.modelConfig) {
+                    await session.release();
+                    return false;
+                }
+                this.depthSession = session;
 
-                // Higher variance = sharper = closer
-                const pixelIdx = y * width + x;
-                depthData[pixelIdx] = Math.min(255, variance * 2);
+                console.log(`✅ Depth model ready (${(modelBytes.length / 1024 / 1024).toFixed(1)} MB, WASM)`);
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ Depth model unavailable, using ${this.fallbackMode} estimation:`, error.message);
+                if (config === this.modelConfig && this.modelLoadPromise === loading) {
+                    this.modelLoadFailed = true;
+                }
+                return false;
+            } finally {
+                if (this.modelLoadPromise === loading) {
+                    this.modelLoadPromise = null;
+                }
             }
-        }
+        })();
 
-        return depthData;
+        this.modelLoadPromise = loading;
+        return loading;
     }
 
     /**
-     * Hybrid depth estimation combining multiple cues
-     * - Edge strength (object boundaries)
-     * - Local variance (blur/sharpness)
-     * - Brightness (darker often means farther)
+     * Where to load the model and ONNX Runtime from
+     * The default model and runtime come from the offline bundle once it is verified;
+     * the model has no CDN, so without the bundle it must be deployed at DEPTH.MODEL_URL
+     * @param {Object} config - Model config
+     * @returns {Promise<Object>} { url, runtimeUrl }
      */
-    estimateDepthHybrid(imageData) {
-        const { data, width, height } = imageData;
-        const depthData = new Float32Array(width * height);
-
-        // Sobel kernels
-        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
-
-        for (let y = 2; y < height - 2; y++) {
-            for (let x = 2; x < width - 2; x++) {
-                // 1. Edge detection
-                let gx = 0, gy = 0;
-                for (let ky = -1; ky <= 1; ky++) {
-                    for (let kx = -1; kx <= 1; kx++) {
-                        const idx = ((y + ky) * width + (x + kx)) * 4;
-                        const kernelIdx = (ky + 1) * 3 + (kx + 1);
-                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-                        gx += gray * sobelX[kernelIdx];
-                        gy += gray * sobelY[kernelIdx];
-                    }
-                }
-                const edgeStrength = Math.sqrt(gx * gx + gy * gy);
-
-                // 2. Local variance (sharpness)
-                let sum = 0, sumSq = 0, count = 0;
-                for (let wy = -2; wy <= 2; wy++) {
-                    for (let wx = -2; wx <= 2; wx++) {
-                        const idx = ((y + wy) * width + (x + wx)) * 4;
-                        const gray = (data[idx] + data[idx + 1] + data[idx + 2]) / 3;
-                        sum += gray;
-                        sumSq += gray * gray;
-                        count++;
-                    }
-                }
-                const mean = sum / count;
-                const variance = (sumSq / count) - (mean * mean);
-
-                // 3. Brightness (darker = farther, inverted for our display)
-                const centerIdx = (y * width + x) * 4;
-                const brightness = (data[centerIdx] + data[centerIdx + 1] + data[centerIdx + 2]) / 3;
-
-                // Combine cues with weights
-                // Edge (40%) + Variance (40%) + Brightness (20%)
-                const depthEstimate =
-                    (edgeStrength * 0.4) +
-                    (variance * 1.5 * 0.4) +
-                    (brightness * 0.2);
-
-                const pixelIdx = y * width + x;
-                depthData[pixelIdx] = Math.min(255, depthEstimate);
+    async resolveModelUrls(config) {
+        let { url, runtimeUrl } = config;
+
+        if (url === AppConstants.DEPTH.MODEL_URL && await OfflineAssets.isBundleReady('depthModel')) {
+            url = OfflineAssets.getLocalUrl('depthModel', AppConstants.OFFLINE.BUNDLES.depthModel.files[0]);
+        }
+        if (runtimeUrl === AppConstants.DEPTH.ORT_URL) {
+            const bundled = await OfflineAssets.getDirectoryUrl('onnxRuntime');
+            if (bundled) {
+                runtimeUrl = `${bundled}/`;
             }
         }
+        return { url, runtimeUrl };
+    }
+
+    /**
+     * Load ONNX Runtime Web and point it at its WASM files
+     * @param {string} runtimeUrl - Directory of ort.min.js and the WASM files, with a trailing slash
+     * @returns {Promise<void>}
+     */
+    async loadOnnxRuntime(runtimeUrl) {
+        if (typeof ort === 'undefined') {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = `${runtimeUrl}ort.min.js`;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error('Failed to load ONNX Runtime'));
+                document.head.appendChild(script);
+            });
+        }
 
-        return depthData;
+        ort.env.wasm.wasmPaths = runtimeUrl;
+        // Threads need cross-origin isolation, which the app is not served with;
+        // the proxy worker keeps inference off the main thread
+        ort.env.wasm.numThreads = 1;
+        ort.env.wasm.proxy = true;
+    }
+
+    /**
+     * Estimate depth with the model
+     * Output is relative inverse depth (larger = nearer), scaled to 0-255 and
+     * resampled to the same grid as the heuristics
+     * @param {HTMLVideoElement|HTMLCanvasElement|HTMLImageElement} imageElement
+     * @param {number} targetWidth - Width of the depth map
+     * @param {number} targetHeight - Height of the depth map
+     * @returns {Promise<Float32Array|null>} Depth values, or null if inference failed
+     */
+    async estimateDepthWithModel(imageElement, targetWidth, targetHeight) {
+        const size = this.modelConfig.inputSize;
+        if (!this.modelCanvas) {
+            this.modelCanvas = document.createElement('canvas');
+            this.modelCtx = this.modelCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        this.modelCanvas.width = size;
+        this.modelCanvas.height = size;
+        this.modelCtx.drawImage(imageElement, 0, 0, size, size);
+        const { data } = this.modelCtx.getImageData(0, 0, size, size);
+
+        const { mean, std } = this.modelConfig;
+        const input = DepthEstimators.toModelInput(data, size, mean, std);
+
+        try {
+            const session = this.depthSession;
+            const feeds = { [session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, size, size]) };
+            const results = await session.run(feeds);
+            const output = results[session.outputNames[0]];
+
+            // Output is [1, H, W] or [1, 1, H, W]
+            const dims = output.dims;
+            const outHeight = dims[dims.length - 2];
+            const outWidth = dims[dims.length - 1];
+            return DepthEstimators.resample(output.data, outWidth, outHeight, targetWidth, targetHeight);
+        } catch (error) {
+            console.error(`Depth model inference failed, using ${this.fallbackMode} estimation:`, error);
+            this.depthSession = null;
+            this.modelLoadFailed = true;
+            return null;
+        }
     }
 
     /**
@@ -399,7 +644,64 @@ class DepthPredictionManager {
             min: stats.min,
             max: stats.max,
             colorMode: this.colorMode,
-            estimationMode: this.estimationMode,
+            estimationMode: this.lastEstimationMode || this.estimationMode,
+        };
+    }
+
+    /**
+     * Encode the full depth map as files to store with a photo
+     * - png: 16-bit grayscale (0 = farthest, 65535 = nearest)
+     * - preview: 8-bit PNG in the current color map
+     * - ply: point cloud with the colors of the captured frame
+     * @param {Object} depthMap - Depth map from predictDepth()
+     * @param {HTMLCanvasElement} imageCanvas - Captured frame the depth map was predicted from
+     * @returns {Promise<Object|null>} { width, height, colorMode, png, preview, ply } with Blobs
+     */
+    async exportDepthFiles(depthMap, imageCanvas) {
+        if (!depthMap || !window.DepthExport) return null;
+
+        const depthData = await depthMap.data();
+        const [height, width] = depthMap.shape;
+        const grid = { values: depthData, width, height };
+
+        // Preview in the color map, and the frame's colors at depth resolution
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+        ctx.drawImage(imageCanvas, 0, 0, width, height);
+        const colors = ctx.getImageData(0, 0, width, height).data;
+
+        const imageData = ctx.createImageData(width, height);
+        for (let i = 0; i < depthData.length; i++) {
+            const [r, g, b] = this.applyColorMap(depthData[i], this.colorMode);
+            imageData.data[i * 4] = r;
+            imageData.data[i * 4 + 1] = g;
+            imageData.data[i * 4 + 2] = b;
+            imageData.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        // Same pinhole camera as tap-to-measure
+        const fieldOfView = AppConstants.MEASUREMENT.FIELD_OF_VIEW * Math.PI / 180;
+        const focalLength = (Math.max(width, height) / 2) / Math.tan(fieldOfView / 2);
+        const estimationMode = this.lastEstimationMode || this.estimationMode;
+
+        const png = await DepthExport.toPng16(grid, `PoliCamera relative inverse depth (${estimationMode}), larger = nearer`);
+        const ply = DepthExport.toPly(grid, {
+            focalLength,
+            colors,
+            step: AppConstants.DEPTH.POINT_CLOUD_STEP
+        });
+
+        return {
+            width,
+            height,
+            colorMode: this.colorMode,
+            png: new Blob([png], { type: 'image/png' }),
+            preview: await Utils.canvasToBlob(canvas, 'image/png'),
+            ply: new Blob([ply], { type: 'application/octet-stream' })
         };
     }
 
@@ -591,7 +893,7 @@ class DepthPredictionManager {
 
         ctx.font = '10px monospace';
         ctx.fillStyle = '#FFFFFF';
-        ctx.fillText(`Mode: ${this.estimationMode}`, boxX + 10, boxY + 40);
+        ctx.fillText(`Mode: ${this.getActiveEstimationMode()}`, boxX + 10, boxY + 40);
         ctx.fillText(`Avg: ${stats.average.toFixed(1)}`, boxX + 10, boxY + 55);
         ctx.fillText(`Min: ${stats.min.toFixed(1)}`, boxX + 10, boxY + 70);
         ctx.fillText(`Max: ${stats.max.toFixed(1)}`, boxX + 10, boxY + 85);
@@ -599,15 +901,56 @@ class DepthPredictionManager {
 
     /**
      * Set depth estimation mode
-     * @param mode - 'edge', 'blur', or 'hybrid'
+     * @param mode - 'model', 'edge', 'blur', or 'hybrid'
      */
     setEstimationMode(mode) {
-        if (['edge', 'blur', 'hybrid'].includes(mode)) {
+        if (['model', 'edge', 'blur', 'hybrid'].includes(mode)) {
             this.estimationMode = mode;
             console.log(`🌊 Depth estimation mode: ${mode}`);
+
+            if (mode === 'model') {
+                // Choosing the model again retries a failed load
+                this.modelLoadFailed = false;
+                if (this.isEnabled) {
+                    this.loadDepthModel();
+                }
+            }
         }
     }
 
+    /**
+     * Set the depth model to use in 'model' mode
+     * @param {Object} config - { url, inputSize, mean, std } (omitted fields are kept)
+     */
+    setModelConfig(config) {
+        this.modelConfig = { ...this.modelConfig, ...config };
+        if (this.depthSession) {
+            this.depthSession.release().catch(() => {});
+            this.depthSession = null;
+        }
+        if (this.workerModelReady) {
+            this.sendWorkerMessage('RELEASE_MODEL').catch(() => {});
+            this.workerModelReady = false;
+        }
+        this.modelLoadPromise = null; // A load of the previous model discards its result
+        this.modelLoadFailed = false;
+
+        if (this.isEnabled && this.estimationMode === 'model') {
+            this.loadDepthModel();
+        }
+    }
+
+    /**
+     * Mode currently producing depth maps ('model' falls back while the model is unavailable)
+     * @returns {string}
+     */
+    getActiveEstimationMode() {
+        if (this.estimationMode === 'model' && !this.isDepthModelReady()) {
+            return this.fallbackMode;
+        }
+        return this.estimationMode;
+    }
+
     /**
      * Cleanup resources
      */
@@ -628,6 +971,18 @@ class DepthPredictionManager {
             this.lastDepthMap = null;
         }
 
+        if (this.depthSession) {
+            try {
+                await this.depthSession.release();
+            } catch (error) {
+                console.warn('Error releasing depth model:', error);
+            }
+            this.depthSession = null;
+        }
+
+        // The worker's model is released with it
+        this.stopWorker();
+
         // Clear cached data
         this.cachedImageData = null;
         this.cachedDepthWidth = 0;
@@ -0,0 +1,461 @@
+/**
+ * Document Scanner Manager for PoliCamera
+ * Finds the page outline in the camera preview, captures it automatically once it
+ * holds still, flattens it with a perspective warp and runs OCR for a hidden text
+ * layer, then assembles the pages into a searchable PDF
+ */
+class DocumentScannerManager {
+    constructor() {
+        this.isActive = false;
+        this.autoCapture = true;
+        this.video = null;
+        this.overlay = null;
+        this.frameCanvas = document.createElement('canvas');
+        this.detectTimer = null;
+        this.pages = [];
+
+        // Auto-capture state
+        this.currentQuad = null; // Ordered corners of the page in the last frame
+        this.stableSince = null; // When the page stopped moving
+        this.armed = true; // False after a capture until the page moves away
+        this.lastCapturedQuad = null;
+        this.isCapturing = false;
+        this.status = '';
+
+        // Callbacks set by the app
+        this.onStatusChange = null; // (message) => void
+        this.onPagesChange = null; // (pages) => void
+    }
+
+    /**
+     * Start looking for pages in the camera preview
+     * @param {HTMLVideoElement} video - Camera feed
+     * @param {HTMLCanvasElement} overlay - Canvas over the feed for the page outline
+     */
+    start(video, overlay) {
+        if (this.isActive) return;
+
+        this.video = video;
+        this.overlay = overlay;
+        this.isActive = true;
+        this.resetDetection();
+
+        if (!window.openCVWrapper || !openCVWrapper.isReady()) {
+            this.setStatus('Page detection unavailable - capture pages manually');
+        }
+
+        this.scheduleDetection();
+        console.log('📄 Document scanner started');
+    }
+
+    /**
+     * Stop page detection (scanned pages are kept)
+     */
+    stop() {
+        this.isActive = false;
+        if (this.detectTimer) {
+            clearTimeout(this.detectTimer);
+            this.detectTimer = null;
+        }
+        this.resetDetection();
+        this.clearOverlay();
+        console.log('📄 Document scanner stopped');
+    }
+
+    /**
+     * Forget the tracked page outline
+     */
+    resetDetection() {
+        this.currentQuad = null;
+        this.stableSince = null;
+        this.armed = true;
+        this.lastCapturedQuad = null;
+    }
+
+    /**
+     * Schedule the next page detection
+     */
+    scheduleDetection() {
+        this.detectTimer = setTimeout(() => this.detectFrame(), AppConstants.SCANNER.DETECT_INTERVAL_MS);
+    }
+
+    /**
+     * Find the page in the current frame and capture it when it has held still
+     */
+    async detectFrame() {
+        this.detectTimer = null;
+        if (!this.isActive) return;
+
+        try {
+            if (!this.isCapturing && this.video && this.video.readyState >= this.video.HAVE_CURRENT_DATA) {
+                const frame = this.grabFrame();
+                const corners = window.openCVWrapper ? openCVWrapper.findDocumentQuad(frame) : null;
+                const now = performance.now();
+
+                this.updateQuad(corners ? QuadMath.order(corners) : null, now);
+                this.drawOverlay(now);
+
+                if (this.shouldAutoCapture(now)) {
+                    await this.capturePage(frame);
+                } else {
+                    this.updateStatus(now);
+                }
+            }
+        } catch (error) {
+            console.error('Document detection failed:', error);
+        } finally {
+            if (this.isActive && !this.detectTimer) {
+                this.scheduleDetection();
+            }
+        }
+    }
+
+    /**
+     * Track the page outline between frames
+     * @param {Array<{x: number, y: number}>|null} quad - Ordered corners, or null if no page was found
+     * @param {number} now - Current time (ms)
+     */
+    updateQuad(quad, now) {
+        if (!quad) {
+            this.currentQuad = null;
+            this.stableSince = null;
+            this.armed = true; // The page left the view, so the next one may be captured
+            return;
+        }
+
+        const moved = this.currentQuad
+            ? this.getQuadDistance(this.currentQuad, quad)
+            : Infinity;
+        if (moved > AppConstants.SCANNER.STABLE_TOLERANCE || this.stableSince === null) {
+            this.stableSince = now;
+        }
+        this.currentQuad = quad;
+
+        if (!this.armed && this.lastCapturedQuad &&
+            this.getQuadDistance(this.lastCapturedQuad, quad) > AppConstants.SCANNER.REARM_DISTANCE) {
+            this.armed = true;
+        }
+    }
+
+    /**
+     * Largest corner movement between two outlines, relative to the page diagonal
+     * @param {Array<{x: number, y: number}>} a - Ordered corners
+     * @param {Array<{x: number, y: number}>} b - Ordered corners
+     * @returns {number}
+     */
+    getQuadDistance(a, b) {
+        const diagonal = Math.hypot(a[2].x - a[0].x, a[2].y - a[0].y) || 1;
+        const moved = Math.max(...a.map((corner, i) => Math.hypot(corner.x - b[i].x, corner.y - b[i].y)));
+        return moved / diagonal;
+    }
+
+    /**
+     * Fraction of the hold-still time that has passed
+     * @param {number} now - Current time (ms)
+     * @returns {number} 0-1
+     */
+    getStability(now) {
+        if (!this.currentQuad || this.stableSince === null) return 0;
+        return Math.min(1, (now - this.stableSince) / AppConstants.SCANNER.STABLE_DURATION_MS);
+    }
+
+    /**
+     * Check whether the page should be captured now
+     * @param {number} now - Current time (ms)
+     * @returns {boolean}
+     */
+    shouldAutoCapture(now) {
+        return this.autoCapture &&
+            this.armed &&
+            this.getStability(now) >= 1 &&
+            this.pages.length < AppConstants.SCANNER.MAX_PAGES;
+    }
+
+    /**
+     * Describe what the scanner is waiting for
+     * @param {number} now - Current time (ms)
+     */
+    updateStatus(now) {
+        if (!window.openCVWrapper || !openCVWrapper.isReady()) {
+            this.setStatus('Page detection unavailable - capture pages manually');
+        } else if (!this.currentQuad) {
+            this.setStatus('Looking for a page...');
+        } else if (!this.armed) {
+            this.setStatus('Page captured - show the next page');
+        } else if (!this.autoCapture) {
+            this.setStatus('Page found - tap capture');
+        } else {
+            this.setStatus(this.getStability(now) > 0 ? 'Hold still...' : 'Page found');
+        }
+    }
+
+    /**
+     * Report a status message to the app
+     * @param {string} message
+     */
+    setStatus(message) {
+        if (message === this.status) return;
+        this.status = message;
+        if (this.onStatusChange) {
+            this.onStatusChange(message);
+        }
+    }
+
+    /**
+     * Copy the current video frame at full resolution
+     * @returns {HTMLCanvasElement}
+     */
+    grabFrame() {
+        const canvas = this.frameCanvas;
+        canvas.width = this.video.videoWidth;
+        canvas.height = this.video.videoHeight;
+        canvas.getContext('2d').drawImage(this.video, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Capture, flatten and recognize a page
+     * Uses the detected outline, or the whole frame if no page was found
+     * @param {HTMLCanvasElement|null} frame - Frame the current outline was found in (null = grab now)
+     * @returns {Promise<Object|null>} The page, or null if a capture is already running
+     */
+    async capturePage(frame = null) {
+        if (this.isCapturing) return null;
+        if (this.pages.length >= AppConstants.SCANNER.MAX_PAGES) {
+            throw new Error(`A scan can have at most ${AppConstants.SCANNER.MAX_PAGES} pages`);
+        }
+
+        this.isCapturing = true;
+        this.setStatus(`Capturing page ${this.pages.length + 1}...`);
+
+        try {
+            let source = frame;
+            let quad = this.currentQuad;
+            if (!source) {
+                // Manual capture: find the page in a fresh frame
+                source = this.grabFrame();
+                const corners = window.openCVWrapper ? openCVWrapper.findDocumentQuad(source) : null;
+                quad = corners ? QuadMath.order(corners) : null;
+            }
+            const detected = Boolean(quad);
+            quad = quad || QuadMath.fromRect(0, 0, source.width, source.height);
+
+            const flat = this.flattenPage(source, quad);
+            const blob = await Utils.canvasToBlob(flat, 'image/jpeg', AppConstants.SCANNER.JPEG_QUALITY);
+            const ocr = await this.recognizePage(flat);
+
+            const page = {
+                blob,
+                thumbnailBlob: await Utils.createThumbnail(blob),
+                width: flat.width,
+                height: flat.height,
+                words: ocr ? ocr.words : [],
+                text: ocr ? ocr.text : '',
+                detected
+            };
+            this.pages.push(page);
+
+            // Wait for the page to change before capturing again
+            this.armed = false;
+            this.lastCapturedQuad = quad;
+            this.stableSince = null;
+
+            console.log(`📄 Page ${this.pages.length} captured (${flat.width}x${flat.height}, ${page.words.length} words)`);
+            this.status = '';
+            this.setStatus(`Page ${this.pages.length} captured${ocr ? '' : ' (no text recognized)'}`);
+            this.notifyPagesChange();
+            return page;
+        } finally {
+            this.isCapturing = false;
+        }
+    }
+
+    /**
+     * Warp the page outline onto an upright rectangle
+     * Without OpenCV the outline's bounding box is cropped as-is
+     * @param {HTMLCanvasElement} source - Video frame
+     * @param {Array<{x: number, y: number}>} quad - Ordered corners
+     * @returns {HTMLCanvasElement}
+     */
+    flattenPage(source, quad) {
+        const size = QuadMath.getWarpSize(quad, 0, AppConstants.SCANNER.MAX_PAGE_SIDE);
+        const warped = window.openCVWrapper
+            ? openCVWrapper.warpPerspective(source, quad, size.width, size.height)
+            : null;
+        if (warped) return warped;
+
+        const box = QuadMath.boundingBox(quad);
+        const crop = QuadMath.fromRect(box.x0, box.y0, box.x1 - box.x0, box.y1 - box.y0);
+        const cropSize = QuadMath.getWarpSize(crop, 0, AppConstants.SCANNER.MAX_PAGE_SIDE);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = cropSize.width;
+        canvas.height = cropSize.height;
+        canvas.getContext('2d').drawImage(
+            source,
+            box.x0, box.y0, box.x1 - box.x0, box.y1 - box.y0,
+            0, 0, canvas.width, canvas.height
+        );
+        return canvas;
+    }
+
+    /**
+     * Recognize the text of a flattened page
+     * OCR runs on a binarized copy; word boxes match the page image
+     * @param {HTMLCanvasElement} page - Flattened page
+     * @returns {Promise<Object|null>} OCR result, or null if OCR is unavailable
+     */
+    async recognizePage(page) {
+        if (!window.ocrManager) return null;
+
+        const binarized = window.openCVWrapper
+            ? openCVWrapper.enhanceContrast(page, null, true)
+            : page;
+        return window.ocrManager.recognizeDocument(binarized);
+    }
+
+    /**
+     * Remove the most recently scanned page
+     * @returns {boolean} True if a page was removed
+     */
+    removeLastPage() {
+        if (this.pages.length === 0) return false;
+
+        this.pages.pop();
+        this.armed = true;
+        this.lastCapturedQuad = null;
+        this.notifyPagesChange();
+        return true;
+    }
+
+    /**
+     * Discard every scanned page
+     */
+    discardPages() {
+        this.pages = [];
+        this.armed = true;
+        this.lastCapturedQuad = null;
+        this.notifyPagesChange();
+    }
+
+    /**
+     * Notify the app that the page list changed
+     */
+    notifyPagesChange() {
+        if (this.onPagesChange) {
+            this.onPagesChange([...this.pages]);
+        }
+    }
+
+    /**
+     * Assemble the scanned pages into a searchable PDF
+     * @param {string} title - Document title
+     * @returns {Promise<Blob>}
+     */
+    async buildPdf(title) {
+        if (!window.PdfWriter) {
+            throw new Error('PDF writer not available');
+        }
+
+        const writer = new PdfWriter({
+            title,
+            creator: `PoliCamera ${AppConstants.APP_VERSION}`,
+            creationDate: new Date()
+        });
+
+        for (const page of this.pages) {
+            writer.addPage({
+                jpeg: new Uint8Array(await page.blob.arrayBuffer()),
+                width: page.width,
+                height: page.height,
+                words: page.words
+            });
+        }
+
+        return writer.toBlob();
+    }
+
+    /**
+     * Build the PDF, store it in IndexedDB and clear the scanned pages
+     * @param {string} userId
+     * @param {string} title - Document title
+     * @returns {Promise<Object>} { id, pdfBlob, pageCount }
+     */
+    async saveDocument(userId, title = `Scan ${new Date().toLocaleString()}`) {
+        if (this.pages.length === 0) {
+            throw new Error('No pages scanned');
+        }
+
+        const pdfBlob = await this.buildPdf(title);
+        const pageCount = this.pages.length;
+        const id = await databaseManager.storeDocument({
+            userId,
+            title,
+            pdfBlob,
+            pageCount,
+            text: this.pages.map(page => page.text).filter(Boolean).join('\n\n')
+        });
+
+        console.log(`📄 Saved ${pageCount}-page scan as document ${id} (${Utils.formatBytes(pdfBlob.size)})`);
+        this.discardPages();
+        return { id, pdfBlob, pageCount };
+    }
+
+    /**
+     * Outline the detected page; the fill grows as the page holds still
+     * @param {number} now - Current time (ms)
+     */
+    drawOverlay(now) {
+        if (!this.overlay) return;
+
+        const ctx = this.overlay.getContext('2d');
+        const width = this.overlay.clientWidth;
+        const height = this.overlay.clientHeight;
+        if (this.overlay.width !== width || this.overlay.height !== height) {
+            this.overlay.width = width;
+            this.overlay.height = height;
+        }
+        ctx.clearRect(0, 0, width, height);
+
+        if (!this.currentQuad || !this.video.videoWidth) return;
+
+        // The overlay stretches the video over the camera view
+        const scaleX = width / this.video.videoWidth;
+        const scaleY = height / this.video.videoHeight;
+        const color = this.armed ? AppConstants.COLORS.PRIMARY : AppConstants.COLORS.WARNING;
+
+        ctx.beginPath();
+        this.currentQuad.forEach((corner, index) => {
+            const x = corner.x * scaleX;
+            const y = corner.y * scaleY;
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.closePath();
+
+        if (this.armed && this.autoCapture) {
+            ctx.globalAlpha = 0.35 * this.getStability(now);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+
+    /**
+     * Clear the page outline
+     */
+    clearOverlay() {
+        if (!this.overlay) return;
+        this.overlay.getContext('2d').clearRect(0, 0, this.overlay.width, this.overlay.height);
+    }
+}
+
+// Create global instance
+window.documentScannerManager = new DocumentScannerManager();
@@ -64,8 +64,10 @@ class FaceDetectionManager {
         console.log('👤 Loading face detection model...');
 
         try {
-            // Load BlazeFace model
-            this.model = await blazeface.load();
+            // Load BlazeFace model (bundled copy when verified, TF Hub without it)
+            this.model = await blazeface.load({
+                modelUrl: await OfflineAssets.getModelUrl('blazefaceModel')
+            });
             this.isModelLoaded = true;
             this.isLoading = false;
 
@@ -152,6 +154,24 @@ class FaceDetectionManager {
         }
     }
 
+    /**
+     * Detect faces in a still image regardless of the real-time toggle
+     * Loads the model on first use (used by privacy redaction)
+     * @param {HTMLImageElement|HTMLCanvasElement} imageElement
+     * @returns {Promise<Array>} Array of detected faces
+     */
+    async detectFacesInImage(imageElement) {
+        if (!this.isModelLoaded) {
+            const loaded = await this.initializeModel();
+            if (!loaded) {
+                throw new Error('Failed to load face detection model');
+            }
+        }
+
+        const predictions = await this.model.estimateFaces(imageElement, false);
+        return this.processFaces(predictions);
+    }
+
     /**
      * Process and filter detected faces
      */
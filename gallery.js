@@ -0,0 +1,206 @@
+/**
+ * Photo Gallery Manager for PoliCamera
+ * Pages through every photo stored in IndexedDB and filters them by date,
+ * detected objects, faces/poses, barcode/OCR text, upload status and distance from a point
+ */
+class PhotoGalleryManager {
+    constructor() {
+        this.userId = null;
+        this.filters = this.getDefaultFilters();
+        this.photoIds = [];
+        this.position = 0;
+        this.matchCount = 0;
+        this.queryId = 0;
+    }
+
+    /**
+     * Get filters that match every photo
+     * @returns {Object}
+     */
+    getDefaultFilters() {
+        return {
+            startDate: null,   // YYYY-MM-DD, inclusive
+            endDate: null,     // YYYY-MM-DD, inclusive
+            objectClass: null, // COCO-SSD class from aiAnalysis
+            hasDetections: false,
+            hasFaces: false,
+            hasPoses: false,
+            text: '',          // Substring of OCR text or barcode data
+            uploadStatus: null, // 'pending', 'failed' or 'uploaded'
+            near: null         // { latitude, longitude, radius } with radius in meters
+        };
+    }
+
+    /**
+     * Start a new query
+     * @param {string} userId
+     * @param {Object} filters - Partial filters (missing keys match everything)
+     * @returns {Promise<void>}
+     */
+    async query(userId, filters = {}) {
+        const queryId = ++this.queryId;
+        const photoIds = await databaseManager.getPhotoIdsForUser(userId);
+
+        // A newer query was started while the IDs were loading
+        if (queryId !== this.queryId) return;
+
+        this.userId = userId;
+        this.filters = { ...this.getDefaultFilters(), ...filters };
+        this.photoIds = photoIds;
+        this.position = 0;
+        this.matchCount = 0;
+    }
+
+    /**
+     * Load the next page of matching photos, newest first
+     * Reads records in batches until a page is filled or every photo was checked
+     * @param {number} pageSize - Maximum number of photos to return
+     * @returns {Promise<Array>} Decrypted photo records without full images
+     */
+    async loadNextPage(pageSize = AppConstants.GALLERY.PAGE_SIZE) {
+        const queryId = this.queryId;
+        const page = [];
+
+        while (page.length < pageSize && this.hasMore()) {
+            const ids = this.photoIds.slice(this.position, this.position + AppConstants.GALLERY.SCAN_BATCH_SIZE);
+            const records = await databaseManager.getPhotosById(ids, false);
+
+            // Results of a superseded query are dropped
+            if (queryId !== this.queryId) return [];
+
+            const recordsById = new Map(records.map(record => [record.id, record]));
+            for (const id of ids) {
+                this.position++;
+                const record = recordsById.get(id);
+                if (record && this.matchesFilters(record, this.filters)) {
+                    page.push(record);
+                    if (page.length === pageSize) break;
+                }
+            }
+        }
+
+        this.matchCount += page.length;
+        return page;
+    }
+
+    /**
+     * Check whether more photos remain to be checked
+     * @returns {boolean}
+     */
+    hasMore() {
+        return this.position < this.photoIds.length;
+    }
+
+    /**
+     * Check whether filters other than the defaults are set
+     * @returns {boolean}
+     */
+    hasActiveFilters() {
+        const f = this.filters;
+        return Boolean(f.startDate || f.endDate || f.objectClass || f.hasDetections || f.hasFaces || f.hasPoses ||
+            f.text || f.uploadStatus || f.near);
+    }
+
+    /**
+     * Check a photo record against filters
+     * @param {Object} record - Decrypted photo record
+     * @param {Object} filters - Gallery filters
+     * @returns {boolean}
+     */
+    matchesFilters(record, filters) {
+        if (!databaseManager.isWithinDateRange(record, filters.startDate, filters.endDate)) {
+            return false;
+        }
+
+        if (filters.objectClass && !this.getObjectClasses(record).includes(filters.objectClass)) {
+            return false;
+        }
+
+        if (filters.hasDetections && this.getObjectClasses(record).length === 0) {
+            return false;
+        }
+
+        if (filters.hasFaces && !this.hasFaces(record)) {
+            return false;
+        }
+
+        if (filters.hasPoses && !(record.poseData && record.poseData.poseCount > 0)) {
+            return false;
+        }
+
+        if (filters.text) {
+            const needle = filters.text.toLowerCase();
+            const haystack = [record.ocrText, record.barcodeData && record.barcodeData.text]
+                .filter(Boolean)
+                .join('\n')
+                .toLowerCase();
+            if (!haystack.includes(needle)) {
+                return false;
+            }
+        }
+
+        if (filters.uploadStatus && record.uploadStatus !== filters.uploadStatus) {
+            return false;
+        }
+
+        if (filters.near) {
+            const distance = this.getDistance(record, filters.near);
+            if (distance === null || distance > filters.near.radius) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the object classes detected in a photo
+     * @param {Object} record - Photo record
+     * @returns {Array<string>}
+     */
+    getObjectClasses(record) {
+        if (!record.aiAnalysis || !record.aiAnalysis.success) return [];
+        return record.aiAnalysis.detections.map(detection => detection.class);
+    }
+
+    /**
+     * Check whether faces were found in a photo
+     * Face detection may have been off at capture; redaction still finds faces
+     * @param {Object} record - Photo record
+     * @returns {boolean}
+     */
+    hasFaces(record) {
+        if (record.faceData && record.faceData.faceCount > 0) return true;
+        return Boolean(record.redaction && record.redaction.counts && record.redaction.counts.face > 0);
+    }
+
+    /**
+     * Distance from a photo to a point
+     * @param {Object} record - Photo record (coordinates stored as display strings)
+     * @param {Object} point - { latitude, longitude }
+     * @returns {number|null} Distance in meters, or null if the photo has no position
+     */
+    getDistance(record, point) {
+        const lat = parseFloat(record.lat);
+        const lon = parseFloat(record.lon);
+        if (isNaN(lat) || isNaN(lon)) return null;
+
+        return Utils.calculateDistance(point.latitude, point.longitude, lat, lon);
+    }
+
+    /**
+     * Collect the object classes in the loaded photos, for the class filter
+     * @param {Array<Object>} records - Photo records
+     * @returns {Array<string>} Sorted unique classes
+     */
+    collectObjectClasses(records) {
+        const classes = new Set();
+        records.forEach(record => {
+            this.getObjectClasses(record).forEach(name => classes.add(name));
+        });
+        return [...classes].sort();
+    }
+}
+
+// Create global instance
+window.photoGalleryManager = new PhotoGalleryManager();
@@ -0,0 +1,249 @@
+/**
+ * Inventory Session Manager for PoliCamera
+ * Counts scanned barcodes per unique code in a named session, with the time and
+ * GPS position of every scan, and keeps the session in IndexedDB as it grows
+ */
+class InventorySessionManager {
+    constructor() {
+        this.session = null; // Current session record (see DatabaseManager.storeInventorySession)
+        this.saveQueue = Promise.resolve(); // Saves run one after another so they land in order
+
+        // Callback set by the app
+        this.onChange = null; // (session) => void
+    }
+
+    /**
+     * Whether a session is being counted
+     * @returns {boolean}
+     */
+    get isActive() {
+        return this.session !== null;
+    }
+
+    /**
+     * Start a new session
+     * @param {string} userId
+     * @param {string} name - Session name (e.g. aisle or location)
+     * @returns {Promise<Object>} The session record
+     */
+    async start(userId, name) {
+        if (this.isActive) {
+            await this.stop();
+        }
+
+        this.session = await databaseManager.storeInventorySession({
+            userId,
+            name: name.trim() || `Inventory ${new Date().toLocaleString()}`
+        });
+
+        console.log(`📦 Inventory session "${this.session.name}" started`);
+        this.notifyChange();
+        return this.session;
+    }
+
+    /**
+     * Continue counting a stored session
+     * @param {number} id - Session record ID
+     * @returns {Promise<Object>} The session record
+     */
+    async resume(id) {
+        const session = await databaseManager.getRecord(databaseManager.stores.inventory, id);
+        if (!session) {
+            throw new Error(`Inventory session ${id} not found`);
+        }
+
+        if (this.isActive) {
+            await this.stop();
+        }
+
+        this.session = { ...session, endedAt: null };
+        this.save();
+
+        console.log(`📦 Inventory session "${session.name}" resumed`);
+        this.notifyChange();
+        return this.session;
+    }
+
+    /**
+     * Finish the current session
+     * @returns {Promise<Object|null>} The finished session record
+     */
+    async stop() {
+        if (!this.session) return null;
+
+        const session = this.session;
+        session.endedAt = new Date().toISOString();
+        this.session = null;
+
+        await this.save(session);
+        console.log(`📦 Inventory session "${session.name}" finished: ${this.getTotalQuantity(session)} items`);
+        this.notifyChange();
+        return session;
+    }
+
+    /**
+     * Count a scanned barcode
+     * @param {Object} result - BarcodeResult from BarcodeManager
+     * @param {Object|null} location - { latitude, longitude, accuracy } at the time of the scan
+     * @returns {Object|null} The updated item
+     */
+    recordScan(result, location = null) {
+        if (!this.session) return null;
+
+        const code = this.getCode(result);
+        const timestamp = new Date(result.timestamp || Date.now()).toISOString();
+
+        let item = this.findItem(code);
+        if (!item) {
+            const payload = result.payload;
+            item = {
+                code,
+                format: result.format,
+                type: payload ? payload.type : 'text',
+                description: payload && payload.type !== 'text' && payload.fields[0]
+                    ? `${payload.title}: ${payload.fields[0].value}`
+                    : '',
+                quantity: 0,
+                firstScan: timestamp
+            };
+            this.session.items.push(item);
+        }
+
+        item.quantity++;
+        item.lastScan = timestamp;
+        item.latitude = location ? location.latitude : null;
+        item.longitude = location ? location.longitude : null;
+        item.accuracy = location ? location.accuracy : null;
+
+        this.session.scans.push({
+            code,
+            delta: 1,
+            manual: false,
+            timestamp,
+            latitude: item.latitude,
+            longitude: item.longitude,
+            accuracy: item.accuracy
+        });
+
+        this.save();
+        this.notifyChange();
+        return item;
+    }
+
+    /**
+     * Change the quantity of a code by hand
+     * @param {string} code
+     * @param {number} delta - Amount to add (negative to subtract)
+     * @returns {Object|null} The updated item, or null if it was removed
+     */
+    adjustQuantity(code, delta) {
+        const item = this.findItem(code);
+        if (!item) return null;
+
+        return this.setQuantity(code, item.quantity + delta);
+    }
+
+    /**
+     * Set the quantity of a code by hand; codes set to 0 are removed
+     * @param {string} code
+     * @param {number} quantity
+     * @returns {Object|null} The updated item, or null if it was removed
+     */
+    setQuantity(code, quantity) {
+        const item = this.findItem(code);
+        if (!item || !Number.isFinite(quantity)) return null;
+
+        const newQuantity = Math.max(0, Math.round(quantity));
+        const delta = newQuantity - item.quantity;
+        if (delta !== 0) {
+            this.session.scans.push({
+                code,
+                delta,
+                manual: true,
+                timestamp: new Date().toISOString(),
+                latitude: null,
+                longitude: null,
+                accuracy: null
+            });
+        }
+
+        item.quantity = newQuantity;
+        if (newQuantity === 0) {
+            this.session.items = this.session.items.filter(other => other !== item);
+        }
+
+        this.save();
+        this.notifyChange();
+        return newQuantity > 0 ? item : null;
+    }
+
+    /**
+     * Items of the current session, most recently scanned first
+     * @returns {Array<Object>}
+     */
+    getItems() {
+        if (!this.session) return [];
+        return [...this.session.items].sort((a, b) => (b.lastScan || '').localeCompare(a.lastScan || ''));
+    }
+
+    /**
+     * Total count over all codes
+     * @param {Object} session - Defaults to the current session
+     * @returns {number}
+     */
+    getTotalQuantity(session = this.session) {
+        if (!session) return 0;
+        return session.items.reduce((total, item) => total + item.quantity, 0);
+    }
+
+    /**
+     * Key a scan is counted under: GS1 data in its human readable form
+     * (so FNC1 separators don't end up in exports), otherwise the decoded text
+     * @param {Object} result - BarcodeResult
+     * @returns {string}
+     */
+    getCode(result) {
+        const payload = result.payload;
+        if (payload && payload.type === 'gs1') {
+            return payload.elements.map(element => `(${element.ai})${element.raw}`).join('');
+        }
+        return result.text;
+    }
+
+    /**
+     * Find the item for a code in the current session
+     * @param {string} code
+     * @returns {Object|undefined}
+     */
+    findItem(code) {
+        return this.session ? this.session.items.find(item => item.code === code) : undefined;
+    }
+
+    /**
+     * Queue a save of the session
+     * @param {Object} session - Defaults to the current session
+     * @returns {Promise<void>}
+     */
+    save(session = this.session) {
+        if (!session) return this.saveQueue;
+
+        // Copy now so the queued write stores this state, not a later one
+        const record = { ...session, items: session.items.map(item => ({ ...item })), scans: [...session.scans] };
+        this.saveQueue = this.saveQueue
+            .then(() => databaseManager.putRecord(databaseManager.stores.inventory, record))
+            .catch(error => console.error('Failed to save inventory session:', error));
+        return this.saveQueue;
+    }
+
+    /**
+     * Notify the app that the session changed
+     */
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.session);
+        }
+    }
+}
+
+// Create global instance
+window.inventorySessionManager = new InventorySessionManager();
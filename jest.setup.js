@@ -18,6 +18,11 @@ global.crypto = {
   },
 };
 
+// jsdom does not expose the Encoding API
+const { TextEncoder, TextDecoder } = require('util');
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
 // Mock IndexedDB
 global.indexedDB = {
   open: jest.fn(),
@@ -0,0 +1,613 @@
+/**
+ * JPEG Metadata Writer for PoliCamera
+ * Embeds EXIF (GPS, heading, capture time, device) and XMP (detected objects) into JPEGs
+ * so exported photos carry their provenance into GIS and DAM tools
+ */
+
+export interface DetectionLabel {
+    class: string;
+    confidence: number; // Percentage (0-100)
+}
+
+export interface JpegMetadata {
+    timestamp: Date | string; // Capture time
+    latitude?: number | null;
+    longitude?: number | null;
+    altitude?: number | null; // Meters above sea level
+    accuracy?: number | null; // Horizontal accuracy in meters
+    heading?: number | null; // Compass heading in degrees (0-360)
+    software?: string; // e.g. "PoliCamera 2.1.0"
+    deviceModel?: string; // e.g. navigator.platform
+    userAgent?: string;
+    description?: string; // Short human-readable summary
+    detections?: DetectionLabel[];
+}
+
+// TIFF field types
+const BYTE = 1;
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+
+const TYPE_SIZES: Record<number, number> = {
+    [BYTE]: 1,
+    [ASCII]: 1,
+    [SHORT]: 2,
+    [LONG]: 4,
+    [RATIONAL]: 8,
+};
+
+// Tags
+const TAG = {
+    IMAGE_DESCRIPTION: 0x010e,
+    MODEL: 0x0110,
+    SOFTWARE: 0x0131,
+    DATE_TIME: 0x0132,
+    HOST_COMPUTER: 0x013c,
+    EXIF_IFD_POINTER: 0x8769,
+    GPS_IFD_POINTER: 0x8825,
+    DATE_TIME_ORIGINAL: 0x9003,
+    DATE_TIME_DIGITIZED: 0x9004,
+    OFFSET_TIME_ORIGINAL: 0x9011,
+    GPS_VERSION_ID: 0x0000,
+    GPS_LATITUDE_REF: 0x0001,
+    GPS_LATITUDE: 0x0002,
+    GPS_LONGITUDE_REF: 0x0003,
+    GPS_LONGITUDE: 0x0004,
+    GPS_ALTITUDE_REF: 0x0005,
+    GPS_ALTITUDE: 0x0006,
+    GPS_TIME_STAMP: 0x0007,
+    GPS_IMG_DIRECTION_REF: 0x0010,
+    GPS_IMG_DIRECTION: 0x0011,
+    GPS_DATE_STAMP: 0x001d,
+    GPS_H_POSITIONING_ERROR: 0x001f,
+} as const;
+
+interface IFDEntry {
+    tag: number;
+    type: number;
+    values: number[]; // Rationals are flattened numerator/denominator pairs
+}
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const XMP_NAMESPACE = 'https://github.com/inboxy/policamera/ns/1.0/';
+
+/**
+ * Maximum payload of a JPEG marker segment (65535 minus the 2 length bytes)
+ */
+const MAX_SEGMENT_PAYLOAD = 65533;
+
+/**
+ * JpegMetadataWriter - builds and inserts APP1 EXIF and XMP segments
+ */
+export class JpegMetadataWriter {
+    /**
+     * Embed metadata into a JPEG data URL
+     * @param dataUrl - data:image/jpeg;base64,... URL (e.g. from canvas.toDataURL)
+     * @param metadata - Metadata to embed
+     * @returns New data URL with EXIF and XMP segments
+     */
+    static embedInDataUrl(dataUrl: string, metadata: JpegMetadata): string {
+        const jpeg = JpegMetadataWriter.dataUrlToBytes(dataUrl);
+        const tagged = JpegMetadataWriter.writeMetadata(jpeg, metadata);
+        return JpegMetadataWriter.bytesToDataUrl(tagged);
+    }
+
+    /**
+     * Embed metadata into JPEG bytes
+     * Existing EXIF/XMP APP1 segments are replaced; everything else is kept
+     * @param jpeg - JPEG file bytes
+     * @param metadata - Metadata to embed
+     * @returns New JPEG file bytes
+     */
+    static writeMetadata(jpeg: Uint8Array, metadata: JpegMetadata): Uint8Array {
+        if (jpeg.length < 4 || jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+            throw new Error('Not a JPEG file');
+        }
+
+        const segments = [
+            JpegMetadataWriter.wrapSegment(JpegMetadataWriter.buildExifPayload(metadata)),
+            JpegMetadataWriter.wrapSegment(JpegMetadataWriter.buildXmpPayload(metadata)),
+        ];
+        const rest = JpegMetadataWriter.stripMetadataSegments(jpeg);
+
+        const totalLength = 2 + segments.reduce((sum, s) => sum + s.length, 0) + rest.length;
+        const output = new Uint8Array(totalLength);
+        output[0] = 0xff;
+        output[1] = 0xd8;
+
+        let offset = 2;
+        for (const segment of segments) {
+            output.set(segment, offset);
+            offset += segment.length;
+        }
+        output.set(rest, offset);
+
+        return output;
+    }
+
+    /**
+     * Build the APP1 EXIF payload ("Exif\0\0" + big-endian TIFF structure)
+     * @param metadata - Metadata to encode
+     * @returns Segment payload
+     */
+    static buildExifPayload(metadata: JpegMetadata): Uint8Array {
+        const date = new Date(metadata.timestamp);
+        const localDateTime = JpegMetadataWriter.formatExifDateTime(date);
+
+        const ifd0: IFDEntry[] = [];
+        if (metadata.description) {
+            ifd0.push(JpegMetadataWriter.ascii(TAG.IMAGE_DESCRIPTION, metadata.description));
+        }
+        if (metadata.deviceModel) {
+            ifd0.push(JpegMetadataWriter.ascii(TAG.MODEL, metadata.deviceModel));
+        }
+        if (metadata.software) {
+            ifd0.push(JpegMetadataWriter.ascii(TAG.SOFTWARE, metadata.software));
+        }
+        ifd0.push(JpegMetadataWriter.ascii(TAG.DATE_TIME, localDateTime));
+        if (metadata.userAgent) {
+            ifd0.push(JpegMetadataWriter.ascii(TAG.HOST_COMPUTER, metadata.userAgent));
+        }
+
+        const exifIfd: IFDEntry[] = [
+            JpegMetadataWriter.ascii(TAG.DATE_TIME_ORIGINAL, localDateTime),
+            JpegMetadataWriter.ascii(TAG.DATE_TIME_DIGITIZED, localDateTime),
+            JpegMetadataWriter.ascii(TAG.OFFSET_TIME_ORIGINAL, JpegMetadataWriter.formatUtcOffset(date)),
+        ];
+
+        const gpsIfd = JpegMetadataWriter.buildGpsEntries(metadata, date);
+
+        // Pointers are patched once the layout is known
+        ifd0.push({ tag: TAG.EXIF_IFD_POINTER, type: LONG, values: [0] });
+        if (gpsIfd.length > 0) {
+            ifd0.push({ tag: TAG.GPS_IFD_POINTER, type: LONG, values: [0] });
+        }
+
+        const ifds = [ifd0, exifIfd, ...(gpsIfd.length > 0 ? [gpsIfd] : [])];
+        ifds.forEach(ifd => ifd.sort((a, b) => a.tag - b.tag));
+
+        // Layout: TIFF header (8) then each IFD followed by its out-of-line data
+        const offsets: number[] = [];
+        let cursor = 8;
+        for (const ifd of ifds) {
+            offsets.push(cursor);
+            cursor += JpegMetadataWriter.ifdSize(ifd);
+        }
+
+        const exifPointer = ifd0.find(e => e.tag === TAG.EXIF_IFD_POINTER);
+        if (exifPointer) exifPointer.values = [offsets[1] ?? 0];
+        const gpsPointer = ifd0.find(e => e.tag === TAG.GPS_IFD_POINTER);
+        if (gpsPointer) gpsPointer.values = [offsets[2] ?? 0];
+
+        const header = JpegMetadataWriter.encodeAscii(EXIF_HEADER);
+        const tiff = new Uint8Array(cursor);
+        const view = new DataView(tiff.buffer);
+
+        // Big-endian TIFF header
+        tiff[0] = 0x4d;
+        tiff[1] = 0x4d;
+        view.setUint16(2, 42);
+        view.setUint32(4, 8);
+
+        ifds.forEach((ifd, index) => {
+            JpegMetadataWriter.writeIfd(view, ifd, offsets[index] ?? 0);
+        });
+
+        const payload = new Uint8Array(header.length + tiff.length);
+        payload.set(header, 0);
+        payload.set(tiff, header.length);
+
+        if (payload.length > MAX_SEGMENT_PAYLOAD) {
+            throw new Error('EXIF metadata too large');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Build the APP1 XMP payload (namespace header + XMP packet)
+     * @param metadata - Metadata to encode
+     * @returns Segment payload
+     */
+    static buildXmpPayload(metadata: JpegMetadata): Uint8Array {
+        const header = JpegMetadataWriter.encodeAscii(XMP_HEADER);
+        let detections = metadata.detections ?? [];
+
+        // Drop the least confident detections until the packet fits in one segment
+        let packet = JpegMetadataWriter.buildXmpPacket(metadata, detections);
+        while (header.length + packet.length > MAX_SEGMENT_PAYLOAD && detections.length > 0) {
+            detections = [...detections]
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(0, Math.floor(detections.length / 2));
+            packet = JpegMetadataWriter.buildXmpPacket(metadata, detections);
+        }
+
+        const payload = new Uint8Array(header.length + packet.length);
+        payload.set(header, 0);
+        payload.set(packet, header.length);
+        return payload;
+    }
+
+    /**
+     * Serialize the XMP packet as UTF-8
+     * @param metadata - Metadata to encode
+     * @param detections - Detections to include
+     * @returns UTF-8 bytes of the packet
+     */
+    private static buildXmpPacket(metadata: JpegMetadata, detections: DetectionLabel[]): Uint8Array {
+        const esc = JpegMetadataWriter.escapeXml;
+        const createDate = new Date(metadata.timestamp).toISOString();
+        const labels = Array.from(new Set(detections.map(d => d.class)));
+
+        const subject = labels.length > 0
+            ? `<dc:subject><rdf:Bag>${labels.map(l => `<rdf:li>${esc(l)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`
+            : '';
+        const description = metadata.description
+            ? `<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${esc(metadata.description)}</rdf:li></rdf:Alt></dc:description>`
+            : '';
+        const detectionList = detections.length > 0
+            ? `<policamera:detections><rdf:Seq>${detections
+                  .map(d => `<rdf:li rdf:parseType="Resource"><policamera:label>${esc(d.class)}</policamera:label><policamera:confidence>${d.confidence}</policamera:confidence></rdf:li>`)
+                  .join('')}</rdf:Seq></policamera:detections>`
+            : '';
+        const accuracy = JpegMetadataWriter.isFiniteNumber(metadata.accuracy)
+            ? `<policamera:horizontalAccuracy>${metadata.accuracy}</policamera:horizontalAccuracy>`
+            : '';
+        const device = metadata.userAgent
+            ? `<policamera:userAgent>${esc(metadata.userAgent)}</policamera:userAgent>`
+            : '';
+
+        const xml =
+            '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+            '<rdf:Description rdf:about=""' +
+            ' xmlns:dc="http://purl.org/dc/elements/1.1/"' +
+            ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"' +
+            ` xmlns:policamera="${XMP_NAMESPACE}">` +
+            `<xmp:CreateDate>${createDate}</xmp:CreateDate>` +
+            (metadata.software ? `<xmp:CreatorTool>${esc(metadata.software)}</xmp:CreatorTool>` : '') +
+            subject +
+            description +
+            detectionList +
+            accuracy +
+            device +
+            '</rdf:Description>' +
+            '</rdf:RDF>' +
+            '</x:xmpmeta>' +
+            '<?xpacket end="w"?>';
+
+        return new TextEncoder().encode(xml);
+    }
+
+    /**
+     * Build GPS IFD entries (empty when there is no position fix)
+     * @param metadata - Metadata with position
+     * @param date - Capture time
+     * @returns GPS IFD entries
+     */
+    private static buildGpsEntries(metadata: JpegMetadata, date: Date): IFDEntry[] {
+        const { latitude, longitude, altitude, accuracy, heading } = metadata;
+        if (!JpegMetadataWriter.isFiniteNumber(latitude) || !JpegMetadataWriter.isFiniteNumber(longitude)) {
+            return [];
+        }
+
+        const entries: IFDEntry[] = [
+            { tag: TAG.GPS_VERSION_ID, type: BYTE, values: [2, 3, 0, 0] },
+            JpegMetadataWriter.ascii(TAG.GPS_LATITUDE_REF, latitude >= 0 ? 'N' : 'S'),
+            { tag: TAG.GPS_LATITUDE, type: RATIONAL, values: JpegMetadataWriter.toDMSRationals(latitude) },
+            JpegMetadataWriter.ascii(TAG.GPS_LONGITUDE_REF, longitude >= 0 ? 'E' : 'W'),
+            { tag: TAG.GPS_LONGITUDE, type: RATIONAL, values: JpegMetadataWriter.toDMSRationals(longitude) },
+            {
+                tag: TAG.GPS_TIME_STAMP,
+                type: RATIONAL,
+                values: [date.getUTCHours(), 1, date.getUTCMinutes(), 1, date.getUTCSeconds(), 1],
+            },
+            JpegMetadataWriter.ascii(
+                TAG.GPS_DATE_STAMP,
+                `${date.getUTCFullYear()}:${JpegMetadataWriter.pad(date.getUTCMonth() + 1)}:${JpegMetadataWriter.pad(date.getUTCDate())}`
+            ),
+        ];
+
+        if (JpegMetadataWriter.isFiniteNumber(altitude)) {
+            entries.push({ tag: TAG.GPS_ALTITUDE_REF, type: BYTE, values: [altitude >= 0 ? 0 : 1] });
+            entries.push({ tag: TAG.GPS_ALTITUDE, type: RATIONAL, values: [Math.round(Math.abs(altitude) * 100), 100] });
+        }
+
+        if (JpegMetadataWriter.isFiniteNumber(heading)) {
+            const normalized = ((heading % 360) + 360) % 360;
+            entries.push(JpegMetadataWriter.ascii(TAG.GPS_IMG_DIRECTION_REF, 'M'));
+            entries.push({ tag: TAG.GPS_IMG_DIRECTION, type: RATIONAL, values: [Math.round(normalized * 100), 100] });
+        }
+
+        if (JpegMetadataWriter.isFiniteNumber(accuracy)) {
+            entries.push({
+                tag: TAG.GPS_H_POSITIONING_ERROR,
+                type: RATIONAL,
+                values: [Math.round(Math.abs(accuracy) * 100), 100],
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Convert decimal degrees to degrees/minutes/seconds rationals
+     * @param decimal - Decimal degrees (sign is ignored, use the Ref tag)
+     * @returns Flattened rationals [deg, 1, min, 1, sec*1000, 1000]
+     */
+    static toDMSRationals(decimal: number): number[] {
+        const abs = Math.abs(decimal);
+        let degrees = Math.floor(abs);
+        let minutes = Math.floor((abs - degrees) * 60);
+        let milliSeconds = Math.round(((abs - degrees) * 60 - minutes) * 60 * 1000);
+
+        // Carry rounding overflow
+        if (milliSeconds >= 60000) {
+            milliSeconds -= 60000;
+            minutes += 1;
+        }
+        if (minutes >= 60) {
+            minutes -= 60;
+            degrees += 1;
+        }
+
+        return [degrees, 1, minutes, 1, milliSeconds, 1000];
+    }
+
+    /**
+     * Size in bytes of an IFD including its out-of-line values
+     * @param entries - IFD entries
+     * @returns Byte size
+     */
+    private static ifdSize(entries: IFDEntry[]): number {
+        let size = 2 + entries.length * 12 + 4;
+        for (const entry of entries) {
+            const dataSize = JpegMetadataWriter.entryDataSize(entry);
+            if (dataSize > 4) {
+                size += dataSize + (dataSize % 2);
+            }
+        }
+        return size;
+    }
+
+    /**
+     * Write an IFD and its out-of-line values at the given offset
+     * @param view - DataView over the TIFF buffer
+     * @param entries - Sorted IFD entries
+     * @param offset - Offset of the IFD from the TIFF header
+     */
+    private static writeIfd(view: DataView, entries: IFDEntry[], offset: number): void {
+        view.setUint16(offset, entries.length);
+        let dataOffset = offset + 2 + entries.length * 12 + 4;
+
+        entries.forEach((entry, index) => {
+            const entryOffset = offset + 2 + index * 12;
+            const count = entry.type === RATIONAL ? entry.values.length / 2 : entry.values.length;
+            const dataSize = JpegMetadataWriter.entryDataSize(entry);
+
+            view.setUint16(entryOffset, entry.tag);
+            view.setUint16(entryOffset + 2, entry.type);
+            view.setUint32(entryOffset + 4, count);
+
+            let valueOffset = entryOffset + 8;
+            if (dataSize > 4) {
+                view.setUint32(entryOffset + 8, dataOffset);
+                valueOffset = dataOffset;
+                dataOffset += dataSize + (dataSize % 2);
+            }
+
+            JpegMetadataWriter.writeValues(view, entry, valueOffset);
+        });
+
+        // No next IFD (IFD1 thumbnails are not written)
+        view.setUint32(offset + 2 + entries.length * 12, 0);
+    }
+
+    /**
+     * Write entry values at an offset
+     * @param view - DataView over the TIFF buffer
+     * @param entry - IFD entry
+     * @param offset - Where to write
+     */
+    private static writeValues(view: DataView, entry: IFDEntry, offset: number): void {
+        const size = TYPE_SIZES[entry.type] ?? 1;
+        entry.values.forEach((value, index) => {
+            const position = offset + index * (entry.type === RATIONAL ? 4 : size);
+            switch (entry.type) {
+                case SHORT:
+                    view.setUint16(position, value);
+                    break;
+                case LONG:
+                case RATIONAL:
+                    view.setUint32(position, value);
+                    break;
+                default:
+                    view.setUint8(position, value);
+            }
+        });
+    }
+
+    /**
+     * Byte size of an entry's values
+     * @param entry - IFD entry
+     * @returns Byte size
+     */
+    private static entryDataSize(entry: IFDEntry): number {
+        const size = TYPE_SIZES[entry.type] ?? 1;
+        return entry.type === RATIONAL ? (entry.values.length / 2) * size : entry.values.length * size;
+    }
+
+    /**
+     * Create an ASCII entry (non-ASCII characters are replaced with "?")
+     * @param tag - Tag number
+     * @param text - Value
+     * @returns IFD entry
+     */
+    private static ascii(tag: number, text: string): IFDEntry {
+        const values = Array.from(JpegMetadataWriter.encodeAscii(text));
+        values.push(0);
+        return { tag, type: ASCII, values };
+    }
+
+    /**
+     * Encode a string as 7-bit ASCII bytes
+     * @param text - String to encode
+     * @returns Bytes
+     */
+    private static encodeAscii(text: string): Uint8Array {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[i] = code < 128 ? code : 0x3f;
+        }
+        return bytes;
+    }
+
+    /**
+     * Prefix a payload with the APP1 marker and length
+     * @param payload - Segment payload
+     * @returns Complete segment
+     */
+    private static wrapSegment(payload: Uint8Array): Uint8Array {
+        const segment = new Uint8Array(payload.length + 4);
+        segment[0] = 0xff;
+        segment[1] = 0xe1;
+        segment[2] = ((payload.length + 2) >> 8) & 0xff;
+        segment[3] = (payload.length + 2) & 0xff;
+        segment.set(payload, 4);
+        return segment;
+    }
+
+    /**
+     * Remove existing EXIF and XMP APP1 segments
+     * @param jpeg - JPEG file bytes
+     * @returns Bytes after SOI with metadata segments removed
+     */
+    private static stripMetadataSegments(jpeg: Uint8Array): Uint8Array {
+        const kept: Uint8Array[] = [];
+        let offset = 2;
+
+        // Walk marker segments until start of scan; image data is copied verbatim
+        while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff) {
+            const marker = jpeg[offset + 1] ?? 0;
+            if (marker === 0xda) break;
+
+            const length = ((jpeg[offset + 2] ?? 0) << 8) | (jpeg[offset + 3] ?? 0);
+            const end = offset + 2 + length;
+            const segment = jpeg.subarray(offset, end);
+
+            const isMetadata =
+                marker === 0xe1 &&
+                (JpegMetadataWriter.startsWith(jpeg, offset + 4, EXIF_HEADER) ||
+                    JpegMetadataWriter.startsWith(jpeg, offset + 4, XMP_HEADER));
+            if (!isMetadata) {
+                kept.push(segment);
+            }
+            offset = end;
+        }
+        kept.push(jpeg.subarray(offset));
+
+        const result = new Uint8Array(kept.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        for (const part of kept) {
+            result.set(part, position);
+            position += part.length;
+        }
+        return result;
+    }
+
+    /**
+     * Check whether bytes at an offset match an ASCII string
+     * @param bytes - Buffer
+     * @param offset - Start offset
+     * @param text - Expected text
+     * @returns True if matching
+     */
+    private static startsWith(bytes: Uint8Array, offset: number, text: string): boolean {
+        for (let i = 0; i < text.length; i++) {
+            if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Format a date as local "YYYY:MM:DD HH:MM:SS"
+     * @param date - Date
+     * @returns EXIF date/time string
+     */
+    static formatExifDateTime(date: Date): string {
+        const pad = JpegMetadataWriter.pad;
+        return (
+            `${date.getFullYear()}:${pad(date.getMonth() + 1)}:${pad(date.getDate())} ` +
+            `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+        );
+    }
+
+    /**
+     * Format the local UTC offset as "+HH:MM"
+     * @param date - Date
+     * @returns Offset string
+     */
+    static formatUtcOffset(date: Date): string {
+        const offsetMinutes = -date.getTimezoneOffset();
+        const sign = offsetMinutes >= 0 ? '+' : '-';
+        const abs = Math.abs(offsetMinutes);
+        return `${sign}${JpegMetadataWriter.pad(Math.floor(abs / 60))}:${JpegMetadataWriter.pad(abs % 60)}`;
+    }
+
+    /**
+     * Decode a base64 data URL
+     * @param dataUrl - Data URL
+     * @returns Bytes
+     */
+    static dataUrlToBytes(dataUrl: string): Uint8Array {
+        const base64 = dataUrl.substring(dataUrl.indexOf(',') + 1);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Encode JPEG bytes as a data URL
+     * @param bytes - JPEG bytes
+     * @returns data:image/jpeg;base64,... URL
+     */
+    static bytesToDataUrl(bytes: Uint8Array): string {
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+        return `data:image/jpeg;base64,${btoa(binary)}`;
+    }
+
+    private static pad(value: number): string {
+        return value.toString().padStart(2, '0');
+    }
+
+    private static isFiniteNumber(value: number | null | undefined): value is number {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+
+    private static escapeXml(text: string): string {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+export default JpegMetadataWriter;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).JpegMetadataWriter = JpegMetadataWriter;
+}
@@ -0,0 +1,750 @@
+/**
+ * Map View for PoliCamera
+ * Canvas slippy map that plots the GPS track and photo markers over raster tiles
+ * from a URL template (cached by the service worker for offline use) or an MBTiles file
+ */
+
+declare const initSqlJs: ((config?: { locateFile?: (file: string) => string }) => Promise<SqlJsStatic>) | undefined;
+
+export interface LatLon {
+    lat: number;
+    lon: number;
+}
+
+export interface MapMarker extends LatLon {
+    id: number;
+    label?: string;
+}
+
+/**
+ * Photo waypoint from DatabaseManager.getTrackData()
+ */
+export interface TrackWaypoint extends LatLon {
+    photoId: number;
+    name: string;
+}
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+export interface TileCoord {
+    z: number;
+    x: number;
+    y: number;
+    left: number; // Canvas position of the tile's top-left corner (CSS pixels)
+    top: number;
+}
+
+export interface TileSource {
+    readonly name: string;
+    readonly minZoom: number;
+    readonly maxZoom: number;
+    readonly attribution: string;
+    getTile(z: number, x: number, y: number): Promise<Blob | null>;
+}
+
+export interface MapViewOptions {
+    minZoom?: number;
+    maxZoom?: number;
+    defaultZoom?: number;
+    trackColor?: string;
+    markerColor?: string;
+    maxCachedTiles?: number;
+}
+
+/**
+ * Subset of the sql.js Database API used to read MBTiles
+ */
+export interface SqlDatabase {
+    exec(sql: string, params?: unknown[]): Array<{ columns: string[]; values: unknown[][] }>;
+    close(): void;
+}
+
+interface SqlJsStatic {
+    Database: new (data: Uint8Array) => SqlDatabase;
+}
+
+export const TILE_SIZE = 256;
+
+// Web Mercator cannot represent the poles
+const MAX_LATITUDE = 85.05112878;
+
+/**
+ * Web Mercator tile math
+ */
+export class TileMath {
+    /**
+     * Project a position to world pixel coordinates at a zoom level
+     */
+    static project(lat: number, lon: number, zoom: number): Point {
+        const worldSize = TILE_SIZE * Math.pow(2, zoom);
+        const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+        const sinLat = Math.sin((clampedLat * Math.PI) / 180);
+
+        return {
+            x: ((lon + 180) / 360) * worldSize,
+            y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize,
+        };
+    }
+
+    /**
+     * Convert world pixel coordinates back to a position
+     */
+    static unproject(x: number, y: number, zoom: number): LatLon {
+        const worldSize = TILE_SIZE * Math.pow(2, zoom);
+        const n = Math.PI - (2 * Math.PI * y) / worldSize;
+
+        return {
+            lat: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+            lon: (x / worldSize) * 360 - 180,
+        };
+    }
+
+    /**
+     * Find the center and highest zoom that shows every point
+     * @param points - Positions to fit
+     * @param width - Viewport width in pixels
+     * @param height - Viewport height in pixels
+     * @param padding - Margin kept free around the points in pixels
+     */
+    static fitBounds(
+        points: LatLon[],
+        width: number,
+        height: number,
+        minZoom: number,
+        maxZoom: number,
+        padding = 32
+    ): { center: LatLon; zoom: number } | null {
+        if (points.length === 0) return null;
+
+        const lats = points.map(p => p.lat);
+        const lons = points.map(p => p.lon);
+        const north = Math.max(...lats);
+        const south = Math.min(...lats);
+        const east = Math.max(...lons);
+        const west = Math.min(...lons);
+
+        const availableWidth = Math.max(1, width - padding * 2);
+        const availableHeight = Math.max(1, height - padding * 2);
+
+        let zoom = maxZoom;
+        for (; zoom > minZoom; zoom--) {
+            const topLeft = TileMath.project(north, west, zoom);
+            const bottomRight = TileMath.project(south, east, zoom);
+            if (bottomRight.x - topLeft.x <= availableWidth && bottomRight.y - topLeft.y <= availableHeight) {
+                break;
+            }
+        }
+
+        const topLeft = TileMath.project(north, west, zoom);
+        const bottomRight = TileMath.project(south, east, zoom);
+        const center = TileMath.unproject((topLeft.x + bottomRight.x) / 2, (topLeft.y + bottomRight.y) / 2, zoom);
+
+        return { center, zoom };
+    }
+}
+
+/**
+ * Tiles fetched from a `{z}/{x}/{y}` URL template
+ * The service worker caches every tile it serves, so areas viewed online stay available offline
+ */
+export class UrlTileSource implements TileSource {
+    readonly name: string;
+    readonly minZoom: number;
+    readonly maxZoom: number;
+    readonly attribution: string;
+    private readonly template: string;
+
+    constructor(template: string, attribution = '', minZoom = 0, maxZoom = 19) {
+        this.template = template;
+        this.attribution = attribution;
+        this.minZoom = minZoom;
+        this.maxZoom = maxZoom;
+        this.name = new URL(template.replace(/[{}]/g, ''), 'http://localhost').hostname;
+    }
+
+    /**
+     * Build the URL of a tile
+     */
+    getTileUrl(z: number, x: number, y: number): string {
+        return this.template.replace('{z}', String(z)).replace('{x}', String(x)).replace('{y}', String(y));
+    }
+
+    async getTile(z: number, x: number, y: number): Promise<Blob | null> {
+        try {
+            const response = await fetch(this.getTileUrl(z, x, y));
+            if (!response.ok) return null;
+            return await response.blob();
+        } catch {
+            // Offline and not cached
+            return null;
+        }
+    }
+}
+
+/**
+ * Tiles read from an MBTiles (SQLite) package with sql.js
+ * Only raster tiles (PNG, JPEG, WebP) are supported
+ */
+export class MBTilesSource implements TileSource {
+    readonly name: string;
+    readonly minZoom: number;
+    readonly maxZoom: number;
+    readonly attribution: string;
+    readonly bounds: [number, number, number, number] | null; // west, south, east, north
+    private readonly db: SqlDatabase;
+    private readonly mimeType: string;
+
+    constructor(db: SqlDatabase) {
+        this.db = db;
+        const metadata = MBTilesSource.readMetadata(db);
+
+        const format = (metadata.format || 'png').toLowerCase();
+        const mimeTypes: Record<string, string> = {
+            png: 'image/png',
+            jpg: 'image/jpeg',
+            jpeg: 'image/jpeg',
+            webp: 'image/webp',
+        };
+        const mimeType = mimeTypes[format];
+        if (!mimeType) {
+            throw new Error(`Unsupported MBTiles tile format: ${format}`);
+        }
+        this.mimeType = mimeType;
+
+        this.name = metadata.name || 'MBTiles';
+        this.attribution = metadata.attribution || '';
+
+        const zoomRange = this.readZoomRange();
+        this.minZoom = metadata.minzoom !== undefined ? parseInt(metadata.minzoom, 10) : zoomRange.min;
+        this.maxZoom = metadata.maxzoom !== undefined ? parseInt(metadata.maxzoom, 10) : zoomRange.max;
+
+        const bounds = (metadata.bounds || '').split(',').map(Number);
+        this.bounds = bounds.length === 4 && bounds.every(Number.isFinite)
+            ? (bounds as [number, number, number, number])
+            : null;
+    }
+
+    /**
+     * Open an .mbtiles file
+     * @param file - MBTiles file chosen by the user
+     * @param sqlJsUrl - Base URL of the sql.js distribution (for the WebAssembly binary)
+     */
+    static async fromFile(file: Blob, sqlJsUrl: string): Promise<MBTilesSource> {
+        if (typeof initSqlJs === 'undefined') {
+            throw new Error('sql.js is not loaded');
+        }
+
+        const SQL = await initSqlJs({ locateFile: (name: string) => sqlJsUrl + name });
+        const data = new Uint8Array(await file.arrayBuffer());
+        return new MBTilesSource(new SQL.Database(data));
+    }
+
+    /**
+     * Read the MBTiles metadata table into an object
+     */
+    static readMetadata(db: SqlDatabase): Record<string, string> {
+        const metadata: Record<string, string> = {};
+        const result = db.exec('SELECT name, value FROM metadata');
+        for (const [name, value] of result[0]?.values ?? []) {
+            metadata[String(name)] = String(value);
+        }
+        return metadata;
+    }
+
+    private readZoomRange(): { min: number; max: number } {
+        const row = this.db.exec('SELECT MIN(zoom_level), MAX(zoom_level) FROM tiles')[0]?.values[0];
+        return {
+            min: row && row[0] !== null ? Number(row[0]) : 0,
+            max: row && row[1] !== null ? Number(row[1]) : 0,
+        };
+    }
+
+    async getTile(z: number, x: number, y: number): Promise<Blob | null> {
+        // MBTiles rows use the TMS scheme, counted from the bottom
+        const tmsY = Math.pow(2, z) - 1 - y;
+        const result = this.db.exec(
+            'SELECT tile_data FROM tiles WHERE zoom_level = ? AND tile_column = ? AND tile_row = ?',
+            [z, x, tmsY]
+        );
+
+        const data = result[0]?.values[0]?.[0];
+        if (!(data instanceof Uint8Array)) return null;
+        return new Blob([data.slice().buffer], { type: this.mimeType });
+    }
+
+    /**
+     * Release the SQLite database
+     */
+    close(): void {
+        this.db.close();
+    }
+}
+
+type CachedTile = ImageBitmap | 'loading' | 'missing';
+
+/**
+ * Canvas map with pan, zoom, a track polyline and clickable photo markers
+ */
+export class MapView {
+    private readonly canvas: HTMLCanvasElement;
+    private readonly ctx: CanvasRenderingContext2D | null;
+    private source: TileSource;
+    private readonly options: Required<MapViewOptions>;
+
+    private center: LatLon = { lat: 0, lon: 0 };
+    private zoom: number;
+    private track: LatLon[] = [];
+    private markers: MapMarker[] = [];
+
+    private tiles = new Map<string, CachedTile>();
+    private renderScheduled = false;
+    private dragStart: Point | null = null;
+    private dragMoved = false;
+    private readonly listeners: Array<[string, EventListener]> = [];
+
+    /**
+     * Called when a photo marker is clicked
+     */
+    onMarkerClick: ((marker: MapMarker) => void) | null = null;
+
+    constructor(canvas: HTMLCanvasElement, source: TileSource, options: MapViewOptions = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.source = source;
+        this.options = {
+            minZoom: 2,
+            maxZoom: 19,
+            defaultZoom: 15,
+            trackColor: '#B4F222',
+            markerColor: '#FF5722',
+            maxCachedTiles: 256,
+            ...options,
+        };
+        this.zoom = this.options.defaultZoom;
+
+        this.attachListeners();
+    }
+
+    /**
+     * Switch tile source (e.g. to a loaded MBTiles package)
+     */
+    setSource(source: TileSource): void {
+        this.source = source;
+        this.clearTileCache();
+        this.setView(this.center, this.zoom);
+    }
+
+    getSource(): TileSource {
+        return this.source;
+    }
+
+    setTrack(points: LatLon[]): void {
+        this.track = points;
+        this.scheduleRender();
+    }
+
+    setMarkers(markers: MapMarker[]): void {
+        this.markers = markers;
+        this.scheduleRender();
+    }
+
+    /**
+     * Photo markers for the waypoints of a track, labelled with the image name
+     */
+    static markersFromWaypoints(waypoints: TrackWaypoint[]): MapMarker[] {
+        return waypoints.map(waypoint => ({
+            id: waypoint.photoId,
+            lat: waypoint.lat,
+            lon: waypoint.lon,
+            label: waypoint.name,
+        }));
+    }
+
+    /**
+     * Center the map on a position
+     */
+    setView(center: LatLon, zoom: number = this.zoom): void {
+        this.center = center;
+        this.zoom = this.clampZoom(zoom);
+        this.scheduleRender();
+    }
+
+    getView(): { center: LatLon; zoom: number } {
+        return { center: { ...this.center }, zoom: this.zoom };
+    }
+
+    /**
+     * Zoom and center so the whole track and every marker are visible
+     * @returns False if there is nothing to show
+     */
+    fitToData(): boolean {
+        const { width, height } = this.getViewportSize();
+        const fit = TileMath.fitBounds([...this.track, ...this.markers], width, height, this.getMinZoom(), this.getMaxZoom());
+        if (!fit) return false;
+
+        this.setView(fit.center, fit.zoom);
+        return true;
+    }
+
+    /**
+     * Zoom in or out, keeping the position under an anchor point fixed
+     * @param delta - Zoom levels to add
+     * @param anchor - Canvas point (CSS pixels); defaults to the center
+     */
+    zoomBy(delta: number, anchor?: Point): void {
+        const newZoom = this.clampZoom(this.zoom + delta);
+        if (newZoom === this.zoom) return;
+
+        if (anchor) {
+            const anchorLatLon = this.canvasToLatLon(anchor);
+            const { width, height } = this.getViewportSize();
+            const anchorWorld = TileMath.project(anchorLatLon.lat, anchorLatLon.lon, newZoom);
+            this.center = TileMath.unproject(
+                anchorWorld.x - (anchor.x - width / 2),
+                anchorWorld.y - (anchor.y - height / 2),
+                newZoom
+            );
+        }
+
+        this.zoom = newZoom;
+        this.scheduleRender();
+    }
+
+    /**
+     * Move the map by a number of pixels
+     */
+    panBy(dx: number, dy: number): void {
+        const centerWorld = TileMath.project(this.center.lat, this.center.lon, this.zoom);
+        this.center = TileMath.unproject(centerWorld.x - dx, centerWorld.y - dy, this.zoom);
+        this.scheduleRender();
+    }
+
+    /**
+     * Convert a position to a canvas point (CSS pixels)
+     */
+    latLonToCanvas(position: LatLon): Point {
+        const { width, height } = this.getViewportSize();
+        const world = TileMath.project(position.lat, position.lon, this.zoom);
+        const centerWorld = TileMath.project(this.center.lat, this.center.lon, this.zoom);
+        return {
+            x: world.x - centerWorld.x + width / 2,
+            y: world.y - centerWorld.y + height / 2,
+        };
+    }
+
+    /**
+     * Convert a canvas point (CSS pixels) to a position
+     */
+    canvasToLatLon(point: Point): LatLon {
+        const { width, height } = this.getViewportSize();
+        const centerWorld = TileMath.project(this.center.lat, this.center.lon, this.zoom);
+        return TileMath.unproject(centerWorld.x + point.x - width / 2, centerWorld.y + point.y - height / 2, this.zoom);
+    }
+
+    /**
+     * Find the marker under a canvas point
+     * @param hitRadius - Tolerance in CSS pixels
+     */
+    markerAt(point: Point, hitRadius = 12): MapMarker | null {
+        let closest: MapMarker | null = null;
+        let closestDistance = hitRadius;
+
+        for (const marker of this.markers) {
+            const position = this.latLonToCanvas(marker);
+            const distance = Math.hypot(position.x - point.x, position.y - point.y);
+            if (distance <= closestDistance) {
+                closest = marker;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * List the tiles covering the viewport
+     * Columns wrap around the antimeridian; rows outside the world are skipped
+     */
+    getVisibleTiles(): TileCoord[] {
+        const { width, height } = this.getViewportSize();
+        const zoom = this.getTileZoom();
+        const scale = Math.pow(2, this.zoom - zoom);
+        const tileSize = TILE_SIZE * scale;
+        const tileCount = Math.pow(2, zoom);
+
+        const centerWorld = TileMath.project(this.center.lat, this.center.lon, this.zoom);
+        const left = centerWorld.x - width / 2;
+        const top = centerWorld.y - height / 2;
+
+        const tiles: TileCoord[] = [];
+        for (let ty = Math.floor(top / tileSize); ty * tileSize < top + height; ty++) {
+            if (ty < 0 || ty >= tileCount) continue;
+            for (let tx = Math.floor(left / tileSize); tx * tileSize < left + width; tx++) {
+                tiles.push({
+                    z: zoom,
+                    x: ((tx % tileCount) + tileCount) % tileCount,
+                    y: ty,
+                    left: tx * tileSize - left,
+                    top: ty * tileSize - top,
+                });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Resize the canvas backing store to its displayed size
+     */
+    resize(): void {
+        const rect = this.canvas.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+        if (rect.width > 0 && rect.height > 0) {
+            this.canvas.width = Math.round(rect.width * dpr);
+            this.canvas.height = Math.round(rect.height * dpr);
+        }
+        this.scheduleRender();
+    }
+
+    /**
+     * Draw the map
+     */
+    render(): void {
+        this.renderScheduled = false;
+        const ctx = this.ctx;
+        if (!ctx) return;
+
+        const { width, height } = this.getViewportSize();
+        const dpr = this.canvas.width / Math.max(1, width);
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.fillStyle = '#1f201f';
+        ctx.fillRect(0, 0, width, height);
+
+        this.drawTiles(ctx);
+        this.drawTrack(ctx);
+        this.drawMarkers(ctx);
+        this.drawAttribution(ctx, width, height);
+    }
+
+    /**
+     * Remove listeners and release cached tiles
+     */
+    destroy(): void {
+        this.listeners.forEach(([event, handler]) => this.canvas.removeEventListener(event, handler));
+        this.listeners.length = 0;
+        this.clearTileCache();
+        this.onMarkerClick = null;
+    }
+
+    private drawTiles(ctx: CanvasRenderingContext2D): void {
+        const scale = Math.pow(2, this.zoom - this.getTileZoom());
+        const size = TILE_SIZE * scale;
+
+        for (const tile of this.getVisibleTiles()) {
+            const image = this.getTileImage(tile.z, tile.x, tile.y);
+            if (image) {
+                ctx.drawImage(image, tile.left, tile.top, size, size);
+            } else {
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+                ctx.strokeRect(tile.left, tile.top, size, size);
+            }
+        }
+    }
+
+    private drawTrack(ctx: CanvasRenderingContext2D): void {
+        if (this.track.length < 2) return;
+
+        ctx.beginPath();
+        this.track.forEach((point, i) => {
+            const { x, y } = this.latLonToCanvas(point);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.strokeStyle = this.options.trackColor;
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+    }
+
+    private drawMarkers(ctx: CanvasRenderingContext2D): void {
+        for (const marker of this.markers) {
+            const { x, y } = this.latLonToCanvas(marker);
+            ctx.beginPath();
+            ctx.arc(x, y, 7, 0, Math.PI * 2);
+            ctx.fillStyle = this.options.markerColor;
+            ctx.fill();
+            ctx.lineWidth = 2;
+            ctx.strokeStyle = '#ffffff';
+            ctx.stroke();
+        }
+    }
+
+    private drawAttribution(ctx: CanvasRenderingContext2D, width: number, height: number): void {
+        const text = this.source.attribution;
+        if (!text) return;
+
+        ctx.font = '10px Roboto, sans-serif';
+        const textWidth = ctx.measureText(text).width;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.fillRect(width - textWidth - 8, height - 16, textWidth + 8, 16);
+        ctx.fillStyle = '#000000';
+        ctx.fillText(text, width - textWidth - 4, height - 4);
+    }
+
+    /**
+     * Get a tile image, starting a load if it isn't cached
+     */
+    private getTileImage(z: number, x: number, y: number): CanvasImageSource | null {
+        const key = `${this.source.name}/${z}/${x}/${y}`;
+        const cached = this.tiles.get(key);
+
+        if (cached === undefined) {
+            this.loadTile(key, z, x, y);
+            return null;
+        }
+        if (cached === 'loading' || cached === 'missing') {
+            return null;
+        }
+
+        // Refresh LRU position
+        this.tiles.delete(key);
+        this.tiles.set(key, cached);
+        return cached;
+    }
+
+    private async loadTile(key: string, z: number, x: number, y: number): Promise<void> {
+        this.tiles.set(key, 'loading');
+        const source = this.source;
+
+        let entry: CachedTile = 'missing';
+        try {
+            const blob = await source.getTile(z, x, y);
+            if (blob) {
+                entry = await createImageBitmap(blob);
+            }
+        } catch (error) {
+            console.warn(`Failed to load map tile ${key}:`, error);
+        }
+
+        // The source changed or the cache was cleared while loading
+        if (source !== this.source || this.tiles.get(key) !== 'loading') {
+            if (entry instanceof ImageBitmap) entry.close();
+            return;
+        }
+
+        this.tiles.set(key, entry);
+        this.evictTiles();
+        this.scheduleRender();
+    }
+
+    private evictTiles(): void {
+        for (const [key, tile] of this.tiles) {
+            if (this.tiles.size <= this.options.maxCachedTiles) break;
+            if (tile === 'loading') continue;
+            if (tile !== 'missing') tile.close();
+            this.tiles.delete(key);
+        }
+    }
+
+    private clearTileCache(): void {
+        this.tiles.forEach(tile => {
+            if (tile !== 'loading' && tile !== 'missing') tile.close();
+        });
+        this.tiles.clear();
+    }
+
+    private scheduleRender(): void {
+        if (this.renderScheduled || !this.ctx) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => this.render());
+    }
+
+    private attachListeners(): void {
+        const on = (event: string, handler: (e: any) => void) => {
+            this.canvas.addEventListener(event, handler);
+            this.listeners.push([event, handler]);
+        };
+
+        on('pointerdown', (e: PointerEvent) => {
+            this.dragStart = { x: e.clientX, y: e.clientY };
+            this.dragMoved = false;
+            this.canvas.setPointerCapture?.(e.pointerId);
+        });
+
+        on('pointermove', (e: PointerEvent) => {
+            if (!this.dragStart) return;
+            const dx = e.clientX - this.dragStart.x;
+            const dy = e.clientY - this.dragStart.y;
+            if (!this.dragMoved && Math.hypot(dx, dy) < 5) return;
+
+            this.dragMoved = true;
+            this.panBy(dx, dy);
+            this.dragStart = { x: e.clientX, y: e.clientY };
+        });
+
+        on('pointerup', (e: PointerEvent) => {
+            const wasClick = this.dragStart && !this.dragMoved;
+            this.dragStart = null;
+            if (!wasClick || !this.onMarkerClick) return;
+
+            const marker = this.markerAt(this.eventToCanvas(e));
+            if (marker) this.onMarkerClick(marker);
+        });
+
+        on('pointercancel', () => {
+            this.dragStart = null;
+        });
+
+        on('wheel', (e: WheelEvent) => {
+            e.preventDefault();
+            this.zoomBy(e.deltaY < 0 ? 1 : -1, this.eventToCanvas(e));
+        });
+    }
+
+    private eventToCanvas(e: MouseEvent): Point {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * Viewport size in CSS pixels
+     */
+    private getViewportSize(): { width: number; height: number } {
+        const rect = this.canvas.getBoundingClientRect();
+        if (rect.width > 0 && rect.height > 0) {
+            return { width: rect.width, height: rect.height };
+        }
+        return { width: this.canvas.width, height: this.canvas.height };
+    }
+
+    /**
+     * Zoom level of the tiles to draw; past the source's max zoom its tiles are scaled up
+     */
+    private getTileZoom(): number {
+        return Math.max(this.source.minZoom, Math.min(this.source.maxZoom, this.zoom));
+    }
+
+    private getMinZoom(): number {
+        return Math.max(this.options.minZoom, this.source.minZoom);
+    }
+
+    private getMaxZoom(): number {
+        // Allow two levels of overzoom past the source's detail
+        return Math.min(this.options.maxZoom, this.source.maxZoom + 2);
+    }
+
+    private clampZoom(zoom: number): number {
+        return Math.max(this.getMinZoom(), Math.min(this.getMaxZoom(), Math.round(zoom)));
+    }
+}
+
+export default MapView;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).MapView = MapView;
+    (window as any).UrlTileSource = UrlTileSource;
+    (window as any).MBTilesSource = MBTilesSource;
+    (window as any).TileMath = TileMath;
+}
@@ -0,0 +1,564 @@
+/**
+ * Measurement Manager for PoliCamera
+ * Estimates the distance to a tapped point and the size of detected objects from
+ * camera intrinsics, reference objects of known size and the relative depth map
+ */
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+export interface BoundingBox {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/**
+ * Detection as returned by AIRecognitionManager (video pixels)
+ */
+export interface MeasurableDetection {
+    class: string;
+    bbox: BoundingBox;
+    trackId?: number;
+}
+
+/**
+ * Depth map values, row-major; larger values are nearer (relative inverse depth)
+ */
+export interface DepthSample {
+    values: ArrayLike<number>;
+    width: number;
+    height: number;
+}
+
+/**
+ * Real-world size of an object in meters; either dimension may be unknown
+ */
+export interface ReferenceSize {
+    width?: number;
+    height?: number;
+}
+
+/**
+ * Object the user picked as reference, with its known size
+ */
+export interface MeasurementReference extends ReferenceSize {
+    trackId: number;
+    label: string;
+}
+
+/**
+ * What one frame offers to measure against
+ */
+export interface MeasurementContext {
+    frameWidth: number;
+    frameHeight: number;
+    focalLength: number; // Pixels, see MeasurementMath.focalLength
+    detections: MeasurableDetection[];
+    depth?: DepthSample | null;
+}
+
+/**
+ * 'size': distance from the object's own known size
+ * 'depth': distance scaled from a reference object through the depth map
+ */
+export type MeasurementMethod = 'size' | 'depth';
+
+export interface Measurement {
+    id: number;
+    kind: 'point' | 'object';
+    point: Point; // Tap position, or the box center (video pixels)
+    bbox?: BoundingBox;
+    label?: string;
+    trackId?: number;
+    distance: number | null; // Meters
+    width?: number | null;
+    height?: number | null;
+    method: MeasurementMethod | null;
+    reference?: string; // Object the scale came from, e.g. "person #3"
+    timestamp: string;
+}
+
+export interface MeasurementConfig {
+    fieldOfView?: number; // Degrees across the longer side of the frame
+    referenceSizes?: Record<string, ReferenceSize>;
+    maxDistance?: number; // Meters; farther estimates are discarded
+    maxMeasurements?: number;
+    color?: string;
+}
+
+/**
+ * Typical sizes of COCO classes with little variation, in meters
+ */
+export const DEFAULT_REFERENCE_SIZES: Record<string, ReferenceSize> = {
+    'person': { height: 1.7 },
+    'bicycle': { height: 1.05 },
+    'car': { height: 1.5 },
+    'motorcycle': { height: 1.15 },
+    'bus': { height: 3.2 },
+    'truck': { height: 3.2 },
+    'stop sign': { width: 0.75, height: 0.75 },
+    'fire hydrant': { height: 0.75 },
+    'parking meter': { height: 1.5 },
+    'chair': { height: 0.9 },
+    'bottle': { height: 0.25 },
+    'cup': { height: 0.1 },
+    'cell phone': { height: 0.15 },
+    'laptop': { width: 0.33 },
+    'keyboard': { width: 0.45 },
+    'book': { height: 0.23 },
+};
+
+const DEFAULT_CONFIG: Required<MeasurementConfig> = {
+    fieldOfView: 66,
+    referenceSizes: DEFAULT_REFERENCE_SIZES,
+    maxDistance: 50,
+    maxMeasurements: 6,
+    color: '#FFD54F',
+};
+
+/**
+ * Scale taken from one object: meters per pixel at its distance
+ */
+interface Anchor {
+    detection: MeasurableDetection;
+    metersPerPixel: number;
+    depth: number | null;
+    name: string;
+    isReference: boolean;
+}
+
+/**
+ * Pinhole camera and depth map math
+ */
+export class MeasurementMath {
+    /**
+     * Focal length in pixels from the field of view across the longer frame side
+     * @param zoom - Optical zoom from MediaTrackSettings, if any
+     */
+    static focalLength(frameWidth: number, frameHeight: number, fieldOfView: number, zoom = 1): number {
+        const longSide = Math.max(frameWidth, frameHeight);
+        const halfAngle = (fieldOfView * Math.PI) / 360;
+        return ((longSide / 2) / Math.tan(halfAngle)) * (zoom > 0 ? zoom : 1);
+    }
+
+    /**
+     * Real size of a span of pixels at a distance: size = pixels * Z / f
+     */
+    static sizeAtDistance(focalLength: number, pixelSize: number, distance: number): number {
+        return (pixelSize * distance) / focalLength;
+    }
+
+    /**
+     * Median depth value inside a box of frame pixels, ignoring empty (zero) samples
+     */
+    static medianDepth(depth: DepthSample, frameWidth: number, frameHeight: number, box: BoundingBox): number | null {
+        const scaleX = depth.width / frameWidth;
+        const scaleY = depth.height / frameHeight;
+        const x0 = Math.max(0, Math.floor(box.x * scaleX));
+        const y0 = Math.max(0, Math.floor(box.y * scaleY));
+        const x1 = Math.min(depth.width, Math.max(x0 + 1, Math.ceil((box.x + box.width) * scaleX)));
+        const y1 = Math.min(depth.height, Math.max(y0 + 1, Math.ceil((box.y + box.height) * scaleY)));
+
+        const samples: number[] = [];
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const value = depth.values[y * depth.width + x];
+                if (value !== undefined && value > 0) {
+                    samples.push(value);
+                }
+            }
+        }
+        if (samples.length === 0) return null;
+
+        samples.sort((a, b) => a - b);
+        const middle = Math.floor(samples.length / 2);
+        return samples.length % 2 ? samples[middle]! : (samples[middle - 1]! + samples[middle]!) / 2;
+    }
+
+    /**
+     * Depth at an object: the middle half of its box, so background at the edges is left out
+     */
+    static objectDepth(depth: DepthSample, frameWidth: number, frameHeight: number, box: BoundingBox): number | null {
+        return MeasurementMath.medianDepth(depth, frameWidth, frameHeight, {
+            x: box.x + box.width / 4,
+            y: box.y + box.height / 4,
+            width: box.width / 2,
+            height: box.height / 2,
+        });
+    }
+
+    /**
+     * Depth at a point: a window of 1% of the frame around it
+     */
+    static pointDepth(depth: DepthSample, frameWidth: number, frameHeight: number, point: Point): number | null {
+        const radius = Math.max(1, Math.max(frameWidth, frameHeight) * 0.01);
+        return MeasurementMath.medianDepth(depth, frameWidth, frameHeight, {
+            x: point.x - radius,
+            y: point.y - radius,
+            width: radius * 2,
+            height: radius * 2,
+        });
+    }
+
+    /**
+     * Distance of a point from the distance of a reference through relative inverse depth
+     * (depth values are proportional to 1 / distance, up to an unknown scale)
+     */
+    static scaleByDepth(referenceDistance: number, referenceDepth: number, depth: number): number | null {
+        return depth > 0 ? (referenceDistance * referenceDepth) / depth : null;
+    }
+
+    /**
+     * Whether a point lies inside a box
+     */
+    static contains(box: BoundingBox, point: Point): boolean {
+        return point.x >= box.x && point.x <= box.x + box.width &&
+            point.y >= box.y && point.y <= box.y + box.height;
+    }
+}
+
+/**
+ * Keeps the measurements shown on the camera view
+ *
+ * An object of known size (the user's reference, or a detected class from the
+ * reference table) gives its own distance from the focal length. Other objects and
+ * tapped points are scaled from it through the depth map. Sizes derived that way
+ * do not depend on the focal length, so a reference corrects for a wrong field of view.
+ */
+export class MeasurementManager {
+    private config: Required<MeasurementConfig>;
+    private measurements: Measurement[] = [];
+    private reference: MeasurementReference | null = null;
+    private nextId = 1;
+
+    constructor(config: MeasurementConfig = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+
+    /**
+     * Update the configuration
+     */
+    configure(config: MeasurementConfig): void {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Focal length in pixels for a frame
+     * @param settings - MediaTrackSettings from CameraManager.getVideoSettings(); its zoom is applied
+     */
+    getFocalLength(frameWidth: number, frameHeight: number, settings?: { zoom?: number } | null): number {
+        return MeasurementMath.focalLength(frameWidth, frameHeight, this.config.fieldOfView, settings?.zoom ?? 1);
+    }
+
+    /**
+     * Use a tracked object of known size as the scale for other measurements
+     */
+    setReference(reference: MeasurementReference | null): void {
+        this.reference = reference;
+    }
+
+    getReference(): MeasurementReference | null {
+        return this.reference;
+    }
+
+    /**
+     * Measure what is under a tap: the smallest detection containing it, or the point itself
+     */
+    measureAt(point: Point, context: MeasurementContext): Measurement {
+        const hits = context.detections
+            .filter(detection => MeasurementMath.contains(detection.bbox, point))
+            .sort((a, b) => a.bbox.width * a.bbox.height - b.bbox.width * b.bbox.height);
+
+        return hits[0] ? this.measureObject(hits[0], context) : this.measurePoint(point, context);
+    }
+
+    /**
+     * Measure the distance to a point
+     */
+    measurePoint(point: Point, context: MeasurementContext): Measurement {
+        const anchor = this.findAnchor(context);
+        let distance: number | null = null;
+
+        if (anchor && anchor.depth !== null && context.depth) {
+            const depth = MeasurementMath.pointDepth(context.depth, context.frameWidth, context.frameHeight, point);
+            if (depth !== null) {
+                distance = MeasurementMath.scaleByDepth(anchor.metersPerPixel * context.focalLength, anchor.depth, depth);
+            }
+        }
+
+        return this.add({
+            id: this.nextId++,
+            kind: 'point',
+            point,
+            distance: this.limitDistance(distance),
+            method: distance !== null ? 'depth' : null,
+            reference: anchor?.name,
+            timestamp: new Date().toISOString(),
+        });
+    }
+
+    /**
+     * Measure the distance and size of a detected object
+     * Tracked objects are re-measured by refresh() while they stay in view
+     */
+    measureObject(detection: MeasurableDetection, context: MeasurementContext): Measurement {
+        const existing = detection.trackId !== undefined
+            ? this.measurements.find(measurement => measurement.trackId === detection.trackId)
+            : undefined;
+        if (existing) {
+            this.remove(existing.id);
+        }
+
+        return this.add(this.estimateObject(this.nextId++, detection, context));
+    }
+
+    /**
+     * Re-measure tracked objects with the current frame's detections and depth
+     */
+    refresh(context: MeasurementContext): void {
+        this.measurements = this.measurements.map(measurement => {
+            if (measurement.kind !== 'object' || measurement.trackId === undefined) return measurement;
+
+            const detection = context.detections.find(other => other.trackId === measurement.trackId);
+            if (!detection) return measurement;
+
+            const updated = this.estimateObject(measurement.id, detection, context);
+            // Keep the last good estimate when this frame can't produce one
+            return updated.distance === null && measurement.distance !== null
+                ? { ...measurement, bbox: updated.bbox, point: updated.point }
+                : { ...updated, timestamp: measurement.timestamp };
+        });
+    }
+
+    getMeasurements(): Measurement[] {
+        return [...this.measurements];
+    }
+
+    remove(id: number): void {
+        this.measurements = this.measurements.filter(measurement => measurement.id !== id);
+    }
+
+    clear(): void {
+        this.measurements = [];
+    }
+
+    /**
+     * Measurements to store with a photo
+     */
+    exportMeasurements(): Measurement[] | null {
+        if (this.measurements.length === 0) return null;
+        return this.measurements.map(measurement => ({
+            ...measurement,
+            point: { ...measurement.point },
+            bbox: measurement.bbox ? { ...measurement.bbox } : undefined,
+        }));
+    }
+
+    /**
+     * Draw the measurements on the detection overlay
+     * @param scale - Video pixels to overlay pixels
+     */
+    drawAnnotations(ctx: CanvasRenderingContext2D, scale: Point = { x: 1, y: 1 }): void {
+        ctx.save();
+        ctx.font = 'bold 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = this.config.color;
+        ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+        ctx.shadowBlur = 3;
+
+        for (const measurement of this.measurements) {
+            const x = measurement.point.x * scale.x;
+            const y = measurement.point.y * scale.y;
+            let labelX = x + 10;
+            let labelY = y - 10;
+
+            if (measurement.bbox) {
+                const box = measurement.bbox;
+                const left = box.x * scale.x;
+                const top = box.y * scale.y;
+                const right = (box.x + box.width) * scale.x;
+                const bottom = (box.y + box.height) * scale.y;
+
+                // Dimension lines along the bottom and right edges
+                ctx.setLineDash([6, 4]);
+                ctx.beginPath();
+                ctx.moveTo(left, bottom + 8);
+                ctx.lineTo(right, bottom + 8);
+                ctx.moveTo(right + 8, top);
+                ctx.lineTo(right + 8, bottom);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                labelX = left;
+                labelY = bottom + 28;
+            } else {
+                // Crosshair at the tapped point
+                ctx.beginPath();
+                ctx.arc(x, y, 6, 0, Math.PI * 2);
+                ctx.moveTo(x - 12, y);
+                ctx.lineTo(x + 12, y);
+                ctx.moveTo(x, y - 12);
+                ctx.lineTo(x, y + 12);
+                ctx.stroke();
+            }
+
+            const label = MeasurementManager.formatLabel(measurement);
+            const textWidth = ctx.measureText(label).width;
+            ctx.shadowBlur = 0;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(labelX - 4, labelY - 14, textWidth + 8, 19);
+            ctx.fillStyle = this.config.color;
+            ctx.fillText(label, labelX, labelY);
+            ctx.shadowBlur = 3;
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Short text for a measurement, e.g. "person ≈ 4.2 m · 60 cm × 1.7 m"
+     */
+    static formatLabel(measurement: Measurement): string {
+        if (measurement.distance === null) {
+            return measurement.label ? `${measurement.label}: no scale` : 'No scale';
+        }
+
+        let label = `≈ ${MeasurementManager.formatLength(measurement.distance)}`;
+        if (measurement.width != null && measurement.height != null) {
+            label += ` · ${MeasurementManager.formatLength(measurement.width)} × ${MeasurementManager.formatLength(measurement.height)}`;
+        }
+        return measurement.label ? `${measurement.label} ${label}` : label;
+    }
+
+    /**
+     * Format meters, switching to centimeters below one meter
+     */
+    static formatLength(meters: number): string {
+        if (meters < 1) {
+            return `${Math.round(meters * 100)} cm`;
+        }
+        return `${meters.toFixed(meters < 10 ? 1 : 0)} m`;
+    }
+
+    private add(measurement: Measurement): Measurement {
+        this.measurements.push(measurement);
+        while (this.measurements.length > this.config.maxMeasurements) {
+            this.measurements.shift();
+        }
+        return measurement;
+    }
+
+    private estimateObject(id: number, detection: MeasurableDetection, context: MeasurementContext): Measurement {
+        const box = detection.bbox;
+        const f = context.focalLength;
+        let distance: number | null = null;
+        let method: MeasurementMethod | null = null;
+        let reference: string | undefined;
+
+        const own = this.getAnchor(detection, context);
+        if (own) {
+            // Pinhole camera: Z = f * size / pixels
+            distance = own.metersPerPixel * f;
+            method = 'size';
+            reference = own.name;
+        } else {
+            const anchor = this.findAnchor(context);
+            if (anchor && anchor.depth !== null && context.depth) {
+                const depth = MeasurementMath.objectDepth(context.depth, context.frameWidth, context.frameHeight, box);
+                if (depth !== null) {
+                    distance = MeasurementMath.scaleByDepth(anchor.metersPerPixel * f, anchor.depth, depth);
+                    method = 'depth';
+                    reference = anchor.name;
+                }
+            }
+        }
+
+        distance = this.limitDistance(distance);
+        return {
+            id,
+            kind: 'object',
+            point: { x: box.x + box.width / 2, y: box.y + box.height / 2 },
+            bbox: { ...box },
+            label: detection.class,
+            trackId: detection.trackId,
+            distance,
+            width: distance !== null ? MeasurementMath.sizeAtDistance(f, box.width, distance) : null,
+            height: distance !== null ? MeasurementMath.sizeAtDistance(f, box.height, distance) : null,
+            method: distance !== null ? method : null,
+            reference: distance !== null ? reference : undefined,
+            timestamp: new Date().toISOString(),
+        };
+    }
+
+    /**
+     * Scale from the user's reference when it is in view, otherwise from the largest
+     * detection of a class with a known size
+     */
+    private findAnchor(context: MeasurementContext): Anchor | null {
+        let best: Anchor | null = null;
+        let bestPixels = 0;
+
+        for (const detection of context.detections) {
+            const anchor = this.getAnchor(detection, context);
+            if (!anchor) continue;
+            if (anchor.isReference) return anchor;
+
+            const pixels = Math.max(detection.bbox.width, detection.bbox.height);
+            if (pixels > bestPixels) {
+                best = anchor;
+                bestPixels = pixels;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Scale given by one detection, if its real size is known
+     */
+    private getAnchor(detection: MeasurableDetection, context: MeasurementContext): Anchor | null {
+        const isReference = this.reference !== null && detection.trackId === this.reference.trackId;
+        const size = isReference ? this.reference : this.config.referenceSizes[detection.class];
+        if (!size) return null;
+
+        // Prefer height: boxes of people and vehicles are cut less often at the sides than in width
+        let metersPerPixel: number | null = null;
+        if (size.height && detection.bbox.height > 0) {
+            metersPerPixel = size.height / detection.bbox.height;
+        } else if (size.width && detection.bbox.width > 0) {
+            metersPerPixel = size.width / detection.bbox.width;
+        }
+        if (metersPerPixel === null) return null;
+
+        return {
+            detection,
+            metersPerPixel,
+            depth: context.depth
+                ? MeasurementMath.objectDepth(context.depth, context.frameWidth, context.frameHeight, detection.bbox)
+                : null,
+            name: `${isReference ? this.reference!.label : detection.class}${detection.trackId !== undefined ? ` #${detection.trackId}` : ''}`,
+            isReference,
+        };
+    }
+
+    private limitDistance(distance: number | null): number | null {
+        return distance !== null && Number.isFinite(distance) && distance <= this.config.maxDistance ? distance : null;
+    }
+}
+
+// Create global instance
+const measurementManager = new MeasurementManager();
+
+// Export for modules
+export default measurementManager;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).measurementManager = measurementManager;
+    (window as any).MeasurementManager = MeasurementManager;
+    (window as any).MeasurementMath = MeasurementMath;
+}
@@ -11,11 +11,16 @@ declare const Tesseract: {
 };
 
 export interface OCRConfig {
-    language: string;
+    language: string; // Tesseract language code, or several joined with '+' (e.g. 'eng+fra')
     targetFPS: number;
     minConfidence: number;
     debounceTime: number;
     debugMode?: boolean;
+    autoDetectLanguage?: boolean; // Detect the script with Tesseract OSD and switch language to match
+    langPath?: string; // Directory serving <lang>.traineddata.gz files; the CDN is used for missing files
+    workerPath?: string; // Tesseract worker script (e.g. from the offline bundle); Tesseract's CDN default if unset
+    corePath?: string; // Directory with the tesseract-core*.wasm.js builds; Tesseract's CDN default if unset
+    scriptLanguages?: Record<string, string>; // Language loaded for each detected script
 }
 
 export interface OCRResult {
@@ -27,8 +32,58 @@ export interface OCRResult {
         confidence: number;
         bbox: { x0: number; y0: number; x1: number; y1: number };
     }>;
+    region?: Quad; // Source region when recognized in ROI mode
+    translation?: OCRTranslation;
 }
 
+export interface OCRTranslation {
+    text: string;
+    source: string; // ISO 639-1 codes
+    target: string;
+}
+
+/**
+ * Translation stage for recognized text (see TranslationManager)
+ * Resolves to null if the text could not be translated
+ */
+export interface OCRTranslator {
+    translate(text: string): Promise<OCRTranslation | null>;
+}
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+/**
+ * Four corners ordered top-left, top-right, bottom-right, bottom-left
+ */
+export type Quad = [Point, Point, Point, Point];
+
+/**
+ * Region of the frame to recognize instead of the whole frame
+ */
+export interface OCRRegion {
+    quad: Quad; // Source pixel coordinates
+    source: 'manual' | 'document';
+}
+
+/**
+ * Warps a region of the source onto an upright width x height canvas,
+ * optionally binarizing it. Returns null if the region cannot be processed.
+ */
+export type RegionPreprocessor = (
+    image: HTMLImageElement | HTMLVideoElement | HTMLCanvasElement,
+    quad: Quad,
+    width: number,
+    height: number
+) => HTMLCanvasElement | null;
+
+/**
+ * 3x3 projective transform in row-major order
+ */
+export type Matrix3 = number[];
+
 export interface SubtitleBarConfig {
     position: 'top' | 'bottom';
     backgroundColor: string;
@@ -39,6 +94,265 @@ export interface SubtitleBarConfig {
     fadeTime: number;
 }
 
+/**
+ * Geometry for region-of-interest OCR
+ */
+export class QuadMath {
+    /**
+     * Order four corners as top-left, top-right, bottom-right, bottom-left
+     */
+    static order(points: Point[]): Quad {
+        if (points.length !== 4) {
+            throw new Error(`Expected 4 corners, got ${points.length}`);
+        }
+
+        // Top-left has the smallest x + y, bottom-right the largest;
+        // top-right has the largest x - y, bottom-left the smallest
+        const bySum = [...points].sort((a, b) => (a.x + a.y) - (b.x + b.y));
+        const byDiff = [...points].sort((a, b) => (a.x - a.y) - (b.x - b.y));
+
+        return [
+            { ...bySum[0]! },
+            { ...byDiff[3]! },
+            { ...bySum[3]! },
+            { ...byDiff[0]! },
+        ];
+    }
+
+    /**
+     * Quad covering an axis-aligned rectangle
+     */
+    static fromRect(x: number, y: number, width: number, height: number): Quad {
+        return [
+            { x, y },
+            { x: x + width, y },
+            { x: x + width, y: y + height },
+            { x, y: y + height },
+        ];
+    }
+
+    /**
+     * Axis-aligned bounds of a quad
+     */
+    static boundingBox(quad: Quad): { x0: number; y0: number; x1: number; y1: number } {
+        const xs = quad.map(p => p.x);
+        const ys = quad.map(p => p.y);
+        return {
+            x0: Math.min(...xs),
+            y0: Math.min(...ys),
+            x1: Math.max(...xs),
+            y1: Math.max(...ys),
+        };
+    }
+
+    /**
+     * Size of the upright image a quad is warped to
+     * Uses the longer of each pair of opposite edges, scaled so the longer side
+     * is between minSide (small text is upscaled for Tesseract) and maxSide
+     */
+    static getWarpSize(quad: Quad, minSide: number, maxSide: number): { width: number; height: number } {
+        const [tl, tr, br, bl] = quad;
+        const width = Math.max(Math.hypot(tr.x - tl.x, tr.y - tl.y), Math.hypot(br.x - bl.x, br.y - bl.y));
+        const height = Math.max(Math.hypot(bl.x - tl.x, bl.y - tl.y), Math.hypot(br.x - tr.x, br.y - tr.y));
+
+        const longest = Math.max(width, height, 1);
+        let scale = 1;
+        if (longest < minSide) {
+            scale = minSide / longest;
+        } else if (longest > maxSide) {
+            scale = maxSide / longest;
+        }
+
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale)),
+        };
+    }
+
+    /**
+     * Projective transform that maps each corner of `from` onto the matching corner of `to`
+     * Same result as OpenCV's getPerspectiveTransform
+     */
+    static getTransform(from: Quad, to: Quad): Matrix3 {
+        // Solve A * [a b c d e f g h] = b for u = (ax + by + c) / (gx + hy + 1), v = (dx + ey + f) / (gx + hy + 1)
+        const rows: number[][] = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = from[i]!;
+            const { x: u, y: v } = to[i]!;
+            rows.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+            rows.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+        }
+
+        // Gaussian elimination with partial pivoting
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(rows[row]![col]!) > Math.abs(rows[pivot]![col]!)) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(rows[pivot]![col]!) < 1e-10) {
+                throw new Error('Degenerate quad: three or more corners are collinear');
+            }
+            [rows[col], rows[pivot]] = [rows[pivot]!, rows[col]!];
+
+            const pivotRow = rows[col]!;
+            for (let row = 0; row < 8; row++) {
+                if (row === col) continue;
+                const current = rows[row]!;
+                const factor = current[col]! / pivotRow[col]!;
+                for (let k = col; k < 9; k++) {
+                    current[k]! -= factor * pivotRow[k]!;
+                }
+            }
+        }
+
+        const h = rows.map((row, i) => row[8]! / row[i]!);
+        return [...h, 1];
+    }
+
+    /**
+     * Apply a projective transform to a point
+     */
+    static transformPoint(m: Matrix3, point: Point): Point {
+        const w = m[6]! * point.x + m[7]! * point.y + m[8]!;
+        return {
+            x: (m[0]! * point.x + m[1]! * point.y + m[2]!) / w,
+            y: (m[3]! * point.x + m[4]! * point.y + m[5]!) / w,
+        };
+    }
+
+    /**
+     * Axis-aligned bounds of a transformed box
+     */
+    static transformBBox(
+        m: Matrix3,
+        bbox: { x0: number; y0: number; x1: number; y1: number }
+    ): { x0: number; y0: number; x1: number; y1: number } {
+        const corners = QuadMath.fromRect(bbox.x0, bbox.y0, bbox.x1 - bbox.x0, bbox.y1 - bbox.y0)
+            .map(corner => QuadMath.transformPoint(m, corner)) as Quad;
+        return QuadMath.boundingBox(corners);
+    }
+}
+
+/**
+ * Language loaded when a script is detected, unless the current languages already cover it
+ */
+const DEFAULT_SCRIPT_LANGUAGES: Record<string, string> = {
+    Latin: 'eng',
+    Cyrillic: 'rus',
+    Greek: 'ell',
+    Arabic: 'ara',
+    Hebrew: 'heb',
+    Devanagari: 'hin',
+    Bengali: 'ben',
+    Tamil: 'tam',
+    Thai: 'tha',
+    Han: 'chi_sim',
+    Japanese: 'jpn',
+    Korean: 'kor',
+};
+
+/**
+ * Script written by each Tesseract language
+ */
+const LANGUAGE_SCRIPTS: Record<string, string> = {
+    eng: 'Latin', fra: 'Latin', deu: 'Latin', spa: 'Latin', ita: 'Latin', por: 'Latin',
+    nld: 'Latin', pol: 'Latin', ces: 'Latin', slk: 'Latin', swe: 'Latin', nor: 'Latin',
+    dan: 'Latin', fin: 'Latin', hun: 'Latin', ron: 'Latin', tur: 'Latin', vie: 'Latin',
+    ind: 'Latin', msa: 'Latin', hrv: 'Latin', slv: 'Latin', lit: 'Latin', lav: 'Latin',
+    est: 'Latin', cat: 'Latin', lat: 'Latin',
+    rus: 'Cyrillic', ukr: 'Cyrillic', bel: 'Cyrillic', bul: 'Cyrillic', srp: 'Cyrillic',
+    mkd: 'Cyrillic', kaz: 'Cyrillic',
+    ell: 'Greek',
+    ara: 'Arabic', fas: 'Arabic', urd: 'Arabic',
+    heb: 'Hebrew',
+    hin: 'Devanagari', mar: 'Devanagari', nep: 'Devanagari', san: 'Devanagari',
+    ben: 'Bengali',
+    tam: 'Tamil',
+    tha: 'Thai',
+    chi_sim: 'Han', chi_tra: 'Han',
+    jpn: 'Japanese',
+    kor: 'Korean',
+};
+
+/**
+ * OSD script names that are read by another script's languages
+ */
+const SCRIPT_ALIASES: Record<string, string> = {
+    Hangul: 'Korean',
+    Hiragana: 'Japanese',
+    Katakana: 'Japanese',
+    Fraktur: 'Latin',
+};
+
+/**
+ * Tesseract language strings and the scripts they read
+ */
+export class OCRLanguages {
+    /**
+     * Split a language string such as 'eng+fra' into codes, dropping duplicates
+     */
+    static parse(languages: string): string[] {
+        const codes = languages.split('+').map(code => code.trim()).filter(code => code.length > 0);
+        if (codes.length === 0) {
+            throw new Error('No OCR language given');
+        }
+
+        for (const code of codes) {
+            if (!/^[a-z]{3}(_[a-z]+)*$/.test(code)) {
+                throw new Error(`Invalid OCR language: ${code}`);
+            }
+        }
+        return [...new Set(codes)];
+    }
+
+    /**
+     * Canonical form of a language string ('eng + fra+eng' becomes 'eng+fra')
+     */
+    static normalize(languages: string): string {
+        return OCRLanguages.parse(languages).join('+');
+    }
+
+    /**
+     * Map an OSD script name onto the script whose languages read it
+     */
+    static normalizeScript(script: string): string {
+        return SCRIPT_ALIASES[script] || script;
+    }
+
+    /**
+     * Whether any language in a language string reads a script
+     */
+    static covers(languages: string, script: string): boolean {
+        const normalized = OCRLanguages.normalizeScript(script);
+        return OCRLanguages.parse(languages).some(code => LANGUAGE_SCRIPTS[code] === normalized);
+    }
+
+    /**
+     * Languages to recognize a detected script with
+     * Keeps the current languages if they already read the script; otherwise the
+     * script's language plus English, since signs and labels often mix in Latin text.
+     * Returns null if no language is known for the script.
+     */
+    static forScript(
+        script: string,
+        current: string,
+        scriptLanguages: Record<string, string> = DEFAULT_SCRIPT_LANGUAGES
+    ): string | null {
+        const normalized = OCRLanguages.normalizeScript(script);
+        if (OCRLanguages.covers(current, normalized)) {
+            return OCRLanguages.normalize(current);
+        }
+
+        const language = scriptLanguages[normalized];
+        if (!language) {
+            return null;
+        }
+        return OCRLanguages.normalize(normalized === 'Latin' ? language : `${language}+eng`);
+    }
+}
+
 /**
  * OCR Manager class for real-time text recognition
  */
@@ -98,6 +412,24 @@ export class OCRManager {
     private displayResult: OCRResult | null = null; // Result to display on overlay
     private debugMode: boolean = false; // Control console logging for performance
 
+    // Region-of-interest mode
+    private region: OCRRegion | null = null;
+    private regionPreprocessor: RegionPreprocessor | null = null;
+    private readonly regionMinSide: number = 640;  // Upscale small regions, Tesseract wants ~30 px text
+    private readonly regionMaxSide: number = 1600; // Cap work for large regions
+
+    // Automatic language detection
+    private osdWorker: any | null = null; // Legacy-engine worker for orientation and script detection
+    private osdUnavailable: boolean = false; // OSD data failed to load, detection is skipped
+    private languageDetected: boolean = false;
+    private lastDetectionTime: number = 0;
+    private readonly detectionInterval: number = 5000; // Min time between detection attempts (ms)
+    private readonly minScriptConfidence: number = 1; // OSD script scores below this are guesses
+    private languageChangeCallback: ((language: string, script: string) => void) | null = null;
+
+    // Translation of subtitle text
+    private translator: OCRTranslator | null = null;
+
     constructor(
         config: Partial<OCRConfig> = {},
         subtitleConfig: Partial<SubtitleBarConfig> = {}
@@ -110,6 +442,7 @@ export class OCRManager {
             debugMode: config.debugMode || false,
             ...config,
         };
+        this.config.language = OCRLanguages.normalize(this.config.language);
 
         this.debugMode = this.config.debugMode || false;
         this.targetFrameTime = 1000 / this.config.targetFPS;
@@ -143,13 +476,7 @@ export class OCRManager {
                 console.log(`Language: ${this.config.language}`);
             }
 
-            this.worker = await Tesseract.createWorker(this.config.language, 1, {
-                logger: (m: any) => {
-                    if (this.debugMode && (m.status === 'loading tesseract core' || m.status === 'initializing tesseract')) {
-                        console.log(`📥 OCR: ${m.status}... ${Math.round((m.progress || 0) * 100)}%`);
-                    }
-                },
-            });
+            this.worker = await this.createWorker(this.config.language, 1);
 
             // Create subtitle display bar
             this.createSubtitleBar();
@@ -166,6 +493,50 @@ export class OCRManager {
         }
     }
 
+    /**
+     * Update configuration
+     * Call before initialize(): langPath only applies to workers created afterwards,
+     * and setLanguage() changes the language of a running worker
+     */
+    configure(config: Partial<OCRConfig>): void {
+        this.config = { ...this.config, ...config };
+        this.config.language = OCRLanguages.normalize(this.config.language);
+        this.debugMode = this.config.debugMode || false;
+        this.targetFrameTime = 1000 / this.config.targetFPS;
+    }
+
+    /**
+     * Create a Tesseract worker, loading traineddata from langPath when set
+     * Falls back to the CDN if the files are not served there
+     * @param oem - Tesseract engine mode (0 legacy, 1 LSTM)
+     */
+    private async createWorker(languages: string, oem: number, options: Record<string, unknown> = {}): Promise<any> {
+        const workerOptions: Record<string, unknown> = {
+            ...options,
+            logger: (m: any) => {
+                if (this.debugMode && (m.status === 'loading tesseract core' || m.status === 'initializing tesseract')) {
+                    console.log(`📥 OCR: ${m.status}... ${Math.round((m.progress || 0) * 100)}%`);
+                }
+            },
+        };
+        if (this.config.workerPath) {
+            workerOptions.workerPath = this.config.workerPath;
+        }
+        if (this.config.corePath) {
+            workerOptions.corePath = this.config.corePath;
+        }
+
+        if (this.config.langPath) {
+            try {
+                return await Tesseract.createWorker(languages, oem, { ...workerOptions, langPath: this.config.langPath });
+            } catch (error) {
+                console.warn(`⚠️ OCR: ${languages} not available from ${this.config.langPath}, loading from CDN`, error);
+            }
+        }
+
+        return Tesseract.createWorker(languages, oem, workerOptions);
+    }
+
     /**
      * Create subtitle display bar element
      */
@@ -263,8 +634,18 @@ export class OCRManager {
         const processStart = performance.now();
 
         try {
+            // Crop and deskew the region of interest, if one is set
+            const region = this.region;
+            const prepared = region ? this.prepareRegion(imageElement, region.quad) : null;
+            const source = prepared ? prepared.canvas : imageElement;
+
+            // Pick the language from the script of the first frame with text
+            if (this.shouldDetectLanguage()) {
+                await this.detectLanguage(source);
+            }
+
             // Recognize text
-            const result: any = await this.worker.recognize(imageElement);
+            const result: any = await this.worker.recognize(source);
 
             // Process results
             const ocrResult: OCRResult = {
@@ -274,9 +655,13 @@ export class OCRManager {
                 words: result.data.words.map((word: any) => ({
                     text: word.text,
                     confidence: word.confidence,
-                    bbox: word.bbox,
+                    // Word boxes are reported in source coordinates so overlays line up with the frame
+                    bbox: prepared ? QuadMath.transformBBox(prepared.toSource, word.bbox) : word.bbox,
                 })),
             };
+            if (region) {
+                ocrResult.region = region.quad;
+            }
 
             // Log detection details for debugging
             if (this.debugMode) {
@@ -287,6 +672,11 @@ export class OCRManager {
                 }
             }
 
+            // Poor results may mean the text is in another script now: detect again
+            if (this.config.autoDetectLanguage && ocrResult.confidence < this.config.minConfidence) {
+                this.languageDetected = false;
+            }
+
             // Filter words by confidence (not overall result)
             const highConfidenceWords = ocrResult.words.filter(word => word.confidence >= this.config.minConfidence);
 
@@ -325,6 +715,11 @@ export class OCRManager {
                 this.updateSubtitleText(wordsText, ocrResult.confidence);
             }
 
+            // Translate in the background; the subtitle switches over when it arrives
+            if (this.translator && ocrResult.text.length > 0) {
+                this.translateResult(ocrResult);
+            }
+
             // Auto-clear display result after 2 seconds
             if (this.overlayTimeout) {
                 clearTimeout(this.overlayTimeout);
@@ -349,6 +744,130 @@ export class OCRManager {
         }
     }
 
+    /**
+     * Recognize a still image, such as a scanned page
+     * Works whether or not real-time OCR is on; results are not shown or added to history
+     * @param minConfidence - Drop words below this confidence (0 keeps every word)
+     */
+    async recognizeDocument(
+        imageElement: HTMLImageElement | HTMLCanvasElement,
+        minConfidence: number = 0
+    ): Promise<OCRResult | null> {
+        if (!this.isInitialized || !this.worker) {
+            const initialized = await this.initialize();
+            if (!initialized) {
+                return null;
+            }
+        }
+
+        try {
+            const result: any = await this.worker.recognize(imageElement);
+            return {
+                text: result.data.text.trim(),
+                confidence: result.data.confidence,
+                timestamp: Date.now(),
+                words: result.data.words
+                    .filter((word: any) => word.confidence >= minConfidence)
+                    .map((word: any) => ({
+                        text: word.text,
+                        confidence: word.confidence,
+                        bbox: word.bbox,
+                    })),
+            };
+        } catch (error) {
+            console.error('Document OCR failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Set the region of interest to recognize, or null for the whole frame
+     */
+    setRegion(region: OCRRegion | null): void {
+        this.region = region ? { quad: QuadMath.order(region.quad), source: region.source } : null;
+    }
+
+    /**
+     * Get the region of interest
+     */
+    getRegion(): OCRRegion | null {
+        return this.region;
+    }
+
+    /**
+     * Set the function that warps and binarizes regions (OpenCV in the app)
+     * Without one, regions are cropped to their bounding box but not deskewed
+     */
+    setRegionPreprocessor(preprocessor: RegionPreprocessor | null): void {
+        this.regionPreprocessor = preprocessor;
+    }
+
+    /**
+     * Build the upright image of a region and the transform back to source coordinates
+     */
+    private prepareRegion(
+        imageElement: HTMLImageElement | HTMLVideoElement | HTMLCanvasElement,
+        quad: Quad
+    ): { canvas: HTMLCanvasElement; toSource: Matrix3 } | null {
+        const size = QuadMath.getWarpSize(quad, this.regionMinSide, this.regionMaxSide);
+
+        if (this.regionPreprocessor) {
+            try {
+                const warped = this.regionPreprocessor(imageElement, quad, size.width, size.height);
+                if (warped) {
+                    return {
+                        canvas: warped,
+                        toSource: QuadMath.getTransform(QuadMath.fromRect(0, 0, warped.width, warped.height), quad),
+                    };
+                }
+            } catch (error) {
+                console.warn('OCR region preprocessing failed, cropping instead:', error);
+            }
+        }
+
+        // Fallback: crop the bounding box without deskewing
+        const source = this.getImageSize(imageElement);
+        const bounds = QuadMath.boundingBox(quad);
+        const x0 = Math.max(0, Math.floor(bounds.x0));
+        const y0 = Math.max(0, Math.floor(bounds.y0));
+        const x1 = Math.min(source.width, Math.ceil(bounds.x1));
+        const y1 = Math.min(source.height, Math.ceil(bounds.y1));
+        if (x1 - x0 < 1 || y1 - y0 < 1) {
+            return null;
+        }
+
+        const cropQuad = QuadMath.fromRect(x0, y0, x1 - x0, y1 - y0);
+        const cropSize = QuadMath.getWarpSize(cropQuad, this.regionMinSide, this.regionMaxSide);
+        const canvas = document.createElement('canvas');
+        canvas.width = cropSize.width;
+        canvas.height = cropSize.height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            return null;
+        }
+        ctx.drawImage(imageElement, x0, y0, x1 - x0, y1 - y0, 0, 0, canvas.width, canvas.height);
+
+        return {
+            canvas,
+            toSource: QuadMath.getTransform(QuadMath.fromRect(0, 0, canvas.width, canvas.height), cropQuad),
+        };
+    }
+
+    /**
+     * Get the pixel size of an image, video or canvas
+     */
+    private getImageSize(
+        imageElement: HTMLImageElement | HTMLVideoElement | HTMLCanvasElement
+    ): { width: number; height: number } {
+        if (imageElement instanceof HTMLVideoElement) {
+            return { width: imageElement.videoWidth, height: imageElement.videoHeight };
+        }
+        if (imageElement instanceof HTMLImageElement) {
+            return { width: imageElement.naturalWidth, height: imageElement.naturalHeight };
+        }
+        return { width: imageElement.width, height: imageElement.height };
+    }
+
     /**
      * Add OCR result to history with automatic FIFO cleanup
      *
@@ -381,10 +900,55 @@ export class OCRManager {
         this.saveHistoryToStorage();
     }
 
+    /**
+     * Set the translator for subtitle text, or null to show the source text only
+     */
+    setTranslator(translator: OCRTranslator | null): void {
+        this.translator = translator;
+        if (this.debugMode) {
+            console.log(`🔤 OCR translation ${translator ? 'enabled' : 'disabled'}`);
+        }
+    }
+
+    /**
+     * Whether recognized text is being translated
+     */
+    isTranslating(): boolean {
+        return this.translator !== null;
+    }
+
+    /**
+     * Translate a result and show the translation if it is still the latest text
+     */
+    private async translateResult(result: OCRResult): Promise<void> {
+        const translator = this.translator;
+        if (!translator) {
+            return;
+        }
+
+        try {
+            const translation = await translator.translate(result.text);
+            if (!translation || this.translator !== translator) {
+                return;
+            }
+
+            result.translation = translation;
+            this.saveHistoryToStorage();
+            if (result === this.currentResult) {
+                this.updateSubtitleText(result.text, result.confidence, translation);
+            }
+        } catch (error) {
+            if (this.debugMode) {
+                console.warn('OCR translation failed:', error);
+            }
+        }
+    }
+
     /**
      * Update subtitle bar with recognized text
+     * With a translation, it is shown above the source text
      */
-    private updateSubtitleText(text: string, confidence: number): void {
+    private updateSubtitleText(text: string, confidence: number, translation?: OCRTranslation): void {
         if (!this.subtitleBar || !this.isEnabled) {
             return;
         }
@@ -396,13 +960,23 @@ export class OCRManager {
 
         // Update text with confidence indicator
         const confidenceIndicator = confidence >= 90 ? '●' : confidence >= 75 ? '◐' : '○';
-        this.subtitleBar.innerHTML = `
-            <div style="display: inline-flex; align-items: center; gap: 8px;">
-                <span style="opacity: 0.7; font-size: 12px;">${confidenceIndicator} OCR</span>
-                <span>${this.escapeHtml(text)}</span>
-                <span style="opacity: 0.5; font-size: 12px;">${confidence.toFixed(0)}%</span>
-            </div>
-        `;
+        if (translation) {
+            this.subtitleBar.innerHTML = `
+                <div style="display: inline-flex; align-items: center; gap: 8px;">
+                    <span style="opacity: 0.7; font-size: 12px;">${confidenceIndicator} ${this.escapeHtml(translation.source)} → ${this.escapeHtml(translation.target)}</span>
+                    <span>${this.escapeHtml(translation.text)}</span>
+                </div>
+                <div style="opacity: 0.6; font-size: 0.75em;">${this.escapeHtml(text)}</div>
+            `;
+        } else {
+            this.subtitleBar.innerHTML = `
+                <div style="display: inline-flex; align-items: center; gap: 8px;">
+                    <span style="opacity: 0.7; font-size: 12px;">${confidenceIndicator} OCR</span>
+                    <span>${this.escapeHtml(text)}</span>
+                    <span style="opacity: 0.5; font-size: 12px;">${confidence.toFixed(0)}%</span>
+                </div>
+            `;
+        }
 
         // Show subtitle
         this.subtitleBar.style.display = 'block';
@@ -599,6 +1173,54 @@ export class OCRManager {
         }
     }
 
+    /**
+     * Outline the region of interest on the overlay canvas
+     * @param videoElement - Video the region coordinates refer to
+     */
+    drawRegionOverlay(videoElement: HTMLVideoElement): void {
+        if (!this.overlayCanvas || !this.overlayEnabled || !this.region || !videoElement.videoWidth) {
+            return;
+        }
+
+        const ctx = this.overlayCanvas.getContext('2d');
+        if (!ctx) {
+            return;
+        }
+
+        const scaleX = this.overlayCanvas.width / videoElement.videoWidth;
+        const scaleY = this.overlayCanvas.height / videoElement.videoHeight;
+        const corners = this.region.quad.map(p => ({ x: p.x * scaleX, y: p.y * scaleY }));
+        const color = this.region.source === 'document' ? '#00E5FF' : '#00FF00';
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 6]);
+        ctx.beginPath();
+        corners.forEach((corner, index) => {
+            if (index === 0) {
+                ctx.moveTo(corner.x, corner.y);
+            } else {
+                ctx.lineTo(corner.x, corner.y);
+            }
+        });
+        ctx.closePath();
+        ctx.stroke();
+
+        // Label above the top-left corner
+        const label = this.region.source === 'document' ? 'DOCUMENT' : 'OCR AREA';
+        const topLeft = corners[0]!;
+        ctx.setLineDash([]);
+        ctx.font = 'bold 12px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        const labelWidth = ctx.measureText(label).width + 12;
+        const labelY = Math.max(0, topLeft.y - 22);
+        ctx.fillStyle = color;
+        ctx.fillRect(topLeft.x, labelY, labelWidth, 20);
+        ctx.fillStyle = '#000000';
+        ctx.fillText(label, topLeft.x + 6, labelY + 14);
+        ctx.restore();
+    }
+
     /**
      * Clear the overlay canvas
      */
@@ -650,6 +1272,7 @@ export class OCRManager {
 
     /**
      * Change language
+     * @param language - Tesseract language code, or several joined with '+' (e.g. 'eng+fra')
      */
     async setLanguage(language: string): Promise<boolean> {
         if (!this.isInitialized || !this.worker) {
@@ -657,12 +1280,18 @@ export class OCRManager {
         }
 
         try {
+            const languages = OCRLanguages.normalize(language);
             if (this.debugMode) {
-                console.log(`🔤 Changing OCR language to: ${language}`);
+                console.log(`🔤 Changing OCR language to: ${languages}`);
+            }
+            if (typeof this.worker.reinitialize === 'function') {
+                await this.worker.reinitialize(languages);
+            } else {
+                // Tesseract.js before v5
+                await this.worker.loadLanguage(languages);
+                await this.worker.initialize(languages);
             }
-            await (this.worker as any).loadLanguage(language);
-            await (this.worker as any).initialize(language);
-            this.config.language = language;
+            this.config.language = languages;
             if (this.debugMode) {
                 console.log('✅ OCR language changed');
             }
@@ -673,6 +1302,110 @@ export class OCRManager {
         }
     }
 
+    /**
+     * Get the current language string
+     */
+    getLanguage(): string {
+        return this.config.language;
+    }
+
+    /**
+     * Turn automatic language detection on or off
+     */
+    setAutoDetectLanguage(enabled: boolean): void {
+        this.config.autoDetectLanguage = enabled;
+        this.languageDetected = false;
+    }
+
+    /**
+     * Set callback for when automatic detection switches the language
+     */
+    setLanguageChangeCallback(callback: ((language: string, script: string) => void) | null): void {
+        this.languageChangeCallback = callback;
+    }
+
+    /**
+     * Whether the next recognition pass should detect the language first
+     */
+    private shouldDetectLanguage(): boolean {
+        if (!this.config.autoDetectLanguage || this.osdUnavailable || this.languageDetected) {
+            return false;
+        }
+        return this.lastDetectionTime === 0 || performance.now() - this.lastDetectionTime >= this.detectionInterval;
+    }
+
+    /**
+     * Detect the script of the text in an image with Tesseract OSD and switch to
+     * a language that reads it
+     * @returns The language in use afterwards, or null if no script was detected
+     */
+    async detectLanguage(image: HTMLImageElement | HTMLVideoElement | HTMLCanvasElement): Promise<string | null> {
+        if (!this.isInitialized || !this.worker) {
+            return null;
+        }
+
+        this.lastDetectionTime = performance.now();
+        const osd = await this.getOSDWorker();
+        if (!osd) {
+            return null;
+        }
+
+        let data: any;
+        try {
+            ({ data } = await osd.detect(image));
+        } catch (error) {
+            // OSD fails on frames with too little text
+            if (this.debugMode) {
+                console.log('🔤 OCR: no script detected', error);
+            }
+            return null;
+        }
+
+        if (!data || !data.script || (data.script_confidence || 0) < this.minScriptConfidence) {
+            return null;
+        }
+        this.languageDetected = true;
+
+        const script = OCRLanguages.normalizeScript(data.script);
+        const language = OCRLanguages.forScript(script, this.config.language, this.config.scriptLanguages);
+        if (this.debugMode) {
+            console.log(`🔤 OCR: detected ${script} script (${data.script_confidence.toFixed(1)})`);
+        }
+        if (!language) {
+            console.warn(`No OCR language configured for ${script} script`);
+            return null;
+        }
+        if (language === this.config.language) {
+            return language;
+        }
+
+        if (!await this.setLanguage(language)) {
+            return null;
+        }
+        if (this.languageChangeCallback) {
+            this.languageChangeCallback(language, script);
+        }
+        return language;
+    }
+
+    /**
+     * Get the OSD worker, creating it on first use
+     */
+    private async getOSDWorker(): Promise<any | null> {
+        if (this.osdWorker || this.osdUnavailable) {
+            return this.osdWorker;
+        }
+
+        try {
+            // Script detection needs the legacy engine and osd.traineddata
+            this.osdWorker = await this.createWorker('osd', 0, { legacyCore: true, legacyLang: true });
+        } catch (error) {
+            console.warn(`⚠️ OCR script detection unavailable, keeping ${this.config.language}:`, error);
+            this.osdUnavailable = true;
+        }
+        return this.osdWorker;
+    }
+
     /**
      * Export OCR history to JSON format
      *
@@ -695,6 +1428,7 @@ export class OCRManager {
             },
             ocr: {
                 language: this.config.language,
+                autoDetectLanguage: this.config.autoDetectLanguage || false,
                 maxHistorySize: this.maxHistorySize,
                 currentHistorySize: this.resultHistory.length,
                 targetFPS: this.config.targetFPS,
@@ -706,6 +1440,7 @@ export class OCRManager {
                 confidence: result.confidence,
                 timestamp: result.timestamp,
                 timestampISO: new Date(result.timestamp).toISOString(),
+                translation: result.translation || null,
                 wordCount: result.words.length,
                 words: result.words.map(word => ({
                     text: word.text,
@@ -863,6 +1598,14 @@ export class OCRManager {
             this.worker = null;
         }
 
+        if (this.osdWorker) {
+            await this.osdWorker.terminate();
+            this.osdWorker = null;
+        }
+        this.osdUnavailable = false;
+        this.languageDetected = false;
+        this.lastDetectionTime = 0;
+
         if (this.subtitleBar) {
             this.subtitleBar.remove();
             this.subtitleBar = null;
@@ -870,6 +1613,7 @@ export class OCRManager {
 
         this.currentResult = null;
         this.resultHistory = [];
+        this.region = null;
         this.isInitialized = false;
         this.lastProcessTime = 0;
 
@@ -889,4 +1633,6 @@ export default ocrManager;
 if (typeof window !== 'undefined') {
     (window as any).ocrManager = ocrManager;
     (window as any).OCRManager = OCRManager;
+    (window as any).QuadMath = QuadMath;
+    (window as any).OCRLanguages = OCRLanguages;
 }
@@ -0,0 +1,220 @@
+/**
+ * Offline asset bundle for PoliCamera
+ * Finds the AI libraries and models bundled on the app origin by `npm run bundle:offline`.
+ * sw.js checks every file against the size and SHA-256 in the bundle manifest once, while it
+ * caches the bundle, and stores the manifest last; the page and ai-worker.js then use a bundle
+ * only when that complete, verified cache has it. Shared by the page, ai-worker.js and sw.js
+ *
+ * Manifest (offline/manifest.json):
+ * { version, created, bundles: { <name>: { url, files: [{ name, source, size, sha256 }] } } }
+ * where <name> is a key of AppConstants.OFFLINE.BUNDLES and files live in offline/<name>/<file name>
+ */
+class OfflineAssets {
+    /**
+     * Find the cached offline bundle
+     * sw.js stores the manifest in a bundle cache only once all its files are cached and verified
+     * @returns {Promise<Object|null>} { cache, manifest }, or null when no bundle is cached (yet)
+     */
+    static async findCachedBundle() {
+        if (typeof caches === 'undefined') {
+            return null;
+        }
+
+        const manifestUrl = OfflineAssets.getManifestUrl();
+        const cacheNames = await caches.keys();
+        for (const name of cacheNames.filter(name => name.startsWith(AppConstants.OFFLINE.CACHE_PREFIX))) {
+            const cache = await caches.open(name);
+            const response = await cache.match(manifestUrl);
+            if (response) {
+                return { cache, manifest: await response.json() };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Manifest of the cached bundle; the result is kept for the session
+     * @returns {Promise<Object|null>} Null when no complete bundle is cached
+     */
+    static loadManifest() {
+        if (!OfflineAssets.manifestPromise) {
+            OfflineAssets.manifestPromise = OfflineAssets.findCachedBundle()
+                .then(bundle => bundle && bundle.manifest)
+                .catch(error => {
+                    console.warn('⚠️ Offline bundle cache unreadable, loading AI assets from their CDNs:', error.message);
+                    return null;
+                });
+        }
+        return OfflineAssets.manifestPromise;
+    }
+
+    /**
+     * Fetch and check the bundle manifest from the server
+     * @param {RequestInit} [init] - Fetch options
+     * @returns {Promise<Object|null>} Null when there is no bundle
+     */
+    static async fetchManifest(init = {}) {
+        const response = await fetch(OfflineAssets.getManifestUrl(), init);
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const manifest = await response.json();
+        if (typeof manifest.version !== 'string' || !manifest.bundles || typeof manifest.bundles !== 'object') {
+            throw new Error('Not an offline asset manifest');
+        }
+        return manifest;
+    }
+
+    /**
+     * @returns {string} Absolute URL of the bundle manifest
+     */
+    static getManifestUrl() {
+        return new URL(AppConstants.OFFLINE.MANIFEST_URL, self.location.href).href;
+    }
+
+    /**
+     * URL of a bundled file on the app origin
+     * @param {string} bundleName - Key of AppConstants.OFFLINE.BUNDLES
+     * @param {string} fileName
+     * @returns {string}
+     */
+    static getLocalUrl(bundleName, fileName) {
+        return new URL(`${AppConstants.OFFLINE.BASE_PATH}${bundleName}/${fileName}`, self.location.href).href;
+    }
+
+    /**
+     * URL a file is loaded from without the bundle
+     * @param {string} bundleName - Key of AppConstants.OFFLINE.BUNDLES
+     * @param {string} fileName
+     * @returns {string}
+     */
+    static getSourceUrl(bundleName, fileName) {
+        const bundle = AppConstants.OFFLINE.BUNDLES[bundleName];
+        const path = (bundle.paths && bundle.paths[fileName]) || fileName;
+        return `${bundle.url}${path}${bundle.query || ''}`;
+    }
+
+    /**
+     * Every file in a manifest, with the URL of its bundled copy
+     * @param {Object} manifest
+     * @returns {Array<Object>} { bundle, name, url, source, size, sha256 }
+     */
+    static listFiles(manifest) {
+        return Object.entries(manifest.bundles).flatMap(([bundleName, bundle]) =>
+            bundle.files.map(file => ({ ...file, bundle: bundleName, url: OfflineAssets.getLocalUrl(bundleName, file.name) }))
+        );
+    }
+
+    /**
+     * Check that a bundled file is complete and unchanged
+     * @param {Object} file - Manifest entry { size, sha256 }
+     * @param {ArrayBuffer} buffer - File content
+     * @returns {Promise<boolean>}
+     */
+    static async matches(file, buffer) {
+        return buffer.byteLength === file.size && await OfflineAssets.sha256(buffer) === file.sha256;
+    }
+
+    /**
+     * @param {ArrayBuffer} buffer
+     * @returns {Promise<string>} Lowercase hex SHA-256 digest
+     */
+    static async sha256(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Fetch a bundled file and check it against its manifest entry (sw.js, while caching the bundle)
+     * @param {Object} file - Entry of listFiles()
+     * @param {RequestInit} [init] - Fetch options
+     * @returns {Promise<Response>} The verified response, unread
+     */
+    static async fetchVerified(file, init = {}) {
+        const response = await fetch(file.url, init);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        if (!await OfflineAssets.matches(file, await response.clone().arrayBuffer())) {
+            throw new Error('size or SHA-256 does not match the manifest');
+        }
+        return response;
+    }
+
+    /**
+     * Check that a bundle is in the verified cache and was built for the library version in use;
+     * the result is kept for the session
+     * @param {string} bundleName - Key of AppConstants.OFFLINE.BUNDLES
+     * @returns {Promise<boolean>} False when the bundle is not cached (yet) or outdated
+     */
+    static isBundleReady(bundleName) {
+        if (!OfflineAssets.ready.has(bundleName)) {
+            OfflineAssets.ready.set(bundleName, OfflineAssets.checkBundle(bundleName));
+        }
+        return OfflineAssets.ready.get(bundleName);
+    }
+
+    /**
+     * @param {string} bundleName
+     * @returns {Promise<boolean>}
+     */
+    static async checkBundle(bundleName) {
+        const manifest = await OfflineAssets.loadManifest();
+        const bundle = manifest && manifest.bundles[bundleName];
+        if (!bundle || bundle.files.length === 0) {
+            return false;
+        }
+
+        // A bundle built for another library version would not match the code calling it
+        const source = AppConstants.OFFLINE.BUNDLES[bundleName].url;
+        if (bundle.url !== source) {
+            console.warn(`⚠️ Offline bundle ${bundleName} not used, it was built from ${bundle.url}; rebuild it with npm run bundle:offline`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * URL to load a file from: its bundled copy once the bundle is cached, otherwise its source
+     * @param {string} bundleName - Key of AppConstants.OFFLINE.BUNDLES
+     * @param {string} fileName
+     * @returns {Promise<string>}
+     */
+    static async getUrl(bundleName, fileName) {
+        return await OfflineAssets.isBundleReady(bundleName)
+            ? OfflineAssets.getLocalUrl(bundleName, fileName)
+            : OfflineAssets.getSourceUrl(bundleName, fileName);
+    }
+
+    /**
+     * model.json of a cached bundled model
+     * @param {string} bundleName - Key of AppConstants.OFFLINE.BUNDLES
+     * @returns {Promise<string|undefined>} Undefined so the library loads its default model
+     */
+    static async getModelUrl(bundleName) {
+        return await OfflineAssets.isBundleReady(bundleName)
+            ? OfflineAssets.getLocalUrl(bundleName, 'model.json')
+            : undefined;
+    }
+
+    /**
+     * Directory of a cached bundle, without a trailing slash (Tesseract paths)
+     * @param {string} bundleName - Key of AppConstants.OFFLINE.BUNDLES
+     * @returns {Promise<string|undefined>} Undefined so the library uses its default location
+     */
+    static async getDirectoryUrl(bundleName) {
+        return await OfflineAssets.isBundleReady(bundleName)
+            ? OfflineAssets.getLocalUrl(bundleName, '').replace(/\/$/, '')
+            : undefined;
+    }
+}
+
+OfflineAssets.manifestPromise = null;
+OfflineAssets.ready = new Map(); // Bundle name -> Promise<boolean>
+
+// `self` is the window on pages and the global scope in workers
+self.OfflineAssets = OfflineAssets;
@@ -262,10 +262,95 @@ class OpenCVWrapper {
         }
     }
 
+    /**
+     * Find licence-plate-like regions inside a vehicle bounding box
+     * Looks for dense vertical edges forming a wide rectangle (plate characters)
+     * @param {HTMLCanvasElement} imageElement - Full image
+     * @param {Object} bbox - Vehicle box {x, y, width, height} in image pixels
+     * @returns {Array<Object>|null} Plate boxes in image pixels, or null if OpenCV is not ready
+     */
+    findPlateRegions(imageElement, bbox) {
+        if (!this.isReady()) {
+            return null;
+        }
+
+        let src = null, roi = null, gray = null, gradX = null, abs = null;
+        let binary = null, kernel = null, contours = null, hierarchy = null;
+
+        try {
+            src = this.imageToMat(imageElement);
+            if (!src) return null;
+
+            const x = Math.max(0, Math.round(bbox.x));
+            const y = Math.max(0, Math.round(bbox.y));
+            const width = Math.min(src.cols - x, Math.round(bbox.width));
+            const height = Math.min(src.rows - y, Math.round(bbox.height));
+            if (width < 20 || height < 10) return [];
+
+            roi = src.roi(new cv.Rect(x, y, width, height));
+            gray = new cv.Mat();
+            cv.cvtColor(roi, gray, cv.COLOR_RGBA2GRAY);
+
+            // Vertical edges from characters, then close them into a solid block
+            gradX = new cv.Mat();
+            cv.Sobel(gray, gradX, cv.CV_16S, 1, 0, 3);
+            abs = new cv.Mat();
+            cv.convertScaleAbs(gradX, abs);
+
+            binary = new cv.Mat();
+            cv.threshold(abs, binary, 0, 255, cv.THRESH_BINARY | cv.THRESH_OTSU);
+
+            const kernelWidth = Math.max(3, Math.round(width / 25));
+            kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(kernelWidth, 3));
+            cv.morphologyEx(binary, binary, cv.MORPH_CLOSE, kernel);
+
+            contours = new cv.MatVector();
+            hierarchy = new cv.Mat();
+            cv.findContours(binary, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+            const plates = [];
+            const vehicleArea = width * height;
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const rect = cv.boundingRect(contour);
+                contour.delete();
+
+                const aspect = rect.width / rect.height;
+                const areaRatio = (rect.width * rect.height) / vehicleArea;
+
+                // Plates are wide, small relative to the vehicle, and not at the very top
+                if (aspect >= 2 && aspect <= 6 &&
+                    areaRatio >= 0.003 && areaRatio <= 0.15 &&
+                    rect.width <= width * 0.6 &&
+                    rect.y + rect.height / 2 >= height * 0.3) {
+                    plates.push({
+                        x: x + rect.x,
+                        y: y + rect.y,
+                        width: rect.width,
+                        height: rect.height
+                    });
+                }
+            }
+
+            return plates;
+        } catch (error) {
+            console.error('Error in findPlateRegions:', error);
+            return null;
+        } finally {
+            [src, roi, gray, gradX, abs, binary, kernel, contours, hierarchy].forEach(mat => {
+                if (mat) mat.delete();
+            });
+        }
+    }
+
     /**
      * Enhance contrast using histogram equalization
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} imageElement - Input image
+     * @param {HTMLCanvasElement|null} outputCanvas - Canvas to draw into (may be the input canvas)
+     * @param {boolean} binarize - Also apply an adaptive threshold (black text on white for OCR)
+     * @returns {HTMLCanvasElement|*} Enhanced canvas, or the input if OpenCV is unavailable
      */
-    enhanceContrast(imageElement, outputCanvas = null) {
+    enhanceContrast(imageElement, outputCanvas = null, binarize = false) {
         if (!this.isReady()) {
             return imageElement;
         }
@@ -282,6 +367,15 @@ class OpenCVWrapper {
             const equalized = new cv.Mat();
             cv.equalizeHist(gray, equalized);
 
+            // Adaptive threshold copes with shadows and glare across signs and pages
+            if (binarize) {
+                let blockSize = Math.max(11, Math.round(Math.min(src.cols, src.rows) / 16));
+                if (blockSize % 2 === 0) blockSize++;
+                cv.adaptiveThreshold(equalized, equalized, 255,
+                    cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY,
+                    blockSize, AppConstants.OPENCV.ADAPTIVE_THRESHOLD_C);
+            }
+
             // Convert back to RGBA
             const rgba = new cv.Mat();
             cv.cvtColor(equalized, rgba, cv.COLOR_GRAY2RGBA);
@@ -303,6 +397,135 @@ class OpenCVWrapper {
         }
     }
 
+    /**
+     * Warp a four-point region onto an upright rectangle (deskew)
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} imageElement - Input image
+     * @param {Array<{x: number, y: number}>} quad - Corners ordered top-left, top-right, bottom-right, bottom-left
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {HTMLCanvasElement|null} outputCanvas - Canvas to draw into
+     * @returns {HTMLCanvasElement|null} Warped canvas, or null if OpenCV is unavailable or fails
+     */
+    warpPerspective(imageElement, quad, width, height, outputCanvas = null) {
+        if (!this.isReady()) {
+            return null;
+        }
+
+        let src = null;
+        let srcPoints = null;
+        let dstPoints = null;
+        let transform = null;
+        let warped = null;
+
+        try {
+            src = cv.imread(imageElement);
+
+            srcPoints = cv.matFromArray(4, 1, cv.CV_32FC2, quad.flatMap(p => [p.x, p.y]));
+            dstPoints = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, width, 0, width, height, 0, height]);
+            transform = cv.getPerspectiveTransform(srcPoints, dstPoints);
+
+            warped = new cv.Mat();
+            cv.warpPerspective(src, warped, transform, new cv.Size(width, height),
+                cv.INTER_CUBIC, cv.BORDER_REPLICATE, new cv.Scalar());
+
+            const canvas = outputCanvas || document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            cv.imshow(canvas, warped);
+            return canvas;
+        } catch (error) {
+            console.error('Error in warpPerspective:', error);
+            return null;
+        } finally {
+            [src, srcPoints, dstPoints, transform, warped].forEach(mat => {
+                if (mat) mat.delete();
+            });
+        }
+    }
+
+    /**
+     * Find the largest convex four-sided outline, such as a page, sign or plate
+     * @param {HTMLImageElement|HTMLVideoElement|HTMLCanvasElement} imageElement - Input image
+     * @param {number} minAreaRatio - Smallest outline to accept, as a fraction of the image area
+     * @returns {Array<{x: number, y: number}>|null} Four corners in image coordinates (unordered),
+     *          or null if OpenCV is unavailable or nothing was found
+     */
+    findDocumentQuad(imageElement, minAreaRatio = AppConstants.OPENCV.DOCUMENT_MIN_AREA_RATIO) {
+        if (!this.isReady()) {
+            return null;
+        }
+
+        let src = null;
+        let small = null;
+        let gray = null;
+        let edges = null;
+        let kernel = null;
+        let contours = null;
+        let hierarchy = null;
+
+        try {
+            src = cv.imread(imageElement);
+
+            // Edges are found on a reduced copy; corners are scaled back up
+            const scale = Math.min(1, AppConstants.OPENCV.DOCUMENT_DETECTION_WIDTH / src.cols);
+            small = new cv.Mat();
+            cv.resize(src, small, new cv.Size(Math.round(src.cols * scale), Math.round(src.rows * scale)), 0, 0, cv.INTER_AREA);
+
+            gray = new cv.Mat();
+            cv.cvtColor(small, gray, cv.COLOR_RGBA2GRAY);
+            cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+
+            edges = new cv.Mat();
+            cv.Canny(gray, edges,
+                AppConstants.OPENCV.CANNY_THRESHOLD_LOW,
+                AppConstants.OPENCV.CANNY_THRESHOLD_HIGH);
+
+            // Close small gaps in the outline
+            kernel = cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(3, 3));
+            cv.dilate(edges, edges, kernel);
+
+            contours = new cv.MatVector();
+            hierarchy = new cv.Mat();
+            cv.findContours(edges, contours, hierarchy, cv.RETR_LIST, cv.CHAIN_APPROX_SIMPLE);
+
+            const minArea = small.cols * small.rows * minAreaRatio;
+            let bestArea = 0;
+            let bestQuad = null;
+
+            for (let i = 0; i < contours.size(); i++) {
+                const contour = contours.get(i);
+                const area = cv.contourArea(contour);
+
+                if (area > minArea && area > bestArea) {
+                    const approx = new cv.Mat();
+                    cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+
+                    if (approx.rows === 4 && cv.isContourConvex(approx)) {
+                        bestArea = area;
+                        bestQuad = [];
+                        for (let j = 0; j < 4; j++) {
+                            bestQuad.push({
+                                x: approx.data32S[j * 2] / scale,
+                                y: approx.data32S[j * 2 + 1] / scale
+                            });
+                        }
+                    }
+                    approx.delete();
+                }
+                contour.delete();
+            }
+
+            return bestQuad;
+        } catch (error) {
+            console.error('Error in findDocumentQuad:', error);
+            return null;
+        } finally {
+            [src, small, gray, edges, kernel, contours, hierarchy].forEach(mat => {
+                if (mat) mat.delete();
+            });
+        }
+    }
+
     /**
      * Extract object contour from bounding box region
      * Returns simplified contour points for drawing
@@ -0,0 +1,389 @@
+/**
+ * PDF Writer for PoliCamera
+ * Assembles scanned page images into a searchable PDF: each page shows a JPEG
+ * with an invisible OCR text layer on top, so the text can be selected and searched.
+ * The text layer takes any Unicode text: it is drawn in blank Type3 fonts whose ToUnicode
+ * maps give the characters back, so no font file has to be embedded
+ */
+
+export interface PdfWord {
+    text: string;
+    bbox: { x0: number; y0: number; x1: number; y1: number }; // Image pixels
+}
+
+export interface PdfPage {
+    jpeg: Uint8Array; // Baseline JPEG, embedded as-is (DCTDecode)
+    width: number; // Image size in pixels
+    height: number;
+    words?: PdfWord[]; // Hidden text layer
+}
+
+export interface PdfInfo {
+    title?: string;
+    author?: string;
+    subject?: string;
+    creator?: string;
+    creationDate?: Date;
+}
+
+// A4 in points; pages are fitted to it in the orientation of the image
+const A4_SHORT_SIDE = 595.28;
+const A4_LONG_SIDE = 841.89;
+
+// Every glyph of the text layer font is given the same advance (in 1/1000 em),
+// so a word can be stretched exactly over its box with horizontal scaling
+const GLYPH_WIDTH = 500;
+
+// Type3 fonts are simple fonts: one-byte codes, so up to 256 characters each
+const CODES_PER_FONT = 256;
+
+// Entries per bfchar block; the CMap format allows no more
+const CMAP_BLOCK_SIZE = 100;
+
+/**
+ * Character codes of the text layer fonts
+ * Each character gets a code in one of the fonts, in order of first use
+ */
+class TextLayerFonts {
+    private codes = new Map<string, { font: number; code: number }>();
+    readonly characters: string[][] = []; // Characters of each font, by code
+
+    /**
+     * Split text into runs of one font, with their codes as a hex string
+     * Control characters are dropped
+     */
+    encode(text: string): Array<{ font: number; codes: string }> {
+        const runs: Array<{ font: number; codes: string }> = [];
+        for (const char of text) {
+            if (char.codePointAt(0)! < 32) continue;
+
+            let entry = this.codes.get(char);
+            if (!entry) {
+                let characters = this.characters[this.characters.length - 1];
+                if (!characters || characters.length === CODES_PER_FONT) {
+                    characters = [];
+                    this.characters.push(characters);
+                }
+                entry = { font: this.characters.length - 1, code: characters.length };
+                characters.push(char);
+                this.codes.set(char, entry);
+            }
+
+            const code = hex(entry.code, 2);
+            const last = runs[runs.length - 1];
+            if (last && last.font === entry.font) {
+                last.codes += code;
+            } else {
+                runs.push({ font: entry.font, codes: code });
+            }
+        }
+        return runs;
+    }
+
+    /**
+     * ToUnicode CMap of a font, mapping its codes back to the characters
+     */
+    toUnicode(font: number): string {
+        const mappings = this.characters[font]!.map((char, code) => `<${hex(code, 2)}> <${utf16Hex(char)}>`);
+        const blocks: string[] = [];
+        for (let i = 0; i < mappings.length; i += CMAP_BLOCK_SIZE) {
+            const block = mappings.slice(i, i + CMAP_BLOCK_SIZE);
+            blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+        }
+
+        return [
+            '/CIDInit /ProcSet findresource begin',
+            '12 dict begin',
+            'begincmap',
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+            '/CMapName /Adobe-Identity-UCS def',
+            '/CMapType 2 def',
+            '1 begincodespacerange',
+            '<00> <FF>',
+            'endcodespacerange',
+            ...blocks,
+            'endcmap',
+            'CMapName currentdict /CMapResource defineresource pop',
+            'end',
+            'end',
+        ].join('\n');
+    }
+}
+
+/**
+ * Minimal PDF 1.4 writer for image pages with a text layer
+ */
+export class PdfWriter {
+    private pages: PdfPage[] = [];
+    private info: PdfInfo;
+
+    constructor(info: PdfInfo = {}) {
+        this.info = info;
+    }
+
+    /**
+     * Add a page
+     */
+    addPage(page: PdfPage): void {
+        if (!(page.width > 0) || !(page.height > 0)) {
+            throw new Error(`Invalid page size: ${page.width}x${page.height}`);
+        }
+        if (!page.jpeg || page.jpeg.length === 0) {
+            throw new Error('Page has no image data');
+        }
+        this.pages.push(page);
+    }
+
+    get pageCount(): number {
+        return this.pages.length;
+    }
+
+    /**
+     * Page size in points: the image fitted to A4 in its own orientation
+     */
+    static getPageSize(width: number, height: number): { width: number; height: number } {
+        const landscape = width > height;
+        const boxWidth = landscape ? A4_LONG_SIDE : A4_SHORT_SIDE;
+        const boxHeight = landscape ? A4_SHORT_SIDE : A4_LONG_SIDE;
+        const scale = Math.min(boxWidth / width, boxHeight / height);
+        return { width: width * scale, height: height * scale };
+    }
+
+    /**
+     * Encode text as a PDF text string (document information)
+     * ASCII and Latin-1 text as a literal string, other text as UTF-16BE with a byte order mark.
+     * Control characters are dropped
+     */
+    static encodeText(text: string): string {
+        const chars = [...text].filter(char => char.codePointAt(0)! >= 32);
+        const isLatin1 = chars.every(char => {
+            const code = char.codePointAt(0)!;
+            return code <= 126 || (code >= 160 && code <= 255);
+        });
+        if (!isLatin1) {
+            return `<FEFF${chars.map(utf16Hex).join('')}>`;
+        }
+
+        let encoded = '';
+        for (const char of chars) {
+            const code = char.codePointAt(0)!;
+            if (char === '(' || char === ')' || char === '\\') {
+                encoded += '\\' + char;
+            } else if (code <= 126) {
+                encoded += char;
+            } else {
+                // Latin-1 supplement shares codes with PDFDocEncoding
+                encoded += '\\' + code.toString(8).padStart(3, '0');
+            }
+        }
+        return `(${encoded})`;
+    }
+
+    /**
+     * Build the PDF file
+     */
+    build(): Uint8Array {
+        if (this.pages.length === 0) {
+            throw new Error('PDF has no pages');
+        }
+
+        const chunks: Uint8Array[] = [];
+        const offsets: number[] = []; // Byte offset of each object, by object number - 1
+        let length = 0;
+
+        const write = (data: string | Uint8Array): void => {
+            const bytes = typeof data === 'string' ? PdfWriter.toBytes(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const writeObject = (id: number, body: string): void => {
+            offsets[id - 1] = length;
+            write(`${id} 0 obj\n${body}\nendobj\n`);
+        };
+        const writeStream = (id: number, dictionary: string, data: Uint8Array): void => {
+            offsets[id - 1] = length;
+            write(`${id} 0 obj\n<< ${dictionary} /Length ${data.length} >>\nstream\n`);
+            write(data);
+            write('\nendstream\nendobj\n');
+        };
+
+        // Objects 1-4 are shared; each page then takes three: page, content stream, image;
+        // each text layer font two after the pages: font, ToUnicode map
+        const pageObjectId = (index: number): number => 5 + index * 3;
+        const fontObjectId = (index: number): number => 5 + this.pages.length * 3 + index * 2;
+
+        // Content first: it decides how many fonts the text layer needs
+        const fonts = new TextLayerFonts();
+        const layouts = this.pages.map(page => {
+            const size = PdfWriter.getPageSize(page.width, page.height);
+            return { page, size, content: this.buildContent(page, size, fonts) };
+        });
+        const fontResources = fonts.characters.length > 0
+            ? `/Font << ${fonts.characters.map((_, i) => `/F${i + 1} ${fontObjectId(i)} 0 R`).join(' ')} >> `
+            : '';
+
+        // The binary comment marks the file as binary for transfer tools
+        write('%PDF-1.4\n%âãÏÓ\n');
+
+        writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+        writeObject(2, `<< /Type /Pages /Kids [${this.pages.map((_, i) => `${pageObjectId(i)} 0 R`).join(' ')}] /Count ${this.pages.length} >>`);
+        // The one glyph of the text layer fonts: blank, GLYPH_WIDTH wide
+        writeStream(3, '', PdfWriter.toBytes(`${GLYPH_WIDTH} 0 d0`));
+        writeObject(4, this.buildInfo());
+
+        layouts.forEach(({ page, size, content }, index) => {
+            const id = pageObjectId(index);
+
+            writeObject(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(size.width)} ${num(size.height)}] ` +
+                `/Resources << ${fontResources}/XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+            writeStream(id + 1, '', PdfWriter.toBytes(content));
+            writeStream(id + 2, `/Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                '/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode', page.jpeg);
+        });
+
+        fonts.characters.forEach((characters, index) => {
+            const id = fontObjectId(index);
+            writeObject(id, `<< /Type /Font /Subtype /Type3 /FontBBox [0 0 ${GLYPH_WIDTH} 1000] ` +
+                '/FontMatrix [0.001 0 0 0.001 0 0] /CharProcs << /blank 3 0 R >> ' +
+                `/Encoding << /Type /Encoding /Differences [0${' /blank'.repeat(characters.length)}] >> ` +
+                `/FirstChar 0 /LastChar ${characters.length - 1} /Widths [${new Array(characters.length).fill(GLYPH_WIDTH).join(' ')}] ` +
+                `/Resources << >> /ToUnicode ${id + 1} 0 R >>`);
+            writeStream(id + 1, '', PdfWriter.toBytes(fonts.toUnicode(index)));
+        });
+
+        const objectCount = offsets.length;
+        const xrefOffset = length;
+        write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+        write(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+        write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+        const pdf = new Uint8Array(length);
+        let position = 0;
+        chunks.forEach(chunk => {
+            pdf.set(chunk, position);
+            position += chunk.length;
+        });
+        return pdf;
+    }
+
+    /**
+     * Build the PDF as a Blob
+     */
+    toBlob(): Blob {
+        const pdf = this.build();
+        return new Blob([pdf.buffer as ArrayBuffer], { type: 'application/pdf' });
+    }
+
+    /**
+     * Content stream: the image over the whole page, then the invisible words
+     */
+    private buildContent(page: PdfPage, size: { width: number; height: number }, fonts: TextLayerFonts): string {
+        const lines = [
+            'q',
+            `${num(size.width)} 0 0 ${num(size.height)} 0 0 cm`,
+            '/Im0 Do',
+            'Q',
+        ];
+
+        const scale = size.width / page.width;
+        const words = (page.words || []).filter(word => word.text.trim().length > 0);
+        if (words.length > 0) {
+            lines.push('BT', '3 Tr'); // Render mode 3: neither fill nor stroke
+
+            words.forEach(word => {
+                const text = word.text.trim();
+                const boxWidth = (word.bbox.x1 - word.bbox.x0) * scale;
+                const boxHeight = (word.bbox.y1 - word.bbox.y0) * scale;
+                if (boxWidth <= 0 || boxHeight <= 0) return;
+
+                // Font size from the box height, stretched horizontally to the box width
+                const fontSize = boxHeight;
+                const naturalWidth = [...text].length * fontSize * GLYPH_WIDTH / 1000;
+                const horizontalScale = 100 * boxWidth / naturalWidth;
+
+                // PDF origin is bottom-left; put the baseline a little above the box bottom for descenders
+                const x = word.bbox.x0 * scale;
+                const y = size.height - word.bbox.y1 * scale + boxHeight * 0.2;
+
+                // Each run continues where the previous one ended
+                const runs = fonts.encode(text + ' ');
+                lines.push(`${num(horizontalScale)} Tz 1 0 0 1 ${num(x)} ${num(y)} Tm ` +
+                    runs.map(run => `/F${run.font + 1} ${num(fontSize)} Tf <${run.codes}> Tj`).join(' '));
+            });
+
+            lines.push('ET');
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Document information dictionary
+     */
+    private buildInfo(): string {
+        const entries: string[] = [];
+        const { title, author, subject, creator, creationDate } = this.info;
+
+        if (title) entries.push(`/Title ${PdfWriter.encodeText(title)}`);
+        if (author) entries.push(`/Author ${PdfWriter.encodeText(author)}`);
+        if (subject) entries.push(`/Subject ${PdfWriter.encodeText(subject)}`);
+        entries.push(`/Creator ${PdfWriter.encodeText(creator || 'PoliCamera')}`);
+        entries.push('/Producer (PoliCamera PDF Writer)');
+        if (creationDate) entries.push(`/CreationDate (${PdfWriter.formatDate(creationDate)})`);
+
+        return `<< ${entries.join(' ')} >>`;
+    }
+
+    /**
+     * Format a date as a PDF date string in UTC
+     */
+    static formatDate(date: Date): string {
+        const pad = (value: number) => String(value).padStart(2, '0');
+        return 'D:' + date.getUTCFullYear() +
+            pad(date.getUTCMonth() + 1) + pad(date.getUTCDate()) +
+            pad(date.getUTCHours()) + pad(date.getUTCMinutes()) + pad(date.getUTCSeconds()) + 'Z';
+    }
+
+    /**
+     * Convert a string of character codes 0-255 to bytes
+     */
+    private static toBytes(text: string): Uint8Array {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i) & 0xff;
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Uppercase hex of a number, zero-padded to a number of digits
+ */
+function hex(value: number, digits: number): string {
+    return value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+/**
+ * UTF-16BE code units of a character as hex (a surrogate pair outside the BMP)
+ */
+function utf16Hex(char: string): string {
+    let encoded = '';
+    for (let i = 0; i < char.length; i++) {
+        encoded += hex(char.charCodeAt(i), 4);
+    }
+    return encoded;
+}
+
+/**
+ * Format a number for PDF operators
+ */
+function num(value: number): string {
+    return String(Math.round(value * 100) / 100);
+}
+
+export default PdfWriter;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).PdfWriter = PdfWriter;
+}
@@ -0,0 +1,109 @@
+/**
+ * Photo upload outbox for PoliCamera
+ * Sends photos queued in the photos store to the configured upload endpoint and records
+ * the outcome (uploaded, retry with exponential backoff, or failed). Used by sw.js
+ */
+class PhotoUploader {
+    /**
+     * Upload every photo whose backoff has elapsed, batch by batch
+     * @param {DatabaseManager} db - Initialized database manager
+     * @returns {Promise<Object>} { endpoint, uploaded, failed, nextAttempt } where nextAttempt is
+     *     the time (ms) the next queued photo is due, or null when none is waiting
+     */
+    static async uploadPending(db) {
+        const endpoint = await PhotoUploader.getEndpoint(db);
+        const result = { endpoint, uploaded: 0, failed: 0, nextAttempt: null };
+        if (!endpoint) {
+            return result;
+        }
+
+        // A failed photo is scheduled into the future, so every batch is new photos
+        let pending = await db.getPendingUploads();
+        while (pending.length > 0) {
+            for (const photo of pending) {
+                try {
+                    const remoteId = await PhotoUploader.uploadPhoto(photo, endpoint);
+                    await db.markPhotoUploaded(photo.id, remoteId);
+                    result.uploaded++;
+                    console.log(`✅ Uploaded photo ${photo.id}`);
+                } catch (error) {
+                    result.failed++;
+                    console.error(`Failed to upload photo ${photo.id}:`, error);
+                    await db.markPhotoUploadFailed(photo.id, error.message, error.permanent === true);
+                }
+            }
+            pending = await db.getPendingUploads();
+        }
+
+        result.nextAttempt = await db.getNextUploadAttempt();
+        return result;
+    }
+
+    /**
+     * Upload endpoint from the settings store, or AppConstants.UPLOAD.ENDPOINT
+     * @param {DatabaseManager} db
+     * @returns {Promise<string>} Empty when uploads are not configured
+     */
+    static async getEndpoint(db) {
+        return db.getSetting(AppConstants.UPLOAD.ENDPOINT_SETTING_KEY, AppConstants.UPLOAD.ENDPOINT);
+    }
+
+    /**
+     * POST a single photo record as multipart/form-data
+     * Parts: `image` (JPEG file) and `metadata` (JSON of the record without image or depth file data).
+     * Encrypted coordinates are sent as stored, together with the `encrypted` flag.
+     * Fully encrypted records send the ciphertext image and its IV in `metadata.imageEncryption`,
+     * and their other metadata still sealed in `metadata.sealedFields`: the server needs the key to read them.
+     * @param {Object} photo - Photo record from the photos store
+     * @param {string} endpoint - Upload URL
+     * @returns {Promise<string|null>} Remote ID from the server response, if any
+     */
+    static async uploadPhoto(photo, endpoint) {
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            body: PhotoUploader.buildFormData(photo)
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Upload failed with status ${response.status}`);
+            // Client errors won't fix themselves, except timeouts and rate limiting
+            error.permanent = response.status >= 400 && response.status < 500 &&
+                response.status !== 408 && response.status !== 429;
+            throw error;
+        }
+
+        try {
+            const body = await response.json();
+            return body && body.id !== undefined ? String(body.id) : null;
+        } catch (error) {
+            return null; // Server did not return JSON
+        }
+    }
+
+    /**
+     * Multipart body for a photo record
+     * @param {Object} photo - Photo record from the photos store
+     * @returns {FormData}
+     */
+    static buildFormData(photo) {
+        const { imageBlob, thumbnailBlob, encryptedImage, encryptedThumbnail, encryptedOriginal, depthFiles, encryptedDepthFiles, ...metadata } = photo;
+        const formData = new FormData();
+
+        if (encryptedImage) {
+            formData.append('image', encryptedImage.blob, `${photo.imageName}.enc`);
+            metadata.imageEncryption = {
+                algorithm: 'AES-GCM',
+                iv: encryptedImage.iv,
+                keyId: encryptedImage.keyId,
+                type: encryptedImage.type
+            };
+        } else if (imageBlob) {
+            formData.append('image', imageBlob, photo.imageName);
+        }
+        formData.append('metadata', JSON.stringify(metadata));
+        return formData;
+    }
+}
+
+// `self` is the window on pages and the global scope in workers
+self.PhotoUploader = PhotoUploader;
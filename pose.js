@@ -79,7 +79,8 @@ class PoseEstimationManager {
             const detectorConfig = {
                 modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING,
                 enableSmoothing: true,
-                minPoseScore: this.scoreThreshold
+                minPoseScore: this.scoreThreshold,
+                modelUrl: await OfflineAssets.getModelUrl('movenet') // Bundled copy; TF Hub without it
             };
 
             this.detector = await poseDetection.createDetector(model, detectorConfig);
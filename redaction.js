@@ -0,0 +1,302 @@
+/**
+ * Privacy Redaction Manager for PoliCamera
+ * Blurs or pixelates faces, licence plates and configurable object classes
+ * in captured photos before they are saved
+ */
+class RedactionManager {
+    constructor() {
+        const defaults = AppConstants.REDACTION;
+
+        this.settings = {
+            enabled: defaults.ENABLED,
+            method: defaults.METHOD,
+            redactFaces: defaults.REDACT_FACES,
+            redactPlates: defaults.REDACT_PLATES,
+            objectClasses: [...defaults.OBJECT_CLASSES],
+            keepEncryptedOriginal: defaults.KEEP_ENCRYPTED_ORIGINAL
+        };
+
+        this.loadSettings();
+    }
+
+    /**
+     * Load saved settings from localStorage
+     */
+    loadSettings() {
+        const stored = Utils.safeLocalStorageGet(AppConstants.REDACTION.SETTINGS_STORAGE_KEY);
+        if (stored) {
+            this.applySettings(stored);
+        }
+    }
+
+    /**
+     * Update and persist redaction settings
+     * @param {Object} settings - Partial settings
+     * @returns {Object} Current settings
+     */
+    updateSettings(settings) {
+        this.applySettings(settings);
+        Utils.safeLocalStorageSet(AppConstants.REDACTION.SETTINGS_STORAGE_KEY, this.settings);
+        return this.getSettings();
+    }
+
+    /**
+     * Validate and apply settings
+     * @param {Object} settings - Partial settings
+     */
+    applySettings(settings) {
+        if (typeof settings.enabled === 'boolean') {
+            this.settings.enabled = settings.enabled;
+        }
+        if (settings.method === 'blur' || settings.method === 'pixelate') {
+            this.settings.method = settings.method;
+        }
+        if (typeof settings.redactFaces === 'boolean') {
+            this.settings.redactFaces = settings.redactFaces;
+        }
+        if (typeof settings.redactPlates === 'boolean') {
+            this.settings.redactPlates = settings.redactPlates;
+        }
+        if (Array.isArray(settings.objectClasses)) {
+            this.settings.objectClasses = settings.objectClasses.filter(name => typeof name === 'string');
+        }
+        if (typeof settings.keepEncryptedOriginal === 'boolean') {
+            this.settings.keepEncryptedOriginal = settings.keepEncryptedOriginal;
+        }
+    }
+
+    /**
+     * Get a copy of the current settings
+     * @returns {Object}
+     */
+    getSettings() {
+        return { ...this.settings, objectClasses: [...this.settings.objectClasses] };
+    }
+
+    /**
+     * Check if redaction is enabled
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * Check if the unredacted original should be kept (encrypted)
+     * @returns {boolean}
+     */
+    shouldKeepOriginal() {
+        return this.settings.enabled && this.settings.keepEncryptedOriginal;
+    }
+
+    /**
+     * Redact a canvas in place
+     * @param {HTMLCanvasElement} canvas - Captured image
+     * @param {Object} context - Detections already computed for this image
+     * @param {Array|null} context.faces - Faces from FaceDetectionManager (null = detect now)
+     * @param {Array|null} context.detections - COCO-SSD detections (null = unavailable)
+     * @returns {Promise<Object>} Redaction metadata for the photo record
+     */
+    async redactCanvas(canvas, { faces = null, detections = null } = {}) {
+        const { regions, warnings } = await this.findRegions(canvas, faces, detections);
+
+        regions.forEach(region => {
+            region.method = this.redactRegion(canvas, region.box);
+        });
+
+        const counts = regions.reduce((acc, region) => {
+            acc[region.type] = (acc[region.type] || 0) + 1;
+            return acc;
+        }, {});
+
+        if (regions.length > 0) {
+            console.log(`🛡️ Redacted ${regions.length} region(s)`, counts);
+        }
+
+        return {
+            applied: true,
+            complete: warnings.length === 0,
+            method: this.settings.method,
+            regionCount: regions.length,
+            counts: counts,
+            regions: regions,
+            warnings: warnings,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Find regions to redact
+     * @param {HTMLCanvasElement} canvas - Captured image
+     * @param {Array|null} faces - Already detected faces
+     * @param {Array|null} detections - COCO-SSD detections
+     * @returns {Promise<Object>} Regions and warnings about anything that could not be checked
+     */
+    async findRegions(canvas, faces, detections) {
+        const regions = [];
+        const warnings = [];
+
+        if (this.settings.redactFaces) {
+            try {
+                const found = faces || await window.faceDetectionManager.detectFacesInImage(canvas);
+                found.forEach(face => {
+                    regions.push({
+                        type: 'face',
+                        label: 'face',
+                        score: face.score,
+                        box: face.box
+                    });
+                });
+            } catch (error) {
+                console.warn('Face detection for redaction failed:', error);
+                warnings.push('faces not checked');
+            }
+        }
+
+        const needsObjects = this.settings.redactPlates || this.settings.objectClasses.length > 0;
+        if (needsObjects && !detections) {
+            warnings.push('objects not checked');
+        }
+
+        (detections || []).forEach(detection => {
+            if (this.settings.objectClasses.includes(detection.class)) {
+                regions.push({
+                    type: 'object',
+                    label: detection.class,
+                    score: detection.confidence / 100,
+                    box: detection.bbox
+                });
+            } else if (this.settings.redactPlates && AppConstants.REDACTION.VEHICLE_CLASSES.includes(detection.class)) {
+                regions.push(...this.findPlates(canvas, detection));
+            }
+        });
+
+        return { regions, warnings };
+    }
+
+    /**
+     * Find licence plates on a detected vehicle
+     * Without OpenCV the lower part of the vehicle, where plates sit, is redacted instead
+     * @param {HTMLCanvasElement} canvas - Captured image
+     * @param {Object} vehicle - COCO-SSD detection
+     * @returns {Array<Object>} Plate regions
+     */
+    findPlates(canvas, vehicle) {
+        const plates = window.openCVWrapper
+            ? openCVWrapper.findPlateRegions(canvas, vehicle.bbox)
+            : null;
+
+        if (plates === null) {
+            const { x, y, width, height } = vehicle.bbox;
+            return [{
+                type: 'plate',
+                label: `${vehicle.class} plate area`,
+                score: vehicle.confidence / 100,
+                source: 'vehicle-band',
+                box: { x, y: y + height * 0.55, width, height: height * 0.45 }
+            }];
+        }
+
+        return plates.map(box => ({
+            type: 'plate',
+            label: 'licence plate',
+            score: vehicle.confidence / 100,
+            source: 'opencv',
+            box
+        }));
+    }
+
+    /**
+     * Redact one region of the canvas
+     * @param {HTMLCanvasElement} canvas - Image to modify
+     * @param {Object} box - Region {x, y, width, height}
+     * @returns {string} Method used ('blur' or 'pixelate')
+     */
+    redactRegion(canvas, box) {
+        const region = this.padBox(box, canvas.width, canvas.height);
+        if (region.width < 1 || region.height < 1) return this.settings.method;
+
+        if (this.settings.method === 'blur' && window.openCVWrapper && openCVWrapper.isReady()) {
+            if (this.blurRegion(canvas, region)) {
+                return 'blur';
+            }
+        }
+
+        this.pixelateRegion(canvas, region);
+        return 'pixelate';
+    }
+
+    /**
+     * Gaussian-blur a region using OpenCV
+     * @param {HTMLCanvasElement} canvas - Image to modify
+     * @param {Object} region - Padded integer region
+     * @returns {boolean} True if blurred
+     */
+    blurRegion(canvas, region) {
+        const crop = document.createElement('canvas');
+        crop.width = region.width;
+        crop.height = region.height;
+        crop.getContext('2d').drawImage(
+            canvas,
+            region.x, region.y, region.width, region.height,
+            0, 0, region.width, region.height
+        );
+
+        // Kernel scales with the region so large faces are as unreadable as small ones
+        let kernelSize = Math.max(15, Math.round(Math.min(region.width, region.height) / 2));
+        if (kernelSize % 2 === 0) kernelSize++;
+
+        const blurred = openCVWrapper.gaussianBlur(crop, kernelSize);
+        if (blurred === crop) {
+            return false; // gaussianBlur returns its input on failure
+        }
+
+        canvas.getContext('2d').drawImage(blurred, region.x, region.y);
+        return true;
+    }
+
+    /**
+     * Pixelate a region by downscaling and upscaling without smoothing
+     * @param {HTMLCanvasElement} canvas - Image to modify
+     * @param {Object} region - Padded integer region
+     */
+    pixelateRegion(canvas, region) {
+        const blockSize = Math.max(4, Math.round(Math.min(region.width, region.height) / AppConstants.REDACTION.PIXEL_BLOCKS));
+        const small = document.createElement('canvas');
+        small.width = Math.max(1, Math.round(region.width / blockSize));
+        small.height = Math.max(1, Math.round(region.height / blockSize));
+        small.getContext('2d').drawImage(
+            canvas,
+            region.x, region.y, region.width, region.height,
+            0, 0, small.width, small.height
+        );
+
+        const ctx = canvas.getContext('2d');
+        const smoothing = ctx.imageSmoothingEnabled;
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(small, 0, 0, small.width, small.height, region.x, region.y, region.width, region.height);
+        ctx.imageSmoothingEnabled = smoothing;
+    }
+
+    /**
+     * Grow a box by the configured padding and clamp it to the image
+     * @param {Object} box - Region {x, y, width, height}
+     * @param {number} imageWidth
+     * @param {number} imageHeight
+     * @returns {Object} Integer region
+     */
+    padBox(box, imageWidth, imageHeight) {
+        const padX = box.width * AppConstants.REDACTION.REGION_PADDING;
+        const padY = box.height * AppConstants.REDACTION.REGION_PADDING;
+
+        const x = Math.max(0, Math.floor(box.x - padX));
+        const y = Math.max(0, Math.floor(box.y - padY));
+        const right = Math.min(imageWidth, Math.ceil(box.x + box.width + padX));
+        const bottom = Math.min(imageHeight, Math.ceil(box.y + box.height + padY));
+
+        return { x, y, width: right - x, height: bottom - y };
+    }
+}
+
+// Create global instance
+window.redactionManager = new RedactionManager();
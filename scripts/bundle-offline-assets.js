@@ -0,0 +1,133 @@
+/**
+ * Offline asset bundler for PoliCamera
+ * Downloads the AI libraries and models listed in AppConstants.OFFLINE.BUNDLES to offline/<bundle>/
+ * and writes offline/manifest.json with the size and SHA-256 of every file. sw.js precaches the
+ * bundle from the manifest, checking each file once, and OfflineAssets uses it once it is cached
+ * (see offline-assets.js).
+ *
+ * Usage: npm run bundle:offline [-- <bundle> ...]
+ * Naming bundles rebuilds only those and keeps the others in the manifest
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AppConstants = require('../constants.js');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_DIR = path.join(ROOT, AppConstants.OFFLINE.BASE_PATH);
+const MANIFEST_PATH = path.join(ROOT, AppConstants.OFFLINE.MANIFEST_URL);
+
+/**
+ * URL a file is downloaded from (same as OfflineAssets.getSourceUrl)
+ * @param {Object} bundle - Entry of AppConstants.OFFLINE.BUNDLES
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getSourceUrl(bundle, fileName) {
+    const sourcePath = (bundle.paths && bundle.paths[fileName]) || fileName;
+    return `${bundle.url}${sourcePath}${bundle.query || ''}`;
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<Buffer>}
+ */
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url}: HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Download a bundle; for graph models, the weight shards listed in model.json too
+ * @param {string} name - Bundle name
+ * @param {Object} bundle - Entry of AppConstants.OFFLINE.BUNDLES
+ * @returns {Promise<Object>} Manifest entry { url, files }
+ */
+async function bundleFiles(name, bundle) {
+    const downloads = [];
+    const queue = [...bundle.files];
+    while (queue.length > 0) {
+        const fileName = queue.shift();
+        const source = getSourceUrl(bundle, fileName);
+        const data = await download(source);
+        downloads.push({ fileName, source, data });
+        console.log(`  ${name}/${fileName} (${(data.length / 1024).toFixed(0)} KB)`);
+
+        // Weight shards are relative to model.json
+        if (bundle.graphModel && fileName === 'model.json') {
+            const model = JSON.parse(data.toString('utf8'));
+            for (const group of model.weightsManifest || []) {
+                queue.push(...group.paths);
+            }
+        }
+    }
+
+    // Replace the previous copy only once every file has downloaded
+    const directory = path.join(OUTPUT_DIR, name);
+    fs.rmSync(directory, { recursive: true, force: true });
+    const files = downloads.map(({ fileName, source, data }) => {
+        const target = path.join(directory, fileName);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, data);
+        return {
+            name: fileName,
+            source,
+            size: data.length,
+            sha256: crypto.createHash('sha256').update(data).digest('hex')
+        };
+    });
+
+    return { url: bundle.url, files };
+}
+
+/**
+ * Manifest version: changes whenever any bundled file does, so sw.js caches the new files
+ * @param {Object} bundles - Manifest bundles
+ * @returns {string}
+ */
+function getVersion(bundles) {
+    const hash = crypto.createHash('sha256');
+    for (const name of Object.keys(bundles).sort()) {
+        hash.update(name);
+        bundles[name].files.forEach(file => hash.update(`${file.name}:${file.sha256}`));
+    }
+    return hash.digest('hex').slice(0, 12);
+}
+
+async function main() {
+    const names = process.argv.slice(2);
+    const unknown = names.filter(name => !AppConstants.OFFLINE.BUNDLES[name]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown bundle(s): ${unknown.join(', ')}. Bundles: ${Object.keys(AppConstants.OFFLINE.BUNDLES).join(', ')}`);
+    }
+
+    let bundles = {};
+    if (names.length > 0 && fs.existsSync(MANIFEST_PATH)) {
+        bundles = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8')).bundles;
+    }
+
+    for (const name of names.length > 0 ? names : Object.keys(AppConstants.OFFLINE.BUNDLES)) {
+        console.log(`📦 ${name} from ${AppConstants.OFFLINE.BUNDLES[name].url}`);
+        bundles[name] = await bundleFiles(name, AppConstants.OFFLINE.BUNDLES[name]);
+    }
+
+    const manifest = {
+        version: getVersion(bundles),
+        created: new Date().toISOString(),
+        bundles
+    };
+    fs.mkdirSync(path.dirname(MANIFEST_PATH), { recursive: true });
+    fs.writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    const files = Object.values(bundles).reduce((count, bundle) => count + bundle.files.length, 0);
+    console.log(`✅ Offline bundle ${manifest.version}: ${files} files in ${path.relative(ROOT, OUTPUT_DIR)}`);
+}
+
+main().catch(error => {
+    console.error('❌ Offline bundle failed:', error.message);
+    process.exit(1);
+});
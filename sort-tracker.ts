@@ -0,0 +1,455 @@
+/**
+ * SORT Tracker for PoliCamera
+ * Simple Online and Realtime Tracking: a constant-velocity Kalman filter predicts where each
+ * tracked object will be, and detections are assigned to the predictions optimally (Hungarian
+ * method on IoU), so IDs stay with their objects when people cross
+ */
+
+export interface BoundingBox {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/**
+ * Detection as passed to AIRecognitionManager.trackObjects (video pixels)
+ */
+export interface Detection {
+    class: string;
+    confidence: number;
+    bbox: BoundingBox;
+}
+
+/**
+ * 'tentative': seen fewer than minHits times, no ID yet, dropped on the first miss
+ * 'confirmed': matched in the latest frame
+ * 'lost': confirmed but missed; kept (and predicted) for up to maxAge frames
+ */
+export type TrackState = 'tentative' | 'confirmed' | 'lost';
+
+export interface TrackedDetection extends Detection {
+    trackId: number;
+    framesSeen: number;
+    state: TrackState;
+}
+
+export interface TrackInfo {
+    id: number | null; // Assigned when the track is confirmed
+    class: string;
+    state: TrackState;
+    bbox: BoundingBox; // Filtered (or, while lost, predicted) box
+    velocity: { x: number; y: number }; // Pixels per frame
+    hits: number;
+    missedFrames: number;
+}
+
+export interface SortTrackerConfig {
+    iouThreshold?: number; // Minimum IoU between a detection and a track's predicted box
+    minHits?: number; // Matches before a tentative track is confirmed
+    maxAge?: number; // Frames a lost track is kept before it is deleted
+    maxTracks?: number;
+}
+
+const DEFAULT_CONFIG: Required<SortTrackerConfig> = {
+    iouThreshold: 0.3,
+    minHits: 3,
+    maxAge: 5,
+    maxTracks: 50,
+};
+
+type Matrix = number[][];
+
+/**
+ * Box geometry and assignment
+ */
+export class TrackingMath {
+    /**
+     * Intersection over union of two boxes
+     */
+    static iou(a: BoundingBox, b: BoundingBox): number {
+        if (a.width <= 0 || a.height <= 0 || b.width <= 0 || b.height <= 0) {
+            return 0;
+        }
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (width <= 0 || height <= 0) {
+            return 0;
+        }
+        const intersection = width * height;
+        return intersection / (a.width * a.height + b.width * b.height - intersection);
+    }
+
+    /**
+     * Minimum-cost assignment of rows to columns (Hungarian method with potentials, O(n²m)).
+     * Rectangular matrices leave the extra rows or columns unassigned
+     * @returns [row, column] pairs
+     */
+    static assign(cost: Matrix): Array<[number, number]> {
+        const rows = cost.length;
+        const columns = rows > 0 ? cost[0]!.length : 0;
+        if (rows === 0 || columns === 0) {
+            return [];
+        }
+        if (rows > columns) {
+            const transposed = transpose(cost);
+            return TrackingMath.assign(transposed)
+                .map(([column, row]): [number, number] => [row, column])
+                .sort((a, b) => a[0] - b[0]);
+        }
+
+        // 1-based; column 0 is a virtual column holding the row being inserted
+        const u = new Array<number>(rows + 1).fill(0);
+        const v = new Array<number>(columns + 1).fill(0);
+        const rowOf = new Array<number>(columns + 1).fill(0);
+        const previous = new Array<number>(columns + 1).fill(0);
+
+        for (let row = 1; row <= rows; row++) {
+            rowOf[0] = row;
+            let column = 0;
+            const minimum = new Array<number>(columns + 1).fill(Infinity);
+            const used = new Array<boolean>(columns + 1).fill(false);
+
+            // Grow an alternating path until it reaches a free column
+            do {
+                used[column] = true;
+                const currentRow = rowOf[column]!;
+                let delta = Infinity;
+                let next = 0;
+                for (let j = 1; j <= columns; j++) {
+                    if (used[j]) continue;
+                    const reduced = cost[currentRow - 1]![j - 1]! - u[currentRow]! - v[j]!;
+                    if (reduced < minimum[j]!) {
+                        minimum[j] = reduced;
+                        previous[j] = column;
+                    }
+                    if (minimum[j]! < delta) {
+                        delta = minimum[j]!;
+                        next = j;
+                    }
+                }
+                for (let j = 0; j <= columns; j++) {
+                    if (used[j]) {
+                        u[rowOf[j]!]! += delta;
+                        v[j]! -= delta;
+                    } else {
+                        minimum[j]! -= delta;
+                    }
+                }
+                column = next;
+            } while (rowOf[column] !== 0);
+
+            // Flip the path
+            do {
+                const before = previous[column]!;
+                rowOf[column] = rowOf[before]!;
+                column = before;
+            } while (column !== 0);
+        }
+
+        const pairs: Array<[number, number]> = [];
+        for (let j = 1; j <= columns; j++) {
+            if (rowOf[j] !== 0) {
+                pairs.push([rowOf[j]! - 1, j - 1]);
+            }
+        }
+        return pairs.sort((a, b) => a[0] - b[0]);
+    }
+}
+
+// State [cx, cy, s, r, vx, vy, vs]: box center, area, aspect ratio (width / height) and the
+// per-frame velocities of center and area; the aspect ratio is taken as constant
+const STATE_SIZE = 7;
+const MEASUREMENT_SIZE = 4;
+
+// Constant velocity over one frame
+const TRANSITION: Matrix = identity(STATE_SIZE).map((row, i) => {
+    if (i < 3) row[i + 4] = 1;
+    return row;
+});
+
+// Noise as in the SORT paper's reference implementation
+const PROCESS_NOISE = diagonal([1, 1, 1, 1, 0.01, 0.01, 0.0001]);
+const MEASUREMENT_NOISE = diagonal([1, 1, 10, 10]);
+const INITIAL_COVARIANCE = diagonal([10, 10, 10, 10, 10000, 10000, 10000]); // Velocity unknown at first
+
+/**
+ * Constant-velocity Kalman filter on a bounding box
+ */
+export class KalmanBoxFilter {
+    private state: number[];
+    private covariance: Matrix;
+
+    constructor(bbox: BoundingBox) {
+        this.state = [...KalmanBoxFilter.toMeasurement(bbox), 0, 0, 0];
+        this.covariance = INITIAL_COVARIANCE.map(row => [...row]);
+    }
+
+    /**
+     * Advance one frame
+     * @returns Predicted box
+     */
+    predict(): BoundingBox {
+        // Keep the area from shrinking below zero
+        if (this.state[2]! + this.state[6]! <= 0) {
+            this.state[6] = 0;
+        }
+        this.state = multiplyVector(TRANSITION, this.state);
+        this.covariance = add(multiply(multiply(TRANSITION, this.covariance), transpose(TRANSITION)), PROCESS_NOISE);
+        return this.getBox();
+    }
+
+    /**
+     * Correct the state with a detected box
+     */
+    update(bbox: BoundingBox): void {
+        const measurement = KalmanBoxFilter.toMeasurement(bbox);
+        const residual = measurement.map((value, i) => value - this.state[i]!);
+
+        // The measurement is the first four state entries, so H·P·Hᵀ and P·Hᵀ are slices of P
+        const covarianceHt = this.covariance.map(row => row.slice(0, MEASUREMENT_SIZE));
+        const innovation = add(covarianceHt.slice(0, MEASUREMENT_SIZE), MEASUREMENT_NOISE);
+        const gain = multiply(covarianceHt, invert(innovation));
+
+        this.state = this.state.map((value, i) => value + dot(gain[i]!, residual));
+        const gainH = gain.map(row => [...row, ...new Array<number>(STATE_SIZE - MEASUREMENT_SIZE).fill(0)]);
+        this.covariance = multiply(subtract(identity(STATE_SIZE), gainH), this.covariance);
+    }
+
+    getBox(): BoundingBox {
+        const [cx, cy, area, aspect] = this.state as [number, number, number, number];
+        const width = Math.sqrt(Math.max(area, 1) * Math.max(aspect, 1e-3));
+        const height = Math.max(area, 1) / width;
+        return { x: cx - width / 2, y: cy - height / 2, width, height };
+    }
+
+    /**
+     * Velocity of the box center, pixels per frame
+     */
+    getVelocity(): { x: number; y: number } {
+        return { x: this.state[4]!, y: this.state[5]! };
+    }
+
+    private static toMeasurement(bbox: BoundingBox): number[] {
+        return [
+            bbox.x + bbox.width / 2,
+            bbox.y + bbox.height / 2,
+            bbox.width * bbox.height,
+            bbox.width / Math.max(bbox.height, 1e-3),
+        ];
+    }
+}
+
+interface Track {
+    id: number | null;
+    class: string;
+    confidence: number;
+    filter: KalmanBoxFilter;
+    state: TrackState;
+    hits: number;
+    missedFrames: number;
+}
+
+/**
+ * Multi-object tracker: call update() once per detection frame
+ */
+export class SortTracker {
+    private config: Required<SortTrackerConfig>;
+    private tracks: Track[] = [];
+    private nextId = 1;
+
+    constructor(config: SortTrackerConfig = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+
+    configure(config: SortTrackerConfig): void {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Track one frame of detections
+     * @returns Detections of confirmed tracks, with their filtered boxes
+     */
+    update(detections: Detection[]): TrackedDetection[] {
+        const predicted = this.tracks.map(track => track.filter.predict());
+
+        // Cost 1 - IoU; a detection of another class never continues a track
+        const cost = this.tracks.map((track, t) => detections.map(detection =>
+            detection.class === track.class ? 1 - TrackingMath.iou(predicted[t]!, detection.bbox) : 1
+        ));
+
+        const matchedTracks = new Set<Track>();
+        const matchedDetections = new Set<number>();
+        for (const [t, d] of TrackingMath.assign(cost)) {
+            if (1 - cost[t]![d]! < this.config.iouThreshold) continue;
+            const track = this.tracks[t]!;
+            const detection = detections[d]!;
+
+            track.filter.update(detection.bbox);
+            track.confidence = detection.confidence;
+            track.hits++;
+            track.missedFrames = 0;
+            if (track.state === 'lost' || track.hits >= this.config.minHits) {
+                track.state = 'confirmed';
+            }
+            if (track.state === 'confirmed' && track.id === null) {
+                track.id = this.nextId++;
+            }
+            matchedTracks.add(track);
+            matchedDetections.add(d);
+        }
+
+        for (const track of this.tracks) {
+            if (matchedTracks.has(track)) continue;
+            track.missedFrames++;
+            if (track.state === 'confirmed') {
+                track.state = 'lost';
+            }
+        }
+        this.tracks = this.tracks.filter(track => track.state === 'lost'
+            ? track.missedFrames <= this.config.maxAge
+            : track.missedFrames === 0
+        );
+
+        detections.forEach((detection, d) => {
+            if (matchedDetections.has(d)) return;
+            const confirmed = this.config.minHits <= 1;
+            this.tracks.push({
+                id: confirmed ? this.nextId++ : null,
+                class: detection.class,
+                confidence: detection.confidence,
+                filter: new KalmanBoxFilter(detection.bbox),
+                state: confirmed ? 'confirmed' : 'tentative',
+                hits: 1,
+                missedFrames: 0,
+            });
+        });
+
+        this.pruneTracks();
+
+        const results: TrackedDetection[] = [];
+        for (const track of this.tracks) {
+            if (track.state !== 'confirmed' || track.id === null) continue;
+            const box = track.filter.getBox();
+            results.push({
+                class: track.class,
+                confidence: track.confidence,
+                bbox: {
+                    x: Math.round(box.x),
+                    y: Math.round(box.y),
+                    width: Math.max(1, Math.round(box.width)),
+                    height: Math.max(1, Math.round(box.height)),
+                },
+                trackId: track.id,
+                framesSeen: track.hits,
+                state: track.state,
+            });
+        }
+        return results;
+    }
+
+    /**
+     * All live tracks, including tentative and lost ones
+     */
+    getTracks(): TrackInfo[] {
+        return this.tracks.map(track => ({
+            id: track.id,
+            class: track.class,
+            state: track.state,
+            bbox: track.filter.getBox(),
+            velocity: track.filter.getVelocity(),
+            hits: track.hits,
+            missedFrames: track.missedFrames,
+        }));
+    }
+
+    /**
+     * Drop all tracks and restart IDs at 1
+     */
+    reset(): void {
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Keep at most maxTracks, dropping those missed for longest
+     */
+    private pruneTracks(): void {
+        if (this.tracks.length <= this.config.maxTracks) return;
+
+        const keep = new Set([...this.tracks]
+            .sort((a, b) => a.missedFrames - b.missedFrames)
+            .slice(0, this.config.maxTracks));
+        this.tracks = this.tracks.filter(track => keep.has(track));
+        console.warn(`Tracked objects limit reached. Pruned to ${this.config.maxTracks} objects.`);
+    }
+}
+
+function identity(size: number): Matrix {
+    return Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => (i === j ? 1 : 0)));
+}
+
+function diagonal(values: number[]): Matrix {
+    return values.map((value, i) => values.map((_, j) => (i === j ? value : 0)));
+}
+
+function transpose(a: Matrix): Matrix {
+    return a[0]!.map((_, j) => a.map(row => row[j]!));
+}
+
+function multiply(a: Matrix, b: Matrix): Matrix {
+    return a.map(row => b[0]!.map((_, j) => row.reduce((sum, value, k) => sum + value * b[k]![j]!, 0)));
+}
+
+function multiplyVector(a: Matrix, x: number[]): number[] {
+    return a.map(row => dot(row, x));
+}
+
+function dot(a: number[], b: number[]): number {
+    return a.reduce((sum, value, i) => sum + value * b[i]!, 0);
+}
+
+function add(a: Matrix, b: Matrix): Matrix {
+    return a.map((row, i) => row.map((value, j) => value + b[i]![j]!));
+}
+
+function subtract(a: Matrix, b: Matrix): Matrix {
+    return a.map((row, i) => row.map((value, j) => value - b[i]![j]!));
+}
+
+/**
+ * Gauss-Jordan elimination with partial pivoting
+ */
+function invert(a: Matrix): Matrix {
+    const size = a.length;
+    const m = a.map((row, i) => [...row, ...identity(size)[i]!]);
+
+    for (let column = 0; column < size; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < size; row++) {
+            if (Math.abs(m[row]![column]!) > Math.abs(m[pivot]![column]!)) pivot = row;
+        }
+        [m[column], m[pivot]] = [m[pivot]!, m[column]!];
+
+        const pivotRow = m[column]!;
+        const divisor = pivotRow[column]!;
+        for (let j = 0; j < 2 * size; j++) pivotRow[j]! /= divisor;
+
+        for (let row = 0; row < size; row++) {
+            if (row === column) continue;
+            const factor = m[row]![column]!;
+            if (factor === 0) continue;
+            for (let j = 0; j < 2 * size; j++) m[row]![j]! -= factor * pivotRow[j]!;
+        }
+    }
+    return m.map(row => row.slice(size));
+}
+
+export default SortTracker;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).SortTracker = SortTracker;
+    (window as any).KalmanBoxFilter = KalmanBoxFilter;
+    (window as any).TrackingMath = TrackingMath;
+}
@@ -1,4 +1,7 @@
-const CACHE_NAME = 'policamera-v4'; // Updated for encryption and integrity checks
+const CACHE_NAME = 'policamera-v7'; // Updated for the photo uploader
+
+// Shared constants, database access and upload for the photo outbox, and the offline bundle manifest
+importScripts('./constants.js', './database.js', './photo-uploader.js', './offline-assets.js');
 
 // Critical files with integrity validation
 const urlsToCache = [
@@ -6,6 +9,7 @@ const urlsToCache = [
   './index.html',
   './styles.css',
   './manifest.json',
+  './translations/phrases.json',
   // Core Utilities
   './constants.js',
   './utils.js',
@@ -13,18 +17,28 @@ const urlsToCache = [
   './crypto-manager.js',
   // Data Management
   './database.js',
+  './photo-uploader.js',
   './network.js',
   // Feature Modules
   './qr.js',
   './gps-manager.js',
+  './camera-manager.js',
   './stitch.js',
+  './gallery.js',
+  './inventory-session.js',
   './opencv-wrapper.js',
   // AI Modules
+  './offline-assets.js',
+  './custom-detector.js',
   './ai.js',
   './ai-worker.js',
   './pose.js',
   './face.js',
+  './depth-estimators.js',
+  './depth-worker.js',
   './depth.js',
+  './redaction.js',
+  './document-scanner.js',
   // Main Application
   './app.js'
 ];
@@ -108,6 +122,14 @@ self.addEventListener('install', event => {
         });
 
         await Promise.allSettled(cachePromises);
+
+        // AI libraries and models, if a bundle was built; the CDNs are used otherwise
+        try {
+          await precacheOfflineAssets();
+        } catch (error) {
+          console.error('Failed to cache the offline bundle:', error);
+        }
+
         console.log('✅ Service Worker: Installation complete');
       })
       .then(() => {
@@ -122,7 +144,12 @@ self.addEventListener('activate', event => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          if (cacheName !== CACHE_NAME) {
+          // Offline bundle caches are replaced by precacheOfflineAssets
+          if (cacheName !== CACHE_NAME &&
+              cacheName !== AppConstants.MAP.TILE_CACHE_NAME &&
+              cacheName !== AppConstants.OCR.CACHE_NAME &&
+              cacheName !== AppConstants.MODELS.CACHE_NAME &&
+              !cacheName.startsWith(AppConstants.OFFLINE.CACHE_PREFIX)) {
             console.log('Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
@@ -134,6 +161,223 @@ self.addEventListener('activate', event => {
   );
 });
 
+// Map tiles and the MBTiles reader are cached separately so they survive app updates
+const TILE_ORIGIN = new URL(AppConstants.MAP.TILE_URL.replace(/[{}]/g, '')).origin;
+let tilesCachedSinceTrim = 0;
+
+/**
+ * Check whether a request is for a map tile or the MBTiles reader (sql.js)
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+function isMapAsset(url) {
+  return url.startsWith(TILE_ORIGIN) || url.startsWith(AppConstants.MAP.SQL_JS_URL);
+}
+
+/**
+ * Serve map assets cache-first so areas viewed online stay available offline
+ * @param {Request} request - Tile or sql.js request
+ * @returns {Promise<Response>}
+ */
+async function handleMapAssetRequest(request) {
+  const cache = await caches.open(AppConstants.MAP.TILE_CACHE_NAME);
+  const cachedResponse = await cache.match(request);
+  // An opaque copy cannot answer a CORS request
+  if (cachedResponse && !(cachedResponse.type === 'opaque' && request.mode === 'cors')) {
+    return cachedResponse;
+  }
+
+  const response = await fetch(request);
+  // sql.js is loaded by a script tag: without CORS its response is opaque, but still the right file.
+  // Opaque tiles are not cached, browsers count each one as megabytes of quota
+  const isSqlJs = request.url.startsWith(AppConstants.MAP.SQL_JS_URL);
+  if (response.ok || (isSqlJs && response.type === 'opaque')) {
+    await cache.put(request, response.clone());
+    if (!isSqlJs && ++tilesCachedSinceTrim >= 100) {
+      tilesCachedSinceTrim = 0;
+      trimTileCache(cache);
+    }
+  }
+  return response;
+}
+
+/**
+ * Drop the oldest cached tiles beyond the limit (sql.js is kept)
+ * @param {Cache} cache - Tile cache
+ */
+async function trimTileCache(cache) {
+  const keys = (await cache.keys()).filter(key => key.url.startsWith(TILE_ORIGIN));
+  const excess = keys.length - AppConstants.MAP.MAX_CACHED_TILES;
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+/**
+ * Check whether a request is for Tesseract (script, worker, core) or traineddata
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+function isOCRAsset(url) {
+  return url.startsWith(AppConstants.OCR.TESSERACT_URL) ||
+    url.startsWith(AppConstants.OCR.LANG_CDN_URL) ||
+    /\.traineddata(\.gz)?$/.test(new URL(url).pathname);
+}
+
+/**
+ * Check whether a request is for a model file or a model runtime
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+function isModelAsset(url) {
+  return url.startsWith(new URL(AppConstants.MODELS.BASE_PATH, self.location.href).href) ||
+    url.startsWith(AppConstants.DEPTH.ORT_URL);
+}
+
+/**
+ * Serve large versioned assets (OCR data, models) cache-first; they never change for a URL
+ * @param {Request|string} request - Asset request
+ * @param {string} cacheName - Cache kept across app updates
+ * @returns {Promise<Response>}
+ */
+async function handleCacheFirstRequest(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cachedResponse = await cache.match(request);
+  if (cachedResponse) {
+    return cachedResponse;
+  }
+
+  const response = await fetch(request);
+  // The Tesseract script tag is loaded without CORS, so its response is opaque
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Fetch traineddata files into the OCR cache ahead of use
+ * @param {string[]} urls - Traineddata URLs
+ * @returns {Promise<void>}
+ */
+async function cacheOCRLanguages(urls) {
+  const results = await Promise.allSettled(urls.map(url => handleCacheFirstRequest(url, AppConstants.OCR.CACHE_NAME)));
+  const failed = results.filter(result => result.status === 'rejected' || !result.value.ok).length;
+  if (failed > 0) {
+    console.warn(`Failed to cache ${failed} of ${urls.length} OCR language files`);
+  }
+}
+
+// Offline bundle (offline-assets.js): each manifest version has its own cache, which holds the
+// manifest once every file in it has been cached and verified
+let offlineBundlePromise = null;
+
+/**
+ * Download the offline bundle into the cache of its manifest version, checking every file's
+ * size and SHA-256 against the manifest. Files cached by an interrupted run are kept.
+ * Once complete, the caches of other versions are deleted
+ * @returns {Promise<void>}
+ */
+async function precacheOfflineAssets() {
+  const manifest = await OfflineAssets.fetchManifest({ cache: 'no-cache' });
+  if (!manifest) {
+    console.log('No offline bundle: AI libraries and models load from their CDNs');
+    return;
+  }
+
+  const cacheName = `${AppConstants.OFFLINE.CACHE_PREFIX}${manifest.version}`;
+  const cache = await caches.open(cacheName);
+  const files = OfflineAssets.listFiles(manifest);
+  let failed = 0;
+
+  // One file at a time, model weights are large
+  for (const file of files) {
+    if (await cache.match(file.url)) continue;
+
+    try {
+      await cache.put(file.url, await OfflineAssets.fetchVerified(file, { cache: 'no-cache' }));
+    } catch (error) {
+      failed++;
+      console.error(`Failed to cache ${file.url}:`, error.message);
+    }
+  }
+
+  if (failed > 0) {
+    console.warn(`Offline bundle ${manifest.version} incomplete: ${failed} of ${files.length} files failed`);
+    return;
+  }
+
+  // Written last: pages and workers take a cached manifest to mean every file is verified
+  await cache.put(OfflineAssets.getManifestUrl(), new Response(JSON.stringify(manifest), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+  const cacheNames = await caches.keys();
+  await Promise.all(cacheNames
+    .filter(name => name.startsWith(AppConstants.OFFLINE.CACHE_PREFIX) && name !== cacheName)
+    .map(name => caches.delete(name)));
+  offlineBundlePromise = null;
+  console.log(`✅ Offline bundle ${manifest.version} cached (${files.length} files)`);
+}
+
+/**
+ * The complete offline bundle in the caches
+ * @returns {Promise<Object|null>} { cache, sources: Map of source URL to bundled URL }
+ */
+function getOfflineBundle() {
+  if (!offlineBundlePromise) {
+    offlineBundlePromise = OfflineAssets.findCachedBundle().then(bundle => {
+      if (!bundle) return null;
+      const files = OfflineAssets.listFiles(bundle.manifest);
+      return { cache: bundle.cache, sources: new Map(files.map(file => [file.source, file.url])) };
+    });
+  }
+  return offlineBundlePromise;
+}
+
+/**
+ * Check whether a request is for a bundled file, or for a file the bundle has a copy of
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+function isOfflineAsset(url) {
+  return url.startsWith(new URL(AppConstants.OFFLINE.BASE_PATH, self.location.href).href) ||
+    Object.values(AppConstants.OFFLINE.BUNDLES).some(bundle => url.startsWith(bundle.url));
+}
+
+/**
+ * Serve bundled files from the offline cache, including requests for their CDN and TF Hub
+ * sources (script tags, library defaults); the manifest itself network-first
+ * @param {Request} request - Bundled file or source request
+ * @returns {Promise<Response>}
+ */
+async function handleOfflineAssetRequest(request) {
+  if (request.url === OfflineAssets.getManifestUrl()) {
+    try {
+      return await fetch(request, { cache: 'no-cache' });
+    } catch (error) {
+      const cachedManifest = await caches.match(request.url);
+      if (cachedManifest) return cachedManifest;
+      throw error;
+    }
+  }
+
+  const bundle = await getOfflineBundle();
+  if (bundle) {
+    const cachedResponse = await bundle.cache.match(bundle.sources.get(request.url) || request.url);
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+  }
+
+  if (isOCRAsset(request.url)) {
+    return handleCacheFirstRequest(request, AppConstants.OCR.CACHE_NAME);
+  }
+  if (isModelAsset(request.url)) {
+    return handleCacheFirstRequest(request, AppConstants.MODELS.CACHE_NAME);
+  }
+  return fetch(request);
+}
+
 // Fetch event - serve from cache with validation, fallback to network
 self.addEventListener('fetch', event => {
   // Skip non-GET requests
@@ -141,6 +385,26 @@ self.addEventListener('fetch', event => {
     return;
   }
 
+  if (isMapAsset(event.request.url)) {
+    event.respondWith(handleMapAssetRequest(event.request));
+    return;
+  }
+
+  if (isOfflineAsset(event.request.url)) {
+    event.respondWith(handleOfflineAssetRequest(event.request));
+    return;
+  }
+
+  if (isOCRAsset(event.request.url)) {
+    event.respondWith(handleCacheFirstRequest(event.request, AppConstants.OCR.CACHE_NAME));
+    return;
+  }
+
+  if (isModelAsset(event.request.url)) {
+    event.respondWith(handleCacheFirstRequest(event.request, AppConstants.MODELS.CACHE_NAME));
+    return;
+  }
+
   event.respondWith(
     caches.match(event.request)
       .then(cachedResponse => {
@@ -207,24 +471,56 @@ self.addEventListener('fetch', event => {
 
 // Background sync for photo uploads (when online)
 self.addEventListener('sync', event => {
-  if (event.tag === 'photo-upload') {
+  if (event.tag === AppConstants.UPLOAD.SYNC_TAG) {
     event.waitUntil(uploadPendingPhotos());
   }
 });
 
+// Fallback for browsers without Background Sync: the page asks us directly
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'UPLOAD_PENDING_PHOTOS') {
+    event.waitUntil(
+      uploadPendingPhotos().catch(error => {
+        console.warn('Photo upload incomplete, will retry later:', error.message);
+      })
+    );
+  } else if (event.data && event.data.type === 'CACHE_OCR_LANGUAGES') {
+    event.waitUntil(cacheOCRLanguages(event.data.urls || []));
+  } else if (event.data && event.data.type === 'CACHE_OFFLINE_ASSETS') {
+    event.waitUntil(
+      precacheOfflineAssets().catch(error => {
+        console.warn('Failed to cache the offline bundle:', error.message);
+      })
+    );
+  }
+});
+
+/**
+ * Upload every pending photo in the outbox to the configured endpoint
+ * Throws if any upload failed or photos are still waiting for their backoff, so the
+ * browser reschedules the sync; open pages are told when the next photo is due
+ * @returns {Promise<void>}
+ */
 async function uploadPendingPhotos() {
-  // This would handle uploading photos when the device comes back online
-  // For now, just log that sync occurred
-  console.log('Background sync: photo-upload');
-
-  try {
-    // Get pending photos from IndexedDB or localStorage
-    // Upload them to your server
-    // Remove from pending queue once uploaded
-    console.log('Photos would be uploaded here');
-  } catch (error) {
-    console.error('Failed to upload photos:', error);
-    throw error; // This will retry the sync
+  if (!databaseManager.db) {
+    await databaseManager.init();
+  }
+
+  const result = await PhotoUploader.uploadPending(databaseManager);
+  if (!result.endpoint) {
+    console.log('Background sync: no upload endpoint configured, keeping photos queued');
+    return;
+  }
+  console.log(`Background sync: ${result.uploaded} photo(s) uploaded, ${result.failed} failed`);
+
+  const windows = await self.clients.matchAll({ type: 'window' });
+  windows.forEach(client => client.postMessage({ type: 'UPLOAD_STATUS', ...result }));
+
+  if (result.failed > 0) {
+    throw new Error(`${result.failed} photo upload(s) failed`); // This will retry the sync
+  }
+  if (result.nextAttempt !== null) {
+    throw new Error('Photos waiting to retry their upload');
   }
 }
 
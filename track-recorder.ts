@@ -0,0 +1,400 @@
+/**
+ * Track Recorder for PoliCamera
+ * Logs the confirmed tracks of every detection frame during a session and writes them out for
+ * offline evaluation and analytics: MOTChallenge text, COCO-video-style JSON, and GeoJSON of the
+ * camera's GPS positions over each track's time span
+ */
+
+export interface BoundingBox {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/**
+ * Detection as returned by AIRecognitionManager.trackObjects (video pixels)
+ */
+export interface TrackedDetection {
+    class: string;
+    confidence?: number;
+    bbox: BoundingBox;
+    trackId?: number;
+    state?: string;
+}
+
+export interface GeoPosition {
+    latitude: number;
+    longitude: number;
+    accuracy?: number | null;
+}
+
+export interface RecordedBox {
+    trackId: number;
+    class: string;
+    confidence: number;
+    bbox: BoundingBox;
+}
+
+export interface RecordedFrame {
+    index: number; // 1-based, as in MOTChallenge
+    timestamp: number; // Milliseconds since the epoch
+    boxes: RecordedBox[];
+}
+
+export interface TrackSummary {
+    trackId: number;
+    class: string;
+    firstFrame: number;
+    lastFrame: number;
+    startTime: number;
+    endTime: number;
+    frames: number; // Frames the track was seen in
+}
+
+export interface TrackRecorderConfig {
+    maxFrames?: number; // Recording stops after this many frames
+    positionInterval?: number; // Minimum milliseconds between logged GPS positions
+}
+
+const DEFAULT_CONFIG: Required<TrackRecorderConfig> = {
+    maxFrames: 54000,
+    positionInterval: 1000,
+};
+
+// GeoJSON (RFC 7946)
+export interface GeoJsonFeature {
+    type: 'Feature';
+    geometry: { type: 'Point'; coordinates: number[] } | { type: 'LineString'; coordinates: number[][] } | null;
+    properties: Record<string, unknown>;
+}
+
+export interface GeoJsonFeatureCollection {
+    type: 'FeatureCollection';
+    features: GeoJsonFeature[];
+}
+
+interface TimedPosition extends GeoPosition {
+    timestamp: number;
+}
+
+/**
+ * Records tracks across a session and exports them
+ */
+export class TrackRecorder {
+    private config: Required<TrackRecorderConfig>;
+    private recording = false;
+    private name = '';
+    private width = 0;
+    private height = 0;
+    private frames: RecordedFrame[] = [];
+    private positions: TimedPosition[] = [];
+
+    constructor(config: TrackRecorderConfig = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+
+    configure(config: TrackRecorderConfig): void {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Start a new recording; the previous one is discarded
+     * @param width - Frame width in pixels
+     * @param height - Frame height in pixels
+     * @param name - Sequence name used in the exports
+     */
+    start(width: number, height: number, name = `policamera-${Date.now()}`): void {
+        this.recording = true;
+        this.name = name;
+        this.width = width;
+        this.height = height;
+        this.frames = [];
+        this.positions = [];
+    }
+
+    /**
+     * Stop recording; the recording stays available for export
+     */
+    stop(): void {
+        this.recording = false;
+    }
+
+    isRecording(): boolean {
+        return this.recording;
+    }
+
+    hasRecording(): boolean {
+        return this.frames.length > 0;
+    }
+
+    getName(): string {
+        return this.name;
+    }
+
+    /**
+     * Log one detection frame. Frames without tracks are logged too, so frame numbers follow
+     * the detection frames; tentative and lost tracks are left out
+     * @returns False when not recording, or when the frame limit was reached and recording stopped
+     */
+    record(detections: TrackedDetection[], timestamp: number): boolean {
+        if (!this.recording) return false;
+        if (this.frames.length >= this.config.maxFrames) {
+            this.stop();
+            return false;
+        }
+
+        const boxes: RecordedBox[] = [];
+        for (const detection of detections) {
+            if (detection.trackId === undefined) continue;
+            if (detection.state !== undefined && detection.state !== 'confirmed') continue;
+            boxes.push({
+                trackId: detection.trackId,
+                class: detection.class,
+                confidence: detection.confidence ?? 1,
+                bbox: { ...detection.bbox },
+            });
+        }
+
+        this.frames.push({ index: this.frames.length + 1, timestamp, boxes });
+        return true;
+    }
+
+    /**
+     * Log where the camera is; positions closer together than positionInterval are skipped
+     */
+    recordPosition(position: GeoPosition, timestamp: number): void {
+        if (!this.recording) return;
+        const last = this.positions[this.positions.length - 1];
+        if (last && timestamp - last.timestamp < this.config.positionInterval) return;
+        this.positions.push({ ...position, timestamp });
+    }
+
+    getFrames(): RecordedFrame[] {
+        return this.frames;
+    }
+
+    /**
+     * Every recorded track, in order of first appearance
+     */
+    getTracks(): TrackSummary[] {
+        const tracks = new Map<number, TrackSummary>();
+        for (const frame of this.frames) {
+            for (const box of frame.boxes) {
+                const track = tracks.get(box.trackId);
+                if (track) {
+                    track.lastFrame = frame.index;
+                    track.endTime = frame.timestamp;
+                    track.frames++;
+                } else {
+                    tracks.set(box.trackId, {
+                        trackId: box.trackId,
+                        class: box.class,
+                        firstFrame: frame.index,
+                        lastFrame: frame.index,
+                        startTime: frame.timestamp,
+                        endTime: frame.timestamp,
+                        frames: 1,
+                    });
+                }
+            }
+        }
+        return [...tracks.values()];
+    }
+
+    /**
+     * MOTChallenge results: one line per box,
+     * `frame,id,bb_left,bb_top,bb_width,bb_height,conf,-1,-1,-1`, with 1-based pixel coordinates
+     */
+    toMot(): string {
+        const lines: string[] = [];
+        for (const frame of this.frames) {
+            for (const box of frame.boxes) {
+                const { x, y, width, height } = box.bbox;
+                lines.push([
+                    frame.index,
+                    box.trackId,
+                    round(x + 1, 2),
+                    round(y + 1, 2),
+                    round(width, 2),
+                    round(height, 2),
+                    round(box.confidence, 4),
+                    -1, -1, -1,
+                ].join(','));
+            }
+        }
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+    /**
+     * COCO-style video annotations (as used by TAO and YouTube-VIS): one video whose images are
+     * the detection frames, with a track_id on every annotation
+     */
+    toCocoVideo(): Record<string, unknown> {
+        const tracks = this.getTracks();
+        const classes = [...new Set(tracks.map(track => track.class))].sort();
+        const categoryIds = new Map(classes.map((name, i) => [name, i + 1]));
+        const first = this.frames[0];
+
+        const annotations: Record<string, unknown>[] = [];
+        for (const frame of this.frames) {
+            for (const box of frame.boxes) {
+                const { x, y, width, height } = box.bbox;
+                annotations.push({
+                    id: annotations.length + 1,
+                    image_id: frame.index,
+                    video_id: 1,
+                    track_id: box.trackId,
+                    category_id: categoryIds.get(box.class),
+                    bbox: [round(x, 2), round(y, 2), round(width, 2), round(height, 2)],
+                    area: round(width * height, 2),
+                    iscrowd: 0,
+                    score: round(box.confidence, 4),
+                });
+            }
+        }
+
+        return {
+            info: {
+                description: `PoliCamera object tracks: ${this.name}`,
+                date_created: new Date(first ? first.timestamp : Date.now()).toISOString(),
+            },
+            videos: [{
+                id: 1,
+                name: this.name,
+                width: this.width,
+                height: this.height,
+                length: this.frames.length,
+            }],
+            images: this.frames.map(frame => ({
+                id: frame.index,
+                video_id: 1,
+                frame_id: frame.index - 1,
+                file_name: `${this.name}/${String(frame.index).padStart(6, '0')}.jpg`,
+                width: this.width,
+                height: this.height,
+                timestamp: new Date(frame.timestamp).toISOString(),
+            })),
+            categories: classes.map(name => ({ id: categoryIds.get(name), name })),
+            tracks: tracks.map(track => ({
+                id: track.trackId,
+                category_id: categoryIds.get(track.class),
+                video_id: 1,
+            })),
+            annotations,
+        };
+    }
+
+    /**
+     * One feature per track: the camera's path from the track's first to last frame (a Point
+     * when the camera stood still, no geometry without GPS). Positions at the ends of the
+     * span are interpolated between the logged positions
+     */
+    toGeoJson(): GeoJsonFeatureCollection {
+        return {
+            type: 'FeatureCollection',
+            features: this.getTracks().map(track => {
+                const path = this.getPath(track.startTime, track.endTime);
+                const coordinates = path.map(position => [round(position.longitude, 7), round(position.latitude, 7)]);
+                const distinct = new Set(coordinates.map(coordinate => coordinate.join(','))).size;
+
+                const properties: Record<string, unknown> = {
+                    trackId: track.trackId,
+                    class: track.class,
+                    startTime: new Date(track.startTime).toISOString(),
+                    endTime: new Date(track.endTime).toISOString(),
+                    duration: track.endTime - track.startTime,
+                    firstFrame: track.firstFrame,
+                    lastFrame: track.lastFrame,
+                    frames: track.frames,
+                };
+
+                let geometry: GeoJsonFeature['geometry'] = null;
+                if (distinct > 1) {
+                    geometry = { type: 'LineString', coordinates };
+                    properties.coordTimes = path.map(position => new Date(position.timestamp).toISOString());
+                } else if (coordinates[0]) {
+                    geometry = { type: 'Point', coordinates: coordinates[0] };
+                }
+
+                return { type: 'Feature', geometry, properties };
+            }),
+        };
+    }
+
+    /**
+     * Camera position at a time, interpolated between the logged positions
+     * (the nearest one before the first or after the last)
+     */
+    positionAt(timestamp: number): TimedPosition | null {
+        const positions = this.positions;
+        const first = positions[0];
+        const last = positions[positions.length - 1];
+        if (!first || !last) return null;
+        if (timestamp <= first.timestamp) return { ...first, timestamp };
+        if (timestamp >= last.timestamp) return { ...last, timestamp };
+
+        let i = 1;
+        while (positions[i]!.timestamp < timestamp) i++;
+        const before = positions[i - 1]!;
+        const after = positions[i]!;
+        const t = (timestamp - before.timestamp) / (after.timestamp - before.timestamp);
+        return {
+            latitude: before.latitude + (after.latitude - before.latitude) * t,
+            longitude: before.longitude + (after.longitude - before.longitude) * t,
+            accuracy: before.accuracy ?? after.accuracy ?? null,
+            timestamp,
+        };
+    }
+
+    /**
+     * Positions from start to end: the interpolated ends and every logged position between them
+     */
+    private getPath(start: number, end: number): TimedPosition[] {
+        const from = this.positionAt(start);
+        if (!from) return [];
+
+        const path = [from];
+        for (const position of this.positions) {
+            if (position.timestamp > start && position.timestamp < end) {
+                path.push(position);
+            }
+        }
+        if (end > start) {
+            path.push(this.positionAt(end)!);
+        }
+        return path;
+    }
+
+    /**
+     * Short summary for display, e.g. "1,234 frames · 12 tracks · 3 min 5 s"
+     */
+    static formatSummary(recorder: TrackRecorder): string {
+        const frames = recorder.getFrames();
+        const first = frames[0];
+        const last = frames[frames.length - 1];
+        if (!first || !last) return 'No frames recorded';
+
+        const seconds = Math.round((last.timestamp - first.timestamp) / 1000);
+        const duration = seconds >= 60 ? `${Math.floor(seconds / 60)} min ${seconds % 60} s` : `${seconds} s`;
+        const tracks = recorder.getTracks().length;
+        return `${frames.length.toLocaleString('en-US')} frames · ${tracks} track${tracks === 1 ? '' : 's'} · ${duration}`;
+    }
+}
+
+function round(value: number, digits: number): number {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Create global instance
+const trackRecorder = new TrackRecorder();
+
+// Export for modules
+export default trackRecorder;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).trackRecorder = trackRecorder;
+    (window as any).TrackRecorder = TrackRecorder;
+}
@@ -0,0 +1,445 @@
+/**
+ * Translation Manager for PoliCamera
+ * Translates recognized OCR text with pluggable backends: a bundled offline phrase table
+ * and an optional self-hosted translation server (LibreTranslate-compatible API)
+ */
+
+export interface TranslationResult {
+    text: string;
+    source: string; // ISO 639-1 code of the detected or given source language
+    target: string;
+    translator: string; // Name of the backend that produced it
+}
+
+export interface Translator {
+    readonly name: string;
+    isAvailable(): boolean;
+    /**
+     * Translate text between ISO 639-1 languages; source may be 'auto'
+     * Resolves to null if the backend cannot translate the text
+     */
+    translate(text: string, source: string, target: string): Promise<TranslationResult | null>;
+}
+
+/**
+ * Phrase table file: phrases of each language mapped to their English (pivot) translation
+ */
+export interface PhraseTable {
+    version: number;
+    pivot: string;
+    languages: Record<string, Record<string, string>>;
+}
+
+export interface TranslationConfig {
+    targetLanguage: string; // ISO 639-1 code
+    sourceLanguage: string; // ISO 639-1 code, or 'auto' to detect
+    cacheSize: number; // Recent translations kept, since OCR sees the same sign many times
+}
+
+// Letters, digits and in-word punctuation; everything else separates words
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{M}\p{N}'’-]*|[^\p{L}\p{N}]+/gu;
+const WORD_START = /^[\p{L}\p{N}]/u;
+
+/**
+ * Offline translation by longest-match lookup in a phrase table
+ * Phrases are keyed without case or accents, so OCR that drops diacritics still matches.
+ * Languages other than the pivot are translated through it (e.g. de → en → fr).
+ */
+export class DictionaryTranslator implements Translator {
+    readonly name = 'dictionary';
+    private pivot: string = 'en';
+    private toPivot = new Map<string, Map<string, string>>(); // language -> phrase key -> pivot phrase
+    private fromPivot = new Map<string, Map<string, string>>(); // language -> pivot key -> phrase
+    private pivotPhrases = new Map<string, string>(); // pivot key -> pivot phrase, to detect pivot text
+    private maxPhraseWords: number = 1;
+
+    constructor(table?: PhraseTable) {
+        if (table) {
+            this.addTable(table);
+        }
+    }
+
+    /**
+     * Fetch a phrase table JSON file and add it
+     */
+    static async load(url: string): Promise<DictionaryTranslator> {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load phrase table: HTTP ${response.status}`);
+        }
+        return new DictionaryTranslator(await response.json() as PhraseTable);
+    }
+
+    /**
+     * Add the phrases of a table; later entries replace earlier ones
+     */
+    addTable(table: PhraseTable): void {
+        if (!table || typeof table.languages !== 'object') {
+            throw new Error('Invalid phrase table');
+        }
+
+        this.pivot = table.pivot || 'en';
+        for (const [language, phrases] of Object.entries(table.languages)) {
+            this.addPhrases(language, phrases);
+        }
+    }
+
+    /**
+     * Add phrases of a language with their pivot-language translations
+     */
+    addPhrases(language: string, phrases: Record<string, string>): void {
+        const toPivot = this.toPivot.get(language) ?? new Map<string, string>();
+        const fromPivot = this.fromPivot.get(language) ?? new Map<string, string>();
+
+        for (const [phrase, translation] of Object.entries(phrases)) {
+            const key = DictionaryTranslator.key(phrase);
+            toPivot.set(key, translation);
+            // Keep the first phrase for a translation: tables list the usual wording first
+            const pivotKey = DictionaryTranslator.key(translation);
+            if (!fromPivot.has(pivotKey)) {
+                fromPivot.set(pivotKey, phrase);
+            }
+            this.pivotPhrases.set(pivotKey, translation);
+            this.maxPhraseWords = Math.max(this.maxPhraseWords, key.split(' ').length, pivotKey.split(' ').length);
+        }
+
+        this.toPivot.set(language, toPivot);
+        this.fromPivot.set(language, fromPivot);
+    }
+
+    /**
+     * Languages with phrases, including the pivot
+     */
+    getLanguages(): string[] {
+        return [this.pivot, ...this.toPivot.keys()];
+    }
+
+    isAvailable(): boolean {
+        return this.toPivot.size > 0;
+    }
+
+    async translate(text: string, source: string, target: string): Promise<TranslationResult | null> {
+        const from = source === 'auto' ? this.detectLanguage(text) : source;
+        if (!from || from === target) {
+            return null;
+        }
+
+        let translated: string | null = text;
+        if (from !== this.pivot) {
+            translated = this.translateWith(translated, this.toPivot.get(from));
+        }
+        if (translated !== null && target !== this.pivot) {
+            translated = this.translateWith(translated, this.fromPivot.get(target));
+        }
+
+        return translated === null ? null : { text: translated, source: from, target, translator: this.name };
+    }
+
+    /**
+     * Language whose phrases cover the most words of the text, or null if none match
+     * The pivot language wins ties, since words such as "Stop" are shared
+     */
+    detectLanguage(text: string): string | null {
+        let best: string | null = null;
+        let bestCount = 0;
+
+        for (const [language, phrases] of [[this.pivot, this.pivotPhrases] as const, ...this.toPivot]) {
+            const count = this.countMatchedWords(text, phrases);
+            if (count > bestCount) {
+                best = language;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Lookup key: lowercase, accents removed, single spaces
+     */
+    static key(phrase: string): string {
+        return phrase
+            .toLocaleLowerCase()
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .normalize('NFC')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Give a translation the capitalization of the phrase it replaces
+     */
+    static matchCase(original: string, translation: string): string {
+        const letters = original.replace(/[^\p{L}]/gu, '');
+        if (letters.length > 1 && letters === letters.toLocaleUpperCase() && letters !== letters.toLocaleLowerCase()) {
+            return translation.toLocaleUpperCase();
+        }
+        if (letters.length > 0 && letters[0] !== letters[0]!.toLocaleLowerCase()) {
+            return translation.charAt(0).toLocaleUpperCase() + translation.slice(1);
+        }
+        return translation;
+    }
+
+    /**
+     * Replace the phrases found in a table, line by line
+     * Returns null if nothing matched
+     */
+    private translateWith(text: string, phrases: Map<string, string> | undefined): string | null {
+        if (!phrases) {
+            return null;
+        }
+
+        let matched = false;
+        const lines = text.split('\n').map(line => {
+            const tokens = line.match(WORD_PATTERN) ?? [];
+            let output = '';
+            let i = 0;
+
+            while (i < tokens.length) {
+                const match = this.findPhrase(tokens, i, phrases);
+                if (match) {
+                    output += DictionaryTranslator.matchCase(tokens.slice(i, match.end).join(''), match.translation);
+                    i = match.end;
+                    matched = true;
+                } else {
+                    output += tokens[i];
+                    i++;
+                }
+            }
+            return output;
+        });
+
+        return matched ? lines.join('\n') : null;
+    }
+
+    /**
+     * Longest phrase starting at a token, as the translation and the index after its last token
+     * Words of a phrase may only be separated by whitespace
+     */
+    private findPhrase(
+        tokens: string[],
+        start: number,
+        phrases: Map<string, string>
+    ): { translation: string; end: number } | null {
+        if (!WORD_START.test(tokens[start]!)) {
+            return null;
+        }
+
+        let found: { translation: string; end: number } | null = null;
+        const words: string[] = [];
+
+        for (let i = start; i < tokens.length && words.length < this.maxPhraseWords; i += 2) {
+            words.push(tokens[i]!);
+            const translation = phrases.get(DictionaryTranslator.key(words.join(' ')));
+            if (translation !== undefined) {
+                found = { translation, end: i + 1 };
+            }
+
+            const separator = tokens[i + 1];
+            if (separator === undefined || !/^\s+$/.test(separator) || !WORD_START.test(tokens[i + 2] ?? '')) {
+                break;
+            }
+        }
+        return found;
+    }
+
+    /**
+     * Number of words of the text that are part of a known phrase
+     */
+    private countMatchedWords(text: string, phrases: Map<string, string>): number {
+        let count = 0;
+        for (const line of text.split('\n')) {
+            const tokens = line.match(WORD_PATTERN) ?? [];
+            let i = 0;
+            while (i < tokens.length) {
+                const match = this.findPhrase(tokens, i, phrases);
+                if (match) {
+                    count += tokens.slice(i, match.end).filter(token => WORD_START.test(token)).length;
+                    i = match.end;
+                } else {
+                    i++;
+                }
+            }
+        }
+        return count;
+    }
+}
+
+/**
+ * Translation through a self-hosted server with the LibreTranslate API (POST /translate)
+ * Only used while online
+ */
+export class HttpTranslator implements Translator {
+    readonly name = 'server';
+    private readonly url: string;
+    private readonly apiKey: string | null;
+    private readonly timeoutMs: number;
+
+    constructor(url: string, apiKey: string | null = null, timeoutMs: number = 4000) {
+        this.url = url.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.timeoutMs = timeoutMs;
+    }
+
+    isAvailable(): boolean {
+        return typeof navigator === 'undefined' || navigator.onLine;
+    }
+
+    async translate(text: string, source: string, target: string): Promise<TranslationResult | null> {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const body: Record<string, string> = { q: text, source, target, format: 'text' };
+            if (this.apiKey) {
+                body.api_key = this.apiKey;
+            }
+
+            const response = await fetch(`${this.url}/translate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body),
+                signal: controller.signal,
+            });
+            if (!response.ok) {
+                throw new Error(`Translation server error: HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (typeof data.translatedText !== 'string') {
+                throw new Error('Invalid translation server response');
+            }
+
+            const detected = data.detectedLanguage?.language;
+            const from = source === 'auto' && typeof detected === 'string' ? detected : source;
+            if (from === target) {
+                return null;
+            }
+            return { text: data.translatedText, source: from, target, translator: this.name };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+}
+
+/**
+ * Runs translators in order until one translates the text, and caches results
+ */
+export class TranslationManager {
+    private translators: Translator[] = [];
+    private config: TranslationConfig;
+    private cache = new Map<string, TranslationResult | null>();
+
+    constructor(config: Partial<TranslationConfig> = {}) {
+        this.config = {
+            targetLanguage: config.targetLanguage || 'en',
+            sourceLanguage: config.sourceLanguage || 'auto',
+            cacheSize: config.cacheSize || 100,
+        };
+    }
+
+    /**
+     * Set the backends, tried in order (e.g. the server first, the phrase table as fallback)
+     */
+    setTranslators(translators: Translator[]): void {
+        this.translators = [...translators];
+        this.cache.clear();
+    }
+
+    getTranslators(): Translator[] {
+        return [...this.translators];
+    }
+
+    /**
+     * Set the language to translate into
+     * @param language - ISO 639-1 code
+     */
+    setTargetLanguage(language: string): void {
+        this.config.targetLanguage = language;
+        this.cache.clear();
+    }
+
+    getTargetLanguage(): string {
+        return this.config.targetLanguage;
+    }
+
+    /**
+     * Set the language of the text, or 'auto' to detect it
+     */
+    setSourceLanguage(language: string): void {
+        this.config.sourceLanguage = language;
+        this.cache.clear();
+    }
+
+    /**
+     * Translate text into the target language
+     * Resolves to null if no backend could translate it (or it already is in the target language)
+     */
+    async translate(text: string): Promise<TranslationResult | null> {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            return null;
+        }
+
+        if (this.cache.has(trimmed)) {
+            const cached = this.cache.get(trimmed) ?? null;
+            // Move to the end so it is evicted last
+            this.cache.delete(trimmed);
+            this.cache.set(trimmed, cached);
+            return cached;
+        }
+
+        let result: TranslationResult | null = null;
+        let failed = false;
+        for (const translator of this.translators) {
+            if (!translator.isAvailable()) {
+                continue;
+            }
+            try {
+                result = await translator.translate(trimmed, this.config.sourceLanguage, this.config.targetLanguage);
+            } catch (error) {
+                console.warn(`Translation with ${translator.name} failed:`, error);
+                failed = true;
+                continue;
+            }
+            if (result) {
+                break;
+            }
+        }
+
+        // A backend error may be temporary, so only remember answers
+        if (result || !failed) {
+            this.remember(trimmed, result);
+        }
+        return result;
+    }
+
+    clearCache(): void {
+        this.cache.clear();
+    }
+
+    private remember(text: string, result: TranslationResult | null): void {
+        this.cache.set(text, result);
+        while (this.cache.size > this.config.cacheSize) {
+            const oldest = this.cache.keys().next().value;
+            if (oldest === undefined) {
+                break;
+            }
+            this.cache.delete(oldest);
+        }
+    }
+}
+
+// Create global instance
+const translationManager = new TranslationManager();
+
+// Export for modules
+export default translationManager;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).translationManager = translationManager;
+    (window as any).TranslationManager = TranslationManager;
+    (window as any).DictionaryTranslator = DictionaryTranslator;
+    (window as any).HttpTranslator = HttpTranslator;
+}
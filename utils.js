@@ -427,6 +427,67 @@ class Utils {
         return null;
     }
 
+    /**
+     * Convert a data URL to a Blob
+     * @param {string} dataUrl - Data URL
+     * @returns {Promise<Blob>} Blob with the data URL's MIME type
+     */
+    static async dataUrlToBlob(dataUrl) {
+        const response = await fetch(dataUrl);
+        return response.blob();
+    }
+
+    /**
+     * Convert a Blob to a data URL
+     * @param {Blob} blob - Blob to read
+     * @returns {Promise<string>} Base64 data URL
+     */
+    static blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Create a JPEG thumbnail from an image Blob
+     * @param {Blob} blob - Source image
+     * @param {number} maxSize - Longest edge of the thumbnail in pixels
+     * @param {number} quality - JPEG quality (0-1)
+     * @returns {Promise<Blob>} Thumbnail image
+     */
+    static async createThumbnail(blob, maxSize = AppConstants.CAMERA.THUMBNAIL_SIZE, quality = AppConstants.CAMERA.THUMBNAIL_QUALITY) {
+        const bitmap = await createImageBitmap(blob);
+        const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+        canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close();
+
+        return Utils.canvasToBlob(canvas, 'image/jpeg', quality);
+    }
+
+    /**
+     * Encode a canvas as an image Blob
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @param {string} type - Image MIME type
+     * @param {number} quality - Quality for lossy formats (0-1)
+     * @returns {Promise<Blob>}
+     */
+    static canvasToBlob(canvas, type = 'image/jpeg', quality = AppConstants.CAMERA.IMAGE_QUALITY) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                blob => blob ? resolve(blob) : reject(new Error(`Failed to encode ${type}`)),
+                type,
+                quality
+            );
+        });
+    }
+
     /**
      * Sanitize HTML string to prevent XSS
      * Enhanced version with more thorough sanitization
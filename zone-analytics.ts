@@ -0,0 +1,562 @@
+/**
+ * Zone Analytics for PoliCamera
+ * Counts tracked objects in user-drawn zones (occupancy, entries, dwell time) and
+ * across tripwire lines (per class and direction), for traffic surveys
+ */
+
+export interface Point {
+    x: number;
+    y: number;
+}
+
+export interface BoundingBox {
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+}
+
+/**
+ * Detection as returned by AIRecognitionManager.trackObjects (video pixels)
+ */
+export interface TrackedDetection {
+    class: string;
+    bbox: BoundingBox;
+    trackId?: number;
+}
+
+/**
+ * Polygon; points are in frame coordinates normalized to 0-1, so regions keep
+ * their place when the camera resolution changes
+ */
+export interface Zone {
+    id: number;
+    kind: 'zone';
+    name: string;
+    points: Point[];
+}
+
+/**
+ * Tripwire from one normalized point to another
+ */
+export interface Tripwire {
+    id: number;
+    kind: 'line';
+    name: string;
+    from: Point;
+    to: Point;
+}
+
+export type Region = Zone | Tripwire;
+
+/**
+ * 'in': crossed from the left of the line (looking from `from` to `to` on screen) to its right
+ * 'out': the other way
+ */
+export type CrossingDirection = 'in' | 'out';
+
+export interface ZoneEvent {
+    type: 'enter' | 'exit' | 'cross';
+    regionId: number;
+    regionName: string;
+    trackId: number;
+    class: string;
+    direction?: CrossingDirection; // 'cross' events
+    dwell?: number; // Milliseconds in the zone, 'exit' events
+    timestamp: number; // Milliseconds since the epoch
+}
+
+export interface ZoneStats {
+    id: number;
+    name: string;
+    occupancy: Record<string, number>; // Tracks in the zone now, per class
+    entries: Record<string, number>;
+    averageDwell: Record<string, number>; // Milliseconds, over tracks that left
+}
+
+export interface LineStats {
+    id: number;
+    name: string;
+    counts: Record<string, Record<CrossingDirection, number>>;
+}
+
+export interface DwellTime {
+    trackId: number;
+    class: string;
+    regionId: number;
+    enteredAt: number;
+    dwell: number; // Milliseconds so far
+}
+
+export interface ZoneAnalyticsConfig {
+    trackTimeout?: number; // Milliseconds a track may go unseen before it counts as gone
+    lineMargin?: number; // Normalized distance from a line a track must reach to count as crossed
+    zoneColor?: string;
+    lineColor?: string;
+}
+
+const DEFAULT_CONFIG: Required<ZoneAnalyticsConfig> = {
+    trackTimeout: 2000,
+    lineMargin: 0.01,
+    zoneColor: '#4FC3F7',
+    lineColor: '#FFB74D',
+};
+
+interface TrackState {
+    class: string;
+    point: Point;
+    lastSeen: number;
+    zones: Map<number, number>; // Zone ID -> time entered
+    sides: Map<number, { side: number; point: Point }>; // Line ID -> side last counted on, and where
+}
+
+/**
+ * Geometry on normalized frame coordinates
+ */
+export class ZoneMath {
+    /**
+     * Point a detection is counted at: the bottom center of its box, where it meets the ground
+     */
+    static anchor(bbox: BoundingBox, frameWidth: number, frameHeight: number): Point {
+        return {
+            x: (bbox.x + bbox.width / 2) / frameWidth,
+            y: (bbox.y + bbox.height) / frameHeight,
+        };
+    }
+
+    /**
+     * Even-odd rule
+     */
+    static contains(polygon: Point[], point: Point): boolean {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i]!;
+            const b = polygon[j]!;
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Signed distance of a point from the line through `from` and `to`;
+     * positive on the right (on screen, with y pointing down)
+     */
+    static side(from: Point, to: Point, point: Point): number {
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        if (length === 0) return 0;
+        return (dx * (point.y - from.y) - dy * (point.x - from.x)) / length;
+    }
+
+    /**
+     * Where the path from `start` to `end` crosses the line through `from` and `to`,
+     * as a fraction along from -> to (0-1 is on the tripwire itself)
+     */
+    static crossingAt(from: Point, to: Point, start: Point, end: Point): number | null {
+        const rx = to.x - from.x;
+        const ry = to.y - from.y;
+        const sx = end.x - start.x;
+        const sy = end.y - start.y;
+        const denominator = rx * sy - ry * sx;
+        if (denominator === 0) return null;
+        return ((start.x - from.x) * sy - (start.y - from.y) * sx) / denominator;
+    }
+}
+
+/**
+ * Zone and tripwire counting over tracked detections
+ */
+export class ZoneAnalytics {
+    private config: Required<ZoneAnalyticsConfig>;
+    private regions: Region[] = [];
+    private nextId = 1;
+    private tracks = new Map<number, TrackState>();
+    private entries = new Map<number, Record<string, number>>();
+    private dwellTotals = new Map<number, Record<string, { total: number; count: number }>>();
+    private crossings = new Map<number, Record<string, Record<CrossingDirection, number>>>();
+
+    constructor(config: ZoneAnalyticsConfig = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+    }
+
+    configure(config: ZoneAnalyticsConfig): void {
+        this.config = { ...this.config, ...config };
+    }
+
+    /**
+     * Add a zone (at least three normalized points)
+     */
+    addZone(points: Point[], name?: string): Zone {
+        if (points.length < 3) {
+            throw new Error('A zone needs at least three points');
+        }
+        const id = this.nextId++;
+        const zone: Zone = { id, kind: 'zone', name: name || `Zone ${id}`, points: points.map(point => ({ ...point })) };
+        this.regions.push(zone);
+        return zone;
+    }
+
+    /**
+     * Add a tripwire between two normalized points
+     */
+    addLine(from: Point, to: Point, name?: string): Tripwire {
+        if (from.x === to.x && from.y === to.y) {
+            throw new Error('A line needs two different points');
+        }
+        const id = this.nextId++;
+        const line: Tripwire = { id, kind: 'line', name: name || `Line ${id}`, from: { ...from }, to: { ...to } };
+        this.regions.push(line);
+        return line;
+    }
+
+    removeRegion(id: number): void {
+        this.regions = this.regions.filter(region => region.id !== id);
+        this.entries.delete(id);
+        this.dwellTotals.delete(id);
+        this.crossings.delete(id);
+        for (const track of this.tracks.values()) {
+            track.zones.delete(id);
+            track.sides.delete(id);
+        }
+    }
+
+    getRegions(): Region[] {
+        return this.regions;
+    }
+
+    /**
+     * Replace all regions, e.g. with ones saved earlier; counts start over
+     */
+    setRegions(regions: Region[]): void {
+        this.regions = regions.map(region => region.kind === 'zone'
+            ? { ...region, points: region.points.map(point => ({ ...point })) }
+            : { ...region, from: { ...region.from }, to: { ...region.to } });
+        this.nextId = this.regions.reduce((max, region) => Math.max(max, region.id), 0) + 1;
+        this.resetCounts();
+    }
+
+    /**
+     * Forget all counts and tracks, keeping the regions
+     */
+    resetCounts(): void {
+        this.tracks.clear();
+        this.entries.clear();
+        this.dwellTotals.clear();
+        this.crossings.clear();
+    }
+
+    /**
+     * Count one frame of tracked detections
+     * @param timestamp - Milliseconds since the epoch
+     * @returns Events of this frame, oldest first
+     */
+    update(detections: TrackedDetection[], frameWidth: number, frameHeight: number, timestamp: number): ZoneEvent[] {
+        const events: ZoneEvent[] = [];
+        if (frameWidth <= 0 || frameHeight <= 0) return events;
+
+        for (const detection of detections) {
+            if (detection.trackId == null) continue;
+
+            const point = ZoneMath.anchor(detection.bbox, frameWidth, frameHeight);
+            let track = this.tracks.get(detection.trackId);
+            if (!track) {
+                track = { class: detection.class, point, lastSeen: timestamp, zones: new Map(), sides: new Map() };
+                this.tracks.set(detection.trackId, track);
+            }
+            track.class = detection.class;
+
+            for (const region of this.regions) {
+                const event = region.kind === 'zone'
+                    ? this.updateZone(region, detection.trackId, track, point, timestamp)
+                    : this.updateLine(region, detection.trackId, track, point, timestamp);
+                if (event) events.push(event);
+            }
+
+            track.point = point;
+            track.lastSeen = timestamp;
+        }
+
+        // Tracks unseen for too long have left every zone they were in
+        for (const [trackId, track] of this.tracks) {
+            if (timestamp - track.lastSeen <= this.config.trackTimeout) continue;
+
+            for (const zoneId of track.zones.keys()) {
+                const zone = this.regions.find(region => region.id === zoneId);
+                if (zone) {
+                    events.push(this.exitZone(zone, trackId, track, track.lastSeen));
+                }
+            }
+            this.tracks.delete(trackId);
+        }
+
+        return events;
+    }
+
+    /**
+     * Per-zone counts
+     */
+    getZoneStats(): ZoneStats[] {
+        return this.regions
+            .filter((region): region is Zone => region.kind === 'zone')
+            .map(zone => {
+                const occupancy: Record<string, number> = {};
+                for (const track of this.tracks.values()) {
+                    if (track.zones.has(zone.id)) {
+                        occupancy[track.class] = (occupancy[track.class] ?? 0) + 1;
+                    }
+                }
+
+                const averageDwell: Record<string, number> = {};
+                for (const [className, dwell] of Object.entries(this.dwellTotals.get(zone.id) ?? {})) {
+                    averageDwell[className] = dwell.total / dwell.count;
+                }
+
+                return { id: zone.id, name: zone.name, occupancy, entries: { ...this.entries.get(zone.id) }, averageDwell };
+            });
+    }
+
+    /**
+     * Per-line crossing counts
+     */
+    getLineStats(): LineStats[] {
+        return this.regions
+            .filter((region): region is Tripwire => region.kind === 'line')
+            .map(line => {
+                const counts: Record<string, Record<CrossingDirection, number>> = {};
+                for (const [className, count] of Object.entries(this.crossings.get(line.id) ?? {})) {
+                    counts[className] = { ...count };
+                }
+                return { id: line.id, name: line.name, counts };
+            });
+    }
+
+    /**
+     * How long each track has been in each zone it is in now
+     * @param timestamp - Milliseconds since the epoch
+     */
+    getDwellTimes(timestamp: number): DwellTime[] {
+        const dwellTimes: DwellTime[] = [];
+        for (const [trackId, track] of this.tracks) {
+            for (const [regionId, enteredAt] of track.zones) {
+                dwellTimes.push({ trackId, class: track.class, regionId, enteredAt, dwell: timestamp - enteredAt });
+            }
+        }
+        return dwellTimes;
+    }
+
+    /**
+     * Draw the regions with their counts, and how long each track has been in its zone
+     * @param size - Size of the frame on the canvas
+     * @param options.draft - Normalized points of a region being drawn
+     * @param options.timestamp - Milliseconds since the epoch, for dwell times
+     */
+    drawAnnotations(ctx: CanvasRenderingContext2D, size: { width: number; height: number }, options: { draft?: Point[]; timestamp?: number } = {}): void {
+        const { draft = [], timestamp = Date.now() } = options;
+        const toCanvas = (point: Point) => ({ x: point.x * size.width, y: point.y * size.height });
+        const zoneStats = new Map(this.getZoneStats().map(stats => [stats.id, stats]));
+        const lineStats = new Map(this.getLineStats().map(stats => [stats.id, stats]));
+
+        ctx.save();
+        ctx.font = 'bold 13px -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+        ctx.lineWidth = 2;
+
+        for (const region of this.regions) {
+            let label: string;
+            let labelAt: Point;
+            let color: string;
+
+            if (region.kind === 'zone') {
+                const points = region.points.map(toCanvas);
+                ctx.beginPath();
+                points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+                ctx.closePath();
+                ctx.fillStyle = 'rgba(79, 195, 247, 0.15)';
+                ctx.fill();
+                ctx.strokeStyle = this.config.zoneColor;
+                ctx.stroke();
+
+                const occupancy = Object.values(zoneStats.get(region.id)?.occupancy ?? {}).reduce((sum, count) => sum + count, 0);
+                label = `${region.name}: ${occupancy}`;
+                labelAt = points.reduce((top, point) => (point.y < top.y ? point : top));
+                color = this.config.zoneColor;
+            } else {
+                const from = toCanvas(region.from);
+                const to = toCanvas(region.to);
+                ctx.strokeStyle = this.config.lineColor;
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+
+                // Arrow from the middle towards the 'in' side
+                const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+                const normal = { x: -(to.y - from.y) / length, y: (to.x - from.x) / length };
+                const middle = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+                const tip = { x: middle.x + normal.x * 18, y: middle.y + normal.y * 18 };
+                ctx.beginPath();
+                ctx.moveTo(middle.x, middle.y);
+                ctx.lineTo(tip.x, tip.y);
+                ctx.moveTo(tip.x - normal.x * 6 + normal.y * 5, tip.y - normal.y * 6 - normal.x * 5);
+                ctx.lineTo(tip.x, tip.y);
+                ctx.lineTo(tip.x - normal.x * 6 - normal.y * 5, tip.y - normal.y * 6 + normal.x * 5);
+                ctx.stroke();
+
+                let inCount = 0;
+                let outCount = 0;
+                for (const count of Object.values(lineStats.get(region.id)?.counts ?? {})) {
+                    inCount += count.in;
+                    outCount += count.out;
+                }
+                label = `${region.name}: in ${inCount} · out ${outCount}`;
+                labelAt = from.y < to.y ? from : to;
+                color = this.config.lineColor;
+            }
+
+            const textWidth = ctx.measureText(label).width;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            ctx.fillRect(labelAt.x - 4, labelAt.y - 24, textWidth + 8, 19);
+            ctx.fillStyle = color;
+            ctx.fillText(label, labelAt.x, labelAt.y - 10);
+        }
+
+        // Longest dwell of each track that is in a zone, at the point it is counted at
+        ctx.fillStyle = this.config.zoneColor;
+        for (const track of this.tracks.values()) {
+            if (track.zones.size === 0) continue;
+            const enteredAt = Math.min(...track.zones.values());
+            const point = toCanvas(track.point);
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillText(ZoneAnalytics.formatDwell(timestamp - enteredAt), point.x + 6, point.y + 14);
+        }
+
+        if (draft.length > 0) {
+            const points = draft.map(toCanvas);
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            for (const point of points) {
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Short text for a duration, e.g. "45 s" or "3 min 12 s"
+     */
+    static formatDwell(milliseconds: number): string {
+        const seconds = Math.round(milliseconds / 1000);
+        if (seconds < 60) return `${seconds} s`;
+        const minutes = Math.floor(seconds / 60);
+        return seconds % 60 === 0 ? `${minutes} min` : `${minutes} min ${seconds % 60} s`;
+    }
+
+    /**
+     * Short text for a zone's counts, e.g. "person: 2 now, 14 entered, avg 32 s"
+     */
+    static formatZoneStats(stats: ZoneStats): string {
+        const classes = new Set([...Object.keys(stats.entries), ...Object.keys(stats.occupancy)]);
+        if (classes.size === 0) return 'No counts yet';
+
+        return [...classes].map(className => {
+            let text = `${className}: ${stats.occupancy[className] ?? 0} now, ${stats.entries[className] ?? 0} entered`;
+            const dwell = stats.averageDwell[className];
+            if (dwell !== undefined) {
+                text += `, avg ${ZoneAnalytics.formatDwell(dwell)}`;
+            }
+            return text;
+        }).join(' · ');
+    }
+
+    /**
+     * Short text for a line's counts, e.g. "person: in 8, out 3"
+     */
+    static formatLineStats(stats: LineStats): string {
+        const counts = Object.entries(stats.counts);
+        if (counts.length === 0) return 'No counts yet';
+        return counts.map(([className, count]) => `${className}: in ${count.in}, out ${count.out}`).join(' · ');
+    }
+
+    private updateZone(zone: Zone, trackId: number, track: TrackState, point: Point, timestamp: number): ZoneEvent | null {
+        const inside = ZoneMath.contains(zone.points, point);
+        const wasInside = track.zones.has(zone.id);
+
+        if (inside && !wasInside) {
+            track.zones.set(zone.id, timestamp);
+            const entries = this.entries.get(zone.id) ?? {};
+            entries[track.class] = (entries[track.class] ?? 0) + 1;
+            this.entries.set(zone.id, entries);
+            return { type: 'enter', regionId: zone.id, regionName: zone.name, trackId, class: track.class, timestamp };
+        }
+        if (!inside && wasInside) {
+            return this.exitZone(zone, trackId, track, timestamp);
+        }
+        return null;
+    }
+
+    private exitZone(zone: Region, trackId: number, track: TrackState, timestamp: number): ZoneEvent {
+        const dwell = timestamp - (track.zones.get(zone.id) ?? timestamp);
+        track.zones.delete(zone.id);
+
+        const totals = this.dwellTotals.get(zone.id) ?? {};
+        const total = totals[track.class] ?? { total: 0, count: 0 };
+        total.total += dwell;
+        total.count++;
+        totals[track.class] = total;
+        this.dwellTotals.set(zone.id, totals);
+
+        return { type: 'exit', regionId: zone.id, regionName: zone.name, trackId, class: track.class, dwell, timestamp };
+    }
+
+    /**
+     * A crossing counts once the track is clear of the line on the other side, so
+     * tracks jittering on the line are not counted again and again
+     */
+    private updateLine(line: Tripwire, trackId: number, track: TrackState, point: Point, timestamp: number): ZoneEvent | null {
+        const distance = ZoneMath.side(line.from, line.to, point);
+        if (Math.abs(distance) < this.config.lineMargin) return null;
+
+        const side = Math.sign(distance);
+        const last = track.sides.get(line.id);
+        track.sides.set(line.id, { side, point });
+        if (!last || last.side === side) return null;
+
+        const at = ZoneMath.crossingAt(line.from, line.to, last.point, point);
+        if (at === null || at < 0 || at > 1) return null;
+
+        const direction: CrossingDirection = side > 0 ? 'in' : 'out';
+        const counts = this.crossings.get(line.id) ?? {};
+        const count = counts[track.class] ?? { in: 0, out: 0 };
+        count[direction]++;
+        counts[track.class] = count;
+        this.crossings.set(line.id, counts);
+
+        return { type: 'cross', regionId: line.id, regionName: line.name, trackId, class: track.class, direction, timestamp };
+    }
+}
+
+// Create global instance
+const zoneAnalytics = new ZoneAnalytics();
+
+// Export for modules
+export default zoneAnalytics;
+
+// Add to window for non-module usage
+if (typeof window !== 'undefined') {
+    (window as any).zoneAnalytics = zoneAnalytics;
+    (window as any).ZoneAnalytics = ZoneAnalytics;
+    (window as any).ZoneMath = ZoneMath;
+}